@@ -0,0 +1,168 @@
+const imageDatabase = require('./imageDatabase');
+
+/**
+ * Базовый класс фоновой задачи: задача обрабатывает данные порциями и после каждой
+ * порции сохраняет состояние в базе (таблица job_state), поэтому после перезапуска
+ * бота продолжает работу с того же места.
+ *
+ * Наследники реализуют:
+ * - getTarget() - цель задачи; если она изменилась, задача начинается заново;
+ * - createState() - начальное состояние (счетчики, позиция);
+ * - processBatch(state) - обработку одной порции, возвращает true, когда работа закончена
+ */
+class BackgroundJob {
+  /**
+   * @param {string} name - название задачи (ключ состояния в базе)
+   * @param {Object} [options] - { pauseMs } - пауза между порциями в миллисекундах
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.pauseMs = options.pauseMs || 0;
+    this.state = null;
+    this.running = false;
+    this.stopRequested = false;
+    this.runPromise = null;
+  }
+
+  /**
+   * Возвращает цель задачи
+   * @returns {string}
+   */
+  getTarget() {
+    return '';
+  }
+
+  /**
+   * Возвращает начальное состояние задачи
+   * @returns {Object}
+   */
+  createState() {
+    return {};
+  }
+
+  /**
+   * Обрабатывает одну порцию данных
+   * @param {Object} state - состояние задачи (изменяется на месте)
+   * @returns {Promise<boolean>} - true, если работа закончена
+   */
+  async processBatch(state) {
+    throw new Error(`Задача ${this.name} не реализует processBatch`);
+  }
+
+  /**
+   * Загружает сохраненное состояние или создает новое, если задача не запускалась,
+   * ее цель изменилась или требуется начать заново
+   * @param {boolean} restart - начать заново
+   * @returns {Promise<Object>} - состояние задачи
+   */
+  async loadState(restart = false) {
+    const target = this.getTarget();
+    const saved = await imageDatabase.getJobState(this.name);
+
+    if (!restart && saved && saved.target === target) {
+      return saved;
+    }
+
+    return {
+      ...this.createState(),
+      target,
+      status: 'pending',
+      startedAt: new Date().toISOString(),
+      updatedAt: null
+    };
+  }
+
+  /**
+   * Запускает задачу в фоне (или продолжает прерванную)
+   * @param {Object} [options] - { restart } - начать заново, даже если задача уже завершена
+   * @returns {Promise<boolean>} - true, если задача запущена; false, если она уже выполняется или завершена
+   */
+  async start(options = {}) {
+    if (this.running) {
+      return false;
+    }
+
+    this.running = true;
+    this.stopRequested = false;
+
+    try {
+      this.state = await this.loadState(options.restart);
+    } catch (error) {
+      this.running = false;
+      throw error;
+    }
+
+    if (this.state.status === 'completed') {
+      this.running = false;
+      return false;
+    }
+
+    this.state.status = 'running';
+    console.log(`Фоновая задача ${this.name} запущена`);
+    this.runPromise = this._run();
+    return true;
+  }
+
+  /**
+   * Останавливает задачу после текущей порции; состояние сохраняется для продолжения
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.stopRequested = true;
+
+    if (this.runPromise) {
+      await this.runPromise;
+    }
+  }
+
+  /**
+   * Возвращает состояние задачи (сохраненное, если задача не запускалась в этом процессе)
+   * @returns {Promise<Object>} - { name, running, ...состояние }
+   */
+  async getStatus() {
+    const state = this.state || await imageDatabase.getJobState(this.name);
+    return { name: this.name, running: this.running, ...(state || { status: 'idle' }) };
+  }
+
+  /**
+   * Обрабатывает порции, пока работа не закончена или не запрошена остановка
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _run() {
+    try {
+      while (!this.stopRequested) {
+        const done = await this.processBatch(this.state);
+
+        this.state.updatedAt = new Date().toISOString();
+        if (done) {
+          this.state.status = 'completed';
+        }
+        await imageDatabase.saveJobState(this.name, this.state);
+
+        if (done) {
+          console.log(`Фоновая задача ${this.name} завершена`);
+          return;
+        }
+
+        if (this.pauseMs > 0 && !this.stopRequested) {
+          await new Promise(resolve => setTimeout(resolve, this.pauseMs));
+        }
+      }
+
+      this.state.status = 'paused';
+      await imageDatabase.saveJobState(this.name, this.state);
+      console.log(`Фоновая задача ${this.name} приостановлена`);
+    } catch (error) {
+      console.error(`Ошибка в фоновой задаче ${this.name}:`, error);
+      this.state.status = 'failed';
+      this.state.error = error.message;
+      await imageDatabase.saveJobState(this.name, this.state);
+    } finally {
+      this.running = false;
+      this.runPromise = null;
+    }
+  }
+}
+
+module.exports = BackgroundJob;
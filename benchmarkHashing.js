@@ -0,0 +1,424 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const config = require('./config');
+const imageHasher = require('./imageHasher');
+const imageDatabase = require('./imageDatabase');
+const hashPool = require('./hashPool');
+const { version } = require('./package.json');
+
+/**
+ * Бенчмарк устойчивости хеширования к типичным изменениям репостов: из исходных изображений
+ * с помощью sharp создаются измененные копии (пересжатие JPEG, уменьшение, надписи, обрезка,
+ * цветовые фильтры и т.п.), каждая копия ищется среди исходных изображений тем же способом,
+ * что и в боте (отпечатки imageHasher и поиск findDuplicates при текущих настройках),
+ * и для каждого изменения считается доля найденных оригиналов и ложных совпадений.
+ * Отчет сохраняется в папку логов с версией и настройками хеширования, чтобы сравнивать
+ * результаты между релизами (--compare).
+ *
+ * Запуск:
+ *   node benchmarkHashing.js <папка с изображениями> [limit] [--transforms jpeg_q30,crop_10] [--compare <отчет.json>]
+ */
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+/**
+ * Накладывает на изображение SVG того же размера
+ * @param {Buffer} buffer - изображение
+ * @param {Function} createSvg - функция (ширина, высота) => разметка SVG
+ * @returns {Promise<Buffer>} - PNG
+ */
+async function overlaySvg(buffer, createSvg) {
+  const { width, height } = await sharp(buffer).metadata();
+  return sharp(buffer)
+    .composite([{ input: Buffer.from(createSvg(width, height)) }])
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Обрезает изображение, оставляя прямоугольник с заданными долями от краев
+ * @param {Buffer} buffer - изображение
+ * @param {Object} margins - { left, top, right, bottom } - доли ширины и высоты
+ * @returns {Promise<Buffer>} - PNG
+ */
+async function cropMargins(buffer, { left = 0, top = 0, right = 0, bottom = 0 }) {
+  const { width, height } = await sharp(buffer).metadata();
+  const region = {
+    left: Math.round(width * left),
+    top: Math.round(height * top),
+    width: Math.round(width * (1 - left - right)),
+    height: Math.round(height * (1 - top - bottom))
+  };
+  return sharp(buffer).extract(region).png().toBuffer();
+}
+
+// Изменения, которые проверяет бенчмарк: группа - для сводки, apply - async-функция (буфер) => буфер
+const TRANSFORMS = {
+  jpeg_q70: { group: 'сжатие', label: 'JPEG, качество 70', apply: buffer => sharp(buffer).jpeg({ quality: 70 }).toBuffer() },
+  jpeg_q30: { group: 'сжатие', label: 'JPEG, качество 30', apply: buffer => sharp(buffer).jpeg({ quality: 30 }).toBuffer() },
+  jpeg_q10: { group: 'сжатие', label: 'JPEG, качество 10', apply: buffer => sharp(buffer).jpeg({ quality: 10 }).toBuffer() },
+  resize_50: {
+    group: 'размер',
+    label: 'уменьшение до 50%',
+    apply: async buffer => sharp(buffer).resize(Math.round((await sharp(buffer).metadata()).width / 2)).jpeg({ quality: 85 }).toBuffer()
+  },
+  resize_320: {
+    group: 'размер',
+    label: 'уменьшение до 320px (миниатюра Telegram)',
+    apply: buffer => sharp(buffer).resize(320, 320, { fit: 'inside' }).jpeg({ quality: 80 }).toBuffer()
+  },
+  caption_bottom: {
+    group: 'надписи',
+    label: 'подпись на белой полосе снизу',
+    apply: async buffer => {
+      const { width, height } = await sharp(buffer).metadata();
+      const band = Math.round(height * 0.15);
+      const padded = await sharp(buffer).extend({ bottom: band, background: '#ffffff' }).png().toBuffer();
+      return overlaySvg(padded, (w, h) => `<svg width="${w}" height="${h}">` +
+        `<text x="${w / 2}" y="${h - band * 0.35}" font-size="${band * 0.5}" font-family="sans-serif" ` +
+        `text-anchor="middle" fill="#000000">Подпись к репосту ${width}</text></svg>`);
+    }
+  },
+  caption_overlay: {
+    group: 'надписи',
+    label: 'надпись поверх изображения',
+    apply: buffer => overlaySvg(buffer, (w, h) => `<svg width="${w}" height="${h}">` +
+      `<text x="${w / 2}" y="${h * 0.9}" font-size="${h * 0.09}" font-family="sans-serif" font-weight="bold" ` +
+      `text-anchor="middle" fill="#ffffff" stroke="#000000" stroke-width="${h * 0.005}">КОГДА УВИДЕЛ РЕПОСТ</text></svg>`)
+  },
+  watermark: {
+    group: 'надписи',
+    label: 'полупрозрачный водяной знак в углу',
+    apply: buffer => overlaySvg(buffer, (w, h) => `<svg width="${w}" height="${h}">` +
+      `<text x="${w * 0.97}" y="${h * 0.96}" font-size="${h * 0.05}" font-family="sans-serif" ` +
+      `text-anchor="end" fill="#ffffff" fill-opacity="0.6">@other_channel</text></svg>`)
+  },
+  crop_10: { group: 'обрезка', label: 'обрезка 5% с каждого края', apply: buffer => cropMargins(buffer, { left: 0.05, top: 0.05, right: 0.05, bottom: 0.05 }) },
+  crop_25: { group: 'обрезка', label: 'обрезка 12.5% с каждого края', apply: buffer => cropMargins(buffer, { left: 0.125, top: 0.125, right: 0.125, bottom: 0.125 }) },
+  crop_side: { group: 'обрезка', label: 'обрезка 20% справа', apply: buffer => cropMargins(buffer, { right: 0.2 }) },
+  border: {
+    group: 'обрезка',
+    label: 'рамка 8% цветом #202020',
+    apply: async buffer => {
+      const { width } = await sharp(buffer).metadata();
+      const size = Math.round(width * 0.08);
+      return sharp(buffer).extend({ top: size, bottom: size, left: size, right: size, background: '#202020' }).png().toBuffer();
+    }
+  },
+  grayscale: { group: 'цвет', label: 'оттенки серого', apply: buffer => sharp(buffer).grayscale().jpeg({ quality: 90 }).toBuffer() },
+  sepia: {
+    group: 'цвет',
+    label: 'сепия',
+    apply: buffer => sharp(buffer).recomb([[0.393, 0.769, 0.189], [0.349, 0.686, 0.168], [0.272, 0.534, 0.131]]).jpeg({ quality: 90 }).toBuffer()
+  },
+  brightness: { group: 'цвет', label: 'яркость +25%', apply: buffer => sharp(buffer).modulate({ brightness: 1.25 }).jpeg({ quality: 90 }).toBuffer() },
+  contrast: { group: 'цвет', label: 'контраст +40%', apply: buffer => sharp(buffer).linear(1.4, -51).jpeg({ quality: 90 }).toBuffer() },
+  saturation: { group: 'цвет', label: 'насыщенность x2, оттенок +30°', apply: buffer => sharp(buffer).modulate({ saturation: 2, hue: 30 }).jpeg({ quality: 90 }).toBuffer() },
+  blur: { group: 'фильтры', label: 'размытие (sigma 2)', apply: buffer => sharp(buffer).blur(2).jpeg({ quality: 90 }).toBuffer() },
+  sharpen: { group: 'фильтры', label: 'повышение резкости', apply: buffer => sharp(buffer).sharpen({ sigma: 2 }).jpeg({ quality: 90 }).toBuffer() },
+  mirror: { group: 'геометрия', label: 'зеркальное отражение', apply: buffer => sharp(buffer).flop().jpeg({ quality: 90 }).toBuffer() },
+  rotate_90: { group: 'геометрия', label: 'поворот на 90°', apply: buffer => sharp(buffer).rotate(90).jpeg({ quality: 90 }).toBuffer() },
+  rotate_5: {
+    group: 'геометрия',
+    label: 'поворот на 5° с белыми углами',
+    apply: buffer => sharp(buffer).rotate(5, { background: '#ffffff' }).jpeg({ quality: 90 }).toBuffer()
+  },
+  screenshot: {
+    group: 'комбинации',
+    label: 'скриншот: рамка, уменьшение и JPEG 60',
+    apply: async buffer => {
+      const { width } = await sharp(buffer).metadata();
+      const size = Math.round(width * 0.05);
+      const framed = await sharp(buffer).extend({ top: size * 3, bottom: size * 2, left: size, right: size, background: '#ffffff' }).png().toBuffer();
+      return sharp(framed).resize(Math.round(width * 0.7)).jpeg({ quality: 60 }).toBuffer();
+    }
+  }
+};
+
+/**
+ * Загружает исходные изображения из папки
+ * @param {string} folder - папка с изображениями
+ * @param {number} limit - максимальное количество изображений
+ * @returns {Promise<Array<Object>>} - изображения { name, buffer }
+ */
+async function loadSeeds(folder, limit) {
+  const files = fs.readdirSync(folder)
+    .filter(file => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort()
+    .slice(0, limit);
+  const seeds = [];
+
+  for (const file of files) {
+    try {
+      // Поворот по EXIF применяется сразу, чтобы изменения строились от того же вида, что видит пользователь
+      const buffer = await sharp(await fs.promises.readFile(path.join(folder, file))).rotate().png().toBuffer();
+      seeds.push({ name: file, buffer });
+    } catch (error) {
+      console.error(`Не удалось загрузить изображение ${file}:`, error.message);
+    }
+  }
+
+  return seeds;
+}
+
+/**
+ * Создает отдельную базу в памяти (режим JSON без файла), чтобы бенчмарк
+ * не затрагивал базу бота
+ * @returns {Object} - экземпляр ImageDatabase
+ */
+function createBenchmarkDatabase() {
+  const database = new imageDatabase.constructor();
+  database.useSqlite = false;
+  database.loaded = true;
+  return database;
+}
+
+/**
+ * Добавляет исходные изображения в базу бенчмарка
+ * @param {Object} database - база бенчмарка
+ * @param {Array<Object>} seeds - исходные изображения
+ * @returns {Promise<Array<Object>>} - добавленные изображения { name, buffer, fileId }
+ */
+async function indexSeeds(database, seeds) {
+  const indexed = [];
+
+  for (const [index, seed] of seeds.entries()) {
+    try {
+      const { hashes, variants, hashVersion, features } = await imageHasher.calculateFingerprint(seed.buffer);
+      const fileId = `seed_${index}`;
+
+      await database.addImage({
+        fileId,
+        hash: hashes[config.hashSettings.hashMethod],
+        hashes,
+        variants,
+        hashVersion,
+        features,
+        messageId: index,
+        chatId: 'benchmark',
+        source: 'benchmark'
+      });
+      indexed.push({ ...seed, fileId });
+    } catch (error) {
+      console.error(`Не удалось вычислить отпечаток изображения ${seed.name}:`, error.message);
+    }
+  }
+
+  return indexed;
+}
+
+/**
+ * Ищет измененные копии исходных изображений и собирает статистику по изменениям
+ * @param {Object} database - база бенчмарка с исходными изображениями
+ * @param {Array<Object>} seeds - исходные изображения
+ * @param {Array<string>} transformNames - проверяемые изменения
+ * @returns {Promise<Array<Object>>} - результаты по изменениям
+ */
+async function runTransforms(database, seeds, transformNames) {
+  const results = [];
+
+  for (const name of transformNames) {
+    const transform = TRANSFORMS[name];
+    const result = {
+      transform: name,
+      group: transform.group,
+      label: transform.label,
+      samples: 0,
+      detected: 0,
+      falseMatches: 0,
+      failed: 0,
+      similarities: [],
+      matchTransforms: {},
+      hashingMs: 0
+    };
+
+    for (const seed of seeds) {
+      try {
+        const variant = await transform.apply(seed.buffer);
+        const started = Date.now();
+        const { hashes, variants, features } = await imageHasher.calculateFingerprint(variant);
+        result.hashingMs += Date.now() - started;
+
+        const matches = await database.findDuplicates(null, hashes, variants, features);
+        const original = matches.find(match => match.fileId === seed.fileId);
+
+        result.samples++;
+        result.falseMatches += matches.filter(match => match.fileId !== seed.fileId).length;
+        if (original) {
+          result.detected++;
+          result.similarities.push(original.similarity);
+          const matchTransform = original.matchTransform || imageHasher.ORIGINAL_VARIANT;
+          result.matchTransforms[matchTransform] = (result.matchTransforms[matchTransform] || 0) + 1;
+        }
+      } catch (error) {
+        console.error(`Ошибка при проверке изменения ${name} изображения ${seed.name}:`, error.message);
+        result.failed++;
+      }
+    }
+
+    results.push(summarize(result));
+    console.log(`${name}: найдено ${result.detected} из ${result.samples}`);
+  }
+
+  return results;
+}
+
+/**
+ * Сводит статистику изменения к итоговым показателям
+ * @param {Object} result - статистика изменения
+ * @returns {Object} - результат с полями detectionRate, falseMatchRate, meanSimilarity и minSimilarity
+ */
+function summarize(result) {
+  const { similarities, ...rest } = result;
+
+  return {
+    ...rest,
+    detectionRate: result.samples > 0 ? result.detected / result.samples * 100 : 0,
+    falseMatchRate: result.samples > 0 ? result.falseMatches / result.samples : 0,
+    meanSimilarity: similarities.length > 0 ? similarities.reduce((sum, value) => sum + value, 0) / similarities.length : null,
+    minSimilarity: similarities.length > 0 ? Math.min(...similarities) : null,
+    hashingMs: result.samples > 0 ? Math.round(result.hashingMs / result.samples) : 0
+  };
+}
+
+/**
+ * Загружает предыдущий отчет для сравнения
+ * @param {string} reportPath - путь к JSON-отчету
+ * @returns {Object|null} - { transform: результат } или null, если отчет не загружен
+ */
+function loadPreviousReport(reportPath) {
+  try {
+    const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+    console.log(`Сравнение с отчетом ${reportPath} (версия ${report.version}, хеширование ${report.hashVersion}, ${report.createdAt})`);
+    return { report, results: new Map(report.results.map(result => [result.transform, result])) };
+  } catch (error) {
+    console.error(`Не удалось загрузить отчет ${reportPath}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Выводит отчет и сохраняет его в папку логов (JSON и CSV)
+ * @param {Object} report - отчет бенчмарка
+ * @param {Object|null} previous - предыдущий отчет (loadPreviousReport)
+ */
+function printReport(report, previous) {
+  console.log(`\nБенчмарк хеширования: версия ${report.version}, хеширование ${report.hashVersion}, ` +
+    `алгоритмы ${report.hashMethods.join(', ')}, правило ${report.fusionRule}, исходных изображений ${report.seedCount}`);
+
+  let group = null;
+  for (const result of report.results) {
+    if (result.group !== group) {
+      group = result.group;
+      console.log(`\n${group}:`);
+    }
+
+    const previousResult = previous && previous.results.get(result.transform);
+    const change = previousResult
+      ? ` (${result.detectionRate >= previousResult.detectionRate ? '+' : ''}${(result.detectionRate - previousResult.detectionRate).toFixed(1)})`
+      : '';
+    const similarity = result.meanSimilarity !== null
+      ? `, сходство ${result.meanSimilarity.toFixed(1)}% (мин. ${result.minSimilarity.toFixed(1)}%)`
+      : '';
+    // Варианты с одинаковым описанием (например, фрагменты одного масштаба) и все совпадения
+    // по ключевым точкам считаются вместе
+    const viaCounts = new Map();
+    for (const [transform, count] of Object.entries(result.matchTransforms)) {
+      if (transform !== imageHasher.ORIGINAL_VARIANT) {
+        const description = imageHasher.parseFeatureVariant(transform)
+          ? 'по ключевым точкам'
+          : imageHasher.describeTransform(transform) || transform;
+        viaCounts.set(description, (viaCounts.get(description) || 0) + count);
+      }
+    }
+    const via = [...viaCounts].map(([description, count]) => `${description}: ${count}`).join(', ');
+
+    console.log(`- ${result.label}: найдено ${result.detectionRate.toFixed(1)}%${change}${similarity}, ` +
+      `ложных совпадений ${result.falseMatchRate.toFixed(2)} на копию, хеширование ${result.hashingMs} мс` +
+      (via ? `\n  через варианты: ${via}` : ''));
+  }
+
+  const total = report.results.reduce((sum, result) => sum + result.samples, 0);
+  const detected = report.results.reduce((sum, result) => sum + result.detected, 0);
+  console.log(`\nВсего найдено ${detected} из ${total} копий (${total > 0 ? (detected / total * 100).toFixed(1) : 0}%)`);
+
+  if (!fs.existsSync(config.logsFolder)) {
+    fs.mkdirSync(config.logsFolder, { recursive: true });
+  }
+
+  const timestamp = Date.now();
+  const jsonPath = path.join(config.logsFolder, `hashing_benchmark_${timestamp}.json`);
+  const csvPath = path.join(config.logsFolder, `hashing_benchmark_${timestamp}.csv`);
+
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+  fs.writeFileSync(csvPath, 'transform,group,samples,detection_rate,false_match_rate,mean_similarity,hashing_ms\n' +
+    report.results.map(result => [
+      result.transform,
+      result.group,
+      result.samples,
+      result.detectionRate.toFixed(1),
+      result.falseMatchRate.toFixed(3),
+      result.meanSimilarity !== null ? result.meanSimilarity.toFixed(2) : '',
+      result.hashingMs
+    ].join(',')).join('\n') + '\n');
+  console.log(`Отчет сохранен в ${jsonPath} и ${csvPath}`);
+}
+
+/**
+ * Запуск бенчмарка
+ */
+async function runBenchmark() {
+  try {
+    const args = process.argv.slice(2);
+    const optionValue = option => (args.includes(option) ? args[args.indexOf(option) + 1] : null);
+    const positional = args.filter((arg, index) => !arg.startsWith('--') && !['--transforms', '--compare'].includes(args[index - 1]));
+    const [folder, limitArg] = positional;
+
+    if (!folder) {
+      console.log('Использование:\n' +
+        '  node benchmarkHashing.js <папка с изображениями> [limit] [--transforms jpeg_q30,crop_10] [--compare <отчет.json>]\n' +
+        `Изменения: ${Object.keys(TRANSFORMS).join(', ')}`);
+      return;
+    }
+
+    const transformNames = optionValue('--transforms') ? optionValue('--transforms').split(',') : Object.keys(TRANSFORMS);
+    const unknown = transformNames.filter(name => !TRANSFORMS[name]);
+    if (unknown.length > 0) {
+      throw new Error(`Неизвестные изменения: ${unknown.join(', ')}`);
+    }
+
+    const seeds = await loadSeeds(folder, parseInt(limitArg) || 50);
+    if (seeds.length < 2) {
+      throw new Error('Нужно хотя бы два исходных изображения');
+    }
+
+    const database = createBenchmarkDatabase();
+    const indexed = await indexSeeds(database, seeds);
+    console.log(`Исходных изображений: ${indexed.length}, изменений: ${transformNames.length}`);
+
+    const previous = optionValue('--compare') ? loadPreviousReport(optionValue('--compare')) : null;
+    const results = await runTransforms(database, indexed, transformNames);
+
+    printReport({
+      version,
+      hashVersion: imageHasher.getHashVersion(),
+      settingsSignature: imageHasher.getSettingsSignature(),
+      hashMethods: imageHasher.getHashMethods(),
+      fusionRule: config.hashSettings.fusion.rule,
+      thresholds: { hashDifferenceThreshold: config.hashDifferenceThreshold, algorithms: config.hashSettings.thresholds },
+      createdAt: new Date().toISOString(),
+      seedCount: indexed.length,
+      results
+    }, previous);
+  } catch (error) {
+    console.error(`Ошибка при выполнении бенчмарка: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await hashPool.destroy();
+  }
+}
+
+// Запускаем бенчмарк
+runBenchmark();
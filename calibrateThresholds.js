@@ -0,0 +1,399 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const imageHasher = require('./imageHasher');
+const hashAlgorithms = require('./hashAlgorithms');
+const hashPool = require('./hashPool');
+
+/**
+ * Калибровка порогов различия по размеченным парам изображений: для каждой пары
+ * ("одно изображение" или "разные изображения") вычисляется различие хешей всеми
+ * поддерживаемыми алгоритмами, строятся кривые точности и полноты по порогу и для каждого
+ * алгоритма рекомендуется порог. С --save рекомендованные пороги сохраняются в базе
+ * (таблица settings) и применяются ботом при следующем запуске.
+ *
+ * Запуск:
+ *   node calibrateThresholds.js <папка или CSV> [--target-precision 0.99] [--save]
+ *
+ * Папка: подпапки same/ и different/, в каждой - по папке на пару с двумя изображениями.
+ * CSV: строки "изображение1,изображение2,метка" с меткой same/different (или 1/0),
+ * пути указываются относительно файла CSV; строки с # и строка заголовка пропускаются.
+ */
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.tiff'];
+const SAME_LABELS = ['same', '1', 'true', 'yes'];
+const DIFFERENT_LABELS = ['different', '0', 'false', 'no'];
+
+// Шаг порогов в выводе кривых в консоль (в файлы пишутся все точки)
+const PRINT_STEP = 2;
+
+/**
+ * Загружает пары из папки со структурой same/<пара>/, different/<пара>/
+ * @param {string} folder - папка с парами
+ * @returns {Array<Object>} - пары { name, first, second, same }
+ */
+function loadFolderPairs(folder) {
+  const pairs = [];
+
+  for (const [label, same] of [['same', true], ['different', false]]) {
+    const labelFolder = path.join(folder, label);
+    if (!fs.existsSync(labelFolder)) {
+      continue;
+    }
+
+    for (const pairName of fs.readdirSync(labelFolder)) {
+      const pairFolder = path.join(labelFolder, pairName);
+      if (!fs.statSync(pairFolder).isDirectory()) {
+        continue;
+      }
+
+      const images = fs.readdirSync(pairFolder)
+        .filter(file => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .sort();
+      if (images.length !== 2) {
+        console.log(`Пропущена пара ${label}/${pairName}: нужно ровно два изображения, найдено ${images.length}`);
+        continue;
+      }
+
+      pairs.push({
+        name: `${label}/${pairName}`,
+        first: path.join(pairFolder, images[0]),
+        second: path.join(pairFolder, images[1]),
+        same
+      });
+    }
+  }
+
+  return pairs;
+}
+
+/**
+ * Загружает пары из CSV-файла
+ * @param {string} csvPath - путь к CSV-файлу
+ * @returns {Array<Object>} - пары { name, first, second, same }
+ */
+function loadCsvPairs(csvPath) {
+  const baseDir = path.dirname(csvPath);
+  const pairs = [];
+  const lines = fs.readFileSync(csvPath, 'utf8').split(/\r?\n/);
+
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) {
+      return;
+    }
+
+    const [first, second, label] = trimmed.split(/[,;]/).map(value => value.trim());
+    const normalized = (label || '').toLowerCase();
+    const same = SAME_LABELS.includes(normalized);
+
+    if (!first || !second || (!same && !DIFFERENT_LABELS.includes(normalized))) {
+      // Первая строка с неизвестной меткой считается заголовком
+      if (pairs.length > 0 || index > 0) {
+        console.log(`Пропущена строка ${index + 1} CSV: ожидается "изображение1,изображение2,same|different"`);
+      }
+      return;
+    }
+
+    pairs.push({
+      name: `строка ${index + 1}`,
+      first: path.resolve(baseDir, first),
+      second: path.resolve(baseDir, second),
+      same
+    });
+  });
+
+  return pairs;
+}
+
+/**
+ * Вычисляет различие хешей каждой пары всеми алгоритмами
+ * @param {Array<Object>} pairs - пары { name, first, second, same }
+ * @param {Array<string>} methods - алгоритмы хеширования
+ * @returns {Promise<Array<Object>>} - пары с полями hashes1, hashes2 и differences { алгоритм: % }
+ */
+async function measurePairs(pairs, methods) {
+  // Изображение может входить в несколько пар CSV - хешируем его один раз
+  const hashCache = new Map();
+  const getHashes = async imagePath => {
+    if (!hashCache.has(imagePath)) {
+      hashCache.set(imagePath, await imageHasher.calculateHashes(imagePath, methods));
+    }
+    return hashCache.get(imagePath);
+  };
+
+  const measured = [];
+  for (const pair of pairs) {
+    try {
+      const hashes1 = await getHashes(pair.first);
+      const hashes2 = await getHashes(pair.second);
+      const differences = {};
+
+      for (const method of methods) {
+        differences[method] = imageHasher.calculateDifferencePercentage(hashes1[method], hashes2[method]);
+      }
+
+      measured.push({ ...pair, hashes1, hashes2, differences });
+    } catch (error) {
+      console.error(`Не удалось вычислить хеши пары ${pair.name}:`, error.message);
+    }
+  }
+
+  return measured;
+}
+
+/**
+ * Считает точность, полноту и F1 при пороге различия
+ * @param {Array<Object>} pairs - пары с полем same
+ * @param {Function} isSimilar - функция (пара) => признаны ли изображения пары похожими
+ * @returns {Object} - { truePositives, falsePositives, falseNegatives, precision, recall, f1 }
+ */
+function evaluateDecisions(pairs, isSimilar) {
+  let truePositives = 0;
+  let falsePositives = 0;
+  let falseNegatives = 0;
+
+  for (const pair of pairs) {
+    const similar = isSimilar(pair);
+    if (similar && pair.same) {
+      truePositives++;
+    } else if (similar) {
+      falsePositives++;
+    } else if (pair.same) {
+      falseNegatives++;
+    }
+  }
+
+  // Если похожими не признана ни одна пара, точность считается полной
+  const precision = truePositives + falsePositives > 0 ? truePositives / (truePositives + falsePositives) : 1;
+  const recall = truePositives + falseNegatives > 0 ? truePositives / (truePositives + falseNegatives) : 0;
+  const f1 = precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0;
+
+  return { truePositives, falsePositives, falseNegatives, precision, recall, f1 };
+}
+
+/**
+ * Переводит расстояние Хэмминга в наименьший порог (с шагом 0.1%), при котором
+ * пары с таким расстоянием еще считаются похожими (см. imageHasher.getMaxDistance)
+ * @param {number} distance - расстояние в битах
+ * @param {number} bitLength - длина хеша в битах
+ * @returns {number} - порог различия в процентах
+ */
+function distanceToThreshold(distance, bitLength) {
+  let threshold = Math.ceil(distance / bitLength * 1000) / 10;
+  while (imageHasher.getMaxDistance(bitLength, threshold) < distance) {
+    threshold = Math.round((threshold + 0.1) * 10) / 10;
+  }
+  return threshold;
+}
+
+/**
+ * Строит кривую точности и полноты алгоритма и выбирает рекомендованный порог:
+ * с наибольшей полнотой при точности не ниже targetPrecision или, если цель не задана,
+ * с наибольшим F1 (при равенстве - меньший порог)
+ * @param {Array<Object>} pairs - измеренные пары
+ * @param {string} method - алгоритм хеширования
+ * @param {number|null} targetPrecision - требуемая точность (0-1) или null
+ * @returns {Object} - { method, curve, recommended, same, different }
+ */
+function calibrateMethod(pairs, method, targetPrecision) {
+  const bitLength = imageHasher.getHashBitLength(pairs[0].hashes1[method]);
+  const distances = pairs.map(pair => imageHasher.calculateHashDistance(pair.hashes1[method], pair.hashes2[method]));
+
+  // Точки кривой - пороги, на которых меняется решение хотя бы для одной пары
+  const candidates = [...new Set([0, ...distances])].sort((a, b) => a - b);
+  const curve = candidates.map((distance, index) => {
+    const threshold = distanceToThreshold(distance, bitLength);
+    const maxDistance = imageHasher.getMaxDistance(bitLength, threshold);
+    return {
+      threshold,
+      distance,
+      nextDistance: candidates[index + 1],
+      ...evaluateDecisions(pairs, pair => distances[pairs.indexOf(pair)] <= maxDistance)
+    };
+  });
+
+  const eligible = targetPrecision !== null ? curve.filter(point => point.precision >= targetPrecision) : curve;
+  const score = point => (targetPrecision !== null ? point.recall : point.f1);
+  const best = eligible.reduce((found, point) => (!found || score(point) > score(found) ? point : found), null);
+
+  // До следующего расстояния из выборки решения по парам не меняются - рекомендуется середина
+  // этого промежутка, чтобы оставить запас для пар, не вошедших в выборку
+  let recommended = best;
+  if (best && best.nextDistance !== undefined) {
+    const threshold = distanceToThreshold(Math.floor((best.distance + best.nextDistance - 1) / 2), bitLength);
+    recommended = { ...best, threshold };
+  }
+
+  const stats = same => {
+    const values = pairs.filter(pair => pair.same === same).map(pair => pair.differences[method]);
+    return values.length > 0
+      ? { count: values.length, min: Math.min(...values), max: Math.max(...values), mean: values.reduce((a, b) => a + b, 0) / values.length }
+      : { count: 0 };
+  };
+
+  return { method, bitLength, curve, recommended, same: stats(true), different: stats(false) };
+}
+
+/**
+ * Проверяет решение бота (правило объединения hashSettings.fusion по алгоритмам hashMethods)
+ * с рекомендованными порогами
+ * @param {Array<Object>} pairs - измеренные пары
+ * @param {Object} thresholds - { алгоритм: порог }
+ * @returns {Object} - точность, полнота и F1 итогового решения
+ */
+function evaluateFusion(pairs, thresholds) {
+  const methods = imageHasher.getHashMethods();
+  const pick = hashes => Object.fromEntries(methods.map(method => [method, hashes[method]]));
+  const savedThresholds = config.hashSettings.thresholds;
+
+  try {
+    config.hashSettings.thresholds = { ...savedThresholds, ...thresholds };
+    return evaluateDecisions(pairs, pair => imageHasher.compareHashSets(pick(pair.hashes1), pick(pair.hashes2)).similar);
+  } finally {
+    config.hashSettings.thresholds = savedThresholds;
+  }
+}
+
+/**
+ * Выводит результаты калибровки и сохраняет кривые в папку логов (JSON и CSV)
+ * @param {Array<Object>} results - результаты calibrateMethod
+ * @param {Object} fusion - результат evaluateFusion
+ * @param {Object} info - { source, pairCount, sameCount, targetPrecision }
+ */
+function printResults(results, fusion, info) {
+  console.log(`\nКалибровка порогов (${info.source}): пар ${info.pairCount}, ` +
+    `одно изображение - ${info.sameCount}, разные - ${info.pairCount - info.sameCount}`);
+  console.log(info.targetPrecision !== null
+    ? `Рекомендуется порог с наибольшей полнотой при точности не ниже ${(info.targetPrecision * 100).toFixed(1)}%`
+    : 'Рекомендуется порог с наибольшим F1');
+
+  const percent = value => `${(value * 100).toFixed(1)}%`;
+
+  for (const result of results) {
+    console.log(`\n${result.method} (${result.bitLength} бит):`);
+    console.log(`- Различие одинаковых пар: ${result.same.count ? `${result.same.mean.toFixed(1)}% в среднем, до ${result.same.max.toFixed(1)}%` : 'нет пар'}`);
+    console.log(`- Различие разных пар: ${result.different.count ? `${result.different.mean.toFixed(1)}% в среднем, от ${result.different.min.toFixed(1)}%` : 'нет пар'}`);
+
+    // Кривая с шагом PRINT_STEP: для каждого шага - последняя точка не выше него
+    let nextStep = 0;
+    for (let i = 0; i < result.curve.length; i++) {
+      const point = result.curve[i];
+      const next = result.curve[i + 1];
+      if (next && next.threshold <= nextStep) {
+        continue;
+      }
+      console.log(`  порог ${point.threshold.toFixed(1)}%: точность ${percent(point.precision)}, ` +
+        `полнота ${percent(point.recall)}, F1 ${point.f1.toFixed(3)}`);
+      nextStep = Math.floor(point.threshold / PRINT_STEP) * PRINT_STEP + PRINT_STEP;
+      if (point.recall === 1) {
+        break;
+      }
+    }
+
+    if (result.recommended) {
+      const { threshold, precision, recall, f1 } = result.recommended;
+      console.log(`- Рекомендуемый порог: ${threshold}% (точность ${percent(precision)}, ` +
+        `полнота ${percent(recall)}, F1 ${f1.toFixed(3)})`);
+    } else {
+      console.log('- Требуемая точность не достигается ни при каком пороге');
+    }
+  }
+
+  console.log(`\nРешение бота (алгоритмы ${imageHasher.getHashMethods().join(', ')}, ` +
+    `правило ${config.hashSettings.fusion.rule}) с рекомендованными порогами: ` +
+    `точность ${percent(fusion.precision)}, полнота ${percent(fusion.recall)}, F1 ${fusion.f1.toFixed(3)}`);
+
+  if (!fs.existsSync(config.logsFolder)) {
+    fs.mkdirSync(config.logsFolder, { recursive: true });
+  }
+
+  const timestamp = Date.now();
+  const jsonPath = path.join(config.logsFolder, `threshold_calibration_${timestamp}.json`);
+  const csvPath = path.join(config.logsFolder, `threshold_calibration_${timestamp}.csv`);
+
+  fs.writeFileSync(jsonPath, JSON.stringify({ ...info, fusionRule: config.hashSettings.fusion, fusion, results }, null, 2));
+  fs.writeFileSync(csvPath, 'algorithm,threshold,precision,recall,f1\n' + results
+    .flatMap(result => result.curve.map(point =>
+      [result.method, point.threshold, point.precision.toFixed(4), point.recall.toFixed(4), point.f1.toFixed(4)].join(',')))
+    .join('\n') + '\n');
+  console.log(`\nКривые сохранены в ${jsonPath} и ${csvPath}`);
+}
+
+/**
+ * Сохраняет рекомендованные пороги в базе: пороги алгоритмов и общий порог
+ * по основному алгоритму hashSettings.hashMethod
+ * @param {Object} thresholds - { алгоритм: порог }
+ * @returns {Promise<void>}
+ */
+async function saveRecommendedThresholds(thresholds) {
+  const imageDatabase = require('./imageDatabase');
+  const thresholdSettings = require('./thresholdSettings');
+
+  await imageDatabase.load();
+  try {
+    const primary = thresholds[config.hashSettings.hashMethod];
+    const saved = await thresholdSettings.saveThresholds({
+      algorithms: thresholds,
+      ...(primary !== undefined ? { hashDifferenceThreshold: primary } : {})
+    });
+
+    console.log(saved
+      ? `Пороги сохранены в базе и будут применены при следующем запуске бота: ${thresholdSettings.describeAlgorithmThresholds()}`
+      : 'Не удалось сохранить пороги в базе');
+  } finally {
+    await imageDatabase.close();
+  }
+}
+
+/**
+ * Запуск калибровки
+ */
+async function runCalibration() {
+  try {
+    const args = process.argv.slice(2);
+    const source = args.find(arg => !arg.startsWith('--') && args[args.indexOf(arg) - 1] !== '--target-precision');
+    const precisionIndex = args.indexOf('--target-precision');
+    const targetPrecision = precisionIndex !== -1 ? parseFloat(args[precisionIndex + 1]) : null;
+
+    if (!source || (targetPrecision !== null && !(targetPrecision > 0 && targetPrecision <= 1))) {
+      console.log('Использование:\n' +
+        '  node calibrateThresholds.js <папка или CSV с парами> [--target-precision 0.99] [--save]');
+      return;
+    }
+
+    const pairs = fs.statSync(source).isDirectory() ? loadFolderPairs(source) : loadCsvPairs(source);
+    const methods = hashAlgorithms.HASH_METHODS;
+    const measured = await measurePairs(pairs, methods);
+    const sameCount = measured.filter(pair => pair.same).length;
+
+    if (sameCount === 0 || sameCount === measured.length) {
+      throw new Error('Нужны и пары одного изображения (same), и пары разных изображений (different)');
+    }
+
+    const results = methods.map(method => calibrateMethod(measured, method, targetPrecision));
+    const thresholds = Object.fromEntries(results
+      .filter(result => result.recommended)
+      .map(result => [result.method, result.recommended.threshold]));
+
+    printResults(results, evaluateFusion(measured, thresholds), {
+      source,
+      pairCount: measured.length,
+      sameCount,
+      targetPrecision
+    });
+
+    if (args.includes('--save')) {
+      await saveRecommendedThresholds(thresholds);
+    }
+  } catch (error) {
+    console.error(`Ошибка при калибровке: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await hashPool.destroy();
+  }
+}
+
+// Запускаем калибровку
+runCalibration();
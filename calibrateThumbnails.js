@@ -0,0 +1,275 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const config = require('./config');
+const imageHasher = require('./imageHasher');
+const hashPool = require('./hashPool');
+const telegramThumbnails = require('./telegramThumbnails');
+
+/**
+ * Калибровка хеширования по миниатюрам: для каждого изображения хеши его миниатюр
+ * сравниваются с хешами оригинала (должны совпасть) и с хешами остальных изображений
+ * (не должны совпасть) при текущих порогах и правиле объединения алгоритмов.
+ *
+ * Запуск:
+ *   node calibrateThumbnails.js <папка с изображениями> [limit] - миниатюры моделируются уменьшением оригиналов
+ *   node calibrateThumbnails.js --channel <ID канала> [limit]    - настоящие миниатюры фото канала (gramjs)
+ */
+
+// Размеры фото в Telegram: большая сторона не превышает side пикселей.
+// Для моделирования используется приблизительное качество JPEG, с которым Telegram их сжимает
+const THUMBNAIL_TYPES = {
+  s: { label: 's (до 100px)', side: 100, quality: 80 },
+  m: { label: 'm (до 320px)', side: 320, quality: 80 },
+  x: { label: 'x (до 800px)', side: 800, quality: 85 },
+  [telegramThumbnails.STRIPPED_THUMBNAIL_TYPE]: { label: 'i (встроенная, ~40px)', side: 40, quality: 30 }
+};
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+/**
+ * Загружает изображения из папки и моделирует их миниатюры
+ * @param {string} folder - папка с изображениями
+ * @param {number} limit - максимальное количество изображений
+ * @returns {Promise<Array<Object>>} - образцы { name, full, thumbnails: { тип: буфер } }
+ */
+async function loadFolderSamples(folder, limit) {
+  const files = fs.readdirSync(folder)
+    .filter(file => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .slice(0, limit);
+  const samples = [];
+
+  for (const file of files) {
+    try {
+      const full = await fs.promises.readFile(path.join(folder, file));
+      const thumbnails = {};
+
+      for (const [type, { side, quality }] of Object.entries(THUMBNAIL_TYPES)) {
+        thumbnails[type] = await sharp(full)
+          .rotate()
+          .resize(side, side, { fit: 'inside', withoutEnlargement: true })
+          .jpeg({ quality })
+          .toBuffer();
+      }
+
+      samples.push({ name: file, full, thumbnails });
+    } catch (error) {
+      console.error(`Не удалось подготовить изображение ${file}:`, error.message);
+    }
+  }
+
+  return samples;
+}
+
+/**
+ * Скачивает фото из канала через gramjs: оригинал и все его миниатюры
+ * @param {string} channelId - ID или юзернейм канала
+ * @param {number} limit - количество просматриваемых сообщений
+ * @returns {Promise<Array<Object>>} - образцы { name, full, thumbnails: { тип: буфер } }
+ */
+async function loadChannelSamples(channelId, limit) {
+  const TelegramHistoryFetcher = require('./telegramHistoryFetcher');
+  const fetcher = new TelegramHistoryFetcher();
+  await fetcher.init();
+
+  const samples = [];
+  try {
+    const messages = fetcher.filterMessagesWithPhotos(await fetcher.getChannelMessages(channelId, limit))
+      .filter(message => message.media.photo);
+
+    for (const message of messages) {
+      try {
+        const full = await fetcher.client.downloadMedia(message.media);
+        const thumbnails = {};
+
+        // Самый крупный размер и есть оригинал, его с собой не сравниваем
+        const largest = telegramThumbnails.selectThumbnail(message.media, Infinity);
+        const sizes = telegramThumbnails.getThumbnailSizes(message.media)
+          .filter(size => size !== largest && size.w > 0 && size.h > 0 && THUMBNAIL_TYPES[size.type]);
+        for (const size of sizes) {
+          thumbnails[size.type] = await fetcher.client.downloadMedia(message.media, { thumb: size });
+        }
+
+        const stripped = telegramThumbnails.getStrippedThumbnail(message.media);
+        if (stripped) {
+          thumbnails[telegramThumbnails.STRIPPED_THUMBNAIL_TYPE] = stripped;
+        }
+
+        samples.push({ name: `сообщение ${message.id}`, full, thumbnails });
+        console.log(`Скачано фото из сообщения ${message.id} и ${Object.keys(thumbnails).length} миниатюр`);
+      } catch (error) {
+        console.error(`Не удалось скачать фото из сообщения ${message.id}:`, error.message);
+      }
+    }
+  } finally {
+    await fetcher.disconnect();
+  }
+
+  return samples;
+}
+
+/**
+ * Сравнивает хеши миниатюр с хешами оригиналов
+ * @param {Array<Object>} samples - образцы { name, full, thumbnails }
+ * @returns {Promise<Array<Object>>} - статистика по типам миниатюр
+ */
+async function evaluate(samples) {
+  const fullHashes = [];
+  for (const sample of samples) {
+    fullHashes.push(await imageHasher.calculateHashes(sample.full));
+  }
+
+  const stats = new Map();
+
+  for (let i = 0; i < samples.length; i++) {
+    for (const [type, buffer] of Object.entries(samples[i].thumbnails)) {
+      if (!stats.has(type)) {
+        stats.set(type, {
+          type,
+          label: THUMBNAIL_TYPES[type].label,
+          count: 0,
+          bytes: 0,
+          fullBytes: 0,
+          similaritySum: 0,
+          minSimilarity: 100,
+          found: 0,
+          missed: [],
+          comparisons: 0,
+          falseMatches: 0,
+          maxOtherSimilarity: 0,
+          algorithms: {}
+        });
+      }
+
+      const entry = stats.get(type);
+      const hashes = await imageHasher.calculateHashes(buffer);
+      const own = imageHasher.compareHashSets(hashes, fullHashes[i]);
+
+      entry.count++;
+      entry.bytes += buffer.length;
+      entry.fullBytes += samples[i].full.length;
+      entry.similaritySum += own.similarity;
+      entry.minSimilarity = Math.min(entry.minSimilarity, own.similarity);
+      if (own.similar) {
+        entry.found++;
+      } else {
+        entry.missed.push(samples[i].name);
+      }
+
+      // Различие по каждому алгоритму помогает подобрать отдельные пороги
+      for (const item of own.algorithms) {
+        const algorithm = entry.algorithms[item.algorithm] || (entry.algorithms[item.algorithm] = { sum: 0, max: 0 });
+        algorithm.sum += 100 - item.similarity;
+        algorithm.max = Math.max(algorithm.max, 100 - item.similarity);
+      }
+
+      for (let j = 0; j < samples.length; j++) {
+        if (j === i) {
+          continue;
+        }
+
+        const other = imageHasher.compareHashSets(hashes, fullHashes[j]);
+        entry.comparisons++;
+        entry.maxOtherSimilarity = Math.max(entry.maxOtherSimilarity, other.similarity);
+        if (other.similar) {
+          entry.falseMatches++;
+        }
+      }
+    }
+  }
+
+  return [...stats.values()];
+}
+
+/**
+ * Выводит результаты калибровки и сохраняет их в папку логов
+ * @param {Array<Object>} results - статистика по типам миниатюр
+ * @param {number} sampleCount - количество изображений
+ * @param {string} source - описание источника изображений
+ */
+function printResults(results, sampleCount, source) {
+  const fusion = config.hashSettings.fusion;
+  console.log(`\nКалибровка хеширования по миниатюрам (${source}), изображений: ${sampleCount}`);
+  console.log(`Алгоритмы: ${imageHasher.getHashMethods().join(', ')}, порог различия: ${config.hashDifferenceThreshold}%, ` +
+    `правило: ${fusion.rule}`);
+
+  for (const entry of results) {
+    const algorithms = Object.entries(entry.algorithms)
+      .map(([algorithm, { sum, max }]) => `${algorithm} ${(sum / entry.count).toFixed(1)}%/${max.toFixed(1)}%`)
+      .join(', ');
+
+    console.log(`\nМиниатюра ${entry.label}:`);
+    console.log(`- Объем: ${(entry.bytes / entry.count / 1024).toFixed(1)} КБ в среднем, ` +
+      `${(entry.bytes / entry.fullBytes * 100).toFixed(1)}% от оригиналов`);
+    console.log(`- Сходство с оригиналом: среднее ${(entry.similaritySum / entry.count).toFixed(2)}%, ` +
+      `минимальное ${entry.minSimilarity.toFixed(2)}%`);
+    console.log(`- Различие по алгоритмам (среднее/максимальное): ${algorithms}`);
+    console.log(`- Оригинал найден: ${entry.found} из ${entry.count} ` +
+      `(${(entry.found / entry.count * 100).toFixed(1)}%)` +
+      (entry.missed.length > 0 ? `, не найден для: ${entry.missed.slice(0, 10).join(', ')}` : ''));
+    console.log(`- Совпадения с другими изображениями: ${entry.falseMatches} из ${entry.comparisons}, ` +
+      `максимальное сходство ${entry.maxOtherSimilarity.toFixed(2)}% ` +
+      `(среди них могут быть настоящие копии)`);
+  }
+
+  if (!fs.existsSync(config.logsFolder)) {
+    fs.mkdirSync(config.logsFolder, { recursive: true });
+  }
+
+  const reportPath = path.join(config.logsFolder, `thumbnail_calibration_${Date.now()}.json`);
+  fs.writeFileSync(reportPath, JSON.stringify({
+    source,
+    sampleCount,
+    hashMethods: imageHasher.getHashMethods(),
+    threshold: config.hashDifferenceThreshold,
+    fusion,
+    results
+  }, null, 2));
+  console.log(`\nРезультаты сохранены в ${reportPath}`);
+}
+
+/**
+ * Запуск калибровки
+ */
+async function runCalibration() {
+  try {
+    const args = process.argv.slice(2);
+    let samples;
+    let source;
+
+    if (args[0] === '--channel') {
+      const channelId = args[1] || process.env.CHANNEL_ID;
+      const limit = args[2] ? parseInt(args[2]) : 50;
+      if (!channelId) {
+        throw new Error('Не указан ID канала');
+      }
+
+      source = `канал ${channelId}`;
+      samples = await loadChannelSamples(channelId, limit);
+    } else if (args[0]) {
+      const limit = args[1] ? parseInt(args[1]) : 200;
+      source = `моделирование, папка ${args[0]}`;
+      samples = await loadFolderSamples(args[0], limit);
+    } else {
+      console.log('Использование:\n' +
+        '  node calibrateThumbnails.js <папка с изображениями> [limit]\n' +
+        '  node calibrateThumbnails.js --channel <ID канала> [limit]');
+      return;
+    }
+
+    if (samples.length < 2) {
+      throw new Error('Для калибровки нужно хотя бы два изображения');
+    }
+
+    printResults(await evaluate(samples), samples.length, source);
+  } catch (error) {
+    console.error(`Ошибка при калибровке: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await hashPool.destroy();
+  }
+}
+
+// Запускаем калибровку
+runCalibration();
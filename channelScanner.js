@@ -2,6 +2,9 @@ const config = require('./config');
 const axios = require('axios');
 const imageHasher = require('./imageHasher');
 const imageDatabase = require('./imageDatabase');
+const telegramMedia = require('./telegramMedia');
+const telegramForwards = require('./telegramForwards');
+const telegramMessages = require('./telegramMessages');
 
 /**
  * Класс для сканирования каналов Telegram
@@ -45,7 +48,7 @@ class ChannelScanner {
   }
 
   /**
-   * Обработка фотографии из сообщения
+   * Обработка фотографии (файла-изображения, GIF, стикера, видео) из сообщения
    * @param {Object} message - сообщение с фотографией
    * @returns {Promise<Object>} - результат обработки
    */
@@ -56,46 +59,54 @@ class ChannelScanner {
         return { processed: false, reason: 'duplicate' };
       }
       
-      // Получаем файл наибольшего размера
-      const photoSizes = message.photo;
-      const photo = photoSizes[photoSizes.length - 1];
-      const fileId = photo.file_id;
-      
-      // Получаем информацию о файле
-      const fileInfo = await this.bot.getFile(fileId);
-      const fileUrl = `https://api.telegram.org/file/bot${config.botToken}/${fileInfo.file_path}`;
-      
-      // Скачиваем файл
-      const response = await axios({
-        method: 'get',
-        url: fileUrl,
-        responseType: 'arraybuffer'
-      });
-      
-      // Вычисляем хеш изображения
-      const imageBuffer = Buffer.from(response.data);
-      const hash = await imageHasher.calculateHash(imageBuffer);
-      
-      // Ищем похожие изображения
-      const similarImages = imageDatabase.findSimilarImages(hash, (hash1, hash2) => {
-        return imageHasher.areImagesSimilar(hash1, hash2);
-      });
+      // Фото наибольшего размера, сам файл изображения, GIF или статичного стикера либо миниатюра
+      const target = telegramMedia.getBotApiMedia(message);
+      if (!target) {
+        return { processed: false, reason: 'unsupported_media' };
+      }
       
-      // Сохраняем информацию о новом изображении
+      const { mediaType, media, file, fromThumbnail } = target;
+      const fileId = media.file_id;
+      
+      // Отпечаток файла: уже виденные (например, пересланные) файлы берутся из кэша
+      // по file_unique_id и повторно не скачиваются и не хешируются
+      const fingerprint = await imageHasher.getFingerprint(
+        imageHasher.getBotApiMediaKey(file),
+        async () => {
+          // Получаем информацию о файле
+          const fileInfo = await this.bot.getFile(file.file_id);
+          const fileUrl = `https://api.telegram.org/file/bot${config.botToken}/${fileInfo.file_path}`;
+          
+          // Скачиваем файл
+          const response = await axios({
+            method: 'get',
+            url: fileUrl,
+            responseType: 'arraybuffer'
+          });
+          
+          return Buffer.from(response.data);
+        },
+        { thumbnail: fromThumbnail }
+      );
+      // Информация о новом изображении; SHA-256 миниатюры не относится к самому файлу и не используется
       const imageInfo = {
         fileId,
-        hash,
+        ...imageHasher.getFingerprintFields(fingerprint, fromThumbnail),
+        mediaType,
         messageId: message.message_id,
         chatId: message.chat.id,
         userId: message.from?.id,
-        fileSize: photo.file_size,
-        width: photo.width,
-        height: photo.height,
+        fileSize: media.file_size,
+        width: media.width,
+        height: media.height,
         timestamp: message.date,
-        source: 'channel_scan'
+        source: 'channel_scan',
+        ...telegramForwards.getBotApiForward(message),
+        ...telegramMessages.getBotApiMessageInfo(message)
       };
       
-      imageDatabase.addImage(imageInfo);
+      // Ищем копии и сохраняем новое изображение
+      const similarImages = await imageDatabase.registerImage(imageInfo);
       
       // Добавляем ID сообщения в обработанные
       this.processedMessageIds.add(message.message_id);
@@ -144,23 +155,34 @@ class ChannelScanner {
       
       console.log(`Получено ${messages.length} сообщений из канала`);
       
-      // Проходим по всем сообщениям и обрабатываем фотографии
+      // Проходим по всем сообщениям и обрабатываем фотографии, файлы-изображения, GIF, стикеры и видео:
+      // несколько сообщений обрабатываются одновременно, пока их изображения хешируются в пуле потоков
+      const inProgress = new Set();
+      
       for (const message of messages) {
-        if (message.photo) {
-          const processResult = await this.processPhoto(message);
-          
-          if (processResult.processed) {
-            results.processedImages++;
-            
-            if (processResult.similarImages && processResult.similarImages.length > 0) {
-              results.similarImagesFound += processResult.similarImages.length;
+        if (telegramMedia.getBotApiMedia(message)) {
+          const task = this.processPhoto(message).then(processResult => {
+            if (processResult.processed) {
+              results.processedImages++;
+              
+              if (processResult.similarImages && processResult.similarImages.length > 0) {
+                results.similarImagesFound += processResult.similarImages.length;
+              }
+            } else if (processResult.error) {
+              results.errors++;
             }
-          } else if (processResult.error) {
-            results.errors++;
+          }).finally(() => inProgress.delete(task));
+          inProgress.add(task);
+          
+          if (inProgress.size >= config.hashWorkers.scanConcurrency) {
+            await Promise.race(inProgress);
           }
         }
       }
       
+      // Дожидаемся обработки последних сообщений
+      await Promise.all(inProgress);
+      
       // Сохраняем базу данных
       await imageDatabase.save();
       
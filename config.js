@@ -1,48 +1,266 @@
-require('dotenv').config();
-
-module.exports = {
-  // Токен Telegram бота, полученный от BotFather
-  botToken: process.env.TELEGRAM_BOT_TOKEN,
-  
-  // ID канала, из которого будут извлекаться изображения
-  channelId: process.env.CHANNEL_ID,
-  
-  // Порог различия хешей, ниже которого изображения считаются похожими (0-100)
-  // Чем ниже значение, тем более похожими должны быть изображения
-  hashDifferenceThreshold: parseInt(process.env.HASH_DIFFERENCE_THRESHOLD) || 10,
-  
-  // Настройки для вычисления хеша
-  hashSettings: {
-    // Размер изображения для вычисления хеша (квадрат)
-    hashSize: 16,
-    
-    // Метод хеширования: 'blockhash', 'phash' или 'dhash'
-    hashMethod: 'phash'
-  },
-  
-  // Максимальное количество изображений для сравнения (влияет на использование памяти)
-  maxImagesInMemory: 100,
-  
-  // Папка для временного хранения изображений (если требуется)
-  tempFolder: './temp',
-  
-  // Автоматическая обработка фотографий из каналов
-  autoProcessChannelPhotos: process.env.AUTO_PROCESS_CHANNEL_PHOTOS === 'true' || false,
-  
-  // Интервал автоматического сканирования каналов (в минутах)
-  // 0 означает отключение автоматического сканирования
-  // По умолчанию: 60 минут (1 час)
-  autoScanInterval: parseInt(process.env.AUTO_SCAN_INTERVAL) || 60,
-  
-  // Настройки облегченного режима сканирования
-  liteMode: {
-    // Размер пакета сообщений для сканирования за один раз
-    batchSize: parseInt(process.env.LITE_MODE_BATCH_SIZE) || 100,
-    
-    // Задержка между пакетами в секундах
-    cooldownSeconds: parseInt(process.env.LITE_MODE_COOLDOWN) || 3
-  },
-  
-  // Директория для хранения логов
-  logsFolder: './logs'
+require('dotenv').config();
+const os = require('os');
+
+module.exports = {
+  // Токен Telegram бота, полученный от BotFather
+  botToken: process.env.TELEGRAM_BOT_TOKEN,
+  
+  // ID канала, из которого будут извлекаться изображения
+  channelId: process.env.CHANNEL_ID,
+  
+  // Порог различия хешей в процентах различающихся битов (0-100)
+  // Изображения похожи, если расстояние Хэмминга не превышает этой доли длины хеша,
+  // а их сходство выводится как 100 минус процент различия
+  // Чем ниже значение, тем более похожими должны быть изображения
+  hashDifferenceThreshold: parseFloat(process.env.HASH_DIFFERENCE_THRESHOLD) || 10,
+  
+  // Настройки для вычисления хеша
+  hashSettings: {
+    // Размер хеша: сторона квадрата битов (16 -> 256-битный хеш)
+    hashSize: 16,
+    
+    // Основной метод хеширования: 'phash', 'dhash', 'ahash' или 'whash' (вейвлет Хаара)
+    // Его хеш хранится в колонке hash таблицы images
+    hashMethod: 'phash',
+    
+    // Все алгоритмы, которыми хешируется каждое изображение (хранятся в таблице image_hashes)
+    hashMethods: (process.env.HASH_METHODS || 'phash,dhash,whash').split(',').map(method => method.trim()).filter(Boolean),
+    
+    // Индивидуальные пороги различия по алгоритмам, например { dhash: 12 }
+    // Для алгоритмов без своего порога используется hashDifferenceThreshold
+    thresholds: {},
+    
+    // Поиск повернутых (90/180/270°) и отраженных копий изображений
+    transformInvariant: {
+      enabled: process.env.TRANSFORM_INVARIANT_MATCHING === 'true',
+      
+      // Преобразования, хеши которых вычисляются и сохраняются для каждого изображения
+      transforms: ['rot90', 'rot180', 'rot270', 'flipH', 'flipV']
+    },
+    
+    // Обрезка однотонных полей и рамок перед хешированием
+    trimBorders: {
+      enabled: process.env.TRIM_BORDERS !== 'false',
+      
+      // Допустимое отклонение яркости пикселей поля (0-255)
+      tolerance: 10,
+      
+      // Поля не обрезаются, если от стороны изображения остается меньше этой доли
+      minContentRatio: 0.3
+    },
+    
+    // Поиск обрезанных копий: для каждого изображения сохраняются хеши его фрагментов
+    cropMatching: {
+      enabled: process.env.CROP_MATCHING === 'true',
+      
+      // Размеры фрагментов в долях сторон изображения
+      scales: [0.9, 0.8, 0.7, 0.6],
+      
+      // Количество положений фрагмента вдоль каждой уменьшенной стороны
+      positions: 3,
+      
+      // Алгоритмы и размер хешей фрагментов: короткие хеши терпимее к неточным границам обрезки
+      methods: ['phash', 'whash'],
+      hashSize: 8,
+      
+      // Порог различия хешей фрагментов в процентах
+      threshold: 20
+    },
+    
+    // Распознавание коллажей: каждая плитка хешируется отдельно и ищется среди оригиналов
+    collageDetection: {
+      enabled: process.env.COLLAGE_DETECTION !== 'false',
+      
+      // Возможное количество плиток по каждой стороне (2 -> сетки 2x2, 2x3 и т.д.)
+      gridSizes: [2, 3],
+      
+      // Граница плиток: пик средней разности соседних линий не меньше seamRatio медианы
+      // и не меньше minSeamContrast, не дальше seamTolerance длины стороны от ожидаемого места
+      seamRatio: 3,
+      minSeamContrast: 12,
+      seamTolerance: 0.015,
+      
+      // Изображения с меньшей стороной короче этого значения коллажами не считаются
+      minSide: 64
+    },
+    
+    // Анимации (GIF, WebP): хешируется несколько кадров, равномерно выбранных по длине анимации,
+    // и анимации сравниваются по последовательности кадров
+    animation: {
+      enabled: process.env.ANIMATION_MATCHING !== 'false',
+      
+      // Количество кадров (включая первый), которые хешируются для каждой анимации
+      frames: parseInt(process.env.ANIMATION_FRAMES) || 5,
+      
+      // Анимации совпадают, если похожий кадр найден хотя бы для этой доли кадров запроса (0-1)
+      minFrameRatio: 0.6
+    },
+    
+    // Проверка по ключевым точкам: ближайшие по хешам изображения, не прошедшие проверку хешами,
+    // сопоставляются по ORB-подобным признакам. Находит копии, у которых крупная надпись
+    // или стикер закрывает часть кадра. Признаки хранятся в таблице image_features
+    featureMatching: {
+      enabled: process.env.FEATURE_MATCHING === 'true',
+      
+      // Большая сторона изображения, на котором ищутся точки, и максимальное количество точек
+      // (около 12 КБ на изображение при 250 точках)
+      maxSide: 320,
+      maxFeatures: parseInt(process.env.FEATURE_MAX_POINTS) || 250,
+      
+      // Проверяются не больше maxCandidates ближайших изображений со средним различием хешей
+      // не больше candidateThreshold процентов
+      maxCandidates: 10,
+      candidateThreshold: 40,
+      
+      // Совпадение: не меньше minInliers точек согласованы одним преобразованием
+      // и они составляют не меньше minScore процентов точек
+      minInliers: 15,
+      minScore: 8
+    },
+    
+    // Водяные знаки каналов: знаки из реестра (команда /add_watermark) ищутся на каждом изображении,
+    // найденные показываются в отчетах и при masking закрашиваются перед хешированием
+    watermarks: {
+      enabled: process.env.WATERMARK_DETECTION === 'true',
+      masking: process.env.WATERMARK_MASKING !== 'false',
+      
+      // Минимальная корреляция контуров знака с областью изображения (0-1)
+      minScore: parseFloat(process.env.WATERMARK_MIN_SCORE) || 0.55,
+      
+      // Размер знака по большей стороне в долях большей стороны изображения
+      minSize: 0.05,
+      maxSize: 0.5
+    },
+    
+    // Правило объединения решений отдельных алгоритмов
+    fusion: {
+      // 'any' - похожи по любому алгоритму, 'all' - по всем, 'weighted' - взвешенное голосование
+      rule: process.env.HASH_FUSION_RULE || 'weighted',
+      
+      // Веса алгоритмов для взвешенного голосования и усреднения сходства
+      weights: { phash: 2, dhash: 1, ahash: 1, whash: 1 },
+      
+      // Минимальная доля веса "за" для правила 'weighted' (0-1)
+      minScore: 0.6
+    }
+  },
+  
+  // Определение оригинала кластера дубликатов в отчетах: веса признаков первоисточника
+  // (заголовки пересылки, время публикации, разрешение, качество JPEG, чужие водяные знаки)
+  attribution: {
+    weights: { forward: 4, time: 3, resolution: 1, quality: 1, watermark: 2 }
+  },
+  
+  // Выбор лучшей копии изображения в кластере дубликатов (отчеты и ответ бота): веса
+  // разрешения, качества JPEG и отсутствия артефактов сжатия (блочности)
+  bestCopy: {
+    weights: { resolution: 2, quality: 1, artefacts: 1 }
+  },
+  
+  // Миграции схемы SQLite базы изображений: применяются при загрузке базы
+  // (проверка без изменений: npm run migrate-db -- --dry-run)
+  databaseMigrations: {
+    // Сохранять копию базы перед каждой миграцией
+    backup: process.env.DB_MIGRATION_BACKUP !== 'false',
+    
+    // Папка для копий базы
+    backupFolder: './backups'
+  },
+  
+  // Размер кэша последних изображений в памяти (влияет на использование памяти)
+  // Поиск похожих всегда идет по всей базе через индекс хешей, кэш лишь ускоряет
+  // выдачу найденных записей; 0 отключает кэш
+  maxImagesInMemory: 100,
+  
+  // Кэш отпечатков по идентификаторам файлов Telegram (file_unique_id Bot API,
+  // id фото и документов MTProto): пересланные копии уже виденных файлов
+  // не скачиваются и не хешируются повторно
+  mediaCache: {
+    enabled: process.env.MEDIA_CACHE !== 'false',
+    
+    // Количество отпечатков, которые дополнительно держатся в памяти
+    memoryEntries: 1000
+  },
+  
+  // Пул потоков для хеширования: сканирование хеширует несколько изображений параллельно,
+  // а основной поток остается свободным для команд бота
+  hashWorkers: {
+    // HASH_WORKERS=0 отключает пул (хеширование в основном потоке)
+    enabled: process.env.HASH_WORKERS !== '0',
+    
+    // Количество потоков (по умолчанию - число ядер процессора минус одно)
+    size: parseInt(process.env.HASH_WORKERS) || Math.max(1, os.cpus().length - 1),
+    
+    // Максимальная длина очереди задач: при заполненной очереди новые задачи ждут
+    maxQueue: parseInt(process.env.HASH_QUEUE_LIMIT) || 100,
+    
+    // Сколько сообщений сканер обрабатывает одновременно (скачивание и хеширование)
+    scanConcurrency: parseInt(process.env.SCAN_CONCURRENCY) || 4
+  },
+  
+  // Фоновое перехеширование изображений, хеши которых вычислены другой версией алгоритмов
+  // (после смены hashSettings или обновления реализации хеширования)
+  hashMigration: {
+    // Запускать перехеширование при старте бота, если в базе есть устаревшие хеши
+    autoStart: process.env.HASH_MIGRATION_AUTOSTART !== 'false',
+    
+    // Количество изображений в одной порции (позиция сохраняется после каждой порции)
+    batchSize: 50,
+    
+    // Пауза между порциями в миллисекундах, чтобы не мешать обработке новых сообщений
+    pauseMs: 1000
+  },
+  
+  // Хеширование по миниатюрам Telegram вместо скачивания оригиналов при сканировании
+  // через MTProto (gramjs, @mtproto/core): во много раз меньше трафика на больших историях
+  // каналов ценой точности (см. npm run calibrate-thumbnails)
+  thumbnailHashing: {
+    // 'off' - скачивать оригиналы, 'size' - скачивать наименьший подходящий размер фото,
+    // 'stripped' - декодировать встроенную в сообщение миниатюру без скачивания
+    // (если ее нет - как 'size')
+    mode: process.env.THUMBNAIL_HASHING || 'off',
+    
+    // Минимальный размер большей стороны скачиваемой миниатюры в пикселях
+    minSide: parseInt(process.env.THUMBNAIL_MIN_SIDE) || 320
+  },
+  
+  // Типы медиа, которые помимо фото проверяются на повторы: 'animation' (GIF), 'sticker', 'video'.
+  // Видео, анимации MPEG4 и анимированные стикеры хешируются по миниатюрам Telegram
+  mediaTypes: (process.env.MEDIA_TYPES || 'animation,sticker,video').split(',').map(type => type.trim()).filter(Boolean),
+  
+  // Папка для временного хранения изображений (если требуется)
+  tempFolder: './temp',
+  
+  // Автоматическая обработка фотографий из каналов
+  autoProcessChannelPhotos: process.env.AUTO_PROCESS_CHANNEL_PHOTOS === 'true' || false,
+  
+  // Интервал автоматического сканирования каналов (в минутах)
+  // 0 означает отключение автоматического сканирования
+  // По умолчанию: 60 минут (1 час)
+  autoScanInterval: parseInt(process.env.AUTO_SCAN_INTERVAL) || 60,
+  
+  // Настройки облегченного режима сканирования
+  liteMode: {
+    // Размер пакета сообщений для сканирования за один раз
+    batchSize: parseInt(process.env.LITE_MODE_BATCH_SIZE) || 100,
+    
+    // Задержка между пакетами в секундах
+    cooldownSeconds: parseInt(process.env.LITE_MODE_COOLDOWN) || 3,
+    
+    // Дозаполнение записей облегченного сканирования перцептивными хешами по миниатюрам
+    hydration: {
+      // Запускать после каждого облегченного сканирования
+      autoStart: process.env.LITE_HYDRATION_AUTOSTART !== 'false',
+      
+      // Минимальный размер большей стороны миниатюры в пикселях
+      minThumbSide: parseInt(process.env.LITE_HYDRATION_MIN_SIDE) || 320,
+      
+      // Количество записей в порции и пауза между порциями в миллисекундах
+      batchSize: 50,
+      pauseMs: 2000
+    }
+  },
+  
+  // Директория для хранения логов
+  logsFolder: './logs'
 }; 
\ No newline at end of file
@@ -0,0 +1,611 @@
+const sharp = require('sharp');
+const config = require('./config');
+
+/**
+ * Сопоставление изображений по ключевым точкам (ORB-подобные признаки): углы FAST,
+ * отобранные по отклику Харриса, с ориентацией по центроиду яркости и двоичными
+ * дескрипторами BRIEF, повернутыми по этой ориентации. Ищутся на нескольких масштабах.
+ *
+ * Перцептивные хеши описывают изображение целиком и расходятся, когда репост закрывает
+ * часть кадра крупной надписью или стикером. Ключевые точки открытой части при этом
+ * остаются прежними, поэтому сомнительные кандидаты поиска по хешам перепроверяются
+ * сопоставлением точек: совпадение засчитывается, если достаточно пар точек согласуются
+ * одним преобразованием подобия (масштаб, поворот, сдвиг), найденным методом RANSAC.
+ */
+
+// Версия реализации признаков: точки другой версии не сравниваются
+const FEATURE_VERSION = 1;
+
+// Порог яркости детектора FAST (0-255) и отступ от края, в котором точки не ищутся
+const FAST_THRESHOLD = 20;
+const BORDER = 16;
+
+// Радиус круга, по которому вычисляется ориентация точки, и радиус шаблона дескриптора
+const ORIENTATION_RADIUS = 15;
+const PATTERN_RADIUS = 13;
+
+// Длина дескриптора в битах
+const DESCRIPTOR_BITS = 256;
+const DESCRIPTOR_WORDS = DESCRIPTOR_BITS / 32;
+
+// Пирамида масштабов: количество уровней и уменьшение на каждом уровне
+const PYRAMID_LEVELS = 3;
+const PYRAMID_SCALE = 1.4;
+
+// Равномерность точек по кадру: кадр делится на сетку, и сначала в каждой ячейке отбирается
+// не больше равной доли точек, чтобы контрастные углы букв надписи не вытесняли точки изображения
+const GRID_CELLS = 4;
+
+// Пара дескрипторов совпадает, если расстояние не больше MAX_DESCRIPTOR_DISTANCE битов
+// и меньше MATCH_RATIO расстояния до второго по близости дескриптора
+const MAX_DESCRIPTOR_DISTANCE = 64;
+const MATCH_RATIO = 0.8;
+
+// RANSAC: количество итераций, допуск в долях большей стороны и допустимый масштаб
+const RANSAC_ITERATIONS = 300;
+const INLIER_TOLERANCE = 0.02;
+const MIN_SCALE = 0.2;
+const MAX_SCALE = 5;
+
+// Смещения окружности детектора FAST (радиус 3, 16 пикселей)
+const CIRCLE = [
+  [0, -3], [1, -3], [2, -2], [3, -1], [3, 0], [3, 1], [2, 2], [1, 3],
+  [0, 3], [-1, 3], [-2, 2], [-3, 1], [-3, 0], [-3, -1], [-2, -2], [-1, -3]
+];
+
+/**
+ * Создает детерминированный генератор псевдослучайных чисел (mulberry32)
+ * @param {number} seed - начальное значение
+ * @returns {Function} - функция, возвращающая числа от 0 до 1
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Шаблон дескриптора: пары точек (x1, y1, x2, y2) с нормальным распределением вокруг центра.
+// Генерируется с постоянным начальным значением, поэтому одинаков во всех процессах
+const PATTERN = (() => {
+  const random = createRandom(0x0b5e55ed);
+  const samplePoint = () => {
+    for (;;) {
+      const radius = Math.sqrt(-2 * Math.log(1 - random())) * PATTERN_RADIUS / 2;
+      const angle = 2 * Math.PI * random();
+      const x = radius * Math.cos(angle);
+      const y = radius * Math.sin(angle);
+      if (x * x + y * y <= PATTERN_RADIUS * PATTERN_RADIUS) {
+        return [x, y];
+      }
+    }
+  };
+
+  return Array.from({ length: DESCRIPTOR_BITS }, () => [...samplePoint(), ...samplePoint()]);
+})();
+
+/**
+ * Считает единичные биты 32-битного числа
+ * @param {number} value - число
+ * @returns {number}
+ */
+function popcount32(value) {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return Math.imul((v + (v >>> 4)) & 0x0F0F0F0F, 0x01010101) >>> 24;
+}
+
+/**
+ * Декодирует изображение в оттенки серого с большей стороной maxSide
+ * (поворот по EXIF, прозрачные области на белом фоне, как при хешировании)
+ * @param {Buffer|string} imageData - буфер с данными изображения или путь к файлу
+ * @param {number} maxSide - большая сторона в пикселях
+ * @returns {Promise<Object>} - { data, width, height }
+ */
+async function loadGreyscale(imageData, maxSide) {
+  const { data, info } = await sharp(imageData)
+    .rotate()
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .resize(maxSide, maxSide, { fit: 'inside' })
+    .extractChannel(0)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return { data, width: info.width, height: info.height };
+}
+
+/**
+ * Изменяет размер или размывает изображение в оттенках серого
+ * @param {Object} image - { data, width, height }
+ * @param {Function} apply - функция (конвейер sharp) => конвейер sharp
+ * @returns {Promise<Object>} - { data, width, height }
+ */
+async function processGreyscale(image, apply) {
+  // Без extractChannel sharp выводит одноканальное изображение в sRGB с тремя каналами
+  const { data, info } = await apply(sharp(image.data, { raw: { width: image.width, height: image.height, channels: 1 } }))
+    .extractChannel(0)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return { data, width: info.width, height: info.height };
+}
+
+/**
+ * Проверяет, что пиксель является углом FAST-9: на окружности есть 9 идущих подряд
+ * пикселей, которые все ярче или все темнее центра больше чем на порог
+ * @param {Buffer} data - пиксели
+ * @param {number} width - ширина изображения
+ * @param {number} x - координата x
+ * @param {number} y - координата y
+ * @returns {boolean}
+ */
+function isFastCorner(data, width, x, y) {
+  const center = data[y * width + x];
+  const high = center + FAST_THRESHOLD;
+  const low = center - FAST_THRESHOLD;
+  const states = new Int8Array(16);
+
+  for (let i = 0; i < 16; i++) {
+    const value = data[(y + CIRCLE[i][1]) * width + x + CIRCLE[i][0]];
+    states[i] = value > high ? 1 : (value < low ? -1 : 0);
+  }
+
+  // Дуга из 9 пикселей обязательно проходит через два из четырех пикселей по сторонам света
+  const brighter = (states[0] > 0) + (states[4] > 0) + (states[8] > 0) + (states[12] > 0);
+  const darker = (states[0] < 0) + (states[4] < 0) + (states[8] < 0) + (states[12] < 0);
+  if (brighter < 2 && darker < 2) {
+    return false;
+  }
+
+  for (const sign of [1, -1]) {
+    let run = 0;
+    for (let i = 0; i < 16 + 8; i++) {
+      run = states[i % 16] === sign ? run + 1 : 0;
+      if (run >= 9) {
+        return true;
+      }
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Вычисляет отклик Харриса в окне 7x7 вокруг пикселя
+ * @param {Buffer} data - пиксели
+ * @param {number} width - ширина изображения
+ * @param {number} x - координата x
+ * @param {number} y - координата y
+ * @returns {number}
+ */
+function harrisResponse(data, width, x, y) {
+  let sxx = 0;
+  let syy = 0;
+  let sxy = 0;
+
+  for (let dy = -3; dy <= 3; dy++) {
+    for (let dx = -3; dx <= 3; dx++) {
+      const offset = (y + dy) * width + x + dx;
+      const ix = data[offset + 1] - data[offset - 1];
+      const iy = data[offset + width] - data[offset - width];
+      sxx += ix * ix;
+      syy += iy * iy;
+      sxy += ix * iy;
+    }
+  }
+
+  return sxx * syy - sxy * sxy - 0.04 * (sxx + syy) * (sxx + syy);
+}
+
+/**
+ * Находит углы одного уровня пирамиды с подавлением немаксимумов в окне 3x3
+ * @param {Object} image - { data, width, height }
+ * @returns {Array<Object>} - точки { x, y, response }
+ */
+function detectCorners(image) {
+  const { data, width, height } = image;
+  const responses = new Float32Array(width * height);
+
+  for (let y = BORDER; y < height - BORDER; y++) {
+    for (let x = BORDER; x < width - BORDER; x++) {
+      if (isFastCorner(data, width, x, y)) {
+        responses[y * width + x] = Math.max(harrisResponse(data, width, x, y), Number.MIN_VALUE);
+      }
+    }
+  }
+
+  const corners = [];
+  for (let y = BORDER; y < height - BORDER; y++) {
+    for (let x = BORDER; x < width - BORDER; x++) {
+      const response = responses[y * width + x];
+      if (response <= 0) {
+        continue;
+      }
+
+      let isMaximum = true;
+      for (let dy = -1; dy <= 1 && isMaximum; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const neighbour = responses[(y + dy) * width + x + dx];
+          // При равных откликах остается первая по порядку обхода точка
+          if (neighbour > response || (neighbour === response && (dy < 0 || (dy === 0 && dx < 0)))) {
+            isMaximum = false;
+            break;
+          }
+        }
+      }
+
+      if (isMaximum) {
+        corners.push({ x, y, response });
+      }
+    }
+  }
+
+  return corners;
+}
+
+/**
+ * Вычисляет ориентацию точки по центроиду яркости круга вокруг нее
+ * @param {Object} image - { data, width, height }
+ * @param {number} x - координата x
+ * @param {number} y - координата y
+ * @returns {number} - угол в радианах
+ */
+function computeOrientation(image, x, y) {
+  let m10 = 0;
+  let m01 = 0;
+
+  for (let dy = -ORIENTATION_RADIUS; dy <= ORIENTATION_RADIUS; dy++) {
+    const span = Math.floor(Math.sqrt(ORIENTATION_RADIUS * ORIENTATION_RADIUS - dy * dy));
+    for (let dx = -span; dx <= span; dx++) {
+      const value = image.data[(y + dy) * image.width + x + dx];
+      m10 += dx * value;
+      m01 += dy * value;
+    }
+  }
+
+  return Math.atan2(m01, m10);
+}
+
+/**
+ * Вычисляет дескриптор точки: сравнения яркости пар точек шаблона, повернутого по ориентации
+ * @param {Object} blurred - размытое изображение { data, width, height }
+ * @param {number} x - координата x
+ * @param {number} y - координата y
+ * @param {number} angle - ориентация в радианах
+ * @param {Uint32Array} target - массив дескрипторов
+ * @param {number} offset - смещение дескриптора в массиве (в 32-битных словах)
+ */
+function computeDescriptor(blurred, x, y, angle, target, offset) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const sample = (px, py) => blurred.data[
+    (y + Math.round(sin * px + cos * py)) * blurred.width + x + Math.round(cos * px - sin * py)
+  ];
+
+  for (let bit = 0; bit < DESCRIPTOR_BITS; bit++) {
+    const [x1, y1, x2, y2] = PATTERN[bit];
+    if (sample(x1, y1) < sample(x2, y2)) {
+      target[offset + (bit >>> 5)] |= 1 << (bit & 31);
+    }
+  }
+}
+
+/**
+ * Отбирает точки с наибольшим откликом, равномерно по ячейкам сетки
+ * @param {Array<Object>} corners - точки { x, y, response } в координатах исходного масштаба
+ * @param {number} width - ширина исходного масштаба
+ * @param {number} height - высота исходного масштаба
+ * @param {number} maxFeatures - максимальное количество точек
+ * @returns {Array<Object>} - отобранные точки
+ */
+function selectCorners(corners, width, height, maxFeatures) {
+  const sorted = [...corners].sort((a, b) => b.response - a.response);
+  const cellCap = Math.ceil(maxFeatures / (GRID_CELLS * GRID_CELLS));
+  const cellCounts = new Map();
+  const selected = [];
+  const skipped = [];
+
+  for (const corner of sorted) {
+    if (selected.length >= maxFeatures) {
+      break;
+    }
+
+    const cell = Math.min(GRID_CELLS - 1, Math.floor(corner.x / width * GRID_CELLS)) * GRID_CELLS +
+      Math.min(GRID_CELLS - 1, Math.floor(corner.y / height * GRID_CELLS));
+    const count = cellCounts.get(cell) || 0;
+
+    if (count < cellCap) {
+      cellCounts.set(cell, count + 1);
+      selected.push(corner);
+    } else {
+      skipped.push(corner);
+    }
+  }
+
+  // Если ячеек с точками мало, оставшиеся места занимают лучшие из пропущенных точек
+  return [...selected, ...skipped.slice(0, maxFeatures - selected.length)];
+}
+
+/**
+ * Находит ключевые точки изображения и вычисляет их дескрипторы
+ * @param {Buffer|string} imageData - буфер с данными изображения или путь к файлу
+ * @param {Object} [settings] - { maxSide, maxFeatures } (по умолчанию hashSettings.featureMatching)
+ * @returns {Promise<Object>} - признаки { version, width, height, count, points, descriptors }, где points -
+ *   координаты точек (Uint16, в десятых долях пикселя), а descriptors - дескрипторы; оба поля в base64
+ */
+async function extractFeatures(imageData, settings = config.hashSettings.featureMatching || {}) {
+  const maxSide = settings.maxSide || 320;
+  const maxFeatures = settings.maxFeatures || 250;
+  const base = await loadGreyscale(imageData, maxSide);
+  const corners = [];
+
+  let level = base;
+  for (let i = 0; i < PYRAMID_LEVELS; i++) {
+    if (i > 0) {
+      const width = Math.round(base.width / Math.pow(PYRAMID_SCALE, i));
+      const height = Math.round(base.height / Math.pow(PYRAMID_SCALE, i));
+      if (Math.min(width, height) <= BORDER * 3) {
+        break;
+      }
+      level = await processGreyscale(base, pipeline => pipeline.resize(width, height, { fit: 'fill' }));
+    }
+
+    const blurred = await processGreyscale(level, pipeline => pipeline.blur(1.2));
+    const scaleX = base.width / level.width;
+    const scaleY = base.height / level.height;
+
+    for (const corner of detectCorners(level)) {
+      corners.push({ ...corner, level: i, levelX: corner.x, levelY: corner.y, x: corner.x * scaleX, y: corner.y * scaleY, image: level, blurred });
+    }
+  }
+
+  const selected = selectCorners(corners, base.width, base.height, maxFeatures);
+  const points = new Uint16Array(selected.length * 2);
+  const descriptors = new Uint32Array(selected.length * DESCRIPTOR_WORDS);
+
+  selected.forEach((corner, index) => {
+    const angle = computeOrientation(corner.image, corner.levelX, corner.levelY);
+    computeDescriptor(corner.blurred, corner.levelX, corner.levelY, angle, descriptors, index * DESCRIPTOR_WORDS);
+    points[index * 2] = Math.round(corner.x * 10);
+    points[index * 2 + 1] = Math.round(corner.y * 10);
+  });
+
+  return {
+    version: FEATURE_VERSION,
+    width: base.width,
+    height: base.height,
+    count: selected.length,
+    points: Buffer.from(points.buffer).toString('base64'),
+    descriptors: Buffer.from(descriptors.buffer).toString('base64')
+  };
+}
+
+/**
+ * Декодирует признаки, сохраненные extractFeatures
+ * @param {Object} features - признаки
+ * @returns {Object} - { width, height, count, points: Float32Array, descriptors: Uint32Array }
+ */
+function unpackFeatures(features) {
+  // Буферы из base64 копируются, чтобы типизированные массивы были выровнены
+  const points = new Uint16Array(new Uint8Array(Buffer.from(features.points, 'base64')).buffer);
+  const descriptors = new Uint32Array(new Uint8Array(Buffer.from(features.descriptors, 'base64')).buffer);
+
+  return {
+    width: features.width,
+    height: features.height,
+    count: features.count,
+    points: Float32Array.from(points, value => value / 10),
+    descriptors
+  };
+}
+
+/**
+ * Проверяет, что сопоставление ключевых точек включено в настройках
+ * @returns {boolean}
+ */
+function isEnabled() {
+  return Boolean((config.hashSettings.featureMatching || {}).enabled);
+}
+
+/**
+ * Проверяет, что признаки вычислены текущей версией реализации
+ * @param {Object|null} features - признаки
+ * @returns {boolean}
+ */
+function isCurrentFeatures(features) {
+  return Boolean(features) && features.version === FEATURE_VERSION && features.count > 0;
+}
+
+/**
+ * Находит для каждого дескриптора первого набора ближайший и второй по близости дескриптор второго
+ * @param {Object} from - распакованные признаки
+ * @param {Object} to - распакованные признаки
+ * @returns {Object} - { best: Int32Array, distances: Int32Array, second: Int32Array }
+ */
+function findNearestDescriptors(from, to) {
+  const best = new Int32Array(from.count).fill(-1);
+  const distances = new Int32Array(from.count).fill(DESCRIPTOR_BITS + 1);
+  const second = new Int32Array(from.count).fill(DESCRIPTOR_BITS + 1);
+
+  for (let i = 0; i < from.count; i++) {
+    const a = i * DESCRIPTOR_WORDS;
+    for (let j = 0; j < to.count; j++) {
+      const b = j * DESCRIPTOR_WORDS;
+      let distance = 0;
+      for (let w = 0; w < DESCRIPTOR_WORDS; w++) {
+        distance += popcount32(from.descriptors[a + w] ^ to.descriptors[b + w]);
+      }
+
+      if (distance < distances[i]) {
+        second[i] = distances[i];
+        distances[i] = distance;
+        best[i] = j;
+      } else if (distance < second[i]) {
+        second[i] = distance;
+      }
+    }
+  }
+
+  return { best, distances, second };
+}
+
+/**
+ * Находит преобразование подобия q = [a -b; b a] p + t по методу наименьших квадратов
+ * @param {Array<Array<number>>} pairs - пары точек [px, py, qx, qy]
+ * @returns {Object|null} - { a, b, tx, ty } или null, если точки совпадают
+ */
+function fitSimilarity(pairs) {
+  const n = pairs.length;
+  const [mpx, mpy, mqx, mqy] = [0, 1, 2, 3].map(k => pairs.reduce((sum, pair) => sum + pair[k], 0) / n);
+  let norm = 0;
+  let sumA = 0;
+  let sumB = 0;
+
+  for (const [px, py, qx, qy] of pairs) {
+    const x = px - mpx;
+    const y = py - mpy;
+    const u = qx - mqx;
+    const v = qy - mqy;
+    norm += x * x + y * y;
+    sumA += x * u + y * v;
+    sumB += x * v - y * u;
+  }
+
+  if (norm < 1) {
+    return null;
+  }
+
+  const a = sumA / norm;
+  const b = sumB / norm;
+  return { a, b, tx: mqx - a * mpx + b * mpy, ty: mqy - b * mpx - a * mpy };
+}
+
+/**
+ * Выбирает пары, согласованные с преобразованием
+ * @param {Array<Array<number>>} pairs - пары точек [px, py, qx, qy]
+ * @param {Object} transform - { a, b, tx, ty }
+ * @param {number} tolerance - допуск в пикселях
+ * @returns {Array<Array<number>>} - согласованные пары
+ */
+function getInliers(pairs, transform, tolerance) {
+  const { a, b, tx, ty } = transform;
+  return pairs.filter(([px, py, qx, qy]) => {
+    const dx = a * px - b * py + tx - qx;
+    const dy = b * px + a * py + ty - qy;
+    return dx * dx + dy * dy <= tolerance * tolerance;
+  });
+}
+
+/**
+ * Проверяет, что масштаб преобразования допустим
+ * @param {Object|null} transform - { a, b, tx, ty }
+ * @returns {boolean}
+ */
+function isPlausibleTransform(transform) {
+  if (!transform) {
+    return false;
+  }
+
+  const scale = Math.hypot(transform.a, transform.b);
+  return scale >= MIN_SCALE && scale <= MAX_SCALE;
+}
+
+/**
+ * Сопоставляет признаки двух изображений: взаимно ближайшие дескрипторы, прошедшие
+ * проверку отношением расстояний, и преобразование подобия, согласующее больше всего пар
+ * @param {Object} features1 - признаки первого изображения (extractFeatures)
+ * @param {Object} features2 - признаки второго изображения
+ * @returns {Object} - { matches, inliers, count, score, scale, rotation }, где count - количество точек
+ *   у изображения с меньшим их числом, score - доля согласованных точек от count в процентах,
+ *   scale и rotation - масштаб и угол поворота (в градусах) второго изображения относительно первого
+ */
+function matchFeatures(features1, features2) {
+  const empty = { matches: 0, inliers: 0, count: 0, score: 0, scale: null, rotation: null };
+
+  if (!isCurrentFeatures(features1) || !isCurrentFeatures(features2)) {
+    return empty;
+  }
+
+  const first = unpackFeatures(features1);
+  const second = unpackFeatures(features2);
+  const forward = findNearestDescriptors(first, second);
+  const backward = findNearestDescriptors(second, first);
+  const pairs = [];
+
+  for (let i = 0; i < first.count; i++) {
+    const j = forward.best[i];
+    if (j >= 0 && backward.best[j] === i &&
+        forward.distances[i] <= MAX_DESCRIPTOR_DISTANCE &&
+        forward.distances[i] < forward.second[i] * MATCH_RATIO) {
+      pairs.push([first.points[i * 2], first.points[i * 2 + 1], second.points[j * 2], second.points[j * 2 + 1]]);
+    }
+  }
+
+  const count = Math.min(first.count, second.count);
+  if (pairs.length < 2) {
+    return { ...empty, matches: pairs.length, count };
+  }
+
+  const tolerance = INLIER_TOLERANCE * Math.max(second.width, second.height);
+  const random = createRandom(pairs.length);
+  let bestInliers = [];
+
+  for (let i = 0; i < RANSAC_ITERATIONS; i++) {
+    const p = Math.floor(random() * pairs.length);
+    const q = Math.floor(random() * pairs.length);
+    const transform = p !== q ? fitSimilarity([pairs[p], pairs[q]]) : null;
+    if (!isPlausibleTransform(transform)) {
+      continue;
+    }
+
+    const inliers = getInliers(pairs, transform, tolerance);
+    if (inliers.length > bestInliers.length) {
+      bestInliers = inliers;
+    }
+  }
+
+  // Преобразование уточняется по всем согласованным парам
+  let transform = bestInliers.length >= 2 ? fitSimilarity(bestInliers) : null;
+  if (isPlausibleTransform(transform)) {
+    const refined = getInliers(pairs, transform, tolerance);
+    if (refined.length >= bestInliers.length) {
+      bestInliers = refined;
+    }
+  } else {
+    transform = null;
+    bestInliers = [];
+  }
+
+  return {
+    matches: pairs.length,
+    inliers: bestInliers.length,
+    count,
+    score: count > 0 ? bestInliers.length / count * 100 : 0,
+    scale: transform ? Math.hypot(transform.a, transform.b) : null,
+    rotation: transform ? Math.atan2(transform.b, transform.a) * 180 / Math.PI : null
+  };
+}
+
+/**
+ * Проверяет, что результат сопоставления означает одно и то же изображение
+ * @param {Object} result - результат matchFeatures
+ * @param {Object} [settings] - { minInliers, minScore } (по умолчанию hashSettings.featureMatching)
+ * @returns {boolean}
+ */
+function isFeatureMatch(result, settings = config.hashSettings.featureMatching || {}) {
+  return result.inliers >= (settings.minInliers || 0) && result.score >= (settings.minScore || 0);
+}
+
+module.exports = {
+  FEATURE_VERSION,
+  isEnabled,
+  extractFeatures,
+  matchFeatures,
+  isFeatureMatch,
+  isCurrentFeatures
+};
@@ -0,0 +1,228 @@
+/**
+ * Алгоритмы перцептивного хеширования, работающие напрямую с пикселями
+ * в оттенках серого (без временных файлов и внешних библиотек хеширования).
+ *
+ * Каждый алгоритм описывается размером входного изображения, до которого
+ * его нужно уменьшить, и функцией, превращающей пиксели в массив битов.
+ */
+
+/**
+ * Упаковывает массив битов в шестнадцатеричную строку (старший бит первым)
+ * @param {Array<number>|Uint8Array} bits - массив из 0 и 1
+ * @returns {string} - хеш в шестнадцатеричном виде
+ */
+function packBits(bits) {
+  const bytes = Buffer.alloc(Math.ceil(bits.length / 8));
+
+  for (let i = 0; i < bits.length; i++) {
+    if (bits[i]) {
+      bytes[i >> 3] |= 0x80 >> (i & 7);
+    }
+  }
+
+  return bytes.toString('hex');
+}
+
+/**
+ * Возвращает медиану массива чисел
+ * @param {Array<number>|Float64Array} values - значения
+ * @returns {number} - медиана
+ */
+function median(values) {
+  const sorted = Array.from(values).sort((a, b) => a - b);
+  const middle = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Кэш косинусных таблиц для DCT по размеру входа
+ * @type {Map<string, Float64Array>}
+ */
+const cosineTables = new Map();
+
+/**
+ * Возвращает таблицу коэффициентов DCT-II (с ортонормированным масштабом)
+ * @param {number} inputSize - размер стороны входного изображения
+ * @param {number} outputSize - количество вычисляемых низких частот
+ * @returns {Float64Array} - таблица outputSize x inputSize
+ */
+function getCosineTable(inputSize, outputSize) {
+  const key = `${inputSize}x${outputSize}`;
+
+  if (!cosineTables.has(key)) {
+    const table = new Float64Array(inputSize * outputSize);
+
+    for (let u = 0; u < outputSize; u++) {
+      const scale = u === 0 ? Math.sqrt(1 / inputSize) : Math.sqrt(2 / inputSize);
+      for (let x = 0; x < inputSize; x++) {
+        table[u * inputSize + x] = scale * Math.cos(((2 * x + 1) * u * Math.PI) / (2 * inputSize));
+      }
+    }
+
+    cosineTables.set(key, table);
+  }
+
+  return cosineTables.get(key);
+}
+
+/**
+ * Average hash: бит равен 1, если пиксель ярче среднего
+ * @param {Uint8Array} pixels - пиксели size x size
+ * @param {number} size - размер хеша (сторона)
+ * @returns {Array<number>} - биты хеша
+ */
+function averageHash(pixels, size) {
+  let sum = 0;
+  for (let i = 0; i < size * size; i++) {
+    sum += pixels[i];
+  }
+
+  const mean = sum / (size * size);
+  const bits = [];
+
+  for (let i = 0; i < size * size; i++) {
+    bits.push(pixels[i] > mean ? 1 : 0);
+  }
+
+  return bits;
+}
+
+/**
+ * Difference hash: бит равен 1, если следующий по горизонтали пиксель ярче текущего
+ * @param {Uint8Array} pixels - пиксели (size + 1) x size
+ * @param {number} size - размер хеша (сторона)
+ * @returns {Array<number>} - биты хеша
+ */
+function differenceHash(pixels, size) {
+  const rowLength = size + 1;
+  const bits = [];
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const left = pixels[y * rowLength + x];
+      const right = pixels[y * rowLength + x + 1];
+      bits.push(right > left ? 1 : 0);
+    }
+  }
+
+  return bits;
+}
+
+/**
+ * Perceptual hash: знак низкочастотных коэффициентов DCT относительно медианы
+ * @param {Uint8Array} pixels - пиксели (4 * size) x (4 * size)
+ * @param {number} size - размер хеша (сторона)
+ * @returns {Array<number>} - биты хеша
+ */
+function perceptualHash(pixels, size) {
+  const inputSize = size * 4;
+  const table = getCosineTable(inputSize, size);
+
+  // DCT по строкам: для каждой строки считаем только size низких частот
+  const rows = new Float64Array(inputSize * size);
+  for (let y = 0; y < inputSize; y++) {
+    for (let u = 0; u < size; u++) {
+      let sum = 0;
+      for (let x = 0; x < inputSize; x++) {
+        sum += pixels[y * inputSize + x] * table[u * inputSize + x];
+      }
+      rows[y * size + u] = sum;
+    }
+  }
+
+  // DCT по столбцам полученной матрицы
+  const coefficients = new Float64Array(size * size);
+  for (let v = 0; v < size; v++) {
+    for (let u = 0; u < size; u++) {
+      let sum = 0;
+      for (let y = 0; y < inputSize; y++) {
+        sum += rows[y * size + u] * table[v * inputSize + y];
+      }
+      coefficients[v * size + u] = sum;
+    }
+  }
+
+  const threshold = median(coefficients);
+  return Array.from(coefficients, value => (value > threshold ? 1 : 0));
+}
+
+/**
+ * Wavelet hash: низкочастотная полоса вейвлет-разложения Хаара относительно медианы
+ * @param {Uint8Array} pixels - пиксели (4 * size) x (4 * size)
+ * @param {number} size - размер хеша (сторона)
+ * @returns {Array<number>} - биты хеша
+ */
+function waveletHash(pixels, size) {
+  let side = size * 4;
+  let band = Float64Array.from(pixels, value => value / 255);
+
+  // Каждый уровень преобразования Хаара оставляет LL-полосу вдвое меньшего размера
+  while (side > size) {
+    const half = side >> 1;
+    const next = new Float64Array(half * half);
+
+    for (let y = 0; y < half; y++) {
+      for (let x = 0; x < half; x++) {
+        const topLeft = band[(2 * y) * side + 2 * x];
+        const topRight = band[(2 * y) * side + 2 * x + 1];
+        const bottomLeft = band[(2 * y + 1) * side + 2 * x];
+        const bottomRight = band[(2 * y + 1) * side + 2 * x + 1];
+        next[y * half + x] = (topLeft + topRight + bottomLeft + bottomRight) / 2;
+      }
+    }
+
+    band = next;
+    side = half;
+  }
+
+  const threshold = median(band);
+  return Array.from(band, value => (value > threshold ? 1 : 0));
+}
+
+/**
+ * Описание поддерживаемых алгоритмов
+ * inputSize возвращает размеры (ширина, высота), до которых уменьшается изображение
+ */
+const HASH_ALGORITHMS = {
+  ahash: {
+    inputSize: size => ({ width: size, height: size }),
+    compute: averageHash
+  },
+  dhash: {
+    inputSize: size => ({ width: size + 1, height: size }),
+    compute: differenceHash
+  },
+  phash: {
+    inputSize: size => ({ width: size * 4, height: size * 4 }),
+    compute: perceptualHash
+  },
+  whash: {
+    inputSize: size => ({ width: size * 4, height: size * 4 }),
+    compute: waveletHash
+  }
+};
+
+/**
+ * Возвращает описание алгоритма хеширования
+ * @param {string} method - название алгоритма ('phash', 'dhash', 'ahash', 'whash')
+ * @returns {Object} - описание алгоритма
+ */
+function getAlgorithm(method) {
+  const algorithm = HASH_ALGORITHMS[method];
+
+  if (!algorithm) {
+    throw new Error(`Неизвестный метод хеширования: ${method}`);
+  }
+
+  return algorithm;
+}
+
+module.exports = {
+  HASH_METHODS: Object.keys(HASH_ALGORITHMS),
+  getAlgorithm,
+  packBits,
+  averageHash,
+  differenceHash,
+  perceptualHash,
+  waveletHash
+};
@@ -0,0 +1,284 @@
+const { isBinaryHash, getHashBitLength, calculateHashDistance } = require('./imageHasher');
+
+/**
+ * BK-дерево для поиска хешей в метрике Хэмминга.
+ * Каждый узел хранит хеш и множество ID изображений с таким хешем,
+ * дочерние узлы индексируются расстоянием до родителя
+ */
+class BKTree {
+  constructor() {
+    this.root = null;
+    this.nodes = new Map(); // hash -> узел, для быстрого добавления и удаления ID
+    this.size = 0; // количество ID во всех узлах
+  }
+
+  /**
+   * Добавляет ID изображения с указанным хешем
+   * @param {string} hash - хеш изображения
+   * @param {string} id - ID изображения
+   */
+  add(hash, id) {
+    let node = this.nodes.get(hash);
+
+    if (!node) {
+      node = { hash, ids: new Set(), children: new Map() };
+      this.nodes.set(hash, node);
+      this._insertNode(node);
+    }
+
+    if (!node.ids.has(id)) {
+      node.ids.add(id);
+      this.size++;
+    }
+  }
+
+  /**
+   * Встраивает новый узел в дерево
+   * @param {Object} node - узел для вставки
+   * @private
+   */
+  _insertNode(node) {
+    if (!this.root) {
+      this.root = node;
+      return;
+    }
+
+    let current = this.root;
+    for (;;) {
+      const distance = calculateHashDistance(node.hash, current.hash);
+      const child = current.children.get(distance);
+
+      if (!child) {
+        current.children.set(distance, node);
+        return;
+      }
+
+      current = child;
+    }
+  }
+
+  /**
+   * Удаляет ID изображения из узла с указанным хешем.
+   * Сам узел остается в дереве как промежуточный, чтобы не перестраивать поддерево
+   * @param {string} hash - хеш изображения
+   * @param {string} id - ID изображения
+   * @returns {boolean} - true, если ID был найден
+   */
+  remove(hash, id) {
+    const node = this.nodes.get(hash);
+
+    if (!node || !node.ids.delete(id)) {
+      return false;
+    }
+
+    this.size--;
+    return true;
+  }
+
+  /**
+   * Находит все хеши на расстоянии не больше maxDistance
+   * @param {string} hash - искомый хеш
+   * @param {number} maxDistance - максимальное расстояние Хэмминга
+   * @returns {Array<Object>} - массив { hash, ids, distance }
+   */
+  search(hash, maxDistance) {
+    const results = [];
+    const stack = this.root ? [this.root] : [];
+
+    while (stack.length > 0) {
+      const node = stack.pop();
+      const distance = calculateHashDistance(hash, node.hash);
+
+      if (distance <= maxDistance && node.ids.size > 0) {
+        results.push({ hash: node.hash, ids: node.ids, distance });
+      }
+
+      // По неравенству треугольника нужные хеши лежат только в ветках
+      // с расстоянием в диапазоне [distance - maxDistance, distance + maxDistance]
+      for (const [edge, child] of node.children) {
+        if (Math.abs(edge - distance) <= maxDistance) {
+          stack.push(child);
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Находит k ближайших хешей
+   * @param {string} hash - искомый хеш
+   * @param {number} k - количество результатов
+   * @returns {Array<Object>} - массив { hash, ids, distance }, отсортированный по расстоянию
+   */
+  nearest(hash, k) {
+    const best = []; // отсортированный по расстоянию список лучших узлов
+    let countedIds = 0;
+    let radius = Infinity;
+    const stack = this.root ? [this.root] : [];
+
+    while (stack.length > 0) {
+      const node = stack.pop();
+      const distance = calculateHashDistance(hash, node.hash);
+
+      if (node.ids.size > 0 && distance <= radius) {
+        const position = best.findIndex(item => item.distance > distance);
+        best.splice(position === -1 ? best.length : position, 0, { hash: node.hash, ids: node.ids, distance });
+        countedIds += node.ids.size;
+
+        // Отбрасываем самые дальние узлы, пока без них набирается k изображений
+        while (best.length > 1 && countedIds - best[best.length - 1].ids.size >= k) {
+          countedIds -= best.pop().ids.size;
+        }
+
+        if (countedIds >= k) {
+          radius = best[best.length - 1].distance;
+        }
+      }
+
+      // Сначала обходим ветки, ближайшие к искомому расстоянию, чтобы быстрее сузить радиус
+      const children = [...node.children]
+        .filter(([edge]) => Math.abs(edge - distance) <= radius)
+        .sort((a, b) => Math.abs(b[0] - distance) - Math.abs(a[0] - distance));
+
+      for (const [, child] of children) {
+        stack.push(child);
+      }
+    }
+
+    return best;
+  }
+}
+
+/**
+ * Индекс хешей изображений для поиска ближайших соседей.
+ * Хеши разной длины несравнимы, поэтому для каждой длины ведется свое BK-дерево
+ */
+class HashIndex {
+  constructor() {
+    this.trees = new Map(); // длина хеша в битах -> BKTree
+    this.hashById = new Map(); // ID изображения -> хеш
+  }
+
+  /**
+   * Количество проиндексированных изображений
+   * @returns {number}
+   */
+  get size() {
+    return this.hashById.size;
+  }
+
+  /**
+   * Добавляет изображение в индекс (хеши, которые не являются двоичными, пропускаются)
+   * @param {string} id - ID изображения
+   * @param {string} hash - хеш изображения
+   * @returns {boolean} - true, если изображение проиндексировано
+   */
+  add(id, hash) {
+    if (!isBinaryHash(hash)) {
+      return false;
+    }
+
+    if (this.hashById.has(id)) {
+      this.remove(id);
+    }
+
+    const bitLength = getHashBitLength(hash);
+    if (!this.trees.has(bitLength)) {
+      this.trees.set(bitLength, new BKTree());
+    }
+
+    this.trees.get(bitLength).add(hash, id);
+    this.hashById.set(id, hash);
+    return true;
+  }
+
+  /**
+   * Удаляет изображение из индекса
+   * @param {string} id - ID изображения
+   * @returns {boolean} - true, если изображение было в индексе
+   */
+  remove(id) {
+    const hash = this.hashById.get(id);
+
+    if (!hash) {
+      return false;
+    }
+
+    this.trees.get(getHashBitLength(hash)).remove(hash, id);
+    this.hashById.delete(id);
+    return true;
+  }
+
+  /**
+   * Очищает индекс
+   */
+  clear() {
+    this.trees.clear();
+    this.hashById.clear();
+  }
+
+  /**
+   * Перестраивает индекс по списку изображений
+   * @param {Array<Object>} images - изображения с полями fileId и hash
+   */
+  rebuild(images) {
+    this.clear();
+
+    for (const image of images) {
+      this.add(image.fileId, image.hash);
+    }
+  }
+
+  /**
+   * Находит все изображения с хешем на расстоянии не больше maxDistance
+   * @param {string} hash - искомый хеш
+   * @param {number} maxDistance - максимальное расстояние Хэмминга
+   * @returns {Array<Object>} - массив { id, distance }, отсортированный по расстоянию
+   */
+  findWithin(hash, maxDistance) {
+    const tree = isBinaryHash(hash) && this.trees.get(getHashBitLength(hash));
+
+    if (!tree) {
+      return [];
+    }
+
+    return this._flatten(tree.search(hash, maxDistance));
+  }
+
+  /**
+   * Находит k ближайших изображений
+   * @param {string} hash - искомый хеш
+   * @param {number} k - количество результатов
+   * @returns {Array<Object>} - массив { id, distance }, отсортированный по расстоянию
+   */
+  findNearest(hash, k) {
+    const tree = isBinaryHash(hash) && this.trees.get(getHashBitLength(hash));
+
+    if (!tree || k <= 0) {
+      return [];
+    }
+
+    return this._flatten(tree.nearest(hash, k)).slice(0, k);
+  }
+
+  /**
+   * Разворачивает узлы дерева в список ID
+   * @param {Array<Object>} nodes - узлы { ids, distance }
+   * @returns {Array<Object>} - массив { id, distance }
+   * @private
+   */
+  _flatten(nodes) {
+    const results = [];
+
+    for (const node of nodes) {
+      for (const id of node.ids) {
+        results.push({ id, distance: node.distance });
+      }
+    }
+
+    return results.sort((a, b) => a.distance - b.distance);
+  }
+}
+
+module.exports = { BKTree, HashIndex };
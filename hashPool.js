@@ -0,0 +1,199 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const config = require('./config');
+
+/**
+ * Пул потоков (worker_threads) для хеширования изображений.
+ * Задачи выполняются параллельно не более чем в size потоках, а ожидающие задачи
+ * складываются в очередь длиной не более maxQueue: при заполненной очереди
+ * run() ждет освобождения места, притормаживая сканирование вместо роста памяти
+ */
+class HashPool {
+  /**
+   * @param {string} workerPath - путь к скрипту потока (hashWorker.js)
+   * @param {Object} settings - { enabled, size, maxQueue }
+   */
+  constructor(workerPath, settings = {}) {
+    this.workerPath = workerPath;
+    this.settings = settings;
+    this.workers = []; // { worker, task } - запущенные потоки и выполняемые ими задачи
+    this.queue = []; // задачи, ожидающие свободного потока
+    this.queueWaiters = []; // вызовы run(), ожидающие места в очереди
+    this.nextTaskId = 1;
+    this.completed = 0;
+    this.failed = 0;
+  }
+
+  /**
+   * Включен ли пул (при выключенном пуле хеширование выполняется в основном потоке)
+   * @returns {boolean}
+   */
+  get enabled() {
+    return Boolean(this.settings.enabled) && this.size > 0;
+  }
+
+  /**
+   * Максимальное количество потоков
+   * @returns {number}
+   */
+  get size() {
+    return this.settings.size || 0;
+  }
+
+  /**
+   * Выполняет метод imageHasher в одном из потоков пула
+   * @param {string} method - название метода (calculateFingerprint, calculateHashes и т.п.)
+   * @param {Array} args - аргументы метода (буферы и строки)
+   * @returns {Promise<*>} - результат метода
+   */
+  async run(method, args = []) {
+    const maxQueue = this.settings.maxQueue || Infinity;
+
+    // Очередь заполнена (значит, и все потоки заняты) - ждем, пока освободится место
+    while (this.queue.length >= maxQueue) {
+      await new Promise(resolve => this.queueWaiters.push(resolve));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextTaskId++, method, args, resolve, reject });
+      this._dispatch();
+    });
+  }
+
+  /**
+   * Возвращает состояние пула для команды /status
+   * @returns {Object} - { size, workers, busy, queued, completed, failed }
+   */
+  getStats() {
+    return {
+      size: this.size,
+      workers: this.workers.length,
+      busy: this.workers.filter(entry => entry.task).length,
+      queued: this.queue.length,
+      completed: this.completed,
+      failed: this.failed
+    };
+  }
+
+  /**
+   * Останавливает все потоки; задачи из очереди завершаются с ошибкой
+   * @returns {Promise<void>}
+   */
+  async destroy() {
+    const error = new Error('Пул потоков хеширования остановлен');
+
+    for (const task of this.queue.splice(0)) {
+      task.reject(error);
+    }
+
+    const workers = this.workers.splice(0);
+    for (const entry of workers) {
+      if (entry.task) {
+        entry.task.reject(error);
+        entry.task = null;
+      }
+    }
+
+    await Promise.all(workers.map(entry => entry.worker.terminate()));
+    this._releaseQueueWaiters();
+  }
+
+  /**
+   * Раздает задачи из очереди свободным потокам, при необходимости запуская новые
+   * @private
+   */
+  _dispatch() {
+    while (this.queue.length > 0) {
+      let entry = this._getIdleWorker();
+
+      if (!entry && this.workers.length < this.size) {
+        entry = this._startWorker();
+      }
+
+      if (!entry) {
+        break;
+      }
+
+      entry.task = this.queue.shift();
+      entry.worker.ref();
+      entry.worker.postMessage({ id: entry.task.id, method: entry.task.method, args: entry.task.args });
+    }
+
+    this._releaseQueueWaiters();
+  }
+
+  /**
+   * Возвращает свободный поток
+   * @returns {Object|null} - запись потока или null
+   * @private
+   */
+  _getIdleWorker() {
+    return this.workers.find(entry => !entry.task) || null;
+  }
+
+  /**
+   * Будит вызовы run(), ожидающие места в очереди
+   * @private
+   */
+  _releaseQueueWaiters() {
+    for (const resolve of this.queueWaiters.splice(0)) {
+      resolve();
+    }
+  }
+
+  /**
+   * Запускает новый поток
+   * @returns {Object} - запись потока { worker, task }
+   * @private
+   */
+  _startWorker() {
+    const entry = { worker: new Worker(this.workerPath), task: null };
+
+    entry.worker.on('message', message => {
+      const task = entry.task;
+      if (!task || task.id !== message.id) {
+        return;
+      }
+
+      entry.task = null;
+      // Простаивающий поток не должен удерживать процесс от завершения
+      entry.worker.unref();
+
+      if (message.error) {
+        this.failed++;
+        task.reject(new Error(message.error));
+      } else {
+        this.completed++;
+        task.resolve(message.result);
+      }
+
+      this._dispatch();
+    });
+
+    entry.worker.on('error', error => {
+      console.error('Ошибка в потоке хеширования:', error);
+    });
+
+    entry.worker.on('exit', code => {
+      const index = this.workers.indexOf(entry);
+      if (index === -1) {
+        return;
+      }
+
+      // Поток завершился аварийно - его задача завершается с ошибкой, а вместо него запустится новый
+      this.workers.splice(index, 1);
+      if (entry.task) {
+        this.failed++;
+        entry.task.reject(new Error(`Поток хеширования завершился с кодом ${code}`));
+        entry.task = null;
+      }
+
+      this._dispatch();
+    });
+
+    this.workers.push(entry);
+    return entry;
+  }
+}
+
+module.exports = new HashPool(path.join(__dirname, 'hashWorker.js'), config.hashWorkers);
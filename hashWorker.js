@@ -0,0 +1,24 @@
+const { parentPort } = require('worker_threads');
+const imageHasher = require('./imageHasher');
+
+/**
+ * Поток пула хеширования: выполняет методы imageHasher по запросам из hashPool.
+ * В потоке imageHasher считает хеши сам, не обращаясь к пулу
+ */
+parentPort.on('message', async ({ id, method, args }) => {
+  try {
+    if (typeof imageHasher[method] !== 'function') {
+      throw new Error(`Неизвестный метод хеширования: ${method}`);
+    }
+
+    // Буферы приходят в поток как Uint8Array
+    const data = args.map(arg => (arg instanceof Uint8Array && !Buffer.isBuffer(arg)
+      ? Buffer.from(arg.buffer, arg.byteOffset, arg.byteLength)
+      : arg));
+
+    const result = await imageHasher[method](...data);
+    parentPort.postMessage({ id, result });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
@@ -0,0 +1,198 @@
+const _ = require('lodash');
+const BackgroundJob = require('./backgroundJob');
+const imageHasher = require('./imageHasher');
+const imageDatabase = require('./imageDatabase');
+
+/**
+ * Фоновое дозаполнение записей облегченного сканирования: вместо сигнатуры вида
+ * photo_<id>_<w>x<h> записи virtual_<id> получают перцептивные хеши, вычисленные
+ * по наименьшей подходящей миниатюре фото, и начинают участвовать в нечетком поиске.
+ * Миниатюры скачиваются через gramjs, сообщения запрашиваются одним запросом на канал
+ */
+class HydrationJob extends BackgroundJob {
+  /**
+   * @param {Function} getClient - async-функция, возвращающая TelegramHistoryFetcher
+   * @param {Object} [options] - { batchSize, pauseMs, minThumbSide }
+   */
+  constructor(getClient, options = {}) {
+    super('hydration', options);
+    this.getClient = getClient;
+    this.batchSize = options.batchSize || 50;
+    this.minThumbSide = options.minThumbSide || 320;
+  }
+
+  /**
+   * Цель дозаполнения - набор меток версий хешей, как у перехеширования: после смены
+   * настроек хеширования записи дозаполняются заново
+   * @returns {string}
+   */
+  getTarget() {
+    return imageHasher.getHashMethods().map(algorithm => imageHasher.getCurrentHashTag(algorithm)).join(',');
+  }
+
+  /**
+   * @returns {Object} - { cursor, checked, hydrated, skipped, failed, failedIds, retryIds }, где failedIds -
+   *   fileId записей, которые не удалось дозаполнить, retryIds - записи, которые повторяются в этом запуске
+   */
+  createState() {
+    return { cursor: 0, checked: 0, hydrated: 0, skipped: 0, failed: 0, failedIds: [], retryIds: [] };
+  }
+
+  /**
+   * Новые записи облегченного сканирования добавляются в конец базы, поэтому
+   * завершенная задача при следующем запуске продолжает обход с сохраненной позиции.
+   * Записи, которые не удалось дозаполнить (например, из-за ошибки сети), повторяются
+   * в начале следующего запуска
+   * @param {boolean} restart - начать заново
+   * @returns {Promise<Object>} - состояние задачи
+   */
+  async loadState(restart = false) {
+    const state = await super.loadState(restart);
+
+    if (state.status === 'completed') {
+      state.status = 'pending';
+    }
+
+    state.retryIds = _.uniq([...(state.retryIds || []), ...(state.failedIds || [])]);
+    state.failedIds = [];
+    return state;
+  }
+
+  /**
+   * Дозаполняет порцию записей: сначала повторяет записи с ошибками прошлого запуска,
+   * затем продолжает обход базы. Позиция обхода сдвигается только после обработки
+   * всей порции; уже дозаполненные записи при повторном обходе пропускаются
+   * @param {Object} state - состояние задачи
+   * @returns {Promise<boolean>} - true, если обойдена вся база
+   */
+  async processBatch(state) {
+    if (state.retryIds.length > 0) {
+      // Повторенные записи учитываются в счетчиках заново
+      const fileIds = state.retryIds.splice(0, this.batchSize);
+      state.checked -= fileIds.length;
+      state.failed -= fileIds.length;
+
+      await this._hydrateImages(await imageDatabase.getImagesByFileIds(fileIds), state);
+      return false;
+    }
+
+    const images = await imageDatabase.getImagesAfter(state.cursor, this.batchSize);
+
+    if (images.length === 0) {
+      return true;
+    }
+
+    await this._hydrateImages(images, state);
+    state.cursor = images[images.length - 1].id;
+    return false;
+  }
+
+  /**
+   * Дозаполняет записи облегченного сканирования из порции, сгруппировав их по каналам
+   * @param {Array<Object>} images - записи изображений
+   * @param {Object} state - состояние задачи
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _hydrateImages(images, state) {
+    const pending = new Map(); // chatId -> записи, которые нужно дозаполнить
+    for (const image of images) {
+      if (!image.fileId.startsWith('virtual_') || imageDatabase.isHashSetCurrent(image.fileId)) {
+        continue;
+      }
+
+      const chatId = String(image.chatId);
+      if (!pending.has(chatId)) {
+        pending.set(chatId, []);
+      }
+      pending.get(chatId).push(image);
+    }
+
+    if (pending.size > 0) {
+      const client = await this.getClient();
+
+      for (const [chatId, channelImages] of pending) {
+        await this._hydrateChannelImages(client, chatId, channelImages, state);
+      }
+    }
+  }
+
+  /**
+   * Учитывает записи, которые не удалось дозаполнить
+   * @param {Object} state - состояние задачи
+   * @param {Array<Object>} images - записи изображений
+   * @private
+   */
+  _markFailed(state, images) {
+    state.failed += images.length;
+    state.failedIds.push(...images.map(image => image.fileId));
+  }
+
+  /**
+   * Дозаполняет записи одного канала
+   * @param {TelegramHistoryFetcher} client - клиент gramjs
+   * @param {string} chatId - ID канала из записей
+   * @param {Array<Object>} images - записи облегченного сканирования
+   * @param {Object} state - состояние задачи
+   * @private
+   */
+  async _hydrateChannelImages(client, chatId, images, state) {
+    let messages;
+    try {
+      const channel = await client.getChannelById(chatId);
+      if (!channel) {
+        state.checked += images.length;
+        state.skipped += images.length;
+        return;
+      }
+
+      messages = await client.getMessagesByIds(channel, images.map(image => Number(image.messageId)));
+    } catch (error) {
+      console.error(`Ошибка при получении сообщений канала ${chatId} для дозаполнения хешей:`, error);
+      state.checked += images.length;
+      this._markFailed(state, images);
+      return;
+    }
+
+    for (let i = 0; i < images.length; i++) {
+      const image = images[i];
+      const message = messages[i];
+      state.checked++;
+
+      try {
+        // Сообщение удалено или больше не содержит медиа
+        const thumbnail = message && message.media
+          ? await client.downloadMessageThumbnail(message, this.minThumbSide)
+          : null;
+        if (!thumbnail) {
+          state.skipped++;
+          continue;
+        }
+
+        // Миниатюра - не исходный файл, поэтому SHA-256 содержимого для поиска точных копий не сохраняется.
+        // С перцептивными хешами запись находит свои копии и присоединяется к их кластеру
+        const fingerprint = await imageHasher.calculateFingerprint(thumbnail.buffer);
+        const updated = await imageDatabase.runExclusive(async () => {
+          if (!await imageDatabase.updateImageHashes(image.fileId, fingerprint)) {
+            return false;
+          }
+
+          const matches = await imageDatabase.findDuplicates(null, fingerprint.hashes, fingerprint.variants, fingerprint.features);
+          await imageDatabase.addToCluster(image.fileId, matches);
+          return true;
+        });
+
+        if (updated) {
+          state.hydrated++;
+        } else {
+          this._markFailed(state, [image]);
+        }
+      } catch (error) {
+        console.error(`Ошибка при дозаполнении хешей изображения ${image.fileId}:`, error);
+        this._markFailed(state, [image]);
+      }
+    }
+  }
+}
+
+module.exports = HydrationJob;
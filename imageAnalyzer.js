@@ -1,260 +1,624 @@
-const fs = require('fs');
-const path = require('path');
-const sharp = require('sharp');
-const imageHasher = require('./imageHasher');
-const imageDatabase = require('./imageDatabase');
-const config = require('./config');
-
-/**
- * Класс для расширенного анализа изображений
- */
-class ImageAnalyzer {
-  constructor() {
-    this.logDir = path.join(__dirname, 'logs');
-    
-    // Создаем директорию для логов, если её нет
-    if (!fs.existsSync(this.logDir)) {
-      fs.mkdirSync(this.logDir, { recursive: true });
-    }
-  }
-  
-  /**
-   * Создает корректную ссылку на сообщение в Telegram
-   * @param {Object} image - информация об изображении
-   * @returns {string} - URL ссылка на сообщение
-   */
-  createMessageLink(image) {
-    const chatId = image.chatId ? image.chatId.toString() : '';
-    const messageId = image.messageId;
-    
-    // Если chatId начинается с -100, это закрытый канал
-    if (chatId && chatId.startsWith('-100')) {
-      // Для закрытых каналов формат ссылки: https://t.me/c/{channel_id_without_-100}/{message_id}
-      const channelId = chatId.substring(4); // Убираем префикс -100
-      return `https://t.me/c/${channelId}/${messageId}`;
-    } else if (chatId) {
-      // Для открытых каналов формат ссылки: https://t.me/{username}/{message_id}
-      // Если есть channelUsername, используем его, иначе используем chatId
-      const channelName = image.channelUsername || chatId;
-      return `https://t.me/${channelName}/${messageId}`;
-    }
-    
-    // Если невозможно создать ссылку, возвращаем пустую строку
-    return '';
-  }
-  
-  /**
-   * Анализирует все изображения в базе данных и ищет группы похожих изображений
-   * @returns {Promise<Array>} - массив групп похожих изображений
-   */
-  async findSimilarGroups() {
-    const images = imageDatabase.getAllImages();
-    const groups = [];
-    const processedIds = new Set();
-    
-    for (const image of images) {
-      // Пропускаем уже обработанные изображения
-      if (processedIds.has(image.fileId)) {
-        continue;
-      }
-      
-      const similarImages = imageDatabase.findSimilarImages(image.hash, (hash1, hash2) => {
-        return imageHasher.areImagesSimilar(hash1, hash2);
-      });
-      
-      // Если найдено более одного похожего изображения (включая текущее)
-      if (similarImages.length > 1) {
-        const group = {
-          baseImage: image,
-          similarImages: similarImages.filter(img => img.fileId !== image.fileId)
-        };
-        
-        groups.push(group);
-        
-        // Добавляем все ID из группы в обработанные
-        similarImages.forEach(img => processedIds.add(img.fileId));
-      }
-    }
-    
-    return groups;
-  }
-  
-  /**
-   * Генерирует HTML-отчет о группах похожих изображений
-   * @param {Array} groups - массив групп похожих изображений
-   * @returns {Promise<string>} - путь к созданному HTML-файлу
-   */
-  async generateHtmlReport(groups) {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const reportPath = path.join(this.logDir, `similar_images_${timestamp}.html`);
-    
-    let html = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="UTF-8">
-        <title>Отчет о похожих изображениях</title>
-        <style>
-          body { font-family: Arial, sans-serif; margin: 20px; }
-          .group { margin-bottom: 30px; border: 1px solid #ccc; padding: 15px; border-radius: 5px; }
-          .group-header { font-weight: bold; margin-bottom: 10px; }
-          .image-list { display: flex; flex-wrap: wrap; }
-          .image-item { margin: 10px; text-align: center; }
-          .image-info { margin-top: 5px; font-size: 0.8em; }
-          table { border-collapse: collapse; width: 100%; margin-top: 20px; }
-          th, td { padding: 8px; text-align: left; border-bottom: 1px solid #ddd; }
-          th { background-color: #f2f2f2; }
-          .link { color: #0366d6; text-decoration: none; }
-          .link:hover { text-decoration: underline; }
-        </style>
-      </head>
-      <body>
-        <h1>Отчет о похожих изображениях</h1>
-        <p>Дата создания: ${new Date().toLocaleString()}</p>
-        <p>Всего групп похожих изображений: ${groups.length}</p>
-        
-        <table>
-          <tr>
-            <th>Группа</th>
-            <th>Базовое изображение</th>
-            <th>Количество похожих</th>
-            <th>Минимальное сходство</th>
-            <th>Максимальное сходство</th>
-            <th>Ссылка</th>
-          </tr>
-    `;
-    
-    groups.forEach((group, index) => {
-      const similarities = group.similarImages.map(img => {
-        const distance = imageHasher.calculateHashDistance(group.baseImage.hash, img.hash);
-        return 100 - distance;
-      });
-      
-      const minSimilarity = Math.min(...similarities).toFixed(2);
-      const maxSimilarity = Math.max(...similarities).toFixed(2);
-      const baseImageLink = this.createMessageLink(group.baseImage);
-      
-      html += `
-        <tr>
-          <td>${index + 1}</td>
-          <td>ID: ${group.baseImage.messageId}</td>
-          <td>${group.similarImages.length}</td>
-          <td>${minSimilarity}%</td>
-          <td>${maxSimilarity}%</td>
-          <td>${baseImageLink ? `<a href="${baseImageLink}" class="link" target="_blank">Открыть</a>` : 'Нет ссылки'}</td>
-        </tr>
-      `;
-    });
-    
-    html += `
-        </table>
-        
-        <h2>Детальная информация по группам</h2>
-    `;
-    
-    groups.forEach((group, index) => {
-      const baseImageLink = this.createMessageLink(group.baseImage);
-      
-      html += `
-        <div class="group">
-          <div class="group-header">
-            Группа ${index + 1} - Базовое изображение (ID: ${group.baseImage.messageId})
-            ${baseImageLink ? `<a href="${baseImageLink}" class="link" target="_blank">${baseImageLink}</a>` : ''}
-          </div>
-          <div class="image-list">
-      `;
-      
-      // Добавляем информацию о похожих изображениях
-      group.similarImages.forEach(img => {
-        const distance = imageHasher.calculateHashDistance(group.baseImage.hash, img.hash);
-        const similarity = (100 - distance).toFixed(2);
-        const imageLink = this.createMessageLink(img);
-        
-        html += `
-          <div class="image-item">
-            <div class="image-info">
-              ID: ${img.messageId}<br>
-              Сходство: ${similarity}%<br>
-              Размер: ${img.width}x${img.height}<br>
-              Дата: ${img.timestamp ? new Date(img.timestamp * 1000).toLocaleString() : 'неизвестно'}<br>
-              ${imageLink ? `<a href="${imageLink}" class="link" target="_blank">Открыть сообщение</a>` : ''}
-            </div>
-          </div>
-        `;
-      });
-      
-      html += `
-          </div>
-        </div>
-      `;
-    });
-    
-    html += `
-      </body>
-      </html>
-    `;
-    
-    await fs.promises.writeFile(reportPath, html, 'utf8');
-    return reportPath;
-  }
-  
-  /**
-   * Генерирует текстовый журнал о группах похожих изображений
-   * @param {Array} groups - массив групп похожих изображений
-   * @returns {Promise<string>} - путь к созданному текстовому файлу
-   */
-  async generateTextLog(groups) {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const logPath = path.join(this.logDir, `similar_images_${timestamp}.txt`);
-    
-    let logContent = `Отчет о похожих изображениях\n`;
-    logContent += `Дата создания: ${new Date().toLocaleString()}\n`;
-    logContent += `Всего групп похожих изображений: ${groups.length}\n\n`;
-    
-    groups.forEach((group, index) => {
-      const baseImageLink = this.createMessageLink(group.baseImage);
-      
-      logContent += `Группа ${index + 1}:\n`;
-      logContent += `  Базовое изображение: ID ${group.baseImage.messageId}\n`;
-      if (baseImageLink) {
-        logContent += `  Ссылка: ${baseImageLink}\n`;
-      }
-      logContent += `  Количество похожих изображений: ${group.similarImages.length}\n`;
-      
-      group.similarImages.forEach((img, imgIndex) => {
-        const distance = imageHasher.calculateHashDistance(group.baseImage.hash, img.hash);
-        const similarity = (100 - distance).toFixed(2);
-        const imageLink = this.createMessageLink(img);
-        
-        logContent += `  ${imgIndex + 1}. ID: ${img.messageId}, Сходство: ${similarity}%\n`;
-        if (imageLink) {
-          logContent += `     Ссылка: ${imageLink}\n`;
-        }
-      });
-      
-      logContent += '\n';
-    });
-    
-    await fs.promises.writeFile(logPath, logContent, 'utf8');
-    return logPath;
-  }
-  
-  /**
-   * Создает полный отчет о похожих изображениях в различных форматах
-   * @returns {Promise<Object>} - пути к созданным файлам отчетов
-   */
-  async createSimilarityReport() {
-    const groups = await this.findSimilarGroups();
-    
-    const htmlReportPath = await this.generateHtmlReport(groups);
-    const textLogPath = await this.generateTextLog(groups);
-    
-    return {
-      groups,
-      htmlReportPath,
-      textLogPath
-    };
-  }
-}
-
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const imageHasher = require('./imageHasher');
+const imageDatabase = require('./imageDatabase');
+const telegramMedia = require('./telegramMedia');
+const watermarkRegistry = require('./watermarkRegistry');
+const originAttribution = require('./originAttribution');
+const imageQuality = require('./imageQuality');
+const telegramMessages = require('./telegramMessages');
+const config = require('./config');
+
+/**
+ * Класс для расширенного анализа изображений
+ */
+class ImageAnalyzer {
+  constructor() {
+    this.logDir = path.join(__dirname, 'logs');
+    
+    // Создаем директорию для логов, если её нет
+    if (!fs.existsSync(this.logDir)) {
+      fs.mkdirSync(this.logDir, { recursive: true });
+    }
+  }
+  
+  /**
+   * Создает корректную ссылку на сообщение в Telegram
+   * @param {Object} image - информация об изображении
+   * @returns {string} - URL ссылка на сообщение
+   */
+  createMessageLink(image) {
+    const chatId = image.chatId ? image.chatId.toString() : '';
+    const messageId = image.messageId;
+    
+    // У открытых каналов есть публичная ссылка: https://t.me/{username}/{message_id}
+    // (юзернейм берется из таблицы каналов, см. addMessageInfo)
+    if (image.channelUsername) {
+      return `https://t.me/${image.channelUsername}/${messageId}`;
+    }
+    
+    // Если chatId начинается с -100 (или это ID канала MTProto без префикса), это закрытый канал
+    if (chatId.startsWith('-100') || (/^\d+$/.test(chatId) && ['channel', 'supergroup'].includes(image.channelType))) {
+      // Для закрытых каналов формат ссылки: https://t.me/c/{channel_id_without_-100}/{message_id}
+      const channelId = chatId.replace(/^-100/, ''); // Убираем префикс -100
+      return `https://t.me/c/${channelId}/${messageId}`;
+    }
+    
+    // На сообщения личных чатов и групп без юзернейма ссылок нет
+    return '';
+  }
+  
+  /**
+   * Возвращает группы похожих изображений - кластеры дубликатов из базы данных.
+   * Изображения, которых еще нет в кластерах (добавленные до их появления), сначала
+   * распределяются по кластерам. Базовое изображение группы - представитель кластера,
+   * а у остальных изображений сходство и преобразование указаны относительно изображения,
+   * с которым они связаны в кластере (linkedImage, если это не базовое изображение:
+   * копия копии попадает в кластер транзитивно и может не быть похожей на базовое напрямую)
+   * @returns {Promise<Array>} - массив групп { clusterId, baseImage, similarImages }
+   */
+  async findSimilarGroups() {
+    await imageDatabase.clusterUnassignedImages();
+    const clusters = await imageDatabase.getClusters();
+    
+    return clusters.map(cluster =>
+      this._createGroup(cluster.id, this._resolveLinks(cluster.images), cluster.representative.fileId));
+  }
+
+  /**
+   * Дополняет связями изображения кластера, которые ни с чем не связаны (первое изображение
+   * кластера или изображение, связанное с удаленным): связь берется у изображения,
+   * попавшего в кластер по совпадению с ним, с обратным преобразованием
+   * @param {Array<Object>} images - изображения кластера из imageDatabase.getClusters
+   * @returns {Array<Object>} - изображения со связями
+   * @private
+   */
+  _resolveLinks(images) {
+    const fileIds = new Set(images.map(img => img.fileId));
+    
+    return images.map(img => {
+      if (fileIds.has(img.linkedFileId)) {
+        return img;
+      }
+      
+      const linked = images.find(other => other.linkedFileId === img.fileId);
+      return linked ? {
+        ...img,
+        linkedFileId: linked.fileId,
+        similarity: linked.similarity,
+        matchType: linked.matchType,
+        matchTransform: imageHasher.inverseTransform(linked.matchTransform)
+      } : img;
+    });
+  }
+
+  /**
+   * Составляет группу из изображений кластера
+   * @param {number} clusterId - ID кластера
+   * @param {Array<Object>} images - изображения кластера со связями
+   * @param {string} baseFileId - ID файла базового изображения
+   * @returns {Object} - { clusterId, baseImage, similarImages }
+   * @private
+   */
+  _createGroup(clusterId, images, baseFileId) {
+    const imagesById = new Map(images.map(img => [img.fileId, img]));
+    const baseImage = imagesById.get(baseFileId) || images[0];
+    
+    const similarImages = images
+      .filter(img => img.fileId !== baseImage.fileId)
+      .map(img => ({
+        ...img,
+        similarity: img.similarity !== null && img.similarity !== undefined ? img.similarity : 0,
+        matchType: img.matchType || 'similar',
+        linkedImage: img.linkedFileId !== baseImage.fileId ? imagesById.get(img.linkedFileId) || null : null
+      }));
+    
+    return { clusterId, baseImage, similarImages };
+  }
+
+  /**
+   * Определяет оригинал каждой группы (см. originAttribution) и делает его базовым
+   * изображением группы, если сообщение-оригинал есть в базе
+   * @param {Array} groups - результат findSimilarGroups
+   * @param {Map} [watermarks] - результат findGroupWatermarks
+   * @returns {Array} - группы { clusterId, baseImage, similarImages, attribution }
+   */
+  attributeGroups(groups, watermarks = new Map()) {
+    return groups.map(group => {
+      const images = [group.baseImage, ...group.similarImages].map(({ linkedImage, ...img }) => img);
+      const attribution = originAttribution.attributeOrigin(images, watermarks);
+      const originImage = attribution && attribution.origin.image;
+      
+      return {
+        ...(originImage ? this._createGroup(group.clusterId, images, originImage.fileId) : group),
+        attribution
+      };
+    });
+  }
+  
+  /**
+   * Выбирает лучшую копию каждой группы - с наибольшим разрешением, качеством JPEG
+   * и наименьшими артефактами сжатия (см. imageQuality.rankCopies)
+   * @param {Array} groups - группы похожих изображений
+   * @returns {Array} - группы с полем bestCopy { image, score, resolution, quality, artefacts }
+   *   (null, если о копиях группы ничего не известно, например после облегченного сканирования)
+   */
+  selectBestCopies(groups) {
+    return groups.map(group => {
+      const [bestCopy] = imageQuality.rankCopies([group.baseImage, ...group.similarImages]);
+      return { ...group, bestCopy: bestCopy || null };
+    });
+  }
+
+  /**
+   * Описывает лучшую копию группы для отчетов
+   * @param {Object} group - группа с результатом selectBestCopies
+   * @returns {Object|null} - { text, link } или null, если лучшая копия не выбрана
+   */
+  describeBestCopy(group) {
+    if (!group.bestCopy) {
+      return null;
+    }
+    
+    const { image } = group.bestCopy;
+    const details = imageQuality.describeCopy(image);
+    return {
+      text: `ID ${image.messageId}${details ? ` (${details})` : ''}`,
+      link: this.createMessageLink(image)
+    };
+  }
+
+  /**
+   * Описывает оригинал группы для отчетов
+   * @param {Object} group - группа с результатом attributeGroups
+   * @returns {Object|null} - { text, link, reasons } или null, если оригинал не определен
+   */
+  describeGroupOrigin(group) {
+    if (!group.attribution) {
+      return null;
+    }
+    
+    const { origin, reasons } = group.attribution;
+    return {
+      text: originAttribution.describeOrigin(group.attribution),
+      link: origin.messageId ? this.createMessageLink(origin) : '',
+      reasons
+    };
+  }
+
+  /**
+   * Формирует описание связи коллажа с оригиналом
+   * @param {Object} link - связь из imageDatabase.getCollageLinks
+   * @returns {string} - текст вида "изображение X встречается как плитка N поста Y"
+   */
+  describeCollageLink(link) {
+    return `изображение ${link.image.messageId} встречается как плитка ${link.tileIndex} ` +
+      `(коллаж ${link.gridRows}x${link.gridCols}) поста ${link.collage.messageId}, ` +
+      `сходство ${link.similarity.toFixed(2)}%`;
+  }
+  
+  /**
+   * Находит сведения о сообщениях и каналах изображений групп и коллажей
+   * @param {Array} groups - массив групп похожих изображений
+   * @param {Array} [collageLinks] - связи коллажей с оригиналами
+   * @returns {Promise<Map>} - fileId -> { channelTitle, channelUsername, channelType, caption, views }
+   */
+  async findGroupMessages(groups, collageLinks = []) {
+    const fileIds = [
+      ...groups.flatMap(group => [group.baseImage, ...group.similarImages].map(img => img.fileId)),
+      ...collageLinks.flatMap(link => [link.image.fileId, link.collage.fileId])
+    ];
+    return await imageDatabase.getImageMessages([...new Set(fileIds)]);
+  }
+
+  /**
+   * Дополняет изображения групп и коллажей сведениями о сообщениях и каналах:
+   * по ним отчеты показывают названия каналов и подписи и строят публичные ссылки
+   * @param {Array} groups - массив групп похожих изображений
+   * @param {Array} collageLinks - связи коллажей с оригиналами
+   * @param {Map} messages - результат findGroupMessages
+   * @returns {Object} - { groups, collageLinks } с дополненными изображениями
+   */
+  addMessageInfo(groups, collageLinks, messages) {
+    const withMessage = img => img && messages.has(img.fileId) ? { ...img, ...messages.get(img.fileId) } : img;
+    
+    return {
+      groups: groups.map(group => ({
+        ...group,
+        baseImage: withMessage(group.baseImage),
+        similarImages: group.similarImages.map(img => ({ ...withMessage(img), linkedImage: withMessage(img.linkedImage) }))
+      })),
+      collageLinks: collageLinks.map(link => ({ ...link, image: withMessage(link.image), collage: withMessage(link.collage) }))
+    };
+  }
+
+  /**
+   * Экранирует текст для HTML-отчета (названия каналов и подписи вводят пользователи)
+   * @param {string} text - текст
+   * @returns {string}
+   * @private
+   */
+  _escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+  }
+
+  /**
+   * Описывает канал изображения для HTML-отчета
+   * @param {Object} image - изображение со сведениями о канале
+   * @param {string} [prefix] - текст перед описанием, если канал известен
+   * @returns {string} - экранированное описание канала или пустая строка
+   * @private
+   */
+  _describeChannelHtml(image, prefix = '') {
+    const channel = telegramMessages.describeChannel(image);
+    return channel ? `${prefix}${this._escapeHtml(channel)}` : '';
+  }
+
+  /**
+   * Находит водяные знаки каналов на изображениях групп
+   * @param {Array} groups - массив групп похожих изображений
+   * @returns {Promise<Map>} - fileId -> найденные знаки { watermarkId, channel, score, region }
+   */
+  async findGroupWatermarks(groups) {
+    const fileIds = groups.flatMap(group => [group.baseImage, ...group.similarImages].map(img => img.fileId));
+    return await imageDatabase.getImageWatermarks([...new Set(fileIds)]);
+  }
+
+  /**
+   * Считает, на скольких изображениях групп найден водяной знак каждого канала
+   * @param {Map} watermarks - результат findGroupWatermarks
+   * @returns {Array<Object>} - массив { channel, count } по убыванию количества
+   */
+  summarizeWatermarks(watermarks) {
+    const counts = new Map();
+    
+    for (const detections of watermarks.values()) {
+      for (const channel of new Set(detections.map(detection => detection.channel))) {
+        counts.set(channel, (counts.get(channel) || 0) + 1);
+      }
+    }
+    
+    return [...counts.entries()]
+      .map(([channel, count]) => ({ channel, count }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Генерирует HTML-отчет о группах похожих изображений
+   * @param {Array} groups - массив групп похожих изображений
+   * @param {Array} [collageLinks] - связи коллажей с оригиналами
+   * @param {Map} [watermarks] - водяные знаки каналов на изображениях групп (fileId -> знаки)
+   * @returns {Promise<string>} - путь к созданному HTML-файлу
+   */
+  async generateHtmlReport(groups, collageLinks = [], watermarks = new Map()) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const reportPath = path.join(this.logDir, `similar_images_${timestamp}.html`);
+    
+    let html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <title>Отчет о похожих изображениях</title>
+        <style>
+          body { font-family: Arial, sans-serif; margin: 20px; }
+          .group { margin-bottom: 30px; border: 1px solid #ccc; padding: 15px; border-radius: 5px; }
+          .group-header { font-weight: bold; margin-bottom: 10px; }
+          .image-list { display: flex; flex-wrap: wrap; }
+          .image-item { margin: 10px; text-align: center; }
+          .image-info { margin-top: 5px; font-size: 0.8em; }
+          .origin-reasons { margin: 0 0 10px; font-size: 0.9em; color: #555; }
+          .caption { font-style: italic; color: #555; }
+          table { border-collapse: collapse; width: 100%; margin-top: 20px; }
+          th, td { padding: 8px; text-align: left; border-bottom: 1px solid #ddd; }
+          th { background-color: #f2f2f2; }
+          .link { color: #0366d6; text-decoration: none; }
+          .link:hover { text-decoration: underline; }
+        </style>
+      </head>
+      <body>
+        <h1>Отчет о похожих изображениях</h1>
+        <p>Дата создания: ${new Date().toLocaleString()}</p>
+        <p>Всего групп похожих изображений: ${groups.length}</p>
+        
+        <table>
+          <tr>
+            <th>Группа</th>
+            <th>Базовое изображение</th>
+            <th>Количество похожих</th>
+            <th>Точных копий</th>
+            <th>Минимальное сходство</th>
+            <th>Максимальное сходство</th>
+            <th>Вероятный оригинал</th>
+            <th>Лучшая копия</th>
+            <th>Ссылка</th>
+          </tr>
+    `;
+    
+    groups.forEach((group, index) => {
+      const similarities = group.similarImages.map(img => img.similarity);
+      
+      const minSimilarity = Math.min(...similarities).toFixed(2);
+      const maxSimilarity = Math.max(...similarities).toFixed(2);
+      const exactCount = group.similarImages.filter(img => img.matchType === 'exact').length;
+      const baseImageLink = this.createMessageLink(group.baseImage);
+      const origin = this.describeGroupOrigin(group);
+      const bestCopy = this.describeBestCopy(group);
+      
+      html += `
+        <tr>
+          <td>${index + 1} (#${group.clusterId})</td>
+          <td>ID: ${group.baseImage.messageId} (${telegramMedia.describeMediaType(group.baseImage.mediaType)})${this._describeChannelHtml(group.baseImage, ', ')}</td>
+          <td>${group.similarImages.length}</td>
+          <td>${exactCount}</td>
+          <td>${minSimilarity}%</td>
+          <td>${maxSimilarity}%</td>
+          <td>${origin ? (origin.link ? `<a href="${origin.link}" class="link" target="_blank">${origin.text}</a>` : origin.text) : 'не определен'}</td>
+          <td>${bestCopy ? (bestCopy.link ? `<a href="${bestCopy.link}" class="link" target="_blank">${bestCopy.text}</a>` : bestCopy.text) : 'не определена'}</td>
+          <td>${baseImageLink ? `<a href="${baseImageLink}" class="link" target="_blank">Открыть</a>` : 'Нет ссылки'}</td>
+        </tr>
+      `;
+    });
+    
+    html += `
+        </table>
+        
+        <h2>Детальная информация по группам</h2>
+    `;
+    
+    groups.forEach((group, index) => {
+      const baseImageLink = this.createMessageLink(group.baseImage);
+      const baseWatermarks = watermarkRegistry.describeWatermarks(watermarks.get(group.baseImage.fileId));
+      const baseChannel = this._describeChannelHtml(group.baseImage);
+      const baseCaption = this._escapeHtml(telegramMessages.shortenCaption(group.baseImage.caption));
+      const origin = this.describeGroupOrigin(group);
+      const bestCopy = this.describeBestCopy(group);
+      
+      html += `
+        <div class="group">
+          <div class="group-header">
+            Группа ${index + 1} (кластер #${group.clusterId}) - Базовое изображение (ID: ${group.baseImage.messageId}, ${telegramMedia.describeMediaType(group.baseImage.mediaType)})
+            ${baseImageLink ? `<a href="${baseImageLink}" class="link" target="_blank">${baseImageLink}</a>` : ''}
+            ${baseChannel ? `<br>Канал: ${baseChannel}` : ''}
+            ${baseCaption ? `<br>Подпись: <span class="caption">${baseCaption}</span>` : ''}
+            ${baseWatermarks ? `<br>Водяной знак: ${baseWatermarks}` : ''}
+            ${origin ? `<br>Вероятный оригинал: ${origin.link ? `<a href="${origin.link}" class="link" target="_blank">${origin.text}</a>` : origin.text}` : ''}
+            ${bestCopy ? `<br>Лучшая копия: ${bestCopy.link ? `<a href="${bestCopy.link}" class="link" target="_blank">${bestCopy.text}</a>` : bestCopy.text}` : ''}
+          </div>
+          ${origin && origin.reasons.length > 0 ? `<ul class="origin-reasons">${origin.reasons.map(reason => `<li>${reason}</li>`).join('')}</ul>` : ''}
+          <div class="image-list">
+      `;
+      
+      // Добавляем информацию о похожих изображениях
+      group.similarImages.forEach(img => {
+        const similarity = img.similarity.toFixed(2);
+        // matchTransform кластера переводит связанное изображение в это
+        const transform = imageHasher.describeTransform(img.matchTransform);
+        const imageLink = this.createMessageLink(img);
+        const imageWatermarks = watermarkRegistry.describeWatermarks(watermarks.get(img.fileId));
+        const channel = this._describeChannelHtml(img);
+        const caption = this._escapeHtml(telegramMessages.shortenCaption(img.caption, 60));
+        
+        html += `
+          <div class="image-item">
+            <div class="image-info">
+              ID: ${img.messageId}<br>
+              Тип: ${telegramMedia.describeMediaType(img.mediaType)}<br>
+              ${channel ? `Канал: ${channel}<br>` : ''}
+              ${caption ? `Подпись: <span class="caption">${caption}</span><br>` : ''}
+              ${img.matchType === 'exact' ? 'Точная копия' : 'Визуально похожее'}<br>
+              Сходство: ${similarity}%${img.linkedImage ? ` (с ID ${img.linkedImage.messageId})` : ''}<br>
+              ${transform ? `Преобразование: ${transform}<br>` : ''}
+              ${imageWatermarks ? `Водяной знак: ${imageWatermarks}<br>` : ''}
+              Качество: ${imageQuality.describeCopy(img) || 'неизвестно'}<br>
+              Дата: ${img.timestamp ? new Date(img.timestamp * 1000).toLocaleString() : 'неизвестно'}<br>
+              ${imageLink ? `<a href="${imageLink}" class="link" target="_blank">Открыть сообщение</a>` : ''}
+            </div>
+          </div>
+        `;
+      });
+      
+      html += `
+          </div>
+        </div>
+      `;
+    });
+    
+    const watermarkSummary = this.summarizeWatermarks(watermarks);
+    if (watermarkSummary.length > 0) {
+      html += `
+        <h2>Водяные знаки каналов</h2>
+        <table>
+          <tr>
+            <th>Канал</th>
+            <th>Изображений со знаком</th>
+          </tr>
+      `;
+      
+      watermarkSummary.forEach(item => {
+        html += `
+          <tr>
+            <td>${item.channel}</td>
+            <td>${item.count}</td>
+          </tr>
+        `;
+      });
+      
+      html += `
+        </table>
+      `;
+    }
+    
+    if (collageLinks.length > 0) {
+      html += `
+        <h2>Изображения в коллажах</h2>
+        <table>
+          <tr>
+            <th>Изображение</th>
+            <th>Коллаж</th>
+            <th>Описание</th>
+          </tr>
+      `;
+      
+      collageLinks.forEach(link => {
+        const imageLink = this.createMessageLink(link.image);
+        const collageLink = this.createMessageLink(link.collage);
+        
+        html += `
+          <tr>
+            <td>${imageLink ? `<a href="${imageLink}" class="link" target="_blank">ID: ${link.image.messageId}</a>` : `ID: ${link.image.messageId}`}</td>
+            <td>${collageLink ? `<a href="${collageLink}" class="link" target="_blank">ID: ${link.collage.messageId}</a>` : `ID: ${link.collage.messageId}`}</td>
+            <td>${this.describeCollageLink(link)}</td>
+          </tr>
+        `;
+      });
+      
+      html += `
+        </table>
+      `;
+    }
+    
+    html += `
+      </body>
+      </html>
+    `;
+    
+    await fs.promises.writeFile(reportPath, html, 'utf8');
+    return reportPath;
+  }
+  
+  /**
+   * Генерирует текстовый журнал о группах похожих изображений
+   * @param {Array} groups - массив групп похожих изображений
+   * @param {Array} [collageLinks] - связи коллажей с оригиналами
+   * @param {Map} [watermarks] - водяные знаки каналов на изображениях групп (fileId -> знаки)
+   * @returns {Promise<string>} - путь к созданному текстовому файлу
+   */
+  async generateTextLog(groups, collageLinks = [], watermarks = new Map()) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const logPath = path.join(this.logDir, `similar_images_${timestamp}.txt`);
+    
+    let logContent = `Отчет о похожих изображениях\n`;
+    logContent += `Дата создания: ${new Date().toLocaleString()}\n`;
+    logContent += `Всего групп похожих изображений: ${groups.length}\n\n`;
+    
+    groups.forEach((group, index) => {
+      const baseImageLink = this.createMessageLink(group.baseImage);
+      const baseWatermarks = watermarkRegistry.describeWatermarks(watermarks.get(group.baseImage.fileId));
+      const baseChannel = telegramMessages.describeChannel(group.baseImage);
+      const baseCaption = telegramMessages.shortenCaption(group.baseImage.caption);
+      const origin = this.describeGroupOrigin(group);
+      const bestCopy = this.describeBestCopy(group);
+      
+      logContent += `Группа ${index + 1} (кластер #${group.clusterId}):\n`;
+      if (origin) {
+        logContent += `  Вероятный оригинал: ${origin.text}${origin.link ? ` ${origin.link}` : ''}\n`;
+        origin.reasons.forEach(reason => {
+          logContent += `    - ${reason}\n`;
+        });
+      }
+      if (bestCopy) {
+        logContent += `  Лучшая копия: ${bestCopy.text}${bestCopy.link ? ` ${bestCopy.link}` : ''}\n`;
+      }
+      logContent += `  Базовое изображение: ID ${group.baseImage.messageId} (${telegramMedia.describeMediaType(group.baseImage.mediaType)})\n`;
+      if (baseChannel) {
+        logContent += `  Канал: ${baseChannel}\n`;
+      }
+      if (baseCaption) {
+        logContent += `  Подпись: ${baseCaption}\n`;
+      }
+      if (baseImageLink) {
+        logContent += `  Ссылка: ${baseImageLink}\n`;
+      }
+      if (baseWatermarks) {
+        logContent += `  Водяной знак: ${baseWatermarks}\n`;
+      }
+      logContent += `  Количество похожих изображений: ${group.similarImages.length}\n`;
+      
+      group.similarImages.forEach((img, imgIndex) => {
+        const similarity = img.similarity.toFixed(2);
+        const transform = imageHasher.describeTransform(img.matchTransform);
+        const imageLink = this.createMessageLink(img);
+        const imageWatermarks = watermarkRegistry.describeWatermarks(watermarks.get(img.fileId));
+        const linked = img.linkedImage ? ` (с ID ${img.linkedImage.messageId})` : '';
+        const quality = imageQuality.describeCopy(img);
+        const channel = telegramMessages.describeChannel(img);
+        const caption = telegramMessages.shortenCaption(img.caption);
+        
+        const matchType = img.matchType === 'exact' ? 'точная копия' : 'визуально похожее';
+        
+        logContent += `  ${imgIndex + 1}. ID: ${img.messageId} (${telegramMedia.describeMediaType(img.mediaType)}), ${matchType}, Сходство: ${similarity}%${linked}${transform ? `, ${transform}` : ''}\n`;
+        if (channel) {
+          logContent += `     Канал: ${channel}\n`;
+        }
+        if (caption) {
+          logContent += `     Подпись: ${caption}\n`;
+        }
+        if (imageWatermarks) {
+          logContent += `     Водяной знак: ${imageWatermarks}\n`;
+        }
+        if (quality) {
+          logContent += `     Качество: ${quality}\n`;
+        }
+        if (imageLink) {
+          logContent += `     Ссылка: ${imageLink}\n`;
+        }
+      });
+      
+      logContent += '\n';
+    });
+    
+    const watermarkSummary = this.summarizeWatermarks(watermarks);
+    if (watermarkSummary.length > 0) {
+      logContent += `Водяные знаки каналов:\n`;
+      watermarkSummary.forEach(item => {
+        logContent += `  ${item.channel}, изображений со знаком: ${item.count}\n`;
+      });
+      logContent += '\n';
+    }
+    
+    if (collageLinks.length > 0) {
+      logContent += `Изображения в коллажах: ${collageLinks.length}\n`;
+      
+      collageLinks.forEach((link, linkIndex) => {
+        const collageLink = this.createMessageLink(link.collage);
+        
+        logContent += `  ${linkIndex + 1}. ${this.describeCollageLink(link)}\n`;
+        if (collageLink) {
+          logContent += `     Ссылка на коллаж: ${collageLink}\n`;
+        }
+      });
+    }
+    
+    await fs.promises.writeFile(logPath, logContent, 'utf8');
+    return logPath;
+  }
+  
+  /**
+   * Создает полный отчет о похожих изображениях в различных форматах
+   * @returns {Promise<Object>} - пути к созданным файлам отчетов
+   */
+  async createSimilarityReport() {
+    const clusters = await this.findSimilarGroups();
+    const storedCollageLinks = await imageDatabase.getCollageLinks();
+    // Сведения о каналах нужны уже при выборе оригинала: по ним называются каналы и строятся ссылки
+    const messages = await this.findGroupMessages(clusters, storedCollageLinks);
+    const { groups: groupsWithMessages, collageLinks } = this.addMessageInfo(clusters, storedCollageLinks, messages);
+    const watermarks = await this.findGroupWatermarks(groupsWithMessages);
+    const groups = this.selectBestCopies(this.attributeGroups(groupsWithMessages, watermarks));
+    
+    const htmlReportPath = await this.generateHtmlReport(groups, collageLinks, watermarks);
+    const textLogPath = await this.generateTextLog(groups, collageLinks, watermarks);
+    
+    return {
+      groups,
+      collageLinks,
+      watermarks,
+      htmlReportPath,
+      textLogPath
+    };
+  }
+}
+
 module.exports = new ImageAnalyzer(); 
\ No newline at end of file
@@ -1,369 +1,2533 @@
-const fs = require('fs');
-const path = require('path');
-const { promisify } = require('util');
-const config = require('./config');
-const _ = require('lodash');
-const sqlite3 = require('sqlite3').verbose();
-
-const writeFileAsync = promisify(fs.writeFile);
-const readFileAsync = promisify(fs.readFile);
-
-/**
- * Класс для хранения и управления базой данных изображений
- * с поддержкой SQLite для более эффективного хранения
- */
-class ImageDatabase {
-  constructor() {
-    this.images = []; // Временный кэш изображений в памяти
-    this.dbPath = path.join(__dirname, 'image_database.json'); // Путь для совместимости со старой версией
-    this.sqliteDbPath = path.join(__dirname, 'image_database.sqlite'); // Путь к файлу SQLite БД
-    this.db = null; // Экземпляр SQLite базы данных
-    this.loaded = false;
-    this.useSqlite = true; // Флаг использования SQLite
-  }
-
-  /**
-   * Инициализирует SQLite базу данных
-   * @private
-   */
-  async _initSqliteDb() {
-    return new Promise((resolve, reject) => {
-      this.db = new sqlite3.Database(this.sqliteDbPath, (err) => {
-        if (err) {
-          console.error('Ошибка при открытии SQLite базы данных:', err);
-          reject(err);
-          return;
-        }
-        
-        // Создаем таблицу, если она не существует
-        this.db.run(`CREATE TABLE IF NOT EXISTS images (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          fileId TEXT,
-          hash TEXT,
-          messageId INTEGER,
-          chatId TEXT,
-          userId TEXT,
-          fileSize INTEGER,
-          width INTEGER,
-          height INTEGER,
-          timestamp INTEGER,
-          source TEXT,
-          addedAt TEXT,
-          UNIQUE(fileId)
-        )`, (err) => {
-          if (err) {
-            console.error('Ошибка при создании таблицы:', err);
-            reject(err);
-            return;
-          }
-          
-          // Создаем индекс для ускорения поиска по хешу
-          this.db.run(`CREATE INDEX IF NOT EXISTS idx_hash ON images(hash)`, (err) => {
-            if (err) {
-              console.error('Ошибка при создании индекса:', err);
-              reject(err);
-              return;
-            }
-            
-            console.log('SQLite база данных инициализирована успешно');
-            resolve();
-          });
-        });
-      });
-    });
-  }
-
-  /**
-   * Загружает все изображения из SQLite в память
-   * @private
-   */
-  async _loadImagesFromSqlite() {
-    return new Promise((resolve, reject) => {
-      this.db.all(`SELECT * FROM images`, (err, rows) => {
-        if (err) {
-          console.error('Ошибка при загрузке данных из SQLite:', err);
-          reject(err);
-          return;
-        }
-        
-        this.images = rows;
-        console.log(`Загружено ${this.images.length} изображений из SQLite базы данных`);
-        resolve(rows);
-      });
-    });
-  }
-
-  /**
-   * Загружает базу данных
-   * (Автоматически использует SQLite если доступно, иначе использует JSON)
-   */
-  async load() {
-    try {
-      if (this.useSqlite) {
-        try {
-          // Инициализируем SQLite
-          await this._initSqliteDb();
-          
-          // Если существует старая JSON база, импортируем её
-          if (fs.existsSync(this.dbPath) && !fs.existsSync(this.sqliteDbPath)) {
-            console.log('Обнаружена старая JSON база данных, импортируем в SQLite...');
-            const data = await readFileAsync(this.dbPath, 'utf8');
-            const jsonImages = JSON.parse(data);
-            
-            // Импортируем данные
-            for (const img of jsonImages) {
-              await this._addImageToSqlite(img);
-            }
-            
-            console.log(`Импортировано ${jsonImages.length} изображений из JSON в SQLite`);
-            
-            // Переименовываем старый файл в .bak
-            fs.renameSync(this.dbPath, `${this.dbPath}.bak`);
-          }
-          
-          // Загружаем данные из SQLite в память
-          await this._loadImagesFromSqlite();
-          this.loaded = true;
-        } catch (sqliteError) {
-          console.error('Ошибка при работе с SQLite:', sqliteError);
-          console.log('Переключаемся на использование JSON базы данных');
-          this.useSqlite = false;
-          await this._loadFromJson();
-        }
-      } else {
-        // Используем старый JSON формат
-        await this._loadFromJson();
-      }
-    } catch (error) {
-      console.error('Ошибка при загрузке базы данных:', error);
-      this.images = [];
-    }
-  }
-
-  /**
-   * Загружает базу данных из JSON формата (старый метод)
-   * @private
-   */
-  async _loadFromJson() {
-    try {
-      if (fs.existsSync(this.dbPath)) {
-        const data = await readFileAsync(this.dbPath, 'utf8');
-        this.images = JSON.parse(data);
-        console.log(`Загружено ${this.images.length} изображений из JSON базы данных`);
-      } else {
-        this.images = [];
-        console.log('JSON база данных не найдена, создаем новую');
-      }
-      this.loaded = true;
-    } catch (error) {
-      console.error('Ошибка при загрузке из JSON:', error);
-      this.images = [];
-    }
-  }
-
-  /**
-   * Сохраняет базу данных
-   */
-  async save() {
-    if (this.useSqlite) {
-      console.log(`Данные в SQLite уже сохранены автоматически (${this.images.length} изображений)`);
-      return;
-    }
-    
-    // Если не используется SQLite, сохраняем в JSON
-    try {
-      const data = JSON.stringify(this.images, null, 2);
-      await writeFileAsync(this.dbPath, data, 'utf8');
-      console.log(`Сохранено ${this.images.length} изображений в JSON базу данных`);
-    } catch (error) {
-      console.error('Ошибка при сохранении JSON базы данных:', error);
-    }
-  }
-
-  /**
-   * Добавляет новое изображение в SQLite базу данных
-   * @param {Object} imageInfo - информация об изображении
-   * @returns {Promise<boolean>} - успешно ли добавлено изображение
-   * @private
-   */
-  async _addImageToSqlite(imageInfo) {
-    return new Promise((resolve, reject) => {
-      const stmt = this.db.prepare(`
-        INSERT OR IGNORE INTO images 
-        (fileId, hash, messageId, chatId, userId, fileSize, width, height, timestamp, source, addedAt)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `);
-      
-      stmt.run(
-        imageInfo.fileId,
-        imageInfo.hash,
-        imageInfo.messageId,
-        imageInfo.chatId,
-        imageInfo.userId,
-        imageInfo.fileSize || 0,
-        imageInfo.width || 0,
-        imageInfo.height || 0,
-        imageInfo.timestamp || Math.floor(Date.now() / 1000),
-        imageInfo.source || 'unknown',
-        imageInfo.addedAt || new Date().toISOString(),
-        function(err) {
-          if (err) {
-            console.error('Ошибка при добавлении изображения в SQLite:', err);
-            resolve(false);
-            return;
-          }
-          
-          // Изображение успешно добавлено
-          resolve(this.changes > 0);
-        }
-      );
-      
-      stmt.finalize();
-    });
-  }
-
-  /**
-   * Добавляет новое изображение в базу данных
-   * @param {Object} imageInfo - информация об изображении
-   * @returns {boolean} - true, если изображение успешно добавлено
-   */
-  async addImage(imageInfo) {
-    // Проверяем, загружена ли база данных
-    if (!this.loaded) {
-      throw new Error('База данных не загружена');
-    }
-
-    // Используем SQLite, если доступно
-    if (this.useSqlite) {
-      const added = await this._addImageToSqlite(imageInfo);
-      
-      if (added) {
-        // Добавляем в кэш в памяти
-        this.images.push({
-          ...imageInfo,
-          addedAt: imageInfo.addedAt || new Date().toISOString()
-        });
-        
-        // Если достигнут лимит изображений в памяти, удаляем самые старые
-        if (this.images.length > config.maxImagesInMemory) {
-          this.images = _.sortBy(this.images, 'addedAt').slice(-config.maxImagesInMemory);
-        }
-      }
-      
-      return added;
-    } else {
-      // Старый метод с JSON
-      const exists = this.images.some(img => img.fileId === imageInfo.fileId);
-      
-      if (!exists) {
-        this.images.push({
-          ...imageInfo,
-          addedAt: new Date().toISOString()
-        });
-        
-        // Если достигнут лимит изображений, удаляем самые старые
-        if (this.images.length > config.maxImagesInMemory) {
-          this.images = _.sortBy(this.images, 'addedAt').slice(-config.maxImagesInMemory);
-        }
-        
-        return true;
-      }
-      
-      return false;
-    }
-  }
-
-  /**
-   * Находит похожие изображения на основе хеша
-   * @param {string} hash - хеш изображения для поиска
-   * @param {Function} similarityFunction - функция для определения схожести
-   * @returns {Array} - массив похожих изображений
-   */
-  findSimilarImages(hash, similarityFunction) {
-    return this.images.filter(img => img.hash && similarityFunction(hash, img.hash));
-  }
-
-  /**
-   * Возвращает все изображения в базе данных
-   * @returns {Array} - массив всех изображений
-   */
-  getAllImages() {
-    return [...this.images];
-  }
-
-  /**
-   * Удаляет изображение из базы данных
-   * @param {string} fileId - ID файла для удаления
-   * @returns {boolean} - true, если изображение успешно удалено
-   */
-  async removeImage(fileId) {
-    if (this.useSqlite) {
-      return new Promise((resolve, reject) => {
-        this.db.run(`DELETE FROM images WHERE fileId = ?`, [fileId], function(err) {
-          if (err) {
-            console.error('Ошибка при удалении изображения из SQLite:', err);
-            resolve(false);
-            return;
-          }
-          
-          // Удаляем из кэша в памяти
-          const initialLength = this.images.length;
-          this.images = this.images.filter(img => img.fileId !== fileId);
-          
-          resolve(this.changes > 0);
-        });
-      });
-    } else {
-      // Старый метод с JSON
-      const initialLength = this.images.length;
-      this.images = this.images.filter(img => img.fileId !== fileId);
-      return initialLength !== this.images.length;
-    }
-  }
-
-  /**
-   * Очищает базу данных
-   */
-  async clear() {
-    if (this.useSqlite) {
-      return new Promise((resolve, reject) => {
-        this.db.run(`DELETE FROM images`, (err) => {
-          if (err) {
-            console.error('Ошибка при очистке базы данных SQLite:', err);
-            resolve(false);
-            return;
-          }
-          
-          this.images = [];
-          console.log('SQLite база данных очищена');
-          resolve(true);
-        });
-      });
-    } else {
-      // Старый метод с JSON
-      this.images = [];
-    }
-  }
-  
-  /**
-   * Закрывает соединение с базой данных
-   */
-  async close() {
-    if (this.useSqlite && this.db) {
-      return new Promise((resolve, reject) => {
-        this.db.close((err) => {
-          if (err) {
-            console.error('Ошибка при закрытии SQLite базы данных:', err);
-            reject(err);
-            return;
-          }
-          
-          console.log('SQLite база данных закрыта');
-          resolve();
-        });
-      });
-    }
-  }
-}
-
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const config = require('./config');
+const _ = require('lodash');
+const sqlite3 = require('sqlite3').verbose();
+const imageHasher = require('./imageHasher');
+const featureMatcher = require('./featureMatcher');
+const { HashIndex } = require('./hashIndex');
+const UnionFind = require('./unionFind');
+const telegramForwards = require('./telegramForwards');
+const schemaMigrations = require('./schemaMigrations');
+
+// Разделитель ID файла и сообщения в ID записи повторной публикации файла (<fileId>@<канал>:<сообщение>)
+const REPOST_SEPARATOR = '@';
+
+const writeFileAsync = promisify(fs.writeFile);
+const readFileAsync = promisify(fs.readFile);
+
+/**
+ * Класс для хранения и управления базой данных изображений
+ * с поддержкой SQLite для более эффективного хранения
+ */
+class ImageDatabase {
+  constructor() {
+    this.images = []; // Временный кэш изображений в памяти
+    this.imagesById = new Map(); // fileId -> запись из кэша, для выдачи результатов поиска
+    this.hashIndexes = new Map(); // метка версии хеша (алгоритм:размер:версия) -> индекс хешей (BK-деревья) для поиска похожих
+    this.variantEntries = new Map(); // fileId -> ID записей индекса с хешами преобразований изображения
+    this.collageLinks = []; // Связи коллажей с оригиналами в режиме JSON (в SQLite - таблица collage_links)
+    this.mediaCache = new Map(); // Кэш отпечатков медиа Telegram в режиме JSON (в SQLite - таблица media_cache)
+    this.jobStates = new Map(); // Состояние фоновых задач в режиме JSON (в SQLite - таблица job_state)
+    this.settings = new Map(); // Сохраненные настройки в режиме JSON (в SQLite - таблица settings)
+    this.watermarks = []; // Реестр водяных знаков каналов в режиме JSON (в SQLite - таблица watermarks)
+    this.nextWatermarkId = 1; // ID следующего водяного знака в режиме JSON
+    this.clusterSets = new UnionFind(); // объединения кластеров дубликатов (ID кластера -> ID кластера, в который он влит)
+    this.clusters = new Map(); // ID кластера -> { id, representativeFileId, createdAt }
+    this.clusterMembers = new Map(); // fileId -> { fileId, clusterId, linkedFileId, similarity, matchType, matchTransform, addedAt }
+    this.clusterFileIds = new Map(); // ID корневого кластера -> Set fileId его изображений
+    this.nextClusterId = 1; // ID следующего кластера в режиме JSON
+    this.channels = new Map(); // Каналы в режиме JSON (в SQLite - таблица channels): ID без -100 -> { id, title, username, type, updatedAt }
+    this.messages = new Map(); // Сообщения в режиме JSON (в SQLite - таблица messages): chatId:messageId -> запись сообщения
+    this.nextMessageId = 1; // ID следующего сообщения в режиме JSON
+    this.dbPath = path.join(__dirname, 'image_database.json'); // Путь для совместимости со старой версией
+    this.sqliteDbPath = path.join(__dirname, 'image_database.sqlite'); // Путь к файлу SQLite БД
+    this.db = null; // Экземпляр SQLite базы данных
+    this.loaded = false;
+    this.useSqlite = true; // Флаг использования SQLite
+    this.exclusiveTail = Promise.resolve(); // Последняя задача в очереди runExclusive
+  }
+
+  /**
+   * Открывает SQLite базу данных и применяет к ней миграции схемы (см. schemaMigrations)
+   * @private
+   */
+  async _initSqliteDb() {
+    await this._openSqliteDb();
+    
+    try {
+      await schemaMigrations.migrate(this);
+    } catch (err) {
+      // Ошибка миграции останавливает загрузку: переход на JSON базу разделил бы данные
+      err.migrationFailed = true;
+      throw err;
+    }
+    
+    console.log('SQLite база данных инициализирована успешно');
+  }
+
+  /**
+   * Открывает файл SQLite базы данных
+   * @param {number} [mode] - режим открытия sqlite3 (по умолчанию файл создается, если его нет)
+   * @private
+   */
+  async _openSqliteDb(mode = sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE) {
+    await new Promise((resolve, reject) => {
+      this.db = new sqlite3.Database(this.sqliteDbPath, mode, (err) => {
+        if (err) {
+          console.error('Ошибка при открытии SQLite базы данных:', err);
+          reject(err);
+          return;
+        }
+        
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Применяет ожидающие миграции схемы без загрузки базы (скрипт migrateDatabase.js).
+   * При пробном запуске миграции выполняются и откатываются, база не меняется.
+   * Файл базы должен существовать: новая база создается ботом при запуске
+   * @param {Object} [options] - { dryRun }
+   * @returns {Promise<Object>} - результат schemaMigrations.migrate
+   */
+  async migrateSchema(options = {}) {
+    if (!this.db) {
+      if (!fs.existsSync(this.sqliteDbPath)) {
+        throw new Error(`SQLite база данных не найдена: ${this.sqliteDbPath}`);
+      }
+      
+      await this._openSqliteDb(sqlite3.OPEN_READWRITE);
+    }
+    
+    return await schemaMigrations.migrate(this, options);
+  }
+
+  /**
+   * Создает таблицы исходной схемы - первая миграция схемы. Таблицы создаются только
+   * если их нет, а колонки, появившиеся до миграций, добавляются к таблицам прежних версий
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _createBaseSchema() {
+    try {
+      // Создаем таблицу, если она не существует
+      await this._run(`CREATE TABLE IF NOT EXISTS images (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        fileId TEXT,
+        hash TEXT,
+        messageId INTEGER,
+        chatId TEXT,
+        userId TEXT,
+        fileSize INTEGER,
+        width INTEGER,
+        height INTEGER,
+        timestamp INTEGER,
+        source TEXT,
+        addedAt TEXT,
+        contentHash TEXT,
+        hashVersion TEXT,
+        mediaType TEXT,
+        jpegQuality INTEGER,
+        blockiness REAL,
+        forwardChatId TEXT,
+        forwardMessageId INTEGER,
+        forwardDate INTEGER,
+        forwardName TEXT,
+        UNIQUE(fileId)
+      )`);
+      
+      // Базы, созданные до появления хеша содержимого и версий хешей, дополняем новыми колонками
+      await this._ensureColumn('images', 'contentHash', 'TEXT');
+      await this._ensureColumn('images', 'hashVersion', 'TEXT');
+      await this._ensureColumn('images', 'mediaType', 'TEXT');
+      
+      // Качество JPEG, блочность и заголовок пересылки нужны для определения оригинала
+      // и лучшей копии в кластере дубликатов
+      await this._ensureColumn('images', 'jpegQuality', 'INTEGER');
+      await this._ensureColumn('images', 'blockiness', 'REAL');
+      await this._ensureColumn('images', 'forwardChatId', 'TEXT');
+      await this._ensureColumn('images', 'forwardMessageId', 'INTEGER');
+      await this._ensureColumn('images', 'forwardDate', 'INTEGER');
+      await this._ensureColumn('images', 'forwardName', 'TEXT');
+      
+      // Создаем индекс для ускорения поиска по хешу
+      await this._run(`CREATE INDEX IF NOT EXISTS idx_hash ON images(hash)`);
+      await this._run(`CREATE INDEX IF NOT EXISTS idx_content_hash ON images(contentHash)`);
+      
+      // Хеши изображения, вычисленные разными алгоритмами (с размером каждого хеша)
+      await this._run(`CREATE TABLE IF NOT EXISTS image_hashes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        fileId TEXT,
+        algorithm TEXT,
+        hashSize INTEGER,
+        hash TEXT,
+        version TEXT,
+        UNIQUE(fileId, algorithm)
+      )`);
+      await this._ensureColumn('image_hashes', 'version', 'TEXT');
+      await this._run(`CREATE INDEX IF NOT EXISTS idx_image_hashes_file ON image_hashes(fileId)`);
+      
+      // Хеши преобразований изображения (повороты, отражения) для поиска измененных копий
+      await this._run(`CREATE TABLE IF NOT EXISTS image_hash_variants (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        fileId TEXT,
+        variant TEXT,
+        algorithm TEXT,
+        hashSize INTEGER,
+        hash TEXT,
+        version TEXT,
+        UNIQUE(fileId, variant, algorithm)
+      )`);
+      await this._ensureColumn('image_hash_variants', 'version', 'TEXT');
+      await this._run(`CREATE INDEX IF NOT EXISTS idx_image_hash_variants_file ON image_hash_variants(fileId)`);
+      
+      // Ключевые точки изображений для проверки сомнительных кандидатов (в память не загружаются)
+      await this._run(`CREATE TABLE IF NOT EXISTS image_features (
+        fileId TEXT PRIMARY KEY,
+        features TEXT
+      )`);
+      
+      // Реестр водяных знаков каналов (шаблоны watermarkDetector в JSON)
+      await this._run(`CREATE TABLE IF NOT EXISTS watermarks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        channel TEXT,
+        template TEXT,
+        addedBy TEXT,
+        addedAt TEXT
+      )`);
+      
+      // Водяные знаки, найденные на изображениях (область в долях сторон изображения, в JSON)
+      await this._run(`CREATE TABLE IF NOT EXISTS image_watermarks (
+        fileId TEXT,
+        watermarkId INTEGER,
+        score REAL,
+        region TEXT,
+        UNIQUE(fileId, watermarkId)
+      )`);
+      await this._run(`CREATE INDEX IF NOT EXISTS idx_image_watermarks_file ON image_watermarks(fileId)`);
+      
+      // Кластеры дубликатов: при слиянии кластер получает parentId кластера, в который он влит,
+      // поэтому ID кластера изображения - корень цепочки parentId (самый ранний из слитых кластеров)
+      await this._run(`CREATE TABLE IF NOT EXISTS clusters (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        parentId INTEGER,
+        representativeFileId TEXT,
+        createdAt TEXT,
+        updatedAt TEXT
+      )`);
+      
+      // Изображения кластеров и совпадение, по которому изображение попало в кластер
+      await this._run(`CREATE TABLE IF NOT EXISTS cluster_members (
+        fileId TEXT PRIMARY KEY,
+        clusterId INTEGER,
+        linkedFileId TEXT,
+        similarity REAL,
+        matchType TEXT,
+        matchTransform TEXT,
+        addedAt TEXT
+      )`);
+      await this._run(`CREATE INDEX IF NOT EXISTS idx_cluster_members_cluster ON cluster_members(clusterId)`);
+      
+      // Связи коллажей с изображениями, найденными среди их плиток
+      await this._run(`CREATE TABLE IF NOT EXISTS collage_links (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        collageFileId TEXT,
+        imageFileId TEXT,
+        tileIndex INTEGER,
+        gridRows INTEGER,
+        gridCols INTEGER,
+        similarity REAL,
+        addedAt TEXT,
+        UNIQUE(collageFileId, imageFileId, tileIndex)
+      )`);
+      await this._run(`CREATE INDEX IF NOT EXISTS idx_collage_links_image ON collage_links(imageFileId)`);
+      
+      // Отпечатки уже скачанных медиафайлов по их идентификаторам в Telegram
+      await this._run(`CREATE TABLE IF NOT EXISTS media_cache (
+        mediaKey TEXT PRIMARY KEY,
+        fileName TEXT,
+        contentHash TEXT,
+        hashes TEXT,
+        variants TEXT,
+        settings TEXT,
+        addedAt TEXT
+      )`);
+      await this._ensureColumn('media_cache', 'features', 'TEXT');
+      await this._ensureColumn('media_cache', 'watermarks', 'TEXT');
+      await this._ensureColumn('media_cache', 'jpegQuality', 'INTEGER');
+      await this._ensureColumn('media_cache', 'blockiness', 'REAL');
+      
+      // Состояние фоновых задач (например, перехеширования), чтобы продолжать их после перезапуска
+      await this._run(`CREATE TABLE IF NOT EXISTS job_state (
+        name TEXT PRIMARY KEY,
+        state TEXT,
+        updatedAt TEXT
+      )`);
+      
+      // Настройки, измененные командами бота и скриптами калибровки (значения в JSON)
+      await this._run(`CREATE TABLE IF NOT EXISTS settings (
+        name TEXT PRIMARY KEY,
+        value TEXT,
+        updatedAt TEXT
+      )`);
+    } catch (err) {
+      console.error('Ошибка при создании таблиц:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Выполняет изменяющий SQL-запрос
+   * @param {string} sql - SQL-запрос
+   * @param {Array} params - параметры запроса
+   * @returns {Promise<number>} - количество измененных строк
+   * @private
+   */
+  _run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        
+        resolve(this.changes);
+      });
+    });
+  }
+
+  /**
+   * Добавляет колонку в таблицу, если ее еще нет
+   * @param {string} table - название таблицы
+   * @param {string} column - название колонки
+   * @param {string} type - тип колонки
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _ensureColumn(table, column, type) {
+    const columns = await this._queryAll(`PRAGMA table_info(${table})`);
+    
+    if (!columns.some(info => info.name === column)) {
+      await this._run(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+      console.log(`В таблицу ${table} добавлена колонка ${column}`);
+    }
+  }
+
+  /**
+   * Выполняет SELECT-запрос к SQLite и возвращает все строки
+   * @param {string} sql - SQL-запрос
+   * @param {Array} params - параметры запроса
+   * @returns {Promise<Array>} - строки результата
+   * @private
+   */
+  _queryAll(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        
+        resolve(rows);
+      });
+    });
+  }
+
+  /**
+   * Выполняет SELECT-запрос к SQLite и передает строки по одной, не собирая их в массив
+   * @param {string} sql - SQL-запрос
+   * @param {Array} params - параметры запроса
+   * @param {Function} onRow - вызывается для каждой строки
+   * @returns {Promise<number>} - количество строк
+   * @private
+   */
+  _each(sql, params, onRow) {
+    return new Promise((resolve, reject) => {
+      let rowError = null;
+      
+      this.db.each(sql, params, (err, row) => {
+        if (err || rowError) {
+          rowError = rowError || err;
+          return;
+        }
+        
+        try {
+          onRow(row);
+        } catch (callbackErr) {
+          rowError = callbackErr;
+        }
+      }, (err, count) => {
+        if (err || rowError) {
+          reject(err || rowError);
+          return;
+        }
+        
+        resolve(count);
+      });
+    });
+  }
+
+  /**
+   * Строит индекс хешей по всем изображениям из SQLite и загружает
+   * в кэш в памяти только последние config.maxImagesInMemory записей
+   * @private
+   */
+  async _loadImagesFromSqlite() {
+    try {
+      // Для индекса достаточно хешей, полные записи читаются по запросу. Хеши и хеши
+      // преобразований читаются потоком: в памяти остается только индекс
+      this._clearIndexes();
+      await this._each(`SELECT fileId, algorithm, hash, version FROM image_hashes`, [], row => {
+        this._indexHashes(row.fileId, { [row.algorithm]: row.hash }, row.version);
+      });
+      await this._each(`SELECT fileId, variant, algorithm, hash, version FROM image_hash_variants`, [], row => {
+        this._indexVariant(row.fileId, row.variant, { [row.algorithm]: row.hash }, row.version);
+      });
+      
+      // Записи, добавленные до появления image_hashes, хранят один хеш основного алгоритма
+      await this._each(
+        `SELECT fileId, hash, hashVersion FROM images WHERE fileId NOT IN (SELECT fileId FROM image_hashes)`,
+        [],
+        image => this._indexImage(image.fileId, imageHasher.toHashSet(image.hash), {}, image.hashVersion)
+      );
+      
+      const [{ count }] = await this._queryAll(`SELECT COUNT(*) AS count FROM images`);
+      const recent = config.maxImagesInMemory > 0
+        ? await this._queryAll(`SELECT * FROM images ORDER BY id DESC LIMIT ?`, [config.maxImagesInMemory])
+        : [];
+      this._setCache(recent.reverse().map(row => this._withHashes(row)));
+      
+      console.log(`Проиндексировано ${this._getIndexedCount()} из ${count} изображений SQLite базы данных ` +
+        `(версии хешей: ${[...this.hashIndexes.keys()].join(', ') || 'нет'}), в кэше ${this.images.length}`);
+    } catch (err) {
+      console.error('Ошибка при загрузке данных из SQLite:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Загружает кластеры дубликатов из SQLite в память
+   * @private
+   */
+  async _loadClustersFromSqlite() {
+    try {
+      const clusters = await this._queryAll(`SELECT * FROM clusters ORDER BY id`);
+      const members = await this._queryAll(`SELECT * FROM cluster_members`);
+      
+      this._clearClusters();
+      for (const cluster of clusters) {
+        this.clusters.set(cluster.id, { id: cluster.id, representativeFileId: cluster.representativeFileId, createdAt: cluster.createdAt });
+        this.clusterSets.add(cluster.id, cluster.parentId || cluster.id);
+      }
+      for (const member of members) {
+        this.clusterMembers.set(member.fileId, member);
+        this._indexClusterMember(member);
+      }
+      
+      console.log(`Загружено кластеров дубликатов: ${clusters.length}, изображений в них: ${members.length}`);
+    } catch (err) {
+      console.error('Ошибка при загрузке кластеров из SQLite:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Загружает базу данных
+   * (Автоматически использует SQLite если доступно, иначе использует JSON).
+   * Если миграция схемы SQLite не применилась, выбрасывает ошибку и на JSON не переключается
+   */
+  async load() {
+    // Отпечатки скачанных медиафайлов кэшируются в этой же базе
+    imageHasher.setCacheStore(this);
+    
+    try {
+      if (this.useSqlite) {
+        try {
+          // Инициализируем SQLite
+          await this._initSqliteDb();
+          
+          // Если существует старая JSON база, импортируем её
+          if (fs.existsSync(this.dbPath) && !fs.existsSync(this.sqliteDbPath)) {
+            console.log('Обнаружена старая JSON база данных, импортируем в SQLite...');
+            const data = await readFileAsync(this.dbPath, 'utf8');
+            const jsonImages = JSON.parse(data);
+            
+            // Импортируем данные
+            for (const img of jsonImages) {
+              await this._addImageToSqlite(img);
+            }
+            
+            console.log(`Импортировано ${jsonImages.length} изображений из JSON в SQLite`);
+            
+            // Переименовываем старый файл в .bak
+            fs.renameSync(this.dbPath, `${this.dbPath}.bak`);
+          }
+          
+          // Загружаем данные из SQLite в память
+          await this._loadImagesFromSqlite();
+          await this._loadClustersFromSqlite();
+          this.loaded = true;
+        } catch (sqliteError) {
+          if (sqliteError.migrationFailed) {
+            throw sqliteError;
+          }
+          
+          console.error('Ошибка при работе с SQLite:', sqliteError);
+          console.log('Переключаемся на использование JSON базы данных');
+          this.useSqlite = false;
+          await this._loadFromJson();
+        }
+      } else {
+        // Используем старый JSON формат
+        await this._loadFromJson();
+      }
+    } catch (error) {
+      if (error.migrationFailed) {
+        console.error(`Не удалось обновить схему SQLite базы данных, загрузка остановлена: ${error.message}`);
+        if (error.backupPath) {
+          console.error(`Копия базы перед миграцией: ${error.backupPath}`);
+        }
+        throw error;
+      }
+      
+      console.error('Ошибка при загрузке базы данных:', error);
+      this._setImages([]);
+    }
+  }
+
+  /**
+   * Загружает базу данных из JSON формата (старый метод)
+   * @private
+   */
+  async _loadFromJson() {
+    try {
+      if (fs.existsSync(this.dbPath)) {
+        const data = await readFileAsync(this.dbPath, 'utf8');
+        this._setImages(JSON.parse(data));
+        console.log(`Загружено ${this.images.length} изображений из JSON базы данных`);
+      } else {
+        this._setImages([]);
+        console.log('JSON база данных не найдена, создаем новую');
+      }
+      this.loaded = true;
+    } catch (error) {
+      console.error('Ошибка при загрузке из JSON:', error);
+      this._setImages([]);
+    }
+  }
+
+  /**
+   * Заменяет содержимое кэша в памяти и перестраивает индекс хешей
+   * @param {Array} images - массив изображений
+   * @private
+   */
+  _setImages(images) {
+    this._setCache(images);
+    this._clearIndexes();
+    
+    for (const image of images) {
+      this._indexImage(image.fileId, image.hashes || imageHasher.toHashSet(image.hash), image.variants, image.hashVersion);
+    }
+  }
+
+  /**
+   * Заменяет содержимое кэша в памяти
+   * @param {Array} images - массив изображений
+   * @private
+   */
+  _setCache(images) {
+    this.images = images;
+    this.imagesById = new Map(images.map(img => [img.fileId, img]));
+  }
+
+  /**
+   * Добавляет изображение в кэш в памяти и в индекс хешей
+   * @param {Object} imageInfo - информация об изображении
+   * @private
+   */
+  _cacheImage(imageInfo) {
+    this.images.push(imageInfo);
+    this.imagesById.set(imageInfo.fileId, imageInfo);
+    this._indexImage(imageInfo.fileId, imageInfo.hashes || imageHasher.toHashSet(imageInfo.hash), imageInfo.variants, imageInfo.hashVersion);
+    
+    // В режиме SQLite кэш только ускоряет выдачу результатов: при достижении лимита
+    // удаляем самые старые записи, в индексе и в базе они остаются.
+    // В режиме JSON массив и есть хранилище, поэтому он не обрезается
+    if (this.useSqlite && this.images.length > config.maxImagesInMemory) {
+      this._setCache(_.takeRight(_.sortBy(this.images, 'addedAt'), config.maxImagesInMemory));
+    }
+  }
+
+  /**
+   * Удаляет изображение из кэша в памяти и из индекса хешей
+   * @param {string} fileId - ID файла
+   * @returns {boolean} - true, если изображение было в кэше
+   * @private
+   */
+  _uncacheImage(fileId) {
+    const initialLength = this.images.length;
+    this.images = this.images.filter(img => img.fileId !== fileId);
+    this.imagesById.delete(fileId);
+    this._unindexImage(fileId);
+    return initialLength !== this.images.length;
+  }
+
+  /**
+   * Возвращает индекс хешей для метки версии, создавая его при необходимости
+   * @param {string} tag - метка версии хеша (алгоритм:размер:версия)
+   * @returns {HashIndex} - индекс хешей
+   * @private
+   */
+  _getIndex(tag) {
+    if (!this.hashIndexes.has(tag)) {
+      this.hashIndexes.set(tag, new HashIndex());
+    }
+    
+    return this.hashIndexes.get(tag);
+  }
+
+  /**
+   * Добавляет набор хешей записи в индексы их версий: хеши разных версий
+   * попадают в разные индексы и между собой не сравниваются
+   * @param {string} entryId - ID записи индекса (fileId или fileId#variant)
+   * @param {Object} hashes - набор хешей { алгоритм: хеш }
+   * @param {string|null} hashVersion - версия реализации хеширования (null для старых записей)
+   * @private
+   */
+  _indexHashes(entryId, hashes, hashVersion) {
+    for (const [algorithm, hash] of Object.entries(hashes)) {
+      if (imageHasher.isBinaryHash(hash)) {
+        this._getIndex(imageHasher.getHashTag(algorithm, imageHasher.getHashSize(hash), hashVersion)).add(entryId, hash);
+      }
+    }
+  }
+
+  /**
+   * Добавляет все хеши изображения в индексы соответствующих алгоритмов и версий
+   * @param {string} fileId - ID файла
+   * @param {Object} hashes - набор хешей { алгоритм: хеш }
+   * @param {Object} [variants] - хеши преобразований { преобразование: набор хешей }
+   * @param {string|null} [hashVersion] - версия реализации хеширования
+   * @private
+   */
+  _indexImage(fileId, hashes, variants = {}, hashVersion = null) {
+    this._indexHashes(fileId, hashes, hashVersion);
+    
+    for (const [variant, variantHashes] of Object.entries(variants || {})) {
+      this._indexVariant(fileId, variant, variantHashes, hashVersion);
+    }
+  }
+
+  /**
+   * Добавляет хеши преобразования изображения в индексы под ID вида fileId#variant
+   * @param {string} fileId - ID файла
+   * @param {string} variant - название преобразования
+   * @param {Object} hashes - набор хешей { алгоритм: хеш }
+   * @param {string|null} [hashVersion] - версия реализации хеширования
+   * @private
+   */
+  _indexVariant(fileId, variant, hashes, hashVersion = null) {
+    const entryId = `${fileId}#${variant}`;
+    
+    this._indexHashes(entryId, hashes, hashVersion);
+    
+    if (!this.variantEntries.has(fileId)) {
+      this.variantEntries.set(fileId, new Set());
+    }
+    this.variantEntries.get(fileId).add(entryId);
+  }
+
+  /**
+   * Разбирает ID записи индекса на ID файла и название варианта
+   * @param {string} entryId - ID записи индекса (fileId или fileId#variant)
+   * @returns {Object} - { fileId, variant }
+   * @private
+   */
+  _parseEntryId(entryId) {
+    const separator = entryId.lastIndexOf('#');
+    
+    if (separator === -1) {
+      return { fileId: entryId, variant: imageHasher.ORIGINAL_VARIANT };
+    }
+    
+    return { fileId: entryId.slice(0, separator), variant: entryId.slice(separator + 1) };
+  }
+
+  /**
+   * Удаляет изображение и хеши его преобразований из индексов всех алгоритмов
+   * @param {string} fileId - ID файла
+   * @private
+   */
+  _unindexImage(fileId) {
+    const entryIds = [fileId, ...(this.variantEntries.get(fileId) || [])];
+    
+    for (const index of this.hashIndexes.values()) {
+      for (const entryId of entryIds) {
+        index.remove(entryId);
+      }
+    }
+    
+    this.variantEntries.delete(fileId);
+  }
+
+  /**
+   * Очищает индексы хешей
+   * @private
+   */
+  _clearIndexes() {
+    this.hashIndexes.clear();
+    this.variantEntries.clear();
+  }
+
+  /**
+   * Возвращает количество изображений, у которых есть хотя бы один проиндексированный хеш
+   * @returns {number}
+   * @private
+   */
+  _getIndexedCount() {
+    const ids = new Set();
+    for (const index of this.hashIndexes.values()) {
+      for (const id of index.hashById.keys()) {
+        ids.add(this._parseEntryId(id).fileId);
+      }
+    }
+    return ids.size;
+  }
+
+  /**
+   * Возвращает наибольшее количество записей преобразований у одного изображения
+   * @returns {number}
+   * @private
+   */
+  _getMaxVariantsPerImage() {
+    let max = 0;
+    for (const entryIds of this.variantEntries.values()) {
+      max = Math.max(max, entryIds.size);
+    }
+    return max;
+  }
+
+  /**
+   * Собирает набор хешей изображения (или его преобразования) из индексов.
+   * Берутся только хеши текущей версии: хеши старых версий несравнимы с новыми
+   * @param {string} entryId - ID файла или ID записи преобразования fileId#variant
+   * @returns {Object} - набор хешей { алгоритм: хеш }
+   * @private
+   */
+  _getHashSet(entryId) {
+    const hashes = {};
+    for (const [tag, index] of this.hashIndexes) {
+      const hash = index.hashById.get(entryId);
+      if (hash && imageHasher.isCurrentHashTag(tag)) {
+        hashes[imageHasher.parseHashTag(tag).algorithm] = hash;
+      }
+    }
+    return hashes;
+  }
+
+  /**
+   * Проверяет, что у изображения есть хеши текущей версии всеми настроенными алгоритмами
+   * @param {string} fileId - ID файла
+   * @returns {boolean} - false, если изображение нужно перехешировать
+   */
+  isHashSetCurrent(fileId) {
+    return imageHasher.getHashMethods().every(algorithm => {
+      const index = this.hashIndexes.get(imageHasher.getCurrentHashTag(algorithm));
+      return Boolean(index) && index.hashById.has(fileId);
+    });
+  }
+
+  /**
+   * Дополняет запись изображения набором хешей из индексов
+   * @param {Object} image - запись изображения
+   * @returns {Object} - запись с полем hashes
+   * @private
+   */
+  _withHashes(image) {
+    return { ...image, hashes: this._getHashSet(image.fileId) };
+  }
+
+  /**
+   * Сохраняет базу данных
+   */
+  async save() {
+    if (this.useSqlite) {
+      console.log(`Данные в SQLite уже сохранены автоматически (${this._getIndexedCount()} изображений в индексе)`);
+      return;
+    }
+    
+    // Если не используется SQLite, сохраняем в JSON
+    try {
+      const data = JSON.stringify(this.images, null, 2);
+      await writeFileAsync(this.dbPath, data, 'utf8');
+      console.log(`Сохранено ${this.images.length} изображений в JSON базу данных`);
+    } catch (error) {
+      console.error('Ошибка при сохранении JSON базы данных:', error);
+    }
+  }
+
+  /**
+   * Добавляет новое изображение в SQLite базу данных
+   * @param {Object} imageInfo - информация об изображении
+   * @returns {Promise<boolean>} - успешно ли добавлено изображение
+   * @private
+   */
+  async _addImageToSqlite(imageInfo) {
+    const added = await new Promise((resolve, reject) => {
+      const stmt = this.db.prepare(`
+        INSERT OR IGNORE INTO images 
+        (fileId, hash, messageId, chatId, userId, fileSize, width, height, timestamp, source, addedAt, contentHash, hashVersion, mediaType,
+          jpegQuality, blockiness, forwardChatId, forwardMessageId, forwardDate, forwardName, date, channelUsername, messageLink, messageRowId)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      
+      stmt.run(
+        imageInfo.fileId,
+        imageInfo.hash,
+        imageInfo.messageId,
+        imageInfo.chatId,
+        imageInfo.userId,
+        imageInfo.fileSize || 0,
+        imageInfo.width || 0,
+        imageInfo.height || 0,
+        imageInfo.timestamp || Math.floor(Date.now() / 1000),
+        imageInfo.source || 'unknown',
+        imageInfo.addedAt || new Date().toISOString(),
+        imageInfo.contentHash || null,
+        imageInfo.hashVersion || null,
+        imageInfo.mediaType || 'photo',
+        imageInfo.jpegQuality || null,
+        imageInfo.blockiness || null,
+        imageInfo.forwardChatId || null,
+        imageInfo.forwardMessageId || null,
+        imageInfo.forwardDate || null,
+        imageInfo.forwardName || null,
+        imageInfo.date || null,
+        imageInfo.channelUsername || null,
+        imageInfo.messageLink || null,
+        imageInfo.messageRowId || null,
+        function(err) {
+          if (err) {
+            console.error('Ошибка при добавлении изображения в SQLite:', err);
+            resolve(false);
+            return;
+          }
+          
+          // Изображение успешно добавлено
+          resolve(this.changes > 0);
+        }
+      );
+      
+      stmt.finalize();
+    });
+    
+    if (added) {
+      await this._addFingerprintToSqlite(imageInfo);
+    }
+    
+    return added;
+  }
+
+  /**
+   * Сохраняет хеши изображения и его преобразований в таблицы image_hashes и image_hash_variants,
+   * ключевые точки (если они вычислены) - в таблицу image_features,
+   * а найденные водяные знаки - в таблицу image_watermarks
+   * @param {Object} imageInfo - { fileId, hashes, variants, hashVersion, features, watermarks }
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _addFingerprintToSqlite(imageInfo) {
+    if (imageInfo.hashes) {
+      await this._addHashesToSqlite(imageInfo.fileId, imageInfo.hashes, null, imageInfo.hashVersion);
+    }
+    
+    for (const [variant, hashes] of Object.entries(imageInfo.variants || {})) {
+      await this._addHashesToSqlite(imageInfo.fileId, hashes, variant, imageInfo.hashVersion);
+    }
+    
+    if (imageInfo.features) {
+      try {
+        await this._run(
+          `INSERT OR REPLACE INTO image_features (fileId, features) VALUES (?, ?)`,
+          [imageInfo.fileId, JSON.stringify(imageInfo.features)]
+        );
+      } catch (err) {
+        console.error('Ошибка при сохранении ключевых точек в SQLite:', err);
+      }
+    }
+    
+    if (imageInfo.watermarks) {
+      try {
+        for (const watermark of imageInfo.watermarks) {
+          await this._run(
+            `INSERT OR REPLACE INTO image_watermarks (fileId, watermarkId, score, region) VALUES (?, ?, ?, ?)`,
+            [imageInfo.fileId, watermark.watermarkId, watermark.score, JSON.stringify(watermark.region)]
+          );
+        }
+      } catch (err) {
+        console.error('Ошибка при сохранении водяных знаков изображения в SQLite:', err);
+      }
+    }
+  }
+
+  /**
+   * Сохраняет набор хешей изображения в таблицу image_hashes
+   * (или хеши преобразования изображения в таблицу image_hash_variants)
+   * @param {string} fileId - ID файла
+   * @param {Object} hashes - набор хешей { алгоритм: хеш }
+   * @param {string} [variant] - название преобразования
+   * @param {string} [hashVersion] - версия реализации хеширования
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _addHashesToSqlite(fileId, hashes, variant, hashVersion = null) {
+    for (const [algorithm, hash] of Object.entries(hashes)) {
+      if (!imageHasher.isBinaryHash(hash)) {
+        continue;
+      }
+      
+      try {
+        await this._insertHash(fileId, algorithm, hash, variant, hashVersion);
+      } catch (err) {
+        console.error(`Ошибка при сохранении хеша ${algorithm} в SQLite:`, err);
+      }
+    }
+  }
+
+  /**
+   * Сохраняет один хеш изображения (или его преобразования); ошибка записи не перехватывается
+   * @param {string} fileId - ID файла
+   * @param {string} algorithm - алгоритм хеширования
+   * @param {string} hash - двоичный хеш
+   * @param {string} [variant] - название преобразования
+   * @param {string} [hashVersion] - версия реализации хеширования
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _insertHash(fileId, algorithm, hash, variant, hashVersion = null) {
+    const hashSize = imageHasher.getHashSize(hash);
+    
+    if (variant) {
+      await this._run(
+        `INSERT OR REPLACE INTO image_hash_variants (fileId, variant, algorithm, hashSize, hash, version) VALUES (?, ?, ?, ?, ?, ?)`,
+        [fileId, variant, algorithm, hashSize, hash, hashVersion]
+      );
+    } else {
+      await this._run(
+        `INSERT OR REPLACE INTO image_hashes (fileId, algorithm, hashSize, hash, version) VALUES (?, ?, ?, ?, ?)`,
+        [fileId, algorithm, hashSize, hash, hashVersion]
+      );
+    }
+  }
+
+  /**
+   * Возвращает ID канала сообщения изображения без префикса -100
+   * @param {Object} imageInfo - { chatId, channel }
+   * @returns {string} - ID канала (пустая строка, если он неизвестен)
+   * @private
+   */
+  _getMessageChatId(imageInfo) {
+    return telegramForwards.normalizeChatId(imageInfo.chatId || (imageInfo.channel && imageInfo.channel.id));
+  }
+
+  /**
+   * Возвращает ID записи изображения. Записи уникальны по fileId, а один и тот же файл (тот же file_id
+   * Bot API или ID фото MTProto) может быть опубликован в нескольких сообщениях: пересылки и повторные
+   * публикации в других каналах. Файл из другого сообщения сохраняется отдельной записью с ID
+   * <fileId>@<ID канала>:<ID сообщения>, чтобы попасть в кластер дубликатов, отчеты и поиск оригинала
+   * @param {Object} imageInfo - информация об изображении
+   * @param {number|null} messageRowId - ID записи сообщения изображения
+   * @returns {Promise<string>} - ID записи
+   * @private
+   */
+  async _getRecordFileId(imageInfo, messageRowId) {
+    const { fileId } = imageInfo;
+    if (messageRowId === null) {
+      return fileId;
+    }
+    
+    const existing = (await this._getImageMap([fileId])).get(fileId);
+    if (!existing || !existing.messageRowId || existing.messageRowId === messageRowId) {
+      return fileId;
+    }
+    
+    return `${fileId}${REPOST_SEPARATOR}${this._getMessageChatId(imageInfo)}:${imageInfo.messageId}`;
+  }
+
+  /**
+   * Возвращает ID файла Telegram по ID записи изображения (без сообщения повторной публикации)
+   * @param {string} fileId - ID записи изображения
+   * @returns {string} - file_id Bot API или имя файла MTProto
+   */
+  getMediaFileId(fileId) {
+    return String(fileId).split(REPOST_SEPARATOR)[0];
+  }
+
+  /**
+   * Сохраняет канал и сообщение изображения в таблицы channels и messages (в режиме JSON - в память).
+   * Известные ранее сведения не затираются пустыми: например, сообщение, сохраненное
+   * облегченным сканированием, получает подпись, когда его обрабатывает другой сканер
+   * @param {Object} imageInfo - { chatId, messageId, timestamp, channel, caption, views, forward... }
+   *   (channel, caption и views - см. telegramMessages)
+   * @returns {Promise<number|null>} - ID записи сообщения или null, если сообщение неизвестно
+   * @private
+   */
+  async _saveMessage(imageInfo) {
+    const channel = imageInfo.channel || null;
+    const chatId = this._getMessageChatId(imageInfo);
+    if (!chatId || chatId === '0' || imageInfo.messageId === null || imageInfo.messageId === undefined) {
+      return null;
+    }
+    
+    const updatedAt = new Date().toISOString();
+    const message = {
+      chatId,
+      messageId: imageInfo.messageId,
+      date: imageInfo.timestamp || null,
+      caption: imageInfo.caption || null,
+      views: imageInfo.views || null,
+      forwardChatId: imageInfo.forwardChatId || null,
+      forwardMessageId: imageInfo.forwardMessageId || null,
+      forwardDate: imageInfo.forwardDate || null,
+      forwardName: imageInfo.forwardName || null,
+      updatedAt
+    };
+    const channelRecord = {
+      id: chatId,
+      title: channel ? channel.title : null,
+      username: (channel && channel.username) || imageInfo.channelUsername || null,
+      type: channel ? channel.type : null,
+      updatedAt
+    };
+    
+    if (!this.useSqlite) {
+      // Как и в SQLite, пустые значения не затирают известные
+      const keepKnown = (known, value) => value === null ? known : value;
+      this.channels.set(chatId, _.assignWith({ ...this.channels.get(chatId) }, channelRecord, keepKnown));
+      
+      const key = `${chatId}:${message.messageId}`;
+      const known = this.messages.get(key) || { id: this.nextMessageId++ };
+      this.messages.set(key, _.assignWith({ ...known }, message, keepKnown));
+      return this.messages.get(key).id;
+    }
+    
+    try {
+      await this._run(
+        `INSERT INTO channels (id, title, username, type, updatedAt) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(id) DO UPDATE SET
+           title = COALESCE(excluded.title, title),
+           username = COALESCE(excluded.username, username),
+           type = COALESCE(excluded.type, type),
+           updatedAt = excluded.updatedAt`,
+        [channelRecord.id, channelRecord.title, channelRecord.username, channelRecord.type, updatedAt]
+      );
+      await this._run(
+        `INSERT INTO messages (chatId, messageId, date, caption, views, forwardChatId, forwardMessageId, forwardDate, forwardName, updatedAt)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(chatId, messageId) DO UPDATE SET
+           date = COALESCE(excluded.date, date),
+           caption = COALESCE(excluded.caption, caption),
+           views = COALESCE(excluded.views, views),
+           forwardChatId = COALESCE(excluded.forwardChatId, forwardChatId),
+           forwardMessageId = COALESCE(excluded.forwardMessageId, forwardMessageId),
+           forwardDate = COALESCE(excluded.forwardDate, forwardDate),
+           forwardName = COALESCE(excluded.forwardName, forwardName),
+           updatedAt = excluded.updatedAt`,
+        [message.chatId, message.messageId, message.date, message.caption, message.views, message.forwardChatId,
+          message.forwardMessageId, message.forwardDate, message.forwardName, updatedAt]
+      );
+      
+      const [row] = await this._queryAll(`SELECT id FROM messages WHERE chatId = ? AND messageId = ?`, [chatId, message.messageId]);
+      return row ? row.id : null;
+    } catch (err) {
+      console.error('Ошибка при сохранении канала и сообщения в SQLite:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Регистрирует новое изображение: ищет сначала точные копии, затем визуально похожие
+   * изображения, сохраняет изображение, связывает его с плитками найденных коллажей и добавляет
+   * в кластер дубликатов. Изображения, хешируемые параллельно, проходят этот шаг по очереди
+   * (runExclusive) и находят друг друга
+   * @param {Object} imageInfo - информация об изображении (см. addImage); получает поле clusterId
+   * @returns {Promise<Array>} - найденные копии (см. findDuplicates)
+   */
+  async registerImage(imageInfo) {
+    return await this.runExclusive(async () => {
+      const { contentHash, hashes, variants, features } = imageInfo;
+      const matches = await this.findDuplicates(contentHash, hashes, variants, features);
+      
+      await this.addImage(imageInfo);
+      await this.linkCollageTiles(imageInfo.fileId, matches);
+      imageInfo.clusterId = await this.addToCluster(imageInfo.fileId, matches);
+      return matches;
+    });
+  }
+
+  /**
+   * Добавляет новое изображение в базу данных
+   * @param {Object} imageInfo - информация об изображении; channel, caption и views
+   *   (см. telegramMessages) сохраняются в таблицы каналов и сообщений. Если файл уже сохранен
+   *   из другого сообщения, imageInfo.fileId заменяется на ID отдельной записи (см. _getRecordFileId)
+   * @returns {boolean} - true, если изображение успешно добавлено
+   */
+  async addImage(imageInfo) {
+    // Проверяем, загружена ли база данных
+    if (!this.loaded) {
+      throw new Error('База данных не загружена');
+    }
+
+    // Канал и сообщение сохраняются отдельно, запись изображения ссылается на сообщение
+    const messageRowId = await this._saveMessage(imageInfo);
+    imageInfo.fileId = await this._getRecordFileId(imageInfo, messageRowId);
+    const { channel, caption, views, ...record } = imageInfo;
+    
+    // Используем SQLite, если доступно
+    if (this.useSqlite) {
+      const added = await this._addImageToSqlite({ ...record, messageRowId });
+      
+      if (added) {
+        // Добавляем в кэш в памяти и в индекс; ключевые точки и водяные знаки читаются из базы по запросу
+        const { features, watermarks, ...cachedInfo } = record;
+        this._cacheImage({
+          ...cachedInfo,
+          messageRowId,
+          addedAt: imageInfo.addedAt || new Date().toISOString()
+        });
+      }
+      
+      return added;
+    } else {
+      // Старый метод с JSON
+      const exists = this.images.some(img => img.fileId === imageInfo.fileId);
+      
+      if (!exists) {
+        this._cacheImage({
+          ...record,
+          messageRowId,
+          addedAt: new Date().toISOString()
+        });
+        
+        return true;
+      }
+      
+      return false;
+    }
+  }
+
+  /**
+   * Выполняет задачу после завершения всех ранее поставленных задач.
+   * Поиск копий и добавление изображения выполняются через эту очередь, чтобы
+   * изображения, хешируемые параллельно, находили друг друга
+   * @param {Function} task - async-функция
+   * @returns {Promise<*>} - результат задачи
+   */
+  runExclusive(task) {
+    const result = this.exclusiveTail.then(task);
+    this.exclusiveTail = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Находит точные копии изображения - записи с тем же SHA-256 содержимого файла
+   * @param {string} contentHash - SHA-256 содержимого файла
+   * @returns {Promise<Array>} - записи изображений с полем hashes
+   */
+  async findExactCopies(contentHash) {
+    if (!contentHash) {
+      return [];
+    }
+    
+    if (this.useSqlite) {
+      const rows = await this._queryAll(`SELECT * FROM images WHERE contentHash = ? ORDER BY id`, [contentHash]);
+      return rows.map(row => this._withHashes(row));
+    }
+    
+    return this.images
+      .filter(image => image.contentHash === contentHash)
+      .map(image => this._withHashes(image));
+  }
+
+  /**
+   * Ищет копии изображения: сначала точные копии по SHA-256 содержимого файла,
+   * затем визуально похожие изображения по перцептивным хешам
+   * @param {string} contentHash - SHA-256 содержимого файла (может отсутствовать)
+   * @param {string|Object} hashes - хеш или набор хешей изображения
+   * @param {Object} [variants] - хеши преобразований изображения
+   * @param {Object} [features] - ключевые точки изображения (featureMatcher)
+   * @returns {Promise<Array>} - сначала точные копии (matchType 'exact'), затем похожие (matchType 'similar')
+   */
+  async findDuplicates(contentHash, hashes, variants = {}, features = null) {
+    const exactCopies = await this.findExactCopies(contentHash);
+    const exactIds = new Set(exactCopies.map(image => image.fileId));
+    const similarImages = await this.findSimilarImages(hashes, undefined, variants, features);
+    
+    return [
+      ...exactCopies.map(image => ({
+        ...image,
+        similarity: 100,
+        distance: 0,
+        matchTransform: imageHasher.ORIGINAL_VARIANT,
+        overlapArea: 100,
+        matchType: 'exact'
+      })),
+      ...similarImages
+        .filter(image => !exactIds.has(image.fileId))
+        .map(image => ({ ...image, matchType: 'similar' }))
+    ];
+  }
+
+  /**
+   * Находит похожие изображения с помощью индексов хешей.
+   * Кандидаты собираются из индексов всех алгоритмов запроса, а окончательное
+   * решение принимается по правилу объединения hashSettings.fusion.
+   * Поиск идет по всем сохраненным изображениям, а не только по кэшу в памяти.
+   *
+   * Если у изображений есть хеши преобразований (повороты, отражения), хеши запроса
+   * сравниваются с хешами преобразований сохраненных изображений, а хеши преобразований
+   * запроса - с исходными хешами сохраненных изображений. В поле matchTransform
+   * возвращается преобразование, которое переводит найденное изображение в искомое,
+   * а в поле overlapArea - площадь перекрытия для обрезанных копий (варианты crop и pad).
+   * Обрезанные копии ищутся сравнением хеша всего кадра одного изображения с хешами
+   * фрагментов другого с порогом hashSettings.cropMatching.threshold.
+   * Анимации (варианты frame:N/K) сравниваются между собой по последовательности кадров:
+   * похожий кадр должен найтись хотя бы для доли hashSettings.animation.minFrameRatio кадров запроса.
+   * Если переданы ключевые точки запроса и включена проверка hashSettings.featureMatching,
+   * ближайшие изображения, не прошедшие проверку хешами, сопоставляются по ключевым точкам
+   * (совпадения features:M/K с полем featureScore)
+   * @param {string|Object} hashes - хеш или набор хешей { алгоритм: хеш } изображения для поиска
+   * @param {number} [threshold] - порог различия в процентах (по умолчанию из настроек)
+   * @param {Object} [variants] - хеши преобразований запроса { преобразование: набор хешей }
+   * @param {Object} [features] - ключевые точки запроса (featureMatcher)
+   * @returns {Promise<Array>} - массив похожих изображений (с полями similarity, distance, matchTransform и overlapArea), от ближайших к дальним
+   */
+  async findSimilarImages(hashes, threshold, variants = {}, features = null) {
+    const bestMatches = new Map(); // fileId -> лучшее совпадение
+    
+    const addMatch = match => {
+      const current = bestMatches.get(match.id);
+      if (!current || match.similarity > current.similarity) {
+        bestMatches.set(match.id, match);
+      }
+    };
+    
+    // Исходное изображение сравниваем со всеми записями индекса, включая преобразования
+    for (const { entryId, comparison } of this._searchEntries(imageHasher.toHashSet(hashes), threshold)) {
+      const { fileId, variant } = this._parseEntryId(entryId);
+      if (!imageHasher.parseRegionVariant(variant)) {
+        addMatch(this._toMatch(fileId, comparison, variant));
+      }
+    }
+    
+    const cropThreshold = threshold !== undefined ? threshold : (config.hashSettings.cropMatching || {}).threshold;
+    const frameMatches = new Map(); // fileId -> { номер кадра запроса: лучшее совпадение с кадрами анимации }
+    
+    for (const [variant, variantHashes] of Object.entries(variants)) {
+      if (imageHasher.isFullFrameVariant(variant)) {
+        // Весь кадр запроса совпал с фрагментом изображения: запрос вырезан из изображения
+        for (const { entryId, comparison } of this._searchEntries(variantHashes, cropThreshold)) {
+          const { fileId, variant: storedVariant } = this._parseEntryId(entryId);
+          if (imageHasher.parseRegionVariant(storedVariant) && !imageHasher.isFullFrameVariant(storedVariant)) {
+            addMatch(this._toMatch(fileId, comparison, storedVariant));
+          }
+        }
+      } else if (imageHasher.parseRegionVariant(variant)) {
+        // Фрагмент запроса совпал со всем кадром изображения: изображение вырезано из запроса
+        for (const { entryId, comparison } of this._searchEntries(variantHashes, cropThreshold)) {
+          const { fileId, variant: storedVariant } = this._parseEntryId(entryId);
+          if (imageHasher.isFullFrameVariant(storedVariant)) {
+            addMatch(this._toMatch(fileId, comparison, imageHasher.inverseTransform(variant)));
+          }
+        }
+      } else {
+        // Преобразования запроса сравниваем только с исходными хешами изображений:
+        // если T(запрос) совпал с изображением, то запрос получается из изображения обратным преобразованием.
+        // Кадры анимации запроса дополнительно сравниваем с кадрами сохраненных анимаций
+        const frame = imageHasher.parseFrameVariant(variant);
+        for (const { entryId, comparison } of this._searchEntries(variantHashes, threshold)) {
+          const { fileId, variant: storedVariant } = this._parseEntryId(entryId);
+          if (storedVariant === imageHasher.ORIGINAL_VARIANT) {
+            addMatch(this._toMatch(fileId, comparison, imageHasher.inverseTransform(variant)));
+          } else if (frame && this._isFrameVariant(storedVariant)) {
+            this._addFrameMatch(frameMatches, frame.index, this._toMatch(fileId, comparison));
+          }
+        }
+      }
+    }
+    
+    this._applySequenceMatches(bestMatches, frameMatches, variants);
+    
+    if (features && featureMatcher.isEnabled()) {
+      await this._addFeatureMatches(bestMatches, imageHasher.toHashSet(hashes), features);
+    }
+    
+    const matches = [...bestMatches.values()];
+    matches.sort((a, b) => b.similarity - a.similarity);
+    return await this._resolveMatches(matches);
+  }
+
+  /**
+   * Проверяет, что вариант является кадром анимации
+   * @param {string} variant - название варианта
+   * @returns {boolean}
+   * @private
+   */
+  _isFrameVariant(variant) {
+    const frame = imageHasher.parseFrameVariant(variant);
+    return Boolean(frame) && frame.type === imageHasher.FRAME_VARIANT;
+  }
+
+  /**
+   * Проверяет, что у изображения сохранены хеши кадров, то есть оно является анимацией
+   * @param {string} fileId - ID файла
+   * @returns {boolean}
+   * @private
+   */
+  _hasFrames(fileId) {
+    return [...(this.variantEntries.get(fileId) || [])]
+      .some(entryId => this._isFrameVariant(this._parseEntryId(entryId).variant));
+  }
+
+  /**
+   * Запоминает лучшее совпадение кадра запроса с кадрами сохраненной анимации
+   * @param {Map} frameMatches - fileId -> { номер кадра запроса: совпадение }
+   * @param {number} frameIndex - номер кадра запроса
+   * @param {Object} match - результат _toMatch
+   * @private
+   */
+  _addFrameMatch(frameMatches, frameIndex, match) {
+    if (!frameMatches.has(match.id)) {
+      frameMatches.set(match.id, new Map());
+    }
+    
+    const frames = frameMatches.get(match.id);
+    const current = frames.get(frameIndex);
+    if (!current || match.similarity > current.similarity) {
+      frames.set(frameIndex, match);
+    }
+  }
+
+  /**
+   * Заменяет совпадения запроса-анимации с сохраненными анимациями результатом сравнения
+   * последовательностей кадров. Совпадение одного первого кадра (общая заставка, одинаковое
+   * начало ролика) анимации повтором не делает: такие совпадения отбрасываются
+   * @param {Map} bestMatches - fileId -> лучшее совпадение
+   * @param {Map} frameMatches - fileId -> { номер кадра запроса: совпадение }
+   * @param {Object} variants - хеши преобразований запроса
+   * @private
+   */
+  _applySequenceMatches(bestMatches, frameMatches, variants) {
+    const frameCount = Object.keys(variants).filter(variant => this._isFrameVariant(variant)).length;
+    
+    if (frameCount === 0) {
+      return;
+    }
+    
+    const minFrameRatio = (config.hashSettings.animation || {}).minFrameRatio || 0;
+    
+    for (const fileId of new Set([...bestMatches.keys(), ...frameMatches.keys()])) {
+      if (!this._hasFrames(fileId)) {
+        continue;
+      }
+      
+      const frames = [...(frameMatches.get(fileId) || new Map()).values()];
+      if (frames.length === 0 || frames.length < frameCount * minFrameRatio) {
+        bestMatches.delete(fileId);
+        continue;
+      }
+      
+      // Сходство анимаций - среднее сходство совпавших кадров, расстояние - у наименее похожего кадра
+      const matchTransform = imageHasher.formatFrameVariant(imageHasher.SEQUENCE_VARIANT, frames.length, frameCount);
+      bestMatches.set(fileId, {
+        id: fileId,
+        similarity: frames.reduce((sum, frame) => sum + frame.similarity, 0) / frames.length,
+        distance: Math.max(...frames.map(frame => frame.distance || 0)),
+        matchTransform,
+        overlapArea: imageHasher.getOverlapArea(matchTransform)
+      });
+    }
+  }
+
+  /**
+   * Ищет в индексах записи, похожие на набор хешей
+   * @param {Object} query - набор хешей { алгоритм: хеш }
+   * @param {number} [threshold] - порог различия в процентах
+   * @returns {Array<Object>} - массив { entryId, comparison } для похожих записей
+   * @private
+   */
+  _searchEntries(query, threshold) {
+    const candidateIds = new Set();
+    
+    for (const [algorithm, hash] of Object.entries(query)) {
+      // Хеш запроса ищется только среди хешей той же версии и того же размера:
+      // записи, которые еще не перехешированы (rehashJob), в поиск не попадают
+      const index = imageHasher.isBinaryHash(hash) &&
+        this.hashIndexes.get(imageHasher.getCurrentHashTag(algorithm, imageHasher.getHashSize(hash)));
+      if (!index) {
+        continue;
+      }
+      
+      const algorithmThreshold = threshold !== undefined ? threshold : imageHasher.getAlgorithmThreshold(algorithm);
+      const maxDistance = imageHasher.getMaxDistance(imageHasher.getHashBitLength(hash), algorithmThreshold);
+      
+      for (const match of index.findWithin(hash, maxDistance)) {
+        candidateIds.add(match.id);
+      }
+    }
+    
+    const results = [];
+    for (const entryId of candidateIds) {
+      const comparison = imageHasher.compareHashSets(query, this._getHashSet(entryId), threshold);
+      if (comparison.similar) {
+        results.push({ entryId, comparison });
+      }
+    }
+    
+    return results;
+  }
+
+  /**
+   * Находит k ближайших изображений по основному алгоритму хеширования
+   * (или по первому алгоритму запроса, для которого есть индекс)
+   * @param {string|Object} hashes - хеш или набор хешей изображения для поиска
+   * @param {number} k - количество изображений
+   * @returns {Promise<Array>} - массив изображений (с полями similarity и distance), от ближайших к дальним
+   */
+  async findNearestImages(hashes, k = 10) {
+    return await this._resolveMatches(this._findNearestMatches(imageHasher.toHashSet(hashes), k));
+  }
+
+  /**
+   * Находит k ближайших исходных изображений в индексе основного алгоритма
+   * (или первого алгоритма запроса, для которого есть индекс)
+   * @param {Object} query - набор хешей { алгоритм: хеш }
+   * @param {number} k - количество изображений
+   * @returns {Array<Object>} - результаты _toMatch, от ближайших к дальним
+   * @private
+   */
+  _findNearestMatches(query, k) {
+    const getIndex = name => imageHasher.isBinaryHash(query[name]) &&
+      this.hashIndexes.get(imageHasher.getCurrentHashTag(name, imageHasher.getHashSize(query[name])));
+    const algorithm = [config.hashSettings.hashMethod, ...Object.keys(query)].find(getIndex);
+    
+    if (!algorithm) {
+      return [];
+    }
+    
+    // Записи преобразований пропускаем: ближайшие соседи ищутся только среди исходных изображений
+    return getIndex(algorithm).findNearest(query[algorithm], k * (1 + this._getMaxVariantsPerImage()))
+      .filter(match => this._parseEntryId(match.id).variant === imageHasher.ORIGINAL_VARIANT)
+      .slice(0, k)
+      .map(match => this._toMatch(match.id, imageHasher.compareHashSets(query, this._getHashSet(match.id))));
+  }
+
+  /**
+   * Сопоставляет по ключевым точкам ближайшие по хешам изображения, которые не прошли
+   * проверку хешами, и добавляет совпавшие к результатам. Анимации не проверяются:
+   * они сравниваются по последовательностям кадров
+   * @param {Map} bestMatches - fileId -> лучшее совпадение
+   * @param {Object} query - набор хешей запроса
+   * @param {Object} features - ключевые точки запроса
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _addFeatureMatches(bestMatches, query, features) {
+    const settings = config.hashSettings.featureMatching;
+    const candidates = this._findNearestMatches(query, settings.maxCandidates)
+      .filter(match => !bestMatches.has(match.id) && !this._hasFrames(match.id) &&
+        100 - match.similarity <= settings.candidateThreshold);
+    
+    if (candidates.length === 0) {
+      return;
+    }
+    
+    const storedFeatures = await this.getImageFeatures(candidates.map(match => match.id));
+    
+    for (const candidate of candidates) {
+      const result = featureMatcher.matchFeatures(features, storedFeatures.get(candidate.id));
+      
+      if (featureMatcher.isFeatureMatch(result)) {
+        const matchTransform = imageHasher.formatFeatureVariant(result.inliers, result.count);
+        bestMatches.set(candidate.id, {
+          ...candidate,
+          matchTransform,
+          overlapArea: imageHasher.getOverlapArea(matchTransform),
+          featureScore: result.score
+        });
+      }
+    }
+  }
+
+  /**
+   * Возвращает сохраненные ключевые точки изображений
+   * @param {Array<string>} fileIds - ID файлов
+   * @returns {Promise<Map>} - fileId -> ключевые точки (изображения без точек пропускаются)
+   */
+  async getImageFeatures(fileIds) {
+    const features = new Map();
+    
+    if (!this.useSqlite) {
+      for (const fileId of fileIds) {
+        const image = this.imagesById.get(fileId);
+        if (image && image.features) {
+          features.set(fileId, image.features);
+        }
+      }
+      return features;
+    }
+    
+    try {
+      for (const chunk of _.chunk(fileIds, 500)) {
+        const placeholders = chunk.map(() => '?').join(', ');
+        const rows = await this._queryAll(`SELECT fileId, features FROM image_features WHERE fileId IN (${placeholders})`, chunk);
+        for (const row of rows) {
+          features.set(row.fileId, JSON.parse(row.features));
+        }
+      }
+    } catch (err) {
+      console.error('Ошибка при чтении ключевых точек:', err);
+    }
+    
+    return features;
+  }
+
+  /**
+   * Возвращает водяные знаки, найденные на изображениях (знаки, удаленные из реестра, пропускаются)
+   * @param {Array<string>} fileIds - ID файлов
+   * @returns {Promise<Map>} - fileId -> массив { watermarkId, channel, score, region }
+   *   (изображения без знаков пропускаются)
+   */
+  async getImageWatermarks(fileIds) {
+    const watermarks = new Map();
+    
+    if (!this.useSqlite) {
+      const registered = new Map(this.watermarks.map(watermark => [watermark.id, watermark]));
+      for (const fileId of fileIds) {
+        const image = this.imagesById.get(fileId);
+        const found = (image && image.watermarks || [])
+          .filter(watermark => registered.has(watermark.watermarkId))
+          .map(watermark => ({ ...watermark, channel: registered.get(watermark.watermarkId).channel }));
+        if (found.length > 0) {
+          watermarks.set(fileId, found);
+        }
+      }
+      return watermarks;
+    }
+    
+    try {
+      for (const chunk of _.chunk(fileIds, 500)) {
+        const placeholders = chunk.map(() => '?').join(', ');
+        const rows = await this._queryAll(
+          `SELECT iw.fileId, iw.watermarkId, iw.score, iw.region, w.channel FROM image_watermarks iw
+           JOIN watermarks w ON w.id = iw.watermarkId
+           WHERE iw.fileId IN (${placeholders}) ORDER BY iw.score DESC`,
+          chunk
+        );
+        for (const row of rows) {
+          if (!watermarks.has(row.fileId)) {
+            watermarks.set(row.fileId, []);
+          }
+          watermarks.get(row.fileId).push({
+            watermarkId: row.watermarkId,
+            channel: row.channel,
+            score: row.score,
+            region: JSON.parse(row.region)
+          });
+        }
+      }
+    } catch (err) {
+      console.error('Ошибка при чтении водяных знаков изображений:', err);
+    }
+    
+    return watermarks;
+  }
+
+  /**
+   * Возвращает сведения о сообщениях и каналах, в которых найдены изображения
+   * @param {Array<string>} fileIds - ID файлов
+   * @returns {Promise<Map>} - fileId -> { channelTitle, channelUsername, channelType, caption, views }
+   *   (изображения, сообщение которых неизвестно, пропускаются)
+   */
+  async getImageMessages(fileIds) {
+    const messages = new Map();
+    
+    if (!this.useSqlite) {
+      for (const fileId of fileIds) {
+        const image = this.imagesById.get(fileId);
+        const chatId = image && telegramForwards.normalizeChatId(image.chatId);
+        const message = chatId && this.messages.get(`${chatId}:${image.messageId}`);
+        if (message) {
+          const channel = this.channels.get(chatId) || {};
+          messages.set(fileId, {
+            channelTitle: channel.title || null,
+            channelUsername: channel.username || image.channelUsername || null,
+            channelType: channel.type || null,
+            caption: message.caption,
+            views: message.views
+          });
+        }
+      }
+      return messages;
+    }
+    
+    try {
+      for (const chunk of _.chunk(fileIds, 500)) {
+        const placeholders = chunk.map(() => '?').join(', ');
+        const rows = await this._queryAll(
+          `SELECT i.fileId, c.title AS channelTitle, COALESCE(c.username, i.channelUsername) AS channelUsername,
+             c.type AS channelType, m.caption, m.views
+           FROM images i
+           JOIN messages m ON m.id = i.messageRowId
+           LEFT JOIN channels c ON c.id = m.chatId
+           WHERE i.fileId IN (${placeholders})`,
+          chunk
+        );
+        for (const { fileId, ...message } of rows) {
+          messages.set(fileId, message);
+        }
+      }
+    } catch (err) {
+      console.error('Ошибка при чтении сообщений изображений:', err);
+    }
+    
+    return messages;
+  }
+
+  /**
+   * Формирует результат поиска из результата сравнения наборов хешей
+   * @param {string} id - ID файла
+   * @param {Object} comparison - результат imageHasher.compareHashSets
+   * @param {string} [matchTransform] - преобразование, переводящее найденное изображение в искомое
+   * @returns {Object} - { id, similarity, distance, matchTransform, overlapArea }
+   * @private
+   */
+  _toMatch(id, comparison, matchTransform = imageHasher.ORIGINAL_VARIANT) {
+    // Расстояние приводится по основному алгоритму, если он участвовал в сравнении
+    const primary = comparison.algorithms.find(item => item.algorithm === config.hashSettings.hashMethod) ||
+      comparison.algorithms[0];
+    
+    return {
+      id,
+      similarity: comparison.similarity,
+      distance: primary ? primary.distance : null,
+      matchTransform,
+      overlapArea: imageHasher.getOverlapArea(matchTransform)
+    };
+  }
+
+  /**
+   * Превращает результаты индекса в записи изображений:
+   * сначала берет их из кэша в памяти, недостающие читает из SQLite
+   * @param {Array<Object>} matches - массив { id, similarity, distance, matchTransform, overlapArea, featureScore }
+   * @returns {Promise<Array>} - массив изображений с полями hashes, similarity, distance, matchTransform и overlapArea
+   *   (и featureScore для совпадений по ключевым точкам)
+   * @private
+   */
+  async _resolveMatches(matches) {
+    const missingIds = matches
+      .map(match => match.id)
+      .filter(id => !this.imagesById.has(id));
+    
+    const loaded = new Map();
+    if (this.useSqlite && missingIds.length > 0) {
+      for (const row of await this._getImagesByFileIds(missingIds)) {
+        loaded.set(row.fileId, row);
+      }
+    }
+    
+    return matches
+      .map(match => {
+        const image = this.imagesById.get(match.id) || loaded.get(match.id);
+        if (!image) {
+          return null;
+        }
+        
+        return {
+          ...this._withHashes(image),
+          similarity: match.similarity,
+          distance: match.distance,
+          matchTransform: match.matchTransform,
+          overlapArea: match.overlapArea,
+          ...(match.featureScore !== undefined ? { featureScore: match.featureScore } : {})
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Читает записи изображений из SQLite по списку fileId
+   * @param {Array<string>} fileIds - ID файлов
+   * @returns {Promise<Array>} - найденные записи
+   * @private
+   */
+  async _getImagesByFileIds(fileIds) {
+    const rows = [];
+    
+    // SQLite ограничивает количество параметров в запросе, поэтому читаем порциями
+    for (const chunk of _.chunk(fileIds, 500)) {
+      const placeholders = chunk.map(() => '?').join(', ');
+      rows.push(...await this._queryAll(`SELECT * FROM images WHERE fileId IN (${placeholders})`, chunk));
+    }
+    
+    return rows;
+  }
+
+  /**
+   * Возвращает все изображения в базе данных (в режиме SQLite читает их из базы)
+   * @returns {Promise<Array>} - массив всех изображений
+   */
+  async getAllImages() {
+    if (this.useSqlite) {
+      const rows = await this._queryAll(`SELECT * FROM images ORDER BY id`);
+      return rows.map(row => this._withHashes(row));
+    }
+    
+    return this.images.map(image => this._withHashes(image));
+  }
+
+  /**
+   * Возвращает количество изображений в базе данных
+   * @returns {Promise<number>} - количество изображений
+   */
+  async getImageCount() {
+    if (this.useSqlite) {
+      const rows = await this._queryAll(`SELECT COUNT(*) AS count FROM images`);
+      return rows[0].count;
+    }
+    
+    return this.images.length;
+  }
+
+  /**
+   * Возвращает записи изображений по списку fileId
+   * @param {Array<string>} fileIds - ID файлов
+   * @returns {Promise<Array>} - найденные записи (отсутствующие в базе пропускаются)
+   */
+  async getImagesByFileIds(fileIds) {
+    return [...(await this._getImageMap(fileIds)).values()];
+  }
+
+  /**
+   * Возвращает порцию изображений с порядковым номером больше указанного
+   * (для фоновых задач, обходящих базу с сохранением позиции)
+   * @param {number} lastId - номер последнего обработанного изображения
+   * @param {number} limit - размер порции
+   * @returns {Promise<Array>} - записи изображений с полем id, по возрастанию id
+   */
+  async getImagesAfter(lastId, limit) {
+    if (this.useSqlite) {
+      return await this._queryAll(`SELECT * FROM images WHERE id > ? ORDER BY id LIMIT ?`, [lastId, limit]);
+    }
+    
+    // В режиме JSON номером служит позиция изображения в массиве
+    return this.images
+      .map((image, index) => ({ ...image, id: index + 1 }))
+      .filter(image => image.id > lastId)
+      .slice(0, limit);
+  }
+
+  /**
+   * Возвращает количество изображений без хешей текущей версии
+   * @returns {Promise<number>} - количество изображений, которые нужно перехешировать
+   */
+  async countOutdatedImages() {
+    const images = this.useSqlite
+      ? await this._queryAll(`SELECT fileId FROM images`)
+      : this.images;
+    
+    return images.filter(image => !this.isHashSetCurrent(image.fileId)).length;
+  }
+
+  /**
+   * Заменяет хеши изображения новыми (например, вычисленными новой версией алгоритмов)
+   * @param {string} fileId - ID файла
+   * @param {Object} fingerprint - { hashes, variants, hashVersion, contentHash, features, watermarks }
+   * @returns {Promise<boolean>} - успешно ли обновлены хеши
+   */
+  async updateImageHashes(fileId, fingerprint) {
+    const { hashes, variants = {}, hashVersion, contentHash, features, watermarks } = fingerprint;
+    const hash = hashes[config.hashSettings.hashMethod];
+    
+    if (this.useSqlite) {
+      // Запись и ее хеши обновляются в одной транзакции: иначе после сбоя запись осталась бы
+      // с новой версией хешей, но без самих хешей, а rehashJob уже прошел бы ее
+      try {
+        await this._run('BEGIN');
+        const changes = await this._run(
+          `UPDATE images SET hash = ?, hashVersion = ?, contentHash = COALESCE(?, contentHash) WHERE fileId = ?`,
+          [hash, hashVersion, contentHash || null, fileId]
+        );
+        if (changes === 0) {
+          await this._run('ROLLBACK');
+          return false;
+        }
+        
+        await this._run(`DELETE FROM image_hashes WHERE fileId = ?`, [fileId]);
+        await this._run(`DELETE FROM image_hash_variants WHERE fileId = ?`, [fileId]);
+        if (watermarks) {
+          await this._run(`DELETE FROM image_watermarks WHERE fileId = ?`, [fileId]);
+        }
+        
+        for (const [variant, variantHashes] of [[null, hashes], ...Object.entries(variants)]) {
+          for (const [algorithm, variantHash] of Object.entries(variantHashes)) {
+            if (imageHasher.isBinaryHash(variantHash)) {
+              await this._insertHash(fileId, algorithm, variantHash, variant, hashVersion);
+            }
+          }
+        }
+        await this._addFingerprintToSqlite({ fileId, features, watermarks });
+        
+        await this._run('COMMIT');
+      } catch (err) {
+        console.error('Ошибка при обновлении хешей изображения в SQLite:', err);
+        await this._run('ROLLBACK').catch(() => {});
+        return false;
+      }
+    } else if (!this.imagesById.has(fileId)) {
+      return false;
+    }
+    
+    // Обновляем запись в кэше в памяти (в режиме JSON - в самом хранилище) и индекс
+    const cached = this.imagesById.get(fileId);
+    if (cached) {
+      Object.assign(cached, { hash, hashes, variants, hashVersion }, contentHash ? { contentHash } : {},
+        features && !this.useSqlite ? { features } : {}, watermarks && !this.useSqlite ? { watermarks } : {});
+    }
+    
+    this._unindexImage(fileId);
+    this._indexImage(fileId, hashes, variants, hashVersion);
+    return true;
+  }
+
+  /**
+   * Возвращает сохраненное состояние фоновой задачи
+   * @param {string} name - название задачи
+   * @returns {Promise<Object|null>} - состояние или null, если задача еще не запускалась
+   */
+  async getJobState(name) {
+    if (!this.useSqlite) {
+      return this.jobStates.get(name) || null;
+    }
+    
+    try {
+      const [row] = await this._queryAll(`SELECT state FROM job_state WHERE name = ?`, [name]);
+      return row ? JSON.parse(row.state) : null;
+    } catch (err) {
+      console.error('Ошибка при чтении состояния фоновой задачи:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Сохраняет состояние фоновой задачи
+   * @param {string} name - название задачи
+   * @param {Object} state - состояние задачи
+   * @returns {Promise<boolean>} - успешно ли сохранено состояние
+   */
+  async saveJobState(name, state) {
+    if (!this.useSqlite) {
+      this.jobStates.set(name, { ...state });
+      return true;
+    }
+    
+    try {
+      await this._run(
+        `INSERT OR REPLACE INTO job_state (name, state, updatedAt) VALUES (?, ?, ?)`,
+        [name, JSON.stringify(state), new Date().toISOString()]
+      );
+      return true;
+    } catch (err) {
+      console.error('Ошибка при сохранении состояния фоновой задачи:', err);
+      return false;
+    }
+  }
+
+  /**
+   * Возвращает сохраненную настройку
+   * @param {string} name - название настройки
+   * @returns {Promise<*>} - значение или null, если настройка не сохранялась
+   */
+  async getSetting(name) {
+    if (!this.useSqlite) {
+      return this.settings.has(name) ? this.settings.get(name) : null;
+    }
+    
+    try {
+      const [row] = await this._queryAll(`SELECT value FROM settings WHERE name = ?`, [name]);
+      return row ? JSON.parse(row.value) : null;
+    } catch (err) {
+      console.error('Ошибка при чтении настройки:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Сохраняет настройку
+   * @param {string} name - название настройки
+   * @param {*} value - значение (сохраняется в JSON)
+   * @returns {Promise<boolean>} - успешно ли сохранена настройка
+   */
+  async saveSetting(name, value) {
+    if (!this.useSqlite) {
+      this.settings.set(name, value);
+      return true;
+    }
+    
+    try {
+      await this._run(
+        `INSERT OR REPLACE INTO settings (name, value, updatedAt) VALUES (?, ?, ?)`,
+        [name, JSON.stringify(value), new Date().toISOString()]
+      );
+      return true;
+    } catch (err) {
+      console.error('Ошибка при сохранении настройки:', err);
+      return false;
+    }
+  }
+
+  /**
+   * Добавляет водяной знак канала в реестр
+   * @param {Object} watermark - { channel, template, addedBy }
+   * @returns {Promise<Object|null>} - добавленный знак { id, channel, template, addedBy, addedAt } или null при ошибке
+   */
+  async addWatermark(watermark) {
+    const record = {
+      channel: watermark.channel,
+      template: watermark.template,
+      addedBy: watermark.addedBy || null,
+      addedAt: new Date().toISOString()
+    };
+    
+    if (!this.useSqlite) {
+      const added = { id: this.nextWatermarkId++, ...record };
+      this.watermarks.push(added);
+      return added;
+    }
+    
+    try {
+      const id = await new Promise((resolve, reject) => {
+        this.db.run(
+          `INSERT INTO watermarks (channel, template, addedBy, addedAt) VALUES (?, ?, ?, ?)`,
+          [record.channel, JSON.stringify(record.template), record.addedBy, record.addedAt],
+          function(err) {
+            if (err) {
+              reject(err);
+              return;
+            }
+            
+            resolve(this.lastID);
+          }
+        );
+      });
+      return { id, ...record };
+    } catch (err) {
+      console.error('Ошибка при добавлении водяного знака:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Возвращает все водяные знаки реестра
+   * @returns {Promise<Array>} - массив { id, channel, template, addedBy, addedAt } по возрастанию ID
+   */
+  async getWatermarks() {
+    if (!this.useSqlite) {
+      return [...this.watermarks];
+    }
+    
+    try {
+      const rows = await this._queryAll(`SELECT * FROM watermarks ORDER BY id`);
+      return rows.map(row => ({ ...row, template: JSON.parse(row.template) }));
+    } catch (err) {
+      console.error('Ошибка при чтении водяных знаков:', err);
+      return [];
+    }
+  }
+
+  /**
+   * Удаляет водяной знак из реестра вместе с его находками на изображениях
+   * @param {number} id - ID водяного знака
+   * @returns {Promise<boolean>} - был ли знак удален
+   */
+  async removeWatermark(id) {
+    if (!this.useSqlite) {
+      const count = this.watermarks.length;
+      this.watermarks = this.watermarks.filter(watermark => watermark.id !== id);
+      return this.watermarks.length < count;
+    }
+    
+    try {
+      const changes = await this._run(`DELETE FROM watermarks WHERE id = ?`, [id]);
+      await this._run(`DELETE FROM image_watermarks WHERE watermarkId = ?`, [id]);
+      return changes > 0;
+    } catch (err) {
+      console.error('Ошибка при удалении водяного знака:', err);
+      return false;
+    }
+  }
+
+  /**
+   * Сохраняет связи коллажей с оригиналами по результатам поиска похожих изображений:
+   * совпадения через плитку (tile) означают, что изображение является плиткой найденного
+   * коллажа, совпадения collage - что изображение является коллажем с найденным на плитке
+   * @param {string} fileId - ID изображения, для которого выполнялся поиск
+   * @param {Array<Object>} matches - результаты findSimilarImages
+   * @returns {Promise<number>} - количество сохраненных связей
+   */
+  async linkCollageTiles(fileId, matches) {
+    const links = [];
+    
+    for (const match of matches) {
+      const tile = imageHasher.parseTileVariant(match.matchTransform);
+      if (!tile) {
+        continue;
+      }
+      
+      const isTile = tile.type === 'tile';
+      links.push({
+        collageFileId: isTile ? match.fileId : fileId,
+        imageFileId: isTile ? fileId : match.fileId,
+        tileIndex: tile.index,
+        gridRows: tile.rows,
+        gridCols: tile.cols,
+        similarity: match.similarity,
+        addedAt: new Date().toISOString()
+      });
+    }
+    
+    if (!this.useSqlite) {
+      this.collageLinks.push(...links);
+      return links.length;
+    }
+    
+    try {
+      for (const link of links) {
+        await this._run(
+          `INSERT OR REPLACE INTO collage_links (collageFileId, imageFileId, tileIndex, gridRows, gridCols, similarity, addedAt)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [link.collageFileId, link.imageFileId, link.tileIndex, link.gridRows, link.gridCols, link.similarity, link.addedAt]
+        );
+      }
+    } catch (err) {
+      console.error('Ошибка при сохранении связей коллажа:', err);
+    }
+    
+    return links.length;
+  }
+
+  /**
+   * Возвращает все связи коллажей с оригиналами вместе с записями обоих изображений
+   * @returns {Promise<Array>} - массив { collage, image, tileIndex, gridRows, gridCols, similarity }
+   */
+  async getCollageLinks() {
+    const links = this.useSqlite
+      ? await this._queryAll(`SELECT * FROM collage_links ORDER BY collageFileId, tileIndex`)
+      : this.collageLinks;
+    
+    const images = await this._getImageMap(_.uniq(links.flatMap(link => [link.collageFileId, link.imageFileId])));
+    
+    return links
+      .filter(link => images.has(link.collageFileId) && images.has(link.imageFileId))
+      .map(link => ({
+        collage: images.get(link.collageFileId),
+        image: images.get(link.imageFileId),
+        tileIndex: link.tileIndex,
+        gridRows: link.gridRows,
+        gridCols: link.gridCols,
+        similarity: link.similarity
+      }));
+  }
+
+  /**
+   * Сбрасывает кластеры в памяти
+   * @private
+   */
+  _clearClusters() {
+    this.clusterSets = new UnionFind();
+    this.clusters = new Map();
+    this.clusterMembers = new Map();
+    this.clusterFileIds = new Map();
+  }
+
+  /**
+   * Добавляет изображение в список изображений его корневого кластера
+   * @param {Object} member - участник кластера { fileId, clusterId }
+   * @private
+   */
+  _indexClusterMember(member) {
+    const root = this.clusterSets.find(member.clusterId);
+    if (!this.clusterFileIds.has(root)) {
+      this.clusterFileIds.set(root, new Set());
+    }
+    
+    this.clusterFileIds.get(root).add(member.fileId);
+  }
+
+  /**
+   * Возвращает участников кластера
+   * @param {number} root - ID корневого кластера
+   * @returns {Array<Object>} - участники кластера
+   * @private
+   */
+  _getClusterMembers(root) {
+    return [...(this.clusterFileIds.get(root) || [])].map(fileId => this.clusterMembers.get(fileId));
+  }
+
+  /**
+   * Возвращает ID кластера дубликатов изображения
+   * @param {string} fileId - ID файла
+   * @returns {number|null} - ID кластера или null, если изображение еще не распределено по кластерам
+   */
+  getClusterId(fileId) {
+    const member = this.clusterMembers.get(fileId);
+    return member ? this.clusterSets.find(member.clusterId) : null;
+  }
+
+  /**
+   * Создает новый кластер
+   * @param {string} representativeFileId - изображение-представитель кластера
+   * @returns {Promise<number>} - ID кластера
+   * @private
+   */
+  async _createCluster(representativeFileId) {
+    const createdAt = new Date().toISOString();
+    let id;
+    
+    if (this.useSqlite) {
+      id = await new Promise((resolve, reject) => {
+        this.db.run(
+          `INSERT INTO clusters (parentId, representativeFileId, createdAt, updatedAt) VALUES (NULL, ?, ?, ?)`,
+          [representativeFileId, createdAt, createdAt],
+          function(err) {
+            if (err) {
+              reject(err);
+              return;
+            }
+            
+            resolve(this.lastID);
+          }
+        );
+      });
+    } else {
+      id = this.nextClusterId++;
+    }
+    
+    this.clusters.set(id, { id, representativeFileId, createdAt });
+    this.clusterSets.add(id);
+    return id;
+  }
+
+  /**
+   * Добавляет изображение в кластер
+   * @param {Object} member - { fileId, clusterId, linkedFileId, similarity, matchType, matchTransform }
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _addClusterMember(member) {
+    const record = { ...member, addedAt: new Date().toISOString() };
+    
+    if (this.useSqlite) {
+      await this._run(
+        `INSERT OR REPLACE INTO cluster_members (fileId, clusterId, linkedFileId, similarity, matchType, matchTransform, addedAt)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [record.fileId, record.clusterId, record.linkedFileId, record.similarity, record.matchType, record.matchTransform, record.addedAt]
+      );
+    }
+    
+    this.clusterMembers.set(record.fileId, record);
+    this._indexClusterMember(record);
+  }
+
+  /**
+   * Добавляет изображение в кластер дубликатов по результатам поиска копий: изображение
+   * попадает в кластер найденных копий, а если копии лежат в разных кластерах, кластеры
+   * сливаются (транзитивно: копия копии оказывается в том же кластере). При слиянии остается
+   * ID самого раннего кластера и его представитель, поэтому ID кластера изображения не зависит
+   * от порядка, в котором найдены копии. Совпадения с плитками коллажей кластеры не объединяют.
+   * Вызывается после addImage внутри runExclusive
+   * @param {string} fileId - ID добавленного изображения
+   * @param {Array<Object>} matches - результаты findDuplicates для этого изображения
+   * @returns {Promise<number|null>} - ID кластера изображения (null при ошибке)
+   */
+  async addToCluster(fileId, matches) {
+    const links = matches.filter(match => match.fileId !== fileId && !imageHasher.parseTileVariant(match.matchTransform));
+    
+    try {
+      const roots = _.uniq(links
+        .filter(match => this.clusterMembers.has(match.fileId))
+        .map(match => this.getClusterId(match.fileId)));
+      const ownCluster = this.getClusterId(fileId);
+      if (ownCluster !== null) {
+        roots.push(ownCluster);
+      }
+      
+      // Копии, добавленные до появления кластеров, попадают в кластер вместе с изображением,
+      // а самая ранняя из них становится представителем нового кластера
+      const unassigned = _.sortBy(links.filter(match => !this.clusterMembers.has(match.fileId)), 'addedAt');
+      let root = roots.length > 0
+        ? Math.min(...roots)
+        : await this._createCluster(unassigned.length > 0 ? unassigned[0].fileId : fileId);
+      
+      for (const other of _.uniq(roots)) {
+        const { root: merged, merged: child } = this.clusterSets.union(root, other);
+        root = merged;
+        if (child === null) {
+          continue;
+        }
+        
+        // Изображения слитого кластера переходят в список изображений корня
+        const childFileIds = this.clusterFileIds.get(child);
+        if (childFileIds) {
+          const rootFileIds = this.clusterFileIds.get(merged) || new Set();
+          childFileIds.forEach(id => rootFileIds.add(id));
+          this.clusterFileIds.set(merged, rootFileIds);
+          this.clusterFileIds.delete(child);
+        }
+        
+        if (this.useSqlite) {
+          await this._run(`UPDATE clusters SET parentId = ?, updatedAt = ? WHERE id = ?`, [merged, new Date().toISOString(), child]);
+        }
+      }
+      
+      // Изображение связывается с ближайшей копией: findDuplicates возвращает сначала точные копии,
+      // затем похожие по убыванию сходства
+      if (ownCluster === null) {
+        const link = links[0];
+        await this._addClusterMember({
+          fileId,
+          clusterId: root,
+          linkedFileId: link ? link.fileId : null,
+          similarity: link ? link.similarity : null,
+          matchType: link ? link.matchType : null,
+          matchTransform: link ? link.matchTransform : null
+        });
+      }
+      
+      // matchTransform переводит найденную копию в добавленное изображение, а связь старой копии
+      // хранится от добавленного изображения к ней, поэтому преобразование обращается
+      for (const match of unassigned) {
+        await this._addClusterMember({
+          fileId: match.fileId,
+          clusterId: root,
+          linkedFileId: fileId,
+          similarity: match.similarity,
+          matchType: match.matchType,
+          matchTransform: imageHasher.inverseTransform(match.matchTransform)
+        });
+      }
+      
+      return root;
+    } catch (err) {
+      console.error('Ошибка при добавлении изображения в кластер:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Распределяет по кластерам изображения, которых в кластерах еще нет (добавленные
+   * до появления кластеров или облегченным сканированием): для каждого по возрастанию id
+   * ищутся копии, и изображение добавляется в кластер как новое
+   * @returns {Promise<number>} - количество распределенных изображений
+   */
+  async clusterUnassignedImages() {
+    const images = (await this.getAllImages()).filter(image => !this.clusterMembers.has(image.fileId));
+    
+    for (const image of images) {
+      await this.runExclusive(async () => {
+        if (this.clusterMembers.has(image.fileId)) {
+          return;
+        }
+        
+        const matches = await this.findDuplicates(image.contentHash, image.hashes, image.variants);
+        await this.addToCluster(image.fileId, matches);
+      });
+    }
+    
+    if (images.length > 0) {
+      console.log(`Распределено по кластерам дубликатов изображений: ${images.length}`);
+    }
+    
+    return images.length;
+  }
+
+  /**
+   * Удаляет изображение из кластера; если оно было представителем кластера,
+   * представителем становится самое раннее из оставшихся изображений
+   * @param {string} fileId - ID файла
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _removeFromCluster(fileId) {
+    const clusterId = this.getClusterId(fileId);
+    if (clusterId === null) {
+      return;
+    }
+    
+    this.clusterMembers.delete(fileId);
+    const fileIds = this.clusterFileIds.get(clusterId);
+    if (fileIds) {
+      fileIds.delete(fileId);
+      if (fileIds.size === 0) {
+        this.clusterFileIds.delete(clusterId);
+      }
+    }
+    const cluster = this.clusters.get(clusterId);
+    
+    if (cluster && cluster.representativeFileId === fileId) {
+      const rest = _.sortBy(this._getClusterMembers(clusterId), 'addedAt');
+      cluster.representativeFileId = rest.length > 0 ? rest[0].fileId : null;
+      
+      if (this.useSqlite) {
+        await this._run(`UPDATE clusters SET representativeFileId = ?, updatedAt = ? WHERE id = ?`,
+          [cluster.representativeFileId, new Date().toISOString(), clusterId]);
+      }
+    }
+    
+    if (this.useSqlite) {
+      await this._run(`DELETE FROM cluster_members WHERE fileId = ?`, [fileId]);
+    }
+  }
+
+  /**
+   * Возвращает кластеры дубликатов вместе с записями изображений
+   * @param {number} [minSize] - минимальное количество изображений в кластере
+   * @returns {Promise<Array>} - массив { id, representative, images } по возрастанию ID, где images -
+   *   записи изображений (с полем hashes) с полями связи linkedFileId, similarity, matchType и matchTransform
+   *   (совпадение, по которому изображение попало в кластер; у первого изображения кластера их нет)
+   */
+  async getClusters(minSize = 2) {
+    const selected = [...this.clusterFileIds.entries()]
+      .filter(([, fileIds]) => fileIds.size >= minSize)
+      .map(([id]) => [id, this._getClusterMembers(id)]);
+    const images = await this._getImageMap(selected.flatMap(([, members]) => members.map(member => member.fileId)));
+    
+    return selected
+      .map(([id, members]) => this._buildCluster(Number(id), members, images))
+      .filter(cluster => cluster.images.length >= minSize)
+      .sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * Возвращает один кластер дубликатов вместе с записями изображений
+   * @param {number} clusterId - ID кластера (в том числе слитого с другим)
+   * @returns {Promise<Object|null>} - { id, representative, images } (см. getClusters) или null, если кластер пуст
+   */
+  async getCluster(clusterId) {
+    const id = this.clusterSets.find(clusterId);
+    const members = this._getClusterMembers(id);
+    const images = await this._getImageMap(members.map(member => member.fileId));
+    const cluster = this._buildCluster(id, members, images);
+    
+    return cluster.images.length > 0 ? cluster : null;
+  }
+
+  /**
+   * Собирает кластер из участников и их записей изображений
+   * @param {number} id - ID кластера
+   * @param {Array<Object>} members - участники кластера
+   * @param {Map} images - fileId -> запись изображения
+   * @returns {Object} - { id, representative, images }
+   * @private
+   */
+  _buildCluster(id, members, images) {
+    const cluster = this.clusters.get(id) || {};
+    const clusterImages = members
+      .filter(member => images.has(member.fileId))
+      .map(member => ({
+        ...this._withHashes(images.get(member.fileId)),
+        linkedFileId: member.linkedFileId,
+        similarity: member.similarity,
+        matchType: member.matchType,
+        matchTransform: member.matchTransform
+      }));
+    
+    return {
+      id,
+      representative: clusterImages.find(image => image.fileId === cluster.representativeFileId) || clusterImages[0],
+      images: clusterImages
+    };
+  }
+
+  /**
+   * Возвращает записи изображений по списку fileId: из кэша в памяти, недостающие - из SQLite
+   * @param {Array<string>} fileIds - ID файлов
+   * @returns {Promise<Map>} - fileId -> запись изображения
+   * @private
+   */
+  async _getImageMap(fileIds) {
+    const images = new Map();
+    
+    for (const fileId of fileIds) {
+      if (this.imagesById.has(fileId)) {
+        images.set(fileId, this.imagesById.get(fileId));
+      }
+    }
+    
+    const missingIds = fileIds.filter(fileId => !images.has(fileId));
+    if (this.useSqlite && missingIds.length > 0) {
+      for (const row of await this._getImagesByFileIds(missingIds)) {
+        images.set(row.fileId, row);
+      }
+    }
+    
+    return images;
+  }
+
+  /**
+   * Возвращает сохраненный отпечаток медиафайла Telegram
+   * @param {string} mediaKey - ключ медиа (botapi:<file_unique_id>, mtproto:photo:<id> и т.п.)
+   * @returns {Promise<Object|null>} - { contentHash, hashes, variants, features, watermarks, jpegQuality, blockiness, fileName, settings } или null
+   */
+  async getCachedMedia(mediaKey) {
+    if (!this.useSqlite) {
+      return this.mediaCache.get(mediaKey) || null;
+    }
+    
+    try {
+      const [row] = await this._queryAll(`SELECT * FROM media_cache WHERE mediaKey = ?`, [mediaKey]);
+      if (!row) {
+        return null;
+      }
+      
+      return {
+        contentHash: row.contentHash,
+        hashes: JSON.parse(row.hashes),
+        variants: JSON.parse(row.variants || '{}'),
+        features: row.features ? JSON.parse(row.features) : null,
+        watermarks: row.watermarks ? JSON.parse(row.watermarks) : null,
+        jpegQuality: row.jpegQuality,
+        blockiness: row.blockiness,
+        fileName: row.fileName,
+        settings: row.settings
+      };
+    } catch (err) {
+      console.error('Ошибка при чтении кэша отпечатков:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Сохраняет отпечаток медиафайла Telegram, чтобы не скачивать и не хешировать его повторно
+   * @param {string} mediaKey - ключ медиа
+   * @param {Object} entry - { contentHash, hashes, variants, features, watermarks, jpegQuality, blockiness, fileName, settings }
+   * @returns {Promise<boolean>} - успешно ли сохранен отпечаток
+   */
+  async setCachedMedia(mediaKey, entry) {
+    if (!this.useSqlite) {
+      this.mediaCache.set(mediaKey, entry);
+      return true;
+    }
+    
+    try {
+      await this._run(
+        `INSERT OR REPLACE INTO media_cache (mediaKey, fileName, contentHash, hashes, variants, features, watermarks, jpegQuality, blockiness,
+          settings, addedAt)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [mediaKey, entry.fileName, entry.contentHash, JSON.stringify(entry.hashes),
+          JSON.stringify(entry.variants || {}), entry.features ? JSON.stringify(entry.features) : null,
+          entry.watermarks ? JSON.stringify(entry.watermarks) : null, entry.jpegQuality || null, entry.blockiness || null, entry.settings, new Date().toISOString()]
+      );
+      return true;
+    } catch (err) {
+      console.error('Ошибка при сохранении кэша отпечатков:', err);
+      return false;
+    }
+  }
+
+  /**
+   * Удаляет изображение из базы данных
+   * @param {string} fileId - ID файла для удаления
+   * @returns {boolean} - true, если изображение успешно удалено
+   */
+  async removeImage(fileId) {
+    if (this.useSqlite) {
+      try {
+        const changes = await this._run(`DELETE FROM images WHERE fileId = ?`, [fileId]);
+        await this._run(`DELETE FROM image_hashes WHERE fileId = ?`, [fileId]);
+        await this._run(`DELETE FROM image_hash_variants WHERE fileId = ?`, [fileId]);
+        await this._run(`DELETE FROM image_features WHERE fileId = ?`, [fileId]);
+        await this._run(`DELETE FROM image_watermarks WHERE fileId = ?`, [fileId]);
+        await this._removeFromCluster(fileId);
+        await this._run(`DELETE FROM collage_links WHERE collageFileId = ? OR imageFileId = ?`, [fileId, fileId]);
+        
+        // Удаляем из кэша в памяти и из индекса
+        this._uncacheImage(fileId);
+        
+        return changes > 0;
+      } catch (err) {
+        console.error('Ошибка при удалении изображения из SQLite:', err);
+        return false;
+      }
+    } else {
+      // Старый метод с JSON
+      this.collageLinks = this.collageLinks.filter(link => link.collageFileId !== fileId && link.imageFileId !== fileId);
+      await this._removeFromCluster(fileId);
+      return this._uncacheImage(fileId);
+    }
+  }
+
+  /**
+   * Очищает базу данных
+   */
+  async clear() {
+    if (this.useSqlite) {
+      try {
+        await this._run(`DELETE FROM images`);
+        await this._run(`DELETE FROM image_hashes`);
+        await this._run(`DELETE FROM image_hash_variants`);
+        await this._run(`DELETE FROM image_features`);
+        await this._run(`DELETE FROM image_watermarks`);
+        await this._run(`DELETE FROM clusters`);
+        await this._run(`DELETE FROM cluster_members`);
+        this._clearClusters();
+        await this._run(`DELETE FROM collage_links`);
+        await this._run(`DELETE FROM media_cache`);
+        await this._run(`DELETE FROM messages`);
+        await this._run(`DELETE FROM channels`);
+        imageHasher.clearCache();
+        
+        this._setImages([]);
+        console.log('SQLite база данных очищена');
+        return true;
+      } catch (err) {
+        console.error('Ошибка при очистке базы данных SQLite:', err);
+        return false;
+      }
+    } else {
+      // Старый метод с JSON
+      this.collageLinks = [];
+      this.mediaCache.clear();
+      this.messages.clear();
+      this.channels.clear();
+      this._clearClusters();
+      imageHasher.clearCache();
+      this._setImages([]);
+    }
+  }
+  
+  /**
+   * Закрывает соединение с базой данных
+   */
+  async close() {
+    if (this.useSqlite && this.db) {
+      return new Promise((resolve, reject) => {
+        this.db.close((err) => {
+          if (err) {
+            console.error('Ошибка при закрытии SQLite базы данных:', err);
+            reject(err);
+            return;
+          }
+          
+          console.log('SQLite база данных закрыта');
+          resolve();
+        });
+      });
+    }
+  }
+}
+
 module.exports = new ImageDatabase(); 
\ No newline at end of file
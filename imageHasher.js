@@ -1,230 +1,1473 @@
-const fs = require('fs');
-const path = require('path');
-const sharp = require('sharp');
-const imageHash = require('image-hash');
-const config = require('./config');
-const util = require('util');
-
-// Промисификация функции вычисления хеша
-const imageHashAsync = util.promisify(imageHash.imageHash);
-
-/**
- * Вычисляет расстояние Хэмминга между двумя хешами (количество различающихся битов)
- * @param {string} hash1 - первый хеш
- * @param {string} hash2 - второй хеш
- * @returns {number} - расстояние Хэмминга (0-100, в процентах различия)
- */
-function calculateHashDistance(hash1, hash2) {
-  if (hash1.length !== hash2.length) {
-    throw new Error('Хеши должны быть одинаковой длины');
-  }
-  
-  let distance = 0;
-  for (let i = 0; i < hash1.length; i++) {
-    if (hash1[i] !== hash2[i]) {
-      distance++;
-    }
-  }
-  
-  // Нормализуем расстояние в процентах (0-100)
-  return (distance / hash1.length) * 100;
-}
-
-/**
- * Определяет, являются ли изображения похожими
- * @param {string} hash1 - первый хеш
- * @param {string} hash2 - второй хеш
- * @returns {boolean} - true, если изображения похожи
- */
-function areImagesSimilar(hash1, hash2) {
-  const distance = calculateHashDistance(hash1, hash2);
-  return distance <= config.hashDifferenceThreshold;
-}
-
-/**
- * Определяет процент сходства между двумя хешами
- * @param {string} hash1 - первый хеш
- * @param {string} hash2 - второй хеш
- * @returns {number} - процент сходства (0-100)
- */
-function calculateSimilarityPercentage(hash1, hash2) {
-  const distance = calculateHashDistance(hash1, hash2);
-  const maxDistance = hash1.length * 4; // Максимально возможное расстояние (каждый символ отличается на 4 бита)
-  return 100 - (distance / maxDistance * 100);
-}
-
-/**
- * Группирует хеши по схожести
- * @param {Array<Object>} images - массив объектов с хешами
- * @param {number} threshold - порог сходства в процентах (0-100)
- * @returns {Array<Array<Object>>} - массив групп похожих изображений
- */
-function groupSimilarImages(images, threshold = 95) {
-  // Создаем глубокую копию массива входных изображений
-  const imagesCopy = JSON.parse(JSON.stringify(images));
-  const groups = [];
-  const processedIds = new Set();
-  
-  for (let i = 0; i < imagesCopy.length; i++) {
-    const currentImage = imagesCopy[i];
-    
-    // Пропускаем уже обработанные изображения
-    if (processedIds.has(currentImage.messageId)) {
-      continue;
-    }
-    
-    // Создаем новую группу с текущим изображением
-    const group = [currentImage];
-    processedIds.add(currentImage.messageId);
-    
-    // Ищем похожие изображения
-    for (let j = 0; j < imagesCopy.length; j++) {
-      if (i === j) continue;
-      
-      const compareImage = imagesCopy[j];
-      if (processedIds.has(compareImage.messageId)) {
-        continue;
-      }
-      
-      // Вычисляем сходство между изображениями
-      const similarity = calculateSimilarityPercentage(currentImage.hash, compareImage.hash);
-      
-      // Если сходство выше порога, добавляем в группу
-      if (similarity >= threshold) {
-        group.push(compareImage);
-        processedIds.add(compareImage.messageId);
-      }
-    }
-    
-    // Добавляем группу, только если в ней больше одного изображения
-    if (group.length > 1) {
-      groups.push(group);
-    }
-  }
-  
-  return groups;
-}
-
-/**
- * Создает отчет о найденных дубликатах
- * @param {Array<Array<Object>>} groups - группы похожих изображений 
- * @returns {string} - текстовый отчет
- */
-function generateDuplicatesReport(groups) {
-  if (groups.length === 0) {
-    return 'Дубликаты не найдены';
-  }
-  
-  let report = `Найдено ${groups.length} групп дубликатов\n\n`;
-  
-  groups.forEach((group, groupIndex) => {
-    report += `Группа #${groupIndex + 1} (${group.length} изображений):\n`;
-    report += `Хеш: ${group[0].hash}\n`;
-    
-    group.forEach((image, imageIndex) => {
-      report += `  ${imageIndex + 1}. ID сообщения: ${image.messageId}, Дата: ${image.date || 'неизвестно'}\n`;
-    });
-    
-    report += '\n';
-  });
-  
-  return report;
-}
-
-class ImageHasher {
-  constructor() {
-    this.hashCache = new Map(); // кэш хешей для уже обработанных изображений
-    this.tempDir = path.join(__dirname, 'temp');
-    this.hashSettings = config.hashSettings;
-    
-    // Создаем временную директорию, если её нет
-    if (!fs.existsSync(this.tempDir)) {
-      fs.mkdirSync(this.tempDir, { recursive: true });
-    }
-  }
-
-  /**
-   * Вычисляет хеш изображения
-   * @param {Buffer|string} imageData - буфер с данными изображения или путь к файлу
-   * @returns {Promise<string>} - хеш изображения
-   */
-  async calculateHash(imageData) {
-    try {
-      let imagePath;
-      
-      // Если передан буфер, сохраняем его во временный файл
-      if (Buffer.isBuffer(imageData)) {
-        const tempFilename = `temp_${Date.now()}.jpg`;
-        imagePath = path.join(this.tempDir, tempFilename);
-        await sharp(imageData).toFile(imagePath);
-      } else {
-        imagePath = imageData;
-      }
-      
-      // Вычисляем хеш
-      const hash = await imageHashAsync(
-        imagePath, 
-        this.hashSettings.hashSize, 
-        this.hashSettings.hashMethod === 'blockhash'
-      );
-      
-      // Если использовался временный файл, удаляем его
-      if (Buffer.isBuffer(imageData)) {
-        fs.unlinkSync(imagePath);
-      }
-      
-      return hash;
-    } catch (error) {
-      console.error('Ошибка при вычислении хеша:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Очищает кэш хешей
-   */
-  clearCache() {
-    this.hashCache.clear();
-  }
-
-  /**
-   * Очищает временную директорию
-   */
-  cleanupTempDir() {
-    if (fs.existsSync(this.tempDir)) {
-      const files = fs.readdirSync(this.tempDir);
-      
-      for (const file of files) {
-        fs.unlinkSync(path.join(this.tempDir, file));
-      }
-    }
-  }
-
-  /**
-   * Вычисление хеша изображения из файла
-   * @param {string} filePath - путь к файлу
-   * @returns {Promise<string>} - хеш изображения
-   */
-  async calculateHashFromFile(filePath) {
-    try {
-      const imageBuffer = fs.readFileSync(filePath);
-      return await this.calculateHash(imageBuffer);
-    } catch (error) {
-      console.error('Ошибка при вычислении хеша из файла:', error);
-      throw error;
-    }
-  }
-}
-
-const hasher = new ImageHasher();
-
-module.exports = {
-  calculateHash: hasher.calculateHash.bind(hasher),
-  calculateHashFromFile: hasher.calculateHashFromFile.bind(hasher),
-  areImagesSimilar,
-  calculateHashDistance,
-  calculateSimilarityPercentage,
-  groupSimilarImages,
-  generateDuplicatesReport,
-  cleanupTempDir: hasher.cleanupTempDir.bind(hasher)
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { isMainThread } = require('worker_threads');
+const sharp = require('sharp');
+const config = require('./config');
+const hashAlgorithms = require('./hashAlgorithms');
+const hashPool = require('./hashPool');
+const featureMatcher = require('./featureMatcher');
+const watermarkDetector = require('./watermarkDetector');
+const imageQuality = require('./imageQuality');
+const UnionFind = require('./unionFind');
+
+// Максимальная сторона изображения после декодирования (дальше хеши всё равно считаются по миниатюрам)
+const MAX_DECODE_SIDE = 512;
+
+/**
+ * Преобразования изображения для поиска повернутых и отраженных копий:
+ * apply применяет преобразование к конвейеру sharp, inverse - обратное преобразование
+ */
+const TRANSFORMS = {
+  rot90: { label: 'повернуто на 90°', inverse: 'rot270', apply: pipeline => pipeline.rotate(90) },
+  rot180: { label: 'повернуто на 180°', inverse: 'rot180', apply: pipeline => pipeline.rotate(180) },
+  rot270: { label: 'повернуто на 270°', inverse: 'rot90', apply: pipeline => pipeline.rotate(270) },
+  flipH: { label: 'отражено по горизонтали', inverse: 'flipH', apply: pipeline => pipeline.flop() },
+  flipV: { label: 'отражено по вертикали', inverse: 'flipV', apply: pipeline => pipeline.flip() }
+};
+
+// Название варианта для исходного (не преобразованного) изображения
+const ORIGINAL_VARIANT = 'original';
+
+// Варианты-фрагменты записываются как crop:x,y,w,h (доли сторон изображения):
+// crop - искомое изображение вырезано из найденного, pad - найденное вырезано из искомого
+const CROP_VARIANT = 'crop';
+const PAD_VARIANT = 'pad';
+
+// Весь кадр: с его хешем сравниваются фрагменты других изображений
+const FULL_FRAME = { x: 0, y: 0, width: 1, height: 1 };
+
+// Плитки коллажей записываются как tile:N/RxC (N - номер плитки по строкам, начиная с 1):
+// tile - искомое изображение является плиткой найденного коллажа,
+// collage - искомое изображение является коллажем, а найденное - его плиткой
+const TILE_VARIANT = 'tile';
+const COLLAGE_VARIANT = 'collage';
+
+// Кадры анимаций записываются как frame:N/K (N - номер кадра среди K выбранных, начиная с 1):
+// frame - искомое изображение является кадром найденной анимации,
+// animation - искомое изображение является анимацией, а найденное - ее кадром,
+// sequence:M/K - у анимаций совпало M из K кадров искомой анимации
+const FRAME_VARIANT = 'frame';
+const ANIMATION_VARIANT = 'animation';
+const SEQUENCE_VARIANT = 'sequence';
+
+// Совпадения по ключевым точкам записываются как features:M/K
+// (M точек согласованы одним преобразованием из K точек изображения с меньшим их числом)
+const FEATURE_VARIANT = 'features';
+
+/**
+ * Разбирает название варианта-плитки коллажа
+ * @param {string} variant - название варианта
+ * @returns {Object|null} - { type, index, rows, cols } или null, если это не плитка
+ */
+function parseTileVariant(variant) {
+  const match = /^(tile|collage):(\d+)\/(\d+)x(\d+)$/.exec(variant || '');
+  
+  if (!match) {
+    return null;
+  }
+  
+  const [index, rows, cols] = match.slice(2).map(Number);
+  return { type: match[1], index, rows, cols };
+}
+
+/**
+ * Формирует название варианта-кадра анимации
+ * @param {string} type - тип варианта (frame, animation или sequence)
+ * @param {number} index - номер кадра (для sequence - количество совпавших кадров)
+ * @param {number} count - количество выбранных кадров
+ * @returns {string} - название варианта, например frame:2/5
+ */
+function formatFrameVariant(type, index, count) {
+  return `${type}:${index}/${count}`;
+}
+
+/**
+ * Разбирает название варианта-кадра анимации
+ * @param {string} variant - название варианта
+ * @returns {Object|null} - { type, index, count } или null, если это не кадр
+ */
+function parseFrameVariant(variant) {
+  const match = /^(frame|animation|sequence):(\d+)\/(\d+)$/.exec(variant || '');
+  
+  if (!match) {
+    return null;
+  }
+  
+  return { type: match[1], index: Number(match[2]), count: Number(match[3]) };
+}
+
+/**
+ * Формирует название совпадения по ключевым точкам
+ * @param {number} inliers - количество согласованных точек
+ * @param {number} count - количество точек изображения с меньшим их числом
+ * @returns {string} - название варианта, например features:42/250
+ */
+function formatFeatureVariant(inliers, count) {
+  return `${FEATURE_VARIANT}:${inliers}/${count}`;
+}
+
+/**
+ * Разбирает название совпадения по ключевым точкам
+ * @param {string} variant - название варианта
+ * @returns {Object|null} - { inliers, count } или null, если это другой вариант
+ */
+function parseFeatureVariant(variant) {
+  const match = /^features:(\d+)\/(\d+)$/.exec(variant || '');
+  
+  if (!match) {
+    return null;
+  }
+  
+  return { inliers: Number(match[1]), count: Number(match[2]) };
+}
+
+/**
+ * Формирует название варианта-фрагмента
+ * @param {string} type - тип варианта (crop или pad)
+ * @param {Object} region - область { x, y, width, height } в долях сторон
+ * @returns {string} - название варианта, например crop:0.1,0,0.8,1
+ */
+function formatRegionVariant(type, region) {
+  const values = [region.x, region.y, region.width, region.height].map(value => Number(value.toFixed(3)));
+  return `${type}:${values.join(',')}`;
+}
+
+/**
+ * Разбирает название варианта-фрагмента
+ * @param {string} variant - название варианта
+ * @returns {Object|null} - { type, region } или null, если это не фрагмент
+ */
+function parseRegionVariant(variant) {
+  const match = /^(crop|pad):([\d.]+),([\d.]+),([\d.]+),([\d.]+)$/.exec(variant || '');
+  
+  if (!match) {
+    return null;
+  }
+  
+  const [x, y, width, height] = match.slice(2).map(Number);
+  return { type: match[1], region: { x, y, width, height } };
+}
+
+/**
+ * Проверяет, что вариант является хешем всего кадра для поиска обрезанных копий
+ * @param {string} variant - название варианта
+ * @returns {boolean} - true для варианта crop:0,0,1,1
+ */
+function isFullFrameVariant(variant) {
+  const parsed = parseRegionVariant(variant);
+  return Boolean(parsed) && parsed.region.width >= 1 && parsed.region.height >= 1;
+}
+
+/**
+ * Возвращает площадь перекрытия изображений, совпавших через преобразование
+ * @param {string} transform - название преобразования
+ * @returns {number} - площадь меньшего изображения в процентах от площади большего
+ */
+function getOverlapArea(transform) {
+  const parsed = parseRegionVariant(transform);
+  return parsed ? parsed.region.width * parsed.region.height * 100 : 100;
+}
+
+/**
+ * Возвращает описание преобразования для ответов бота и отчетов
+ * @param {string} transform - название преобразования
+ * @returns {string} - описание или пустая строка для исходного изображения
+ */
+function describeTransform(transform) {
+  const tile = parseTileVariant(transform);
+  
+  if (tile) {
+    return tile.type === TILE_VARIANT
+      ? `плитка ${tile.index} коллажа ${tile.rows}x${tile.cols}`
+      : `коллаж ${tile.rows}x${tile.cols}, плитка ${tile.index}`;
+  }
+  
+  const frame = parseFrameVariant(transform);
+  
+  if (frame) {
+    if (frame.type === SEQUENCE_VARIANT) {
+      return `анимация, совпало кадров: ${frame.index} из ${frame.count}`;
+    }
+    
+    return frame.type === FRAME_VARIANT
+      ? `кадр ${frame.index} из ${frame.count} анимации`
+      : `анимация, кадр ${frame.index} из ${frame.count}`;
+  }
+  
+  const features = parseFeatureVariant(transform);
+  
+  if (features) {
+    return `совпало ключевых точек: ${features.inliers} из ${features.count}`;
+  }
+  
+  const parsed = parseRegionVariant(transform);
+  
+  if (parsed) {
+    const action = parsed.type === CROP_VARIANT ? 'обрезано' : 'дополнено по краям';
+    return `${action} (перекрытие ${getOverlapArea(transform).toFixed(0)}% площади)`;
+  }
+  
+  return TRANSFORMS[transform] ? TRANSFORMS[transform].label : '';
+}
+
+/**
+ * Возвращает обратное преобразование
+ * @param {string} transform - название преобразования
+ * @returns {string} - название обратного преобразования
+ */
+function inverseTransform(transform) {
+  const tile = parseTileVariant(transform);
+  
+  if (tile) {
+    return `${tile.type === TILE_VARIANT ? COLLAGE_VARIANT : TILE_VARIANT}:${tile.index}/${tile.rows}x${tile.cols}`;
+  }
+  
+  const frame = parseFrameVariant(transform);
+  
+  if (frame) {
+    const types = { [FRAME_VARIANT]: ANIMATION_VARIANT, [ANIMATION_VARIANT]: FRAME_VARIANT, [SEQUENCE_VARIANT]: SEQUENCE_VARIANT };
+    return formatFrameVariant(types[frame.type], frame.index, frame.count);
+  }
+  
+  const parsed = parseRegionVariant(transform);
+  
+  if (parsed) {
+    return formatRegionVariant(parsed.type === CROP_VARIANT ? PAD_VARIANT : CROP_VARIANT, parsed.region);
+  }
+  
+  return TRANSFORMS[transform] ? TRANSFORMS[transform].inverse : transform;
+}
+
+// Версия реализации хеширования (декодирование, подготовка пикселей и сами алгоритмы).
+// Увеличивается при любом изменении, после которого новые хеши несравнимы со старыми
+const HASH_IMPLEMENTATION_VERSION = 1;
+
+// Версия хешей, сохраненных до появления версий: с новыми хешами они не сравниваются
+const LEGACY_HASH_VERSION = 'legacy';
+
+// Количество единичных битов для каждого значения байта
+const POPCOUNT = new Uint8Array(256);
+for (let i = 1; i < 256; i++) {
+  POPCOUNT[i] = (i & 1) + POPCOUNT[i >> 1];
+}
+
+/**
+ * Проверяет, что строка является хешем в шестнадцатеричном виде
+ * (сигнатуры облегченного сканирования вида photo_<id>_<w>x<h> хешами не являются)
+ * @param {string} hash - строка для проверки
+ * @returns {boolean} - true, если строку можно декодировать в биты
+ */
+function isBinaryHash(hash) {
+  return typeof hash === 'string' && hash.length > 0 && hash.length % 2 === 0 && /^[0-9a-f]+$/i.test(hash);
+}
+
+/**
+ * Проверяет, можно ли сравнивать два хеша между собой
+ * @param {string} hash1 - первый хеш
+ * @param {string} hash2 - второй хеш
+ * @returns {boolean} - true, если оба хеша двоичные и одинаковой длины
+ */
+function areHashesComparable(hash1, hash2) {
+  return isBinaryHash(hash1) && isBinaryHash(hash2) && hash1.length === hash2.length;
+}
+
+/**
+ * Возвращает количество битов в хеше
+ * @param {string} hash - хеш в шестнадцатеричном виде
+ * @returns {number} - длина хеша в битах
+ */
+function getHashBitLength(hash) {
+  return hash.length * 4;
+}
+
+/**
+ * Возвращает размер хеша (сторону квадрата битов)
+ * @param {string} hash - хеш в шестнадцатеричном виде
+ * @returns {number} - размер хеша (16 для 256-битного хеша)
+ */
+function getHashSize(hash) {
+  return Math.round(Math.sqrt(getHashBitLength(hash)));
+}
+
+/**
+ * Формирует метку версии хеша: хеши сравнимы, только если их метки совпадают
+ * @param {string} algorithm - алгоритм хеширования
+ * @param {number} size - размер хеша
+ * @param {string|null} version - версия реализации хеширования (null для хешей, сохраненных до появления версий)
+ * @returns {string} - метка вида phash:16:v1-trim
+ */
+function getHashTag(algorithm, size, version) {
+  return `${algorithm}:${size}:${version || LEGACY_HASH_VERSION}`;
+}
+
+/**
+ * Разбирает метку версии хеша
+ * @param {string} tag - метка вида phash:16:v1-trim
+ * @returns {Object} - { algorithm, size, version }
+ */
+function parseHashTag(tag) {
+  const [algorithm, size, version] = tag.split(':');
+  return { algorithm, size: Number(size), version };
+}
+
+/**
+ * Вычисляет расстояние Хэмминга между двумя хешами (количество различающихся битов)
+ * @param {string} hash1 - первый хеш
+ * @param {string} hash2 - второй хеш
+ * @returns {number} - количество различающихся битов
+ */
+function calculateHashDistance(hash1, hash2) {
+  if (!areHashesComparable(hash1, hash2)) {
+    throw new Error('Хеши должны быть двоичными и одинаковой длины');
+  }
+  
+  const bytes1 = Buffer.from(hash1, 'hex');
+  const bytes2 = Buffer.from(hash2, 'hex');
+  
+  let distance = 0;
+  for (let i = 0; i < bytes1.length; i++) {
+    distance += POPCOUNT[bytes1[i] ^ bytes2[i]];
+  }
+  
+  return distance;
+}
+
+/**
+ * Определяет процент различающихся битов между двумя хешами.
+ * Это единая шкала порога: hashDifferenceThreshold и /set_threshold задаются в ней
+ * @param {string} hash1 - первый хеш
+ * @param {string} hash2 - второй хеш
+ * @returns {number} - процент различия (0-100)
+ */
+function calculateDifferencePercentage(hash1, hash2) {
+  return calculateHashDistance(hash1, hash2) / getHashBitLength(hash1) * 100;
+}
+
+/**
+ * Определяет процент сходства между двумя хешами
+ * @param {string|Object} hash1 - хеш или набор хешей первого изображения
+ * @param {string|Object} hash2 - хеш или набор хешей второго изображения
+ * @returns {number} - процент сходства (0-100), равный 100 минус процент различия;
+ *   для наборов хешей - средневзвешенный по общим алгоритмам
+ */
+function calculateSimilarityPercentage(hash1, hash2) {
+  if (typeof hash1 === 'string' && typeof hash2 === 'string') {
+    return 100 - calculateDifferencePercentage(hash1, hash2);
+  }
+  
+  return compareHashSets(hash1, hash2).similarity;
+}
+
+/**
+ * Переводит порог различия в процентах в максимальное расстояние Хэмминга
+ * @param {number} bitLength - длина хеша в битах
+ * @param {number} threshold - порог различия в процентах (0-100)
+ * @returns {number} - максимальное допустимое количество различающихся битов
+ */
+function getMaxDistance(bitLength, threshold = config.hashDifferenceThreshold) {
+  return Math.floor(bitLength * threshold / 100);
+}
+
+/**
+ * Возвращает порог различия для алгоритма хеширования
+ * @param {string} algorithm - алгоритм хеширования
+ * @returns {number} - порог различия в процентах
+ */
+function getAlgorithmThreshold(algorithm) {
+  const thresholds = config.hashSettings.thresholds || {};
+  return thresholds[algorithm] !== undefined ? thresholds[algorithm] : config.hashDifferenceThreshold;
+}
+
+/**
+ * Приводит хеш или набор хешей к набору вида { алгоритм: хеш }.
+ * Одиночная строка считается хешем основного алгоритма (hashSettings.hashMethod)
+ * @param {string|Object} hashes - хеш или набор хешей
+ * @returns {Object} - набор хешей
+ */
+function toHashSet(hashes) {
+  if (typeof hashes === 'string') {
+    return { [config.hashSettings.hashMethod]: hashes };
+  }
+  
+  return hashes || {};
+}
+
+/**
+ * Сравнивает два набора хешей и объединяет решения отдельных алгоритмов
+ * по правилу hashSettings.fusion.rule:
+ * - 'any' - изображения похожи, если похожи по любому общему алгоритму
+ * - 'all' - изображения похожи, если похожи по всем общим алгоритмам
+ * - 'weighted' - взвешенное голосование, доля веса "за" не меньше fusion.minScore
+ * @param {string|Object} hashes1 - хеш или набор хешей первого изображения
+ * @param {string|Object} hashes2 - хеш или набор хешей второго изображения
+ * @param {number} [threshold] - общий порог различия в процентах (иначе порог каждого алгоритма)
+ * @returns {Object} - { similar, similarity, score, algorithms }
+ */
+function compareHashSets(hashes1, hashes2, threshold) {
+  const set1 = toHashSet(hashes1);
+  const set2 = toHashSet(hashes2);
+  const fusion = config.hashSettings.fusion || {};
+  const weights = fusion.weights || {};
+  const algorithms = [];
+  
+  for (const algorithm of Object.keys(set1)) {
+    if (!areHashesComparable(set1[algorithm], set2[algorithm])) {
+      continue;
+    }
+    
+    const distance = calculateHashDistance(set1[algorithm], set2[algorithm]);
+    const bitLength = getHashBitLength(set1[algorithm]);
+    const algorithmThreshold = threshold !== undefined ? threshold : getAlgorithmThreshold(algorithm);
+    
+    algorithms.push({
+      algorithm,
+      distance,
+      similarity: 100 - distance / bitLength * 100,
+      similar: distance <= getMaxDistance(bitLength, algorithmThreshold),
+      weight: weights[algorithm] !== undefined ? weights[algorithm] : 1
+    });
+  }
+  
+  if (algorithms.length === 0) {
+    return { similar: false, similarity: 0, score: 0, algorithms };
+  }
+  
+  const totalWeight = algorithms.reduce((sum, item) => sum + item.weight, 0) || algorithms.length;
+  const similarity = algorithms.reduce((sum, item) => sum + item.similarity * item.weight, 0) / totalWeight;
+  const score = algorithms.reduce((sum, item) => sum + (item.similar ? item.weight : 0), 0) / totalWeight;
+  
+  let similar;
+  switch (fusion.rule || 'any') {
+    case 'all':
+      similar = algorithms.every(item => item.similar);
+      break;
+    case 'weighted':
+      similar = score >= (fusion.minScore !== undefined ? fusion.minScore : 0.5);
+      break;
+    case 'any':
+      similar = algorithms.some(item => item.similar);
+      break;
+    default:
+      throw new Error(`Неизвестное правило объединения хешей: ${fusion.rule}`);
+  }
+  
+  return { similar, similarity, score, algorithms };
+}
+
+/**
+ * Определяет, являются ли изображения похожими
+ * @param {string|Object} hash1 - хеш или набор хешей первого изображения
+ * @param {string|Object} hash2 - хеш или набор хешей второго изображения
+ * @param {number} [threshold] - порог различия в процентах (по умолчанию из настроек)
+ * @returns {boolean} - true, если изображения похожи
+ */
+function areImagesSimilar(hash1, hash2, threshold) {
+  return compareHashSets(hash1, hash2, threshold).similar;
+}
+
+/**
+ * Группирует хеши по схожести. Группы транзитивны: если A похоже на B, а B на C,
+ * все три изображения попадают в одну группу независимо от порядка в массиве.
+ * Изображения в группе и сами группы идут в порядке входного массива
+ * @param {Array<Object>} images - массив объектов с хешами
+ * @param {number} [threshold] - порог различия в процентах (0-100, по умолчанию из настроек)
+ * @returns {Array<Array<Object>>} - массив групп похожих изображений
+ */
+function groupSimilarImages(images, threshold) {
+  // Создаем глубокую копию массива входных изображений
+  const imagesCopy = JSON.parse(JSON.stringify(images));
+  const sets = new UnionFind();
+  
+  for (let i = 0; i < imagesCopy.length; i++) {
+    sets.add(i);
+    for (let j = i + 1; j < imagesCopy.length; j++) {
+      const first = imagesCopy[i];
+      const second = imagesCopy[j];
+      if (areImagesSimilar(first.hashes || first.hash, second.hashes || second.hash, threshold)) {
+        sets.union(i, j);
+      }
+    }
+  }
+  
+  const groups = new Map();
+  imagesCopy.forEach((image, index) => {
+    const root = sets.find(index);
+    if (!groups.has(root)) {
+      groups.set(root, []);
+    }
+    groups.get(root).push(image);
+  });
+  
+  // Возвращаем только группы, в которых больше одного изображения
+  return [...groups.values()].filter(group => group.length > 1);
+}
+
+/**
+ * Создает отчет о найденных дубликатах
+ * @param {Array<Array<Object>>} groups - группы похожих изображений 
+ * @returns {string} - текстовый отчет
+ */
+function generateDuplicatesReport(groups) {
+  if (groups.length === 0) {
+    return 'Дубликаты не найдены';
+  }
+  
+  let report = `Найдено ${groups.length} групп дубликатов\n\n`;
+  
+  groups.forEach((group, groupIndex) => {
+    report += `Группа #${groupIndex + 1} (${group.length} изображений):\n`;
+    report += `Хеш: ${group[0].hash}\n`;
+    
+    group.forEach((image, imageIndex) => {
+      report += `  ${imageIndex + 1}. ID сообщения: ${image.messageId}, Дата: ${image.date || 'неизвестно'}\n`;
+    });
+    
+    report += '\n';
+  });
+  
+  return report;
+}
+
+class ImageHasher {
+  constructor() {
+    this.hashCache = new Map(); // ключ медиа Telegram -> отпечаток уже обработанного файла
+    this.cacheStore = null; // постоянное хранилище отпечатков (база данных изображений)
+    this.tempDir = path.join(__dirname, 'temp'); // файлы, скачанные клиентами MTProto
+    this.hashSettings = config.hashSettings;
+    this.watermarks = []; // реестр водяных знаков каналов (загружается watermarkRegistry)
+    
+    // Создаем временную директорию, если её нет
+    if (!fs.existsSync(this.tempDir)) {
+      fs.mkdirSync(this.tempDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Декодирует изображение в пиксели в оттенках серого
+   * @param {Buffer|string} imageData - буфер с данными изображения или путь к файлу
+   * @param {number} [page] - номер кадра анимации (по умолчанию первый кадр)
+   * @returns {Promise<Object>} - { data, width, height } с одним каналом на пиксель
+   * @private
+   */
+  async _loadGreyscale(imageData, page = 0) {
+    const { data, info } = await sharp(imageData, { page })
+      .rotate() // учитываем ориентацию из EXIF
+      .flatten({ background: '#ffffff' })
+      .resize(MAX_DECODE_SIDE, MAX_DECODE_SIDE, { fit: 'inside', withoutEnlargement: true })
+      .greyscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    
+    const image = { data: this._firstChannel(data, info.channels), width: info.width, height: info.height };
+    return await this._trimBorders(image);
+  }
+
+  /**
+   * Выбирает кадры анимации для хеширования: первый, последний и равномерно между ними
+   * @param {Buffer|string} imageData - буфер с данными изображения или путь к файлу
+   * @returns {Promise<Array<number>>} - номера кадров (пустой список для неподвижных изображений)
+   * @private
+   */
+  async _getFramePages(imageData) {
+    const settings = this.hashSettings.animation || {};
+    
+    if (!settings.enabled) {
+      return [];
+    }
+    
+    const { pages } = await sharp(imageData).metadata();
+    
+    if (!pages || pages < 2) {
+      return [];
+    }
+    
+    const count = Math.min(pages, Math.max(2, settings.frames || 2));
+    return Array.from({ length: count }, (_, i) => Math.round(i * (pages - 1) / (count - 1)));
+  }
+
+  /**
+   * Обрезает однотонные поля и рамки по краям изображения
+   * (черные полосы letterbox, цветные рамки, белые поля), чтобы они не влияли на хеши
+   * @param {Object} image - { data, width, height }
+   * @returns {Promise<Object>} - изображение без полей (или исходное, если обрезать нечего)
+   * @private
+   */
+  async _trimBorders(image) {
+    const settings = this.hashSettings.trimBorders || {};
+    
+    if (!settings.enabled) {
+      return image;
+    }
+    
+    const box = this._findContentBox(image, settings.tolerance || 0);
+    const minRatio = settings.minContentRatio || 0;
+    
+    // Если после обрезки почти ничего не остается, однотонным считается само изображение
+    if (!box || box.width < image.width * minRatio || box.height < image.height * minRatio) {
+      return image;
+    }
+    
+    if (box.width === image.width && box.height === image.height) {
+      return image;
+    }
+    
+    return await this._extractGreyscale(image, box);
+  }
+
+  /**
+   * Находит область изображения без однотонных полей.
+   * С каждой стороны отбрасываются однотонные строки (столбцы): все их пиксели
+   * отличаются от медианы линии не больше чем на tolerance. Цвет поля определяется
+   * для каждой линии отдельно, поэтому снимаются и вложенные рамки разного цвета
+   * @param {Object} image - { data, width, height }
+   * @param {number} tolerance - допустимое отклонение яркости пикселей поля
+   * @returns {Object|null} - область { left, top, width, height } или null, если изображение однотонное
+   * @private
+   */
+  _findContentBox(image, tolerance) {
+    const { data, width, height } = image;
+    const pixel = (x, y) => data[y * width + x];
+    
+    // Допуск tolerance покрывает шум сжатия JPEG на однотонных полях
+    const isUniform = values => {
+      const reference = [...values].sort((a, b) => a - b)[values.length >> 1];
+      return values.every(value => Math.abs(value - reference) <= tolerance);
+    };
+    const row = (y, left, right) => Array.from({ length: right - left }, (_, i) => pixel(left + i, y));
+    const column = (x, top, bottom) => Array.from({ length: bottom - top }, (_, i) => pixel(x, top + i));
+    
+    let top = 0;
+    let bottom = height;
+    let left = 0;
+    let right = width;
+    let changed = true;
+    
+    // Строки проверяются только в пределах оставшихся столбцов и наоборот,
+    // поэтому проходы повторяются, пока поля снимаются хотя бы с одной стороны
+    while (changed) {
+      changed = false;
+      
+      while (top < bottom && isUniform(row(top, left, right))) {
+        top++;
+        changed = true;
+      }
+      
+      while (bottom > top && isUniform(row(bottom - 1, left, right))) {
+        bottom--;
+        changed = true;
+      }
+      
+      while (left < right && top < bottom && isUniform(column(left, top, bottom))) {
+        left++;
+        changed = true;
+      }
+      
+      while (right > left && top < bottom && isUniform(column(right - 1, top, bottom))) {
+        right--;
+        changed = true;
+      }
+    }
+    
+    if (top >= bottom || left >= right) {
+      return null;
+    }
+    
+    return { left, top, width: right - left, height: bottom - top };
+  }
+
+  /**
+   * Вырезает прямоугольную область из изображения в оттенках серого
+   * @param {Object} image - { data, width, height }
+   * @param {Object} box - область { left, top, width, height } в пикселях
+   * @returns {Promise<Object>} - вырезанное изображение { data, width, height }
+   * @private
+   */
+  async _extractGreyscale(image, box) {
+    const { data, info } = await sharp(image.data, {
+      raw: { width: image.width, height: image.height, channels: 1 }
+    })
+      .extract(box)
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    
+    return { data: this._firstChannel(data, info.channels), width: info.width, height: info.height };
+  }
+
+  /**
+   * Вырезает из изображения область, заданную в долях сторон
+   * @param {Object} image - { data, width, height }
+   * @param {Object} region - область { x, y, width, height } в долях сторон
+   * @returns {Promise<Object>} - вырезанное изображение { data, width, height }
+   * @private
+   */
+  async _cropGreyscale(image, region) {
+    const left = Math.round(region.x * image.width);
+    const top = Math.round(region.y * image.height);
+    
+    return await this._extractGreyscale(image, {
+      left,
+      top,
+      width: Math.max(1, Math.min(image.width - left, Math.round(region.width * image.width))),
+      height: Math.max(1, Math.min(image.height - top, Math.round(region.height * image.height)))
+    });
+  }
+
+  /**
+   * Уменьшает изображение в оттенках серого до заданного размера
+   * @param {Object} image - { data, width, height }
+   * @param {number} width - требуемая ширина
+   * @param {number} height - требуемая высота
+   * @returns {Promise<Uint8Array>} - пиксели width x height
+   * @private
+   */
+  async _resample(image, width, height) {
+    const { data, info } = await sharp(image.data, {
+      raw: { width: image.width, height: image.height, channels: 1 }
+    })
+      .resize(width, height, { fit: 'fill', kernel: 'lanczos3' })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    
+    return this._firstChannel(data, info.channels);
+  }
+
+  /**
+   * Применяет геометрическое преобразование к изображению в оттенках серого
+   * @param {Object} image - { data, width, height }
+   * @param {string} transform - название преобразования (rot90, rot180, rot270, flipH, flipV)
+   * @returns {Promise<Object>} - преобразованное изображение { data, width, height }
+   * @private
+   */
+  async _transformGreyscale(image, transform) {
+    const pipeline = sharp(image.data, {
+      raw: { width: image.width, height: image.height, channels: 1 }
+    });
+    
+    const { data, info } = await TRANSFORMS[transform].apply(pipeline)
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    
+    return { data: this._firstChannel(data, info.channels), width: info.width, height: info.height };
+  }
+
+  /**
+   * Определяет, является ли изображение коллажем из плиток одинакового размера.
+   * На границе плиток соседние столбцы (строки) пикселей принадлежат разным снимкам,
+   * поэтому средняя разность яркости через границу заметно выше, чем внутри плиток
+   * @param {Object} image - { data, width, height }
+   * @returns {Object|null} - сетка { rows, cols } или null, если изображение не коллаж
+   * @private
+   */
+  _detectGrid(image) {
+    const settings = this.hashSettings.collageDetection || {};
+    
+    if (!settings.enabled || Math.min(image.width, image.height) < (settings.minSide || 0)) {
+      return null;
+    }
+    
+    const cols = this._countSeams(image, true, 1, settings);
+    const rows = this._countSeams(image, false, 1, settings);
+    
+    if (rows < 2 || cols < 2) {
+      return null;
+    }
+    
+    // Граница должна проходить через каждый ряд плиток, а не быть краем одного объекта на снимке
+    if (this._countSeams(image, true, rows, settings) !== cols || this._countSeams(image, false, cols, settings) !== rows) {
+      return null;
+    }
+    
+    return { rows, cols };
+  }
+
+  /**
+   * Вычисляет профиль границ: среднюю разность яркости соседних столбцов (или строк)
+   * @param {Object} image - { data, width, height }
+   * @param {boolean} vertical - true для вертикальных границ (между столбцами)
+   * @param {number} from - первая строка (столбец), по которой усредняется разность
+   * @param {number} to - строка (столбец), на которой усреднение заканчивается (не включая)
+   * @returns {Float64Array} - profile[p] - средняя разность между линиями p - 1 и p
+   * @private
+   */
+  _seamProfile(image, vertical, from, to) {
+    const { data, width, height } = image;
+    const length = vertical ? width : height;
+    const profile = new Float64Array(length);
+    
+    for (let p = 1; p < length; p++) {
+      let sum = 0;
+      for (let q = from; q < to; q++) {
+        const current = vertical ? data[q * width + p] : data[p * width + q];
+        const previous = vertical ? data[q * width + p - 1] : data[(p - 1) * width + q];
+        sum += Math.abs(current - previous);
+      }
+      profile[p] = sum / (to - from);
+    }
+    
+    return profile;
+  }
+
+  /**
+   * Определяет количество плиток вдоль стороны: для каждого размера сетки
+   * из collageDetection.gridSizes проверяется, что рядом с каждой ожидаемой
+   * границей есть резкий пик профиля в каждой из bands полос изображения
+   * @param {Object} image - { data, width, height }
+   * @param {boolean} vertical - true для количества столбцов плиток
+   * @param {number} bands - на сколько полос делится изображение поперек границ
+   * @param {Object} settings - настройки collageDetection
+   * @returns {number} - количество плиток (1, если границы не найдены)
+   * @private
+   */
+  _countSeams(image, vertical, bands, settings) {
+    const lines = vertical ? image.height : image.width;
+    const profiles = Array.from({ length: bands }, (_, band) => this._seamProfile(
+      image, vertical, Math.round(lines * band / bands), Math.round(lines * (band + 1) / bands)
+    ));
+    
+    const hasSeam = (profile, position) => {
+      const length = profile.length;
+      const baseline = Array.from(profile.subarray(1)).sort((a, b) => a - b)[(length - 1) >> 1];
+      const minPeak = Math.max(baseline * (settings.seamRatio || 3), settings.minSeamContrast || 0);
+      const window = Math.max(2, Math.round(length * (settings.seamTolerance || 0.015)));
+      
+      for (let p = Math.max(1, position - window); p <= Math.min(length - 1, position + window); p++) {
+        if (profile[p] >= minPeak) {
+          return true;
+        }
+      }
+      return false;
+    };
+    
+    // Большие сетки проверяются первыми: часть границ сетки 4 совпадает с границей сетки 2
+    const sizes = [...(settings.gridSizes || [])].sort((a, b) => b - a);
+    const length = vertical ? image.width : image.height;
+    
+    for (const size of sizes) {
+      const positions = Array.from({ length: size - 1 }, (_, k) => Math.round(length * (k + 1) / size));
+      if (profiles.every(profile => positions.every(position => hasSeam(profile, position)))) {
+        return size;
+      }
+    }
+    
+    return 1;
+  }
+
+  /**
+   * Вычисляет хеши каждой плитки коллажа (поля между плитками обрезаются)
+   * @param {Object} image - { data, width, height }
+   * @param {Object} grid - сетка { rows, cols }
+   * @param {Array<string>} methods - алгоритмы хеширования
+   * @returns {Promise<Object>} - { tile:N/RxC: набор хешей }
+   * @private
+   */
+  async _hashTiles(image, grid, methods) {
+    const variants = {};
+    
+    for (let row = 0; row < grid.rows; row++) {
+      for (let col = 0; col < grid.cols; col++) {
+        const left = Math.round(col * image.width / grid.cols);
+        const top = Math.round(row * image.height / grid.rows);
+        const right = Math.round((col + 1) * image.width / grid.cols);
+        const bottom = Math.round((row + 1) * image.height / grid.rows);
+        
+        const tile = await this._trimBorders(
+          await this._extractGreyscale(image, { left, top, width: right - left, height: bottom - top })
+        );
+        
+        const index = row * grid.cols + col + 1;
+        variants[`${TILE_VARIANT}:${index}/${grid.rows}x${grid.cols}`] = await this._hashAll(tile, methods);
+      }
+    }
+    
+    return variants;
+  }
+
+  /**
+   * Оставляет только первый канал из буфера пикселей
+   * @param {Buffer} data - пиксели
+   * @param {number} channels - количество каналов
+   * @returns {Uint8Array} - пиксели одного канала
+   * @private
+   */
+  _firstChannel(data, channels) {
+    if (channels === 1) {
+      return data;
+    }
+    
+    const result = new Uint8Array(data.length / channels);
+    for (let i = 0; i < result.length; i++) {
+      result[i] = data[i * channels];
+    }
+    return result;
+  }
+
+  /**
+   * Вычисляет хеш уже декодированного изображения
+   * @param {Object} image - { data, width, height }
+   * @param {string} method - алгоритм хеширования
+   * @param {number} [size] - размер хеша (по умолчанию hashSettings.hashSize)
+   * @returns {Promise<string>} - хеш изображения в шестнадцатеричном виде
+   * @private
+   */
+  async _hashGreyscale(image, method, size = this.hashSettings.hashSize) {
+    const algorithm = hashAlgorithms.getAlgorithm(method);
+    const { width, height } = algorithm.inputSize(size);
+    
+    const pixels = await this._resample(image, width, height);
+    return hashAlgorithms.packBits(algorithm.compute(pixels, size));
+  }
+
+  /**
+   * Нужно ли передавать хеширование в пул потоков: в основном потоке - если пул включен,
+   * в самих потоках пула хеши всегда считаются на месте
+   * @returns {boolean}
+   * @private
+   */
+  _usePool() {
+    return isMainThread && hashPool.enabled;
+  }
+
+  /**
+   * Вычисляет хеш изображения (в пуле потоков, если он включен)
+   * @param {Buffer|string} imageData - буфер с данными изображения или путь к файлу
+   * @param {string} [method] - алгоритм хеширования (по умолчанию из настроек)
+   * @returns {Promise<string>} - хеш изображения (упакованные биты в шестнадцатеричном виде)
+   */
+  async calculateHash(imageData, method = this.hashSettings.hashMethod) {
+    if (this._usePool()) {
+      return hashPool.run('calculateHash', [imageData, method]);
+    }
+    
+    try {
+      const image = await this._loadGreyscale(imageData);
+      return await this._hashGreyscale(image, method);
+    } catch (error) {
+      console.error('Ошибка при вычислении хеша:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Вычисляет хеши изображения сразу несколькими алгоритмами (изображение декодируется один раз;
+   * в пуле потоков, если он включен)
+   * @param {Buffer|string} imageData - буфер с данными изображения или путь к файлу
+   * @param {Array<string>} [methods] - алгоритмы хеширования (по умолчанию hashSettings.hashMethods)
+   * @returns {Promise<Object>} - набор хешей вида { алгоритм: хеш }
+   */
+  async calculateHashes(imageData, methods = this.getHashMethods()) {
+    if (this._usePool()) {
+      return hashPool.run('calculateHashes', [imageData, methods]);
+    }
+    
+    try {
+      const image = await this._loadGreyscale(imageData);
+      return await this._hashAll(image, methods);
+    } catch (error) {
+      console.error('Ошибка при вычислении хешей:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Вычисляет отпечаток изображения: хеши исходного изображения и, если включен
+   * поиск повернутых и отраженных копий, хеши каждого преобразования, а если включен
+   * поиск обрезанных копий - хеши всего кадра и его фрагментов (варианты crop:x,y,w,h).
+   * Фрагменты хешируются короткими хешами cropMatching.hashSize: они меньше
+   * чувствительны к неточному совпадению границ фрагмента и обрезки.
+   * Если изображение распознано как коллаж, добавляются хеши его плиток (варианты tile:N/RxC).
+   * У анимаций (GIF, WebP) все хеши считаются по первому кадру, а хеши выбранных кадров
+   * добавляются как варианты frame:N/K для сравнения последовательностей кадров.
+   * Если включена проверка по ключевым точкам, в отпечаток добавляются признаки featureMatcher.
+   * Если включен поиск водяных знаков, на изображении ищутся знаки из реестра, и при включенном
+   * маскировании их области закрашиваются до вычисления всех хешей.
+   * С options.quality в отпечаток добавляются оценки качества файла (см. imageQuality).
+   * При включенном пуле потоков отпечаток вычисляется в одном из потоков пула
+   * (реестр знаков передается в поток вместе с изображением)
+   * @param {Buffer|string} imageData - буфер с данными изображения или путь к файлу
+   * @param {Array<Object>} [watermarks] - водяные знаки { id, channel, template } (по умолчанию загруженный реестр)
+   * @param {Object} [options] - { quality } - оценить качество JPEG и артефакты сжатия файла
+   * @returns {Promise<Object>} - { hashes, variants, hashVersion, features, watermarks, jpegQuality, blockiness },
+   *   где variants имеет вид { преобразование: набор хешей }, hashVersion - версия реализации хеширования,
+   *   features - ключевые точки (null, если проверка по ним отключена),
+   *   watermarks - найденные водяные знаки (null, если поиск отключен),
+   *   jpegQuality и blockiness - оценки качества (null без options.quality)
+   */
+  async calculateFingerprint(imageData, watermarks = this.watermarks, options = {}) {
+    if (this._usePool()) {
+      return hashPool.run('calculateFingerprint', [imageData, watermarks, options]);
+    }
+    
+    try {
+      const watermarkSettings = this.hashSettings.watermarks || {};
+      let image = await this._loadGreyscale(imageData);
+      let detected = null;
+      
+      if (watermarkSettings.enabled) {
+        detected = watermarks.length > 0 ? watermarkDetector.detectWatermarks(image, watermarks, watermarkSettings) : [];
+        if (watermarkSettings.masking && detected.length > 0) {
+          image = watermarkDetector.maskRegions(image, detected.map(watermark => watermark.region));
+        }
+      }
+      
+      const methods = this.getHashMethods();
+      
+      const hashes = await this._hashAll(image, methods);
+      const variants = {};
+      
+      for (const transform of this.getTransforms()) {
+        variants[transform] = await this._hashAll(await this._transformGreyscale(image, transform), methods);
+      }
+      
+      const cropSettings = this.hashSettings.cropMatching || {};
+      const cropMethods = cropSettings.methods || [this.hashSettings.hashMethod];
+      for (const region of this.getCropRegions()) {
+        const variant = formatRegionVariant(CROP_VARIANT, region);
+        variants[variant] = await this._hashAll(await this._cropGreyscale(image, region), cropMethods, cropSettings.hashSize);
+      }
+      
+      const grid = this._detectGrid(image);
+      if (grid) {
+        Object.assign(variants, await this._hashTiles(image, grid, methods));
+      }
+      
+      const pages = await this._getFramePages(imageData);
+      for (let i = 0; i < pages.length; i++) {
+        const variant = formatFrameVariant(FRAME_VARIANT, i + 1, pages.length);
+        variants[variant] = pages[i] === 0 ? hashes : await this._hashAll(await this._loadGreyscale(imageData, pages[i]), methods);
+      }
+      
+      const features = (this.hashSettings.featureMatching || {}).enabled
+        ? await featureMatcher.extractFeatures(imageData)
+        : null;
+      const { jpegQuality, blockiness } = options.quality
+        ? await imageQuality.analyzeQuality(imageData)
+        : { jpegQuality: null, blockiness: null };
+      
+      return { hashes, variants, hashVersion: this.getHashVersion(), features, watermarks: detected, jpegQuality, blockiness };
+    } catch (error) {
+      console.error('Ошибка при вычислении отпечатка изображения:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Вычисляет хеши декодированного изображения несколькими алгоритмами
+   * @param {Object} image - { data, width, height }
+   * @param {Array<string>} methods - алгоритмы хеширования
+   * @param {number} [size] - размер хешей (по умолчанию hashSettings.hashSize)
+   * @returns {Promise<Object>} - набор хешей { алгоритм: хеш }
+   * @private
+   */
+  async _hashAll(image, methods, size) {
+    const hashes = {};
+    
+    for (const method of methods) {
+      hashes[method] = await this._hashGreyscale(image, method, size);
+    }
+    
+    return hashes;
+  }
+
+  /**
+   * Возвращает список преобразований, хеши которых вычисляются для каждого изображения
+   * @returns {Array<string>} - преобразования (пустой список, если поиск отключен)
+   */
+  getTransforms() {
+    const settings = this.hashSettings.transformInvariant || {};
+    
+    if (!settings.enabled) {
+      return [];
+    }
+    
+    return (settings.transforms || Object.keys(TRANSFORMS)).filter(transform => TRANSFORMS[transform]);
+  }
+
+  /**
+   * Возвращает области, хеши которых вычисляются для поиска обрезанных копий:
+   * весь кадр и для каждого масштаба - фрагменты, уменьшенные по обеим сторонам,
+   * только по ширине и только по высоте, в positions положениях вдоль каждой уменьшенной стороны
+   * @returns {Array<Object>} - области { x, y, width, height } в долях сторон (пустой список, если поиск отключен)
+   */
+  getCropRegions() {
+    const settings = this.hashSettings.cropMatching || {};
+    
+    if (!settings.enabled) {
+      return [];
+    }
+    
+    const positions = Math.max(1, settings.positions || 3);
+    const offsets = size => (size >= 1 || positions === 1
+      ? [(1 - size) / 2]
+      : Array.from({ length: positions }, (_, i) => (1 - size) * i / (positions - 1)));
+    
+    const regions = [FULL_FRAME];
+    for (const scale of settings.scales || []) {
+      for (const [width, height] of [[scale, scale], [scale, 1], [1, scale]]) {
+        for (const y of offsets(height)) {
+          for (const x of offsets(width)) {
+            regions.push({ x, y, width, height });
+          }
+        }
+      }
+    }
+    
+    return regions;
+  }
+
+  /**
+   * Возвращает версию реализации хеширования с учетом настроек, меняющих сами хеши
+   * (обрезка полей меняет пиксели, по которым считаются все хеши)
+   * @returns {string} - версия вида v1-trim
+   */
+  getHashVersion() {
+    const trimSettings = this.hashSettings.trimBorders || {};
+    return `v${HASH_IMPLEMENTATION_VERSION}${trimSettings.enabled ? '-trim' : ''}`;
+  }
+
+  /**
+   * Возвращает метку версии для хешей, вычисляемых сейчас
+   * @param {string} algorithm - алгоритм хеширования
+   * @param {number} [size] - размер хеша (по умолчанию hashSettings.hashSize)
+   * @returns {string} - метка версии хеша
+   */
+  getCurrentHashTag(algorithm, size = this.hashSettings.hashSize) {
+    return getHashTag(algorithm, size, this.getHashVersion());
+  }
+
+  /**
+   * Проверяет, что метка версии хеша соответствует текущей реализации хеширования
+   * (размер хеша не учитывается: хеши фрагментов короче основных)
+   * @param {string} tag - метка версии хеша
+   * @returns {boolean}
+   */
+  isCurrentHashTag(tag) {
+    return parseHashTag(tag).version === this.getHashVersion();
+  }
+
+  /**
+   * Возвращает список алгоритмов, которыми хешируется каждое изображение
+   * (основной алгоритм hashMethod всегда входит в список)
+   * @returns {Array<string>} - алгоритмы хеширования
+   */
+  getHashMethods() {
+    const methods = this.hashSettings.hashMethods || [];
+    return [...new Set([this.hashSettings.hashMethod, ...methods])];
+  }
+
+  /**
+   * Очищает кэш хешей
+   */
+  clearCache() {
+    this.hashCache.clear();
+  }
+
+  /**
+   * Очищает временную директорию
+   */
+  cleanupTempDir() {
+    if (fs.existsSync(this.tempDir)) {
+      const files = fs.readdirSync(this.tempDir);
+      
+      for (const file of files) {
+        fs.unlinkSync(path.join(this.tempDir, file));
+      }
+    }
+  }
+
+  /**
+   * Вычисление хеша изображения из файла
+   * @param {string} filePath - путь к файлу
+   * @returns {Promise<string>} - хеш изображения
+   */
+  async calculateHashFromFile(filePath) {
+    try {
+      return await this.calculateHash(filePath);
+    } catch (error) {
+      console.error('Ошибка при вычислении хеша из файла:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Вычисляет SHA-256 содержимого файла изображения для поиска точных (побайтовых) копий
+   * @param {Buffer|string} imageData - буфер с данными изображения или путь к файлу
+   * @returns {Promise<string>} - SHA-256 в шестнадцатеричном виде
+   */
+  async calculateContentHash(imageData) {
+    try {
+      const data = Buffer.isBuffer(imageData) ? imageData : await fs.promises.readFile(imageData);
+      return crypto.createHash('sha256').update(data).digest('hex');
+    } catch (error) {
+      console.error('Ошибка при вычислении хеша содержимого:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Подключает постоянное хранилище кэша отпечатков
+   * @param {Object} store - объект с методами getCachedMedia(key) и setCachedMedia(key, entry)
+   */
+  setCacheStore(store) {
+    this.cacheStore = store;
+  }
+
+  /**
+   * Задает реестр водяных знаков, которые ищутся на изображениях
+   * @param {Array<Object>} watermarks - водяные знаки { id, channel, template }
+   */
+  setWatermarks(watermarks) {
+    this.watermarks = watermarks;
+  }
+
+  /**
+   * Возвращает подпись настроек, от которых зависят сохраненные отпечатки.
+   * Отпечатки, вычисленные с другими настройками, в кэше не используются
+   * @returns {string} - короткий хеш настроек
+   */
+  getSettingsSignature() {
+    const featureSettings = this.hashSettings.featureMatching || {};
+    const watermarkSettings = this.hashSettings.watermarks || {};
+    const settings = {
+      version: this.getHashVersion(),
+      hashSize: this.hashSettings.hashSize,
+      methods: this.getHashMethods(),
+      transforms: this.getTransforms(),
+      trimBorders: this.hashSettings.trimBorders,
+      cropMatching: this.hashSettings.cropMatching && this.hashSettings.cropMatching.enabled ?
+        this.hashSettings.cropMatching : null,
+      collageDetection: this.hashSettings.collageDetection,
+      animation: this.hashSettings.animation && this.hashSettings.animation.enabled ?
+        this.hashSettings.animation.frames : null,
+      featureMatching: featureSettings.enabled ?
+        { version: featureMatcher.FEATURE_VERSION, maxSide: featureSettings.maxSide, maxFeatures: featureSettings.maxFeatures } : null,
+      // Отпечатки, вычисленные до изменения реестра знаков, вычисляются заново
+      watermarks: watermarkSettings.enabled ? {
+        version: watermarkDetector.TEMPLATE_VERSION,
+        ids: this.watermarks.map(watermark => watermark.id),
+        masking: watermarkSettings.masking,
+        minScore: watermarkSettings.minScore,
+        minSize: watermarkSettings.minSize,
+        maxSize: watermarkSettings.maxSize
+      } : null
+    };
+    
+    return crypto.createHash('sha1').update(JSON.stringify(settings)).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Возвращает отпечаток медиафайла Telegram, скачивая и хешируя файл только
+   * если его отпечатка еще нет в кэше (в памяти или в постоянном хранилище)
+   * @param {string|null} mediaKey - ключ медиа (getBotApiMediaKey / getMtprotoMediaKey), null отключает кэш
+   * @param {Function} download - async-функция, возвращающая буфер, путь к скачанному файлу
+   *   или { buffer, fileName } - содержимое файла, не сохраненного на диск, и его имя
+   * @param {Object} [options] - { thumbnail } - скачивается миниатюра, а не сам файл: качество
+   *   миниатюры не относится к файлу и не оценивается
+   * @returns {Promise<Object>} - { contentHash, hashes, variants, hashVersion, features, watermarks, jpegQuality, blockiness,
+   *   fileName, cached }, где jpegQuality и blockiness - оценки качества JPEG и артефактов сжатия
+   *   (см. imageQuality, у миниатюр - null),
+   *   fileName - имя скачанного файла без расширения (если download вернул путь или имя)
+   */
+  async getFingerprint(mediaKey, download, options = {}) {
+    const cacheSettings = config.mediaCache || {};
+    const useCache = Boolean(mediaKey) && cacheSettings.enabled !== false;
+    const signature = this.getSettingsSignature();
+    
+    if (useCache) {
+      const cached = await this._getCachedFingerprint(mediaKey, signature);
+      if (cached) {
+        // Подпись настроек включает версию хеширования, поэтому она совпадает с текущей
+        return { ...cached, hashVersion: this.getHashVersion(), cached: true };
+      }
+    }
+    
+    const downloaded = await download();
+    const imageData = downloaded && Buffer.isBuffer(downloaded.buffer) ? downloaded.buffer : downloaded;
+    const contentHash = await this.calculateContentHash(imageData);
+    const { hashes, variants, hashVersion, features, watermarks, jpegQuality, blockiness } =
+      await this.calculateFingerprint(imageData, undefined, { quality: !options.thumbnail });
+    const entry = {
+      contentHash,
+      hashes,
+      variants,
+      hashVersion,
+      features,
+      watermarks,
+      jpegQuality,
+      blockiness,
+      fileName: imageData !== downloaded
+        ? downloaded.fileName || null
+        : Buffer.isBuffer(imageData) ? null : path.basename(imageData, path.extname(imageData)),
+      settings: signature
+    };
+    
+    if (useCache) {
+      this._rememberFingerprint(mediaKey, entry);
+      
+      if (this.cacheStore) {
+        try {
+          await this.cacheStore.setCachedMedia(mediaKey, entry);
+        } catch (error) {
+          console.error('Ошибка при сохранении отпечатка в кэш:', error);
+        }
+      }
+    }
+    
+    return { ...entry, cached: false };
+  }
+
+  /**
+   * Ищет отпечаток в кэше в памяти, затем в постоянном хранилище
+   * @param {string} mediaKey - ключ медиа
+   * @param {string} signature - подпись текущих настроек хеширования
+   * @returns {Promise<Object|null>} - запись кэша или null
+   * @private
+   */
+  async _getCachedFingerprint(mediaKey, signature) {
+    let entry = this.hashCache.get(mediaKey);
+    
+    if (!entry && this.cacheStore) {
+      try {
+        entry = await this.cacheStore.getCachedMedia(mediaKey);
+      } catch (error) {
+        console.error('Ошибка при чтении кэша отпечатков:', error);
+      }
+      
+      if (entry && entry.settings === signature) {
+        this._rememberFingerprint(mediaKey, entry);
+      }
+    }
+    
+    return entry && entry.settings === signature ? entry : null;
+  }
+
+  /**
+   * Запоминает отпечаток в кэше в памяти, вытесняя самые старые записи
+   * @param {string} mediaKey - ключ медиа
+   * @param {Object} entry - запись кэша
+   * @private
+   */
+  _rememberFingerprint(mediaKey, entry) {
+    const limit = (config.mediaCache && config.mediaCache.memoryEntries) || 0;
+    
+    this.hashCache.delete(mediaKey);
+    if (limit <= 0) {
+      return;
+    }
+    
+    this.hashCache.set(mediaKey, entry);
+    while (this.hashCache.size > limit) {
+      this.hashCache.delete(this.hashCache.keys().next().value);
+    }
+  }
+}
+
+/**
+ * Возвращает ключ кэша для фото Bot API
+ * @param {Object} photo - объект PhotoSize или Document из Bot API
+ * @returns {string|null} - ключ вида botapi:<file_unique_id>
+ */
+function getBotApiMediaKey(photo) {
+  return photo && photo.file_unique_id ? `botapi:${photo.file_unique_id}` : null;
+}
+
+/**
+ * Возвращает ключ кэша для медиа MTProto
+ * @param {Object} media - фото или документ сообщения (message.photo, message.media и т.п.)
+ * @returns {string|null} - ключ вида mtproto:photo:<id> или mtproto:document:<id>
+ */
+function getMtprotoMediaKey(media) {
+  if (!media) {
+    return null;
+  }
+  
+  if (media.photo || media.document) {
+    return getMtprotoMediaKey(media.photo || media.document);
+  }
+  
+  if (media.id === undefined || media.id === null) {
+    return null;
+  }
+  
+  const type = media.className === 'Document' || media._ === 'document' ? 'document' : 'photo';
+  return `mtproto:${type}:${String(media.id)}`;
+}
+
+/**
+ * Возвращает поля записи изображения из отпечатка медиафайла (getFingerprint)
+ * @param {Object} fingerprint - отпечаток
+ * @param {boolean} [thumbnail] - отпечаток вычислен по миниатюре: SHA-256 миниатюры не относится
+ *   к самому файлу и для поиска точных копий не используется
+ * @returns {Object} - { hash, hashes, variants, features, watermarks, contentHash, hashVersion, jpegQuality, blockiness },
+ *   где hash - хеш основного алгоритма (hashSettings.hashMethod)
+ */
+function getFingerprintFields(fingerprint, thumbnail = false) {
+  const { hashes, variants, features, watermarks, hashVersion, jpegQuality, blockiness } = fingerprint;
+  
+  return {
+    hash: hashes[config.hashSettings.hashMethod],
+    hashes,
+    variants,
+    features,
+    watermarks,
+    contentHash: thumbnail ? null : fingerprint.contentHash,
+    hashVersion,
+    jpegQuality,
+    blockiness
+  };
+}
+
+const hasher = new ImageHasher();
+
+module.exports = {
+  calculateHash: hasher.calculateHash.bind(hasher),
+  calculateHashFromFile: hasher.calculateHashFromFile.bind(hasher),
+  calculateContentHash: hasher.calculateContentHash.bind(hasher),
+  calculateHashes: hasher.calculateHashes.bind(hasher),
+  calculateFingerprint: hasher.calculateFingerprint.bind(hasher),
+  getFingerprint: hasher.getFingerprint.bind(hasher),
+  setCacheStore: hasher.setCacheStore.bind(hasher),
+  setWatermarks: hasher.setWatermarks.bind(hasher),
+  getSettingsSignature: hasher.getSettingsSignature.bind(hasher),
+  getHashVersion: hasher.getHashVersion.bind(hasher),
+  getCurrentHashTag: hasher.getCurrentHashTag.bind(hasher),
+  isCurrentHashTag: hasher.isCurrentHashTag.bind(hasher),
+  getHashTag,
+  parseHashTag,
+  clearCache: hasher.clearCache.bind(hasher),
+  getBotApiMediaKey,
+  getMtprotoMediaKey,
+  getFingerprintFields,
+  getHashMethods: hasher.getHashMethods.bind(hasher),
+  getTransforms: hasher.getTransforms.bind(hasher),
+  getCropRegions: hasher.getCropRegions.bind(hasher),
+  describeTransform,
+  inverseTransform,
+  getOverlapArea,
+  parseRegionVariant,
+  parseTileVariant,
+  parseFrameVariant,
+  formatFrameVariant,
+  parseFeatureVariant,
+  formatFeatureVariant,
+  isFullFrameVariant,
+  ORIGINAL_VARIANT,
+  FRAME_VARIANT,
+  SEQUENCE_VARIANT,
+  FEATURE_VARIANT,
+  areImagesSimilar,
+  compareHashSets,
+  toHashSet,
+  getAlgorithmThreshold,
+  areHashesComparable,
+  isBinaryHash,
+  getHashBitLength,
+  getHashSize,
+  getMaxDistance,
+  calculateHashDistance,
+  calculateDifferencePercentage,
+  calculateSimilarityPercentage,
+  groupSimilarImages,
+  generateDuplicatesReport,
+  cleanupTempDir: hasher.cleanupTempDir.bind(hasher)
 }; 
\ No newline at end of file
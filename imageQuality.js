@@ -0,0 +1,306 @@
+/**
+ * Оценка качества файлов изображений и выбор лучшей копии среди дубликатов.
+ *
+ * Качество JPEG восстанавливается без декодирования по таблицам квантования из заголовка файла.
+ * Таблицы большинства кодировщиков (libjpeg, mozjpeg, Telegram) получены масштабированием
+ * стандартных таблиц JPEG, поэтому по среднему масштабу таблицы яркости можно оценить
+ * параметр quality, с которым файл был сохранен. Пересжатая копия почти всегда имеет
+ * качество не выше исходного файла.
+ *
+ * Артефакты сжатия оцениваются по блочности: JPEG кодирует изображение блоками 8x8,
+ * и при сильном сжатии перепады яркости на границах блоков заметно больше, чем внутри них.
+ */
+
+const fs = require('fs');
+const sharp = require('sharp');
+const config = require('./config');
+
+// Стандартная таблица квантования яркости JPEG (приложение K стандарта) - качество 50
+const STANDARD_LUMINANCE_TABLE = [
+  16, 11, 10, 16, 24, 40, 51, 61,
+  12, 12, 14, 19, 26, 58, 60, 55,
+  14, 13, 16, 24, 40, 57, 69, 56,
+  14, 17, 22, 29, 51, 87, 80, 62,
+  18, 22, 37, 56, 68, 109, 103, 77,
+  24, 35, 55, 64, 81, 104, 113, 92,
+  49, 64, 78, 87, 103, 121, 120, 101,
+  72, 92, 95, 98, 112, 100, 103, 99
+];
+
+const STANDARD_LUMINANCE_SUM = STANDARD_LUMINANCE_TABLE.reduce((sum, value) => sum + value, 0);
+
+// Размер блока JPEG и сторона области, по которой оценивается блочность больших изображений
+const BLOCK_SIZE = 8;
+const BLOCKINESS_SIDE = 1024;
+
+// Блочность, при которой артефакты сжатия считаются максимальными (у чистого изображения около 1)
+const MAX_BLOCKINESS = 2;
+
+// Маркеры JPEG
+const MARKER_SOI = 0xd8;
+const MARKER_SOS = 0xda;
+const MARKER_DQT = 0xdb;
+
+/**
+ * Находит в заголовке JPEG таблицу квантования яркости (таблицу 0)
+ * @param {Buffer} data - содержимое файла
+ * @returns {Array<number>|null} - 64 коэффициента или null, если это не JPEG или таблицы нет
+ * @private
+ */
+function findLuminanceTable(data) {
+  if (data.length < 4 || data[0] !== 0xff || data[1] !== MARKER_SOI) {
+    return null;
+  }
+
+  let offset = 2;
+  while (offset + 4 <= data.length) {
+    if (data[offset] !== 0xff) {
+      return null;
+    }
+
+    const marker = data[offset + 1];
+    // Маркеры могут дополняться байтами 0xFF
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+
+    // Дальше начинаются сжатые данные, таблицы уже прочитаны
+    if (marker === MARKER_SOS) {
+      return null;
+    }
+
+    const length = data.readUInt16BE(offset + 2);
+    const end = offset + 2 + length;
+
+    if (marker === MARKER_DQT) {
+      let position = offset + 4;
+      while (position < end && position < data.length) {
+        const precision = data[position] >> 4;
+        const tableId = data[position] & 0x0f;
+        const size = precision ? 128 : 64;
+
+        if (position + 1 + size > data.length) {
+          return null;
+        }
+
+        if (tableId === 0) {
+          const table = [];
+          for (let i = 0; i < 64; i++) {
+            table.push(precision ? data.readUInt16BE(position + 1 + i * 2) : data[position + 1 + i]);
+          }
+          return table;
+        }
+
+        position += 1 + size;
+      }
+    }
+
+    offset = end;
+  }
+
+  return null;
+}
+
+/**
+ * Оценивает качество JPEG (параметр quality кодировщика, 1-100) по таблице квантования яркости
+ * @param {Buffer|string} imageData - буфер с данными изображения или путь к файлу
+ * @returns {Promise<number|null>} - оценка качества или null, если это не JPEG
+ */
+async function estimateJpegQuality(imageData) {
+  try {
+    const data = Buffer.isBuffer(imageData) ? imageData : await fs.promises.readFile(imageData);
+    const table = findLuminanceTable(data);
+    if (!table) {
+      return null;
+    }
+
+    // Масштаб таблицы в процентах от стандартной; libjpeg получает его из качества как
+    // 5000 / quality при quality < 50 и 200 - 2 * quality при quality >= 50
+    const scale = table.reduce((sum, value) => sum + value, 0) * 100 / STANDARD_LUMINANCE_SUM;
+    const quality = scale <= 100 ? (200 - scale) / 2 : 5000 / scale;
+
+    return Math.max(1, Math.min(100, Math.round(quality)));
+  } catch (error) {
+    console.error('Ошибка при оценке качества JPEG:', error);
+    return null;
+  }
+}
+
+/**
+ * Оценивает блочность изображения - отношение среднего перепада яркости на границах блоков 8x8
+ * к среднему перепаду внутри блоков. У изображения без артефактов сжатия она около 1,
+ * у сильно сжатого JPEG - 1.5 и больше. Большие изображения оцениваются по центральной области,
+ * выровненной по сетке блоков; поворот по EXIF не применяется, чтобы сетка совпадала с файлом
+ * @param {Buffer|string} imageData - буфер с данными изображения или путь к файлу
+ * @returns {Promise<number|null>} - блочность или null, если изображение слишком мало или однотонно
+ */
+async function estimateBlockiness(imageData) {
+  try {
+    const { width, height, format } = await sharp(imageData).metadata();
+    // У анимаций и векторных изображений нет сетки блоков JPEG
+    if (!width || !height || format === 'gif' || format === 'svg') {
+      return null;
+    }
+
+    let pipeline = sharp(imageData).greyscale();
+    if (width > BLOCKINESS_SIDE || height > BLOCKINESS_SIDE) {
+      const regionWidth = Math.min(width, BLOCKINESS_SIDE);
+      const regionHeight = Math.min(height, BLOCKINESS_SIDE);
+      pipeline = pipeline.extract({
+        left: Math.floor((width - regionWidth) / 2 / BLOCK_SIZE) * BLOCK_SIZE,
+        top: Math.floor((height - regionHeight) / 2 / BLOCK_SIZE) * BLOCK_SIZE,
+        width: regionWidth,
+        height: regionHeight
+      });
+    }
+
+    const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+    const w = info.width;
+    const h = info.height;
+    if (w < BLOCK_SIZE * 2 || h < BLOCK_SIZE * 2) {
+      return null;
+    }
+
+    let boundarySum = 0;
+    let boundaryCount = 0;
+    let innerSum = 0;
+    let innerCount = 0;
+
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const value = data[y * w + x];
+
+        if (x + 1 < w) {
+          const diff = Math.abs(data[y * w + x + 1] - value);
+          if (x % BLOCK_SIZE === BLOCK_SIZE - 1) {
+            boundarySum += diff;
+            boundaryCount++;
+          } else {
+            innerSum += diff;
+            innerCount++;
+          }
+        }
+
+        if (y + 1 < h) {
+          const diff = Math.abs(data[(y + 1) * w + x] - value);
+          if (y % BLOCK_SIZE === BLOCK_SIZE - 1) {
+            boundarySum += diff;
+            boundaryCount++;
+          } else {
+            innerSum += diff;
+            innerCount++;
+          }
+        }
+      }
+    }
+
+    const inner = innerSum / innerCount;
+    // В однотонном изображении перепадов нет, и блочность не определена
+    if (inner < 0.5) {
+      return null;
+    }
+
+    return Math.round(boundarySum / boundaryCount / inner * 1000) / 1000;
+  } catch (error) {
+    console.error('Ошибка при оценке артефактов сжатия:', error);
+    return null;
+  }
+}
+
+/**
+ * Оценивает качество файла изображения: качество JPEG и блочность
+ * @param {Buffer|string} imageData - буфер с данными изображения или путь к файлу
+ * @returns {Promise<Object>} - { jpegQuality, blockiness } (null, если оценка невозможна)
+ */
+async function analyzeQuality(imageData) {
+  const data = Buffer.isBuffer(imageData) ? imageData : await fs.promises.readFile(imageData);
+
+  return {
+    jpegQuality: await estimateJpegQuality(data),
+    blockiness: await estimateBlockiness(data)
+  };
+}
+
+/**
+ * Возвращает уровень артефактов сжатия по блочности
+ * @param {number|null} blockiness - блочность
+ * @returns {number|null} - от 0 (артефактов нет) до 1 (сильные артефакты) или null
+ */
+function getArtefactLevel(blockiness) {
+  if (blockiness === null || blockiness === undefined) {
+    return null;
+  }
+
+  return Math.max(0, Math.min(1, (blockiness - 1) / (MAX_BLOCKINESS - 1)));
+}
+
+/**
+ * Оценивает копии одного изображения и упорядочивает их от лучшей к худшей:
+ * оценка складывается из разрешения (относительно самой крупной копии), качества JPEG
+ * и отсутствия артефактов сжатия с весами config.bestCopy.weights. Неизвестное качество
+ * (не JPEG, хеширование по миниатюре) и неизвестная блочность оцениваются как средние
+ * @param {Array<Object>} images - записи изображений (width, height, jpegQuality, blockiness)
+ * @returns {Array<Object>} - массив { image, score, resolution, quality, artefacts } по убыванию score
+ *   (пустой, если ни у одной копии нет ни размеров, ни оценок качества)
+ */
+function rankCopies(images) {
+  const known = images.some(image => (image.width && image.height) || image.jpegQuality ||
+    (image.blockiness !== null && image.blockiness !== undefined));
+  if (!known) {
+    return [];
+  }
+
+  const weights = (config.bestCopy && config.bestCopy.weights) || {};
+  const totalWeight = (weights.resolution || 0) + (weights.quality || 0) + (weights.artefacts || 0);
+  const maxPixels = Math.max(...images.map(image => (image.width || 0) * (image.height || 0)));
+
+  return images
+    .map(image => {
+      const pixels = (image.width || 0) * (image.height || 0);
+      const resolution = maxPixels > 0 ? pixels / maxPixels : 0;
+      const quality = image.jpegQuality ? image.jpegQuality / 100 : 0.5;
+      const artefactLevel = getArtefactLevel(image.blockiness);
+      const artefacts = artefactLevel !== null ? artefactLevel : 0.5;
+      const score = totalWeight > 0
+        ? ((weights.resolution || 0) * resolution + (weights.quality || 0) * quality +
+          (weights.artefacts || 0) * (1 - artefacts)) / totalWeight
+        : 0;
+
+      return { image, score, resolution, quality, artefacts };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Описывает копию для отчетов и ответов бота
+ * @param {Object} image - запись изображения
+ * @returns {string} - например "1280x720, JPEG около 87, артефакты сжатия слабые"
+ */
+function describeCopy(image) {
+  const parts = [];
+
+  if (image.width && image.height) {
+    parts.push(`${image.width}x${image.height}`);
+  }
+
+  if (image.jpegQuality) {
+    parts.push(`JPEG около ${image.jpegQuality}`);
+  }
+
+  const artefacts = getArtefactLevel(image.blockiness);
+  if (artefacts !== null) {
+    parts.push(`артефакты сжатия ${artefacts < 0.15 ? 'незаметны' : artefacts < 0.4 ? 'слабые' : 'сильные'}`);
+  }
+
+  return parts.join(', ');
+}
+
+module.exports = {
+  estimateJpegQuality,
+  estimateBlockiness,
+  analyzeQuality,
+  getArtefactLevel,
+  rankCopies,
+  describeCopy
+};
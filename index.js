@@ -1,536 +1,986 @@
-const TelegramBot = require('node-telegram-bot-api');
-const fs = require('fs');
-const { promises: fsPromises } = require('fs');
-const path = require('path');
-const axios = require('axios');
-const config = require('./config');
-const imageHasher = require('./imageHasher');
-const imageDatabase = require('./imageDatabase');
-const ChannelScanner = require('./updatedChannelScanner');
-const imageAnalyzer = require('./imageAnalyzer');
-
-// Добавляем импорт модуля для блокировки одновременного запуска
-const lockfile = require('proper-lockfile');
-const LOCK_FILE = path.join(__dirname, 'bot.lock');
-
-// Создаем временную директорию, если её нет
-if (!fs.existsSync(config.tempFolder)) {
-  fs.mkdirSync(config.tempFolder, { recursive: true });
-}
-
-// Проверяем наличие токена бота
-if (!config.botToken) {
-  console.error('Ошибка: Не указан токен Telegram бота в файле .env');
-  process.exit(1);
-}
-
-// Функция для проверки, запущен ли уже экземпляр бота
-async function checkBotInstance() {
-  try {
-    // Принудительно удаляем файл блокировки если он существует
-    if (fs.existsSync(LOCK_FILE)) {
-      try {
-        fs.unlinkSync(LOCK_FILE);
-        console.log('Удален существующий файл блокировки');
-      } catch (err) {
-        console.error('Не удалось удалить файл блокировки:', err.message);
-        // Продолжаем работу, так как мы все равно попробуем создать новый файл блокировки
-      }
-    }
-    
-    // Создаем новый файл блокировки с текущим PID
-    fs.writeFileSync(LOCK_FILE, process.pid.toString());
-    
-    // Устанавливаем обработчики для удаления файла блокировки при завершении
-    const cleanupOnExit = async () => {
-      try {
-        if (fs.existsSync(LOCK_FILE)) {
-          fs.unlinkSync(LOCK_FILE);
-          console.log('Файл блокировки удален при завершении');
-        }
-        
-        // Закрываем базу данных
-        await imageDatabase.close();
-        console.log('База данных успешно закрыта');
-      } catch (err) {
-        console.error('Ошибка при очистке ресурсов:', err);
-      }
-    };
-    
-    process.on('exit', cleanupOnExit);
-    process.on('SIGINT', async () => {
-      console.log('Получен сигнал завершения, очищаем ресурсы...');
-      await cleanupOnExit();
-      process.exit(0);
-    });
-    process.on('uncaughtException', async (err) => {
-      console.error('Необработанное исключение:', err);
-      await cleanupOnExit();
-      process.exit(1);
-    });
-    
-    return true;
-  } catch (error) {
-    console.error('Ошибка при проверке экземпляра бота:', error);
-    return false;
-  }
-}
-
-// Создаем экземпляр бота
-// Изменяем эту часть, чтобы запуск происходил только после проверки блокировки
-let bot;
-let channelScanner;
-
-// Функция для обработки нового сообщения с фото
-async function processPhotoMessage(msg) {
-  try {
-    const chatId = msg.chat.id;
-    
-    // Получаем файл наибольшего размера
-    const photoSizes = msg.photo;
-    const photo = photoSizes[photoSizes.length - 1];
-    const fileId = photo.file_id;
-    
-    // Получаем информацию о файле
-    const fileInfo = await bot.getFile(fileId);
-    const fileUrl = `https://api.telegram.org/file/bot${config.botToken}/${fileInfo.file_path}`;
-    
-    // Скачиваем файл
-    const response = await axios({
-      method: 'get',
-      url: fileUrl,
-      responseType: 'arraybuffer'
-    });
-    
-    // Вычисляем хеш изображения
-    const imageBuffer = Buffer.from(response.data);
-    const hash = await imageHasher.calculateHash(imageBuffer);
-    
-    // Ищем похожие изображения
-    const similarImages = imageDatabase.findSimilarImages(hash, (hash1, hash2) => {
-      return imageHasher.areImagesSimilar(hash1, hash2);
-    });
-    
-    // Сохраняем информацию о новом изображении
-    const imageInfo = {
-      fileId,
-      hash,
-      messageId: msg.message_id,
-      chatId: msg.chat.id,
-      userId: msg.from.id,
-      fileSize: photo.file_size,
-      width: photo.width,
-      height: photo.height,
-      timestamp: msg.date,
-      source: 'direct_message'
-    };
-    
-    imageDatabase.addImage(imageInfo);
-    await imageDatabase.save();
-    
-    // Отправляем ответ пользователю
-    if (similarImages.length > 0) {
-      const similarImagesList = similarImages.map((img, index) => {
-        const distance = imageHasher.calculateHashDistance(hash, img.hash).toFixed(2);
-        return `${index + 1}. Сходство: ${(100 - distance).toFixed(2)}% (сообщение ID: ${img.messageId})`;
-      }).join('\n');
-      
-      await bot.sendMessage(chatId, 
-        `Найдено ${similarImages.length} похожих изображений:\n${similarImagesList}`,
-        { reply_to_message_id: msg.message_id }
-      );
-    } else {
-      await bot.sendMessage(chatId, 
-        'Похожих изображений не найдено. Изображение добавлено в базу данных.',
-        { reply_to_message_id: msg.message_id }
-      );
-    }
-  } catch (error) {
-    console.error('Ошибка при обработке изображения:', error);
-    await bot.sendMessage(msg.chat.id, 'Произошла ошибка при обработке изображения');
-  }
-}
-
-/**
- * Обработчик новых текстовых сообщений
- * @param {Object} msg - объект сообщения от Telegram Bot API
- */
-async function handleMessage(msg) {
-  try {
-    // Обрабатываем только личные чаты
-    if (msg.chat.type !== 'private') {
-      return;
-    }
-    
-    // Если сообщение содержит фото, обрабатываем его отдельной функцией
-    if (msg.photo) {
-      await processPhotoMessage(msg);
-      return;
-    }
-    
-    // Логируем сообщение для отладки
-    console.log(`Получено сообщение от ${msg.from.username || msg.from.id}: ${msg.text}`);
-    
-    // Если сообщение не является командой, отправляем подсказку
-    if (!msg.text || !msg.text.startsWith('/')) {
-      await bot.sendMessage(msg.chat.id, 
-        'Отправьте мне фото для поиска похожих изображений или воспользуйтесь командами:\n' +
-        '/help - показать список доступных команд'
-      );
-    }
-  } catch (error) {
-    console.error('Ошибка при обработке сообщения:', error);
-  }
-}
-
-/**
- * Обработчик постов в канале
- * @param {Object} post - объект с постом из канала
- */
-async function handleChannelPost(post) {
-  try {
-    // Проверяем, является ли пост фотографией
-    if (post.photo) {
-      console.log(`Получено новое фото в канале ${post.chat.title || post.chat.id}`);
-      
-      // Обрабатываем фото из канала
-      if (config.autoProcessChannelPhotos) {
-        await processPhotoMessage(post);
-      }
-    }
-  } catch (error) {
-    console.error('Ошибка при обработке поста из канала:', error);
-  }
-}
-
-// Функция инициализации бота
-async function init() {
-  try {
-    // Проверяем, запущен ли уже экземпляр бота
-    const isRunning = await checkBotInstance();
-    if (!isRunning) {
-      console.log('Уже запущен экземпляр бота. Завершаем процесс.');
-      process.exit(0);
-    }
-
-    // Загружаем базу данных изображений
-    await imageDatabase.load();
-
-    // Создаем экземпляр сканера каналов
-    channelScanner = new ChannelScanner(bot);
-
-    // Устанавливаем обработчики сообщений для бота
-    bot.on('message', handleMessage);
-    bot.on('channel_post', handleChannelPost);
-    
-    // Сообщаем о запуске бота
-    console.log('Бот запущен');
-
-    // Запускаем таймер для автоматического сканирования каналов
-    if (config.autoScanInterval > 0) {
-      console.log(`Настроено автоматическое сканирование каждые ${config.autoScanInterval} минут`);
-      setInterval(async () => {
-        try {
-          if (config.channelId) {
-            console.log(`Запускаем автоматическое сканирование канала ${config.channelId} в lite режиме...`);
-            // Используем облегченный режим (без скачивания изображений)
-            await channelScanner.scanEntireChannelWithoutDownload(
-              config.channelId,
-              config.liteMode.batchSize,
-              config.liteMode.cooldownSeconds
-            );
-          }
-        } catch (error) {
-          console.error('Ошибка при автоматическом сканировании канала:', error);
-        }
-      }, config.autoScanInterval * 60 * 1000);
-    } else {
-      console.log('Автоматическое сканирование отключено');
-    }
-    
-    // Выполняем первое сканирование сразу после запуска, если канал указан
-    if (config.channelId) {
-      console.log(`Выполняем первоначальное сканирование канала ${config.channelId} в lite режиме...`);
-      // Запускаем сканирование в легком режиме (без скачивания) с небольшим количеством сообщений вначале
-      setTimeout(async () => {
-        try {
-          await channelScanner.scanEntireChannelWithoutDownload(
-            config.channelId,
-            config.liteMode.batchSize,
-            config.liteMode.cooldownSeconds
-          );
-        } catch (error) {
-          console.error('Ошибка при первоначальном сканировании канала:', error);
-        }
-      }, 5000); // Задержка 5 секунд перед первым сканированием
-    }
-  } catch (error) {
-    console.error('Ошибка при инициализации бота:', error);
-    process.exit(1);
-  }
-}
-
-/**
- * Настройка обработчиков команд бота
- */
-function setupBotHandlers() {
-  // Обработчик команды /start
-  bot.onText(/\/start/, async (msg) => {
-    const chatId = msg.chat.id;
-    await bot.sendMessage(chatId, 
-      'Привет! Я бот для сравнения изображений. Отправь мне фото, и я найду похожие изображения из базы.'
-    );
-  });
-
-  // Обработчик команды /help
-  bot.onText(/\/help/, async (msg) => {
-    const chatId = msg.chat.id;
-    await bot.sendMessage(chatId, 
-      'Доступные команды:\n' +
-      '/start - Запустить бота\n' +
-      '/help - Показать справку\n' +
-      '/status - Показать статистику базы данных\n' +
-      '/scan_channel - Сканировать указанный канал на наличие изображений\n' +
-      '/scan_channel {ID} {limit} {method} - Сканировать указанный канал с заданным количеством сообщений\n' +
-      '   Методы: auto (автоматический выбор), botapi, gramjs, mtprotocore\n' +
-      '/generate_report - Создать отчет о похожих изображениях\n' +
-      '/set_threshold {value} - Установить порог сходства (0-100)\n' +
-      '/clear - Очистить базу данных изображений'
-    );
-  });
-
-  // Обработчик команды /status
-  bot.onText(/\/status/, async (msg) => {
-    const chatId = msg.chat.id;
-    const images = imageDatabase.getAllImages();
-    await bot.sendMessage(chatId, 
-      `Статистика базы данных:\n` +
-      `- Количество изображений: ${images.length}\n` +
-      `- Порог схожести: ${config.hashDifferenceThreshold}%\n` +
-      `- Метод хеширования: ${config.hashSettings.hashMethod}`
-    );
-  });
-
-  // Обработчик команды /scan_channel
-  bot.onText(/\/scan_channel(\s+(.+))?/, async (msg, match) => {
-    const chatId = msg.chat.id;
-    let channelId = config.channelId;
-    let limit = config.liteMode.batchSize || 100;
-    
-    // Парсим аргументы, если они есть
-    if (match && match[2]) {
-      const args = match[2].trim().split(/\s+/);
-      if (args[0]) channelId = args[0];
-      if (args[1] && !isNaN(args[1])) limit = parseInt(args[1]);
-    }
-    
-    await bot.sendMessage(chatId, `Начинаю сканирование канала ${channelId} в lite режиме...`);
-    
-    try {
-      // Используем облегченный режим сканирования без скачивания изображений
-      const result = await channelScanner.scanEntireChannelWithoutDownload(
-        channelId,
-        limit,
-        config.liteMode.cooldownSeconds
-      );
-      
-      if (result.success) {
-        const { totalMessages, processedImages, similarImagesFound, errors } = result.results;
-        
-        // Отправляем общую статистику о результатах сканирования
-        await bot.sendMessage(chatId, 
-          `Сканирование завершено:\n` +
-          `- Режим: lite (без скачивания)\n` +
-          `- Просканировано сообщений: ${totalMessages}\n` +
-          `- Обработано изображений: ${processedImages}\n` +
-          `- Найдено похожих изображений: ${similarImagesFound}\n` +
-          `- Ошибок: ${errors}`
-        );
-
-        // Если есть дубликаты, отправляем информацию о них
-        if (similarImagesFound > 0 && result.reportFilePath) {
-          try {
-            // Читаем отчет из JSON файла
-            const reportData = JSON.parse(await fsPromises.readFile(result.reportFilePath, 'utf8'));
-
-            if (reportData.duplicateGroups && reportData.duplicateGroups.length > 0) {
-              // Отправляем заголовок
-              await bot.sendMessage(chatId, `Вот группы найденных дубликатов:`);
-
-              // Отправляем информацию о каждой группе дубликатов
-              for (let i = 0; i < Math.min(10, reportData.duplicateGroups.length); i++) {
-                const group = reportData.duplicateGroups[i];
-                let groupMessage = `*Группа ${i+1} (${group.count} похожих изображений)*\n\n`;
-                
-                // Добавляем оригинальное изображение
-                const originalDate = new Date(group.original.date).toLocaleString('ru-RU');
-                groupMessage += `*Оригинал*: [Сообщение ${group.original.messageId}](${group.original.link})\n`;
-                groupMessage += `Дата: ${originalDate}\n\n`;
-                
-                // Добавляем дубликаты
-                if (group.duplicates && group.duplicates.length > 0) {
-                  groupMessage += `*Дубликаты:*\n`;
-                  for (let j = 0; j < Math.min(10, group.duplicates.length); j++) {
-                    const duplicate = group.duplicates[j];
-                    const duplicateDate = new Date(duplicate.date).toLocaleString('ru-RU');
-                    groupMessage += `${j+1}. [Сообщение ${duplicate.messageId}](${duplicate.link})\n`;
-                    groupMessage += `   Дата: ${duplicateDate}\n`;
-                  }
-                  
-                  // Если дубликатов больше 10, добавляем сообщение об этом
-                  if (group.duplicates.length > 10) {
-                    groupMessage += `\n... и еще ${group.duplicates.length - 10} дубликатов\n`;
-                  }
-                }
-                
-                // Отправляем сообщение для этой группы с markdown-форматированием для ссылок
-                try {
-                  await bot.sendMessage(chatId, groupMessage, { 
-                    parse_mode: 'Markdown',
-                    disable_web_page_preview: true  // Отключаем предпросмотр, чтобы не загружать изображения
-                  });
-                } catch (sendError) {
-                  console.error('Ошибка при отправке сообщения с группой дубликатов:', sendError);
-                  // Если произошла ошибка форматирования, отправляем без форматирования
-                  await bot.sendMessage(chatId, 
-                    `Группа ${i+1} (${group.count} похожих изображений):\n\n` +
-                    `Оригинал: ${group.original.link}\n\n` +
-                    `Дубликатов: ${group.duplicates.length}`
-                  );
-                }
-              }
-              
-              // Если групп дубликатов больше 10, добавляем сообщение об этом
-              if (reportData.duplicateGroups.length > 10) {
-                await bot.sendMessage(chatId, `... и еще ${reportData.duplicateGroups.length - 10} групп дубликатов.\n\nПолный отчет сохранен в файл JSON.`);
-              }
-            }
-          } catch (error) {
-            console.error('Ошибка при чтении или обработке отчета:', error);
-            await bot.sendMessage(chatId, `Произошла ошибка при обработке отчета. Полный отчет сохранен в файл JSON.`);
-          }
-        } else if (similarImagesFound === 0) {
-          await bot.sendMessage(chatId, 'Дубликатов не найдено.');
-        }
-      } else {
-        await bot.sendMessage(chatId, `Ошибка при сканировании: ${result.error || result.message}`);
-      }
-    } catch (error) {
-      console.error('Ошибка при выполнении команды scan_channel:', error);
-      await bot.sendMessage(chatId, `Ошибка: ${error.message}`);
-    }
-  });
-
-  // Обработчик команды /clear
-  bot.onText(/\/clear/, async (msg) => {
-    const chatId = msg.chat.id;
-    imageDatabase.clear();
-    await imageDatabase.save();
-    imageHasher.cleanupTempDir();
-    await bot.sendMessage(chatId, 'База данных очищена');
-  });
-
-  // Обработчик команды для установки порога сходства
-  bot.onText(/\/set_threshold\s+(\d+)/, async (msg, match) => {
-    const chatId = msg.chat.id;
-    const threshold = parseInt(match[1]);
-    
-    if (threshold >= 0 && threshold <= 100) {
-      config.hashDifferenceThreshold = threshold;
-      await bot.sendMessage(chatId, `Порог сходства установлен на ${threshold}%`);
-    } else {
-      await bot.sendMessage(chatId, 'Порог сходства должен быть числом от 0 до 100');
-    }
-  });
-
-  // Обработчик команды для генерации отчета
-  bot.onText(/\/generate_report/, async (msg) => {
-    const chatId = msg.chat.id;
-    
-    await bot.sendMessage(chatId, 'Создаю отчет о похожих изображениях...');
-    
-    try {
-      const report = await imageAnalyzer.createSimilarityReport();
-      
-      // Отправляем текстовый отчет
-      if (report.groups.length > 0) {
-        // Отправляем краткую статистику
-        await bot.sendMessage(chatId, 
-          `Отчет создан:\n` +
-          `- Всего групп похожих изображений: ${report.groups.length}\n` +
-          `- Общее количество дубликатов: ${report.groups.reduce((sum, group) => sum + group.similarImages.length, 0)}`
-        );
-        
-        // Отправляем текстовый файл с отчетом
-        await bot.sendDocument(chatId, report.textLogPath, {
-          caption: 'Текстовый отчет о похожих изображениях'
-        });
-        
-        // Отправляем HTML-отчет
-        await bot.sendDocument(chatId, report.htmlReportPath, {
-          caption: 'HTML-отчет о похожих изображениях'
-        });
-      } else {
-        await bot.sendMessage(chatId, 'Похожие изображения не найдены');
-      }
-    } catch (error) {
-      console.error('Ошибка при генерации отчета:', error);
-      await bot.sendMessage(chatId, `Ошибка при генерации отчета: ${error.message}`);
-    }
-  });
-
-  // Обработчик для всех фотографий
-  bot.on('photo', processPhotoMessage);
-
-  // Обработчик ошибок
-  bot.on('polling_error', (error) => {
-    console.error('Ошибка соединения с Telegram API:', error);
-  });
-}
-
-// Инициализация базы данных и запуск бота
-async function start() {
-  try {
-    console.log('Запуск Telegram бота для сравнения изображений...');
-    
-    // Проверяем, не запущен ли уже бот
-    const canStart = await checkBotInstance();
-    
-    if (!canStart) {
-      console.error('Другой экземпляр бота уже запущен. Завершение работы.');
-      process.exit(1);
-    }
-
-    console.log('Проверка конфигурации...');
-    console.log(`Токен бота: ${config.botToken ? '✅ Задан' : '❌ Не задан'}`);
-    console.log(`ID канала: ${config.channelId ? '✅ Задан' : '❌ Не задан'}`);
-
-    // Создаем экземпляр бота только если блокировка успешна
-    console.log('Создание экземпляра бота...');
-    bot = new TelegramBot(config.botToken, { polling: true });
-    
-    console.log('Создание экземпляра сканера каналов...');
-    channelScanner = new ChannelScanner(bot);
-    
-    // Настраиваем обработчики сообщений перед инициализацией
-    console.log('Настройка обработчиков сообщений...');
-    setupBotHandlers();
-    
-    // Инициализируем бота
-    console.log('Инициализация бота...');
-    await init();
-    
-    // Периодически сохраняем базу данных
-    console.log('Настройка периодического сохранения базы данных...');
-    setInterval(() => {
-      imageDatabase.save();
-    }, 5 * 60 * 1000); // Каждые 5 минут
-    
-    console.log('Бот успешно запущен и готов к работе');
-  } catch (error) {
-    console.error('Ошибка при запуске бота:', error);
-    process.exit(1);
-  }
-}
-
+const TelegramBot = require('node-telegram-bot-api');
+const fs = require('fs');
+const { promises: fsPromises } = require('fs');
+const path = require('path');
+const axios = require('axios');
+const config = require('./config');
+const imageHasher = require('./imageHasher');
+const hashPool = require('./hashPool');
+const imageDatabase = require('./imageDatabase');
+const ChannelScanner = require('./updatedChannelScanner');
+const imageAnalyzer = require('./imageAnalyzer');
+const RehashJob = require('./rehashJob');
+const HydrationJob = require('./hydrationJob');
+const telegramMedia = require('./telegramMedia');
+const telegramForwards = require('./telegramForwards');
+const telegramMessages = require('./telegramMessages');
+const imageQuality = require('./imageQuality');
+const thresholdSettings = require('./thresholdSettings');
+const watermarkRegistry = require('./watermarkRegistry');
+
+// Добавляем импорт модуля для блокировки одновременного запуска
+const lockfile = require('proper-lockfile');
+const LOCK_FILE = path.join(__dirname, 'bot.lock');
+
+// Создаем временную директорию, если её нет
+if (!fs.existsSync(config.tempFolder)) {
+  fs.mkdirSync(config.tempFolder, { recursive: true });
+}
+
+// Проверяем наличие токена бота
+if (!config.botToken) {
+  console.error('Ошибка: Не указан токен Telegram бота в файле .env');
+  process.exit(1);
+}
+
+// Функция для проверки, запущен ли уже экземпляр бота
+async function checkBotInstance() {
+  try {
+    // Принудительно удаляем файл блокировки если он существует
+    if (fs.existsSync(LOCK_FILE)) {
+      try {
+        fs.unlinkSync(LOCK_FILE);
+        console.log('Удален существующий файл блокировки');
+      } catch (err) {
+        console.error('Не удалось удалить файл блокировки:', err.message);
+        // Продолжаем работу, так как мы все равно попробуем создать новый файл блокировки
+      }
+    }
+    
+    // Создаем новый файл блокировки с текущим PID
+    fs.writeFileSync(LOCK_FILE, process.pid.toString());
+    
+    // Устанавливаем обработчики для удаления файла блокировки при завершении
+    const cleanupOnExit = async () => {
+      try {
+        if (fs.existsSync(LOCK_FILE)) {
+          fs.unlinkSync(LOCK_FILE);
+          console.log('Файл блокировки удален при завершении');
+        }
+        
+        // Останавливаем фоновые задачи и потоки хеширования, закрываем базу данных
+        if (rehashJob) {
+          await rehashJob.stop();
+        }
+        if (hydrationJob) {
+          await hydrationJob.stop();
+        }
+        await hashPool.destroy();
+        await imageDatabase.close();
+        console.log('База данных успешно закрыта');
+      } catch (err) {
+        console.error('Ошибка при очистке ресурсов:', err);
+      }
+    };
+    
+    process.on('exit', cleanupOnExit);
+    process.on('SIGINT', async () => {
+      console.log('Получен сигнал завершения, очищаем ресурсы...');
+      await cleanupOnExit();
+      process.exit(0);
+    });
+    process.on('uncaughtException', async (err) => {
+      console.error('Необработанное исключение:', err);
+      await cleanupOnExit();
+      process.exit(1);
+    });
+    
+    return true;
+  } catch (error) {
+    console.error('Ошибка при проверке экземпляра бота:', error);
+    return false;
+  }
+}
+
+// Создаем экземпляр бота
+// Изменяем эту часть, чтобы запуск происходил только после проверки блокировки
+let bot;
+let channelScanner;
+let rehashJob;
+let hydrationJob;
+
+// Названия состояний фоновых задач для ответов бота
+const JOB_STATUS_NAMES = {
+  idle: 'не запускалось',
+  pending: 'ожидает запуска',
+  running: 'выполняется',
+  paused: 'приостановлено',
+  completed: 'завершено',
+  failed: 'остановлено из-за ошибки'
+};
+
+// Команда добавления водяного знака: канал и необязательная область знака в процентах (x y ширина высота)
+const ADD_WATERMARK_COMMAND = /^\/add_watermark(?:@\w+)?(?:\s+(\S+))?(?:\s+(\d+(?:[.,]\d+)?)\s+(\d+(?:[.,]\d+)?)\s+(\d+(?:[.,]\d+)?)\s+(\d+(?:[.,]\d+)?))?\s*$/;
+
+/**
+ * Скачивает файл через Bot API
+ * @param {string} fileId - file_id файла
+ * @returns {Promise<Buffer>} - содержимое файла
+ */
+async function downloadBotApiFile(fileId) {
+  const fileInfo = await bot.getFile(fileId);
+  const response = await axios({
+    method: 'get',
+    url: `https://api.telegram.org/file/bot${config.botToken}/${fileInfo.file_path}`,
+    responseType: 'arraybuffer'
+  });
+  
+  return Buffer.from(response.data);
+}
+
+/**
+ * Описывает для ответа бота лучшую копию изображения среди всех копий его кластера дубликатов
+ * @param {number|null} clusterId - ID кластера
+ * @param {string} fileId - ID файла только что полученного изображения
+ * @returns {Promise<string>} - строка ответа или пустая строка, если лучшая копия не выбрана
+ */
+async function describeBestCopy(clusterId, fileId) {
+  if (clusterId === null) {
+    return '';
+  }
+  
+  const cluster = await imageDatabase.getCluster(clusterId);
+  const [bestCopy] = cluster ? imageQuality.rankCopies(cluster.images) : [];
+  if (!bestCopy) {
+    return '';
+  }
+  
+  const { image } = bestCopy;
+  const details = imageQuality.describeCopy(image);
+  // Публичная ссылка строится по юзернейму канала из таблицы каналов
+  const messages = await imageDatabase.getImageMessages([image.fileId]);
+  const link = imageAnalyzer.createMessageLink({ ...image, ...messages.get(image.fileId) });
+  const name = image.fileId === fileId ? 'это изображение' : `сообщение ID ${image.messageId}`;
+  
+  return `\nЛучшая копия: ${name}${details ? ` (${details})` : ''}${link && image.fileId !== fileId ? ` ${link}` : ''}`;
+}
+
+/**
+ * Скачивает изображение из базы для перехеширования. Файлы Bot API запрашиваются по file_id;
+ * fileId записей MTProto и облегченного сканирования - ID фото, а не file_id, поэтому
+ * их сообщения заново запрашиваются через gramjs по ID канала и сообщения
+ * @param {Object} image - запись изображения из базы
+ * @returns {Promise<Buffer|string|Object|null>} - буфер, путь к файлу, { buffer, thumbnail: true }
+ *   для миниатюры или null, если скачать нельзя
+ */
+async function downloadImageForRehash(image) {
+  if (!image.fileId) {
+    return null;
+  }
+  
+  if (image.fileId.startsWith('virtual_') || String(image.source).startsWith('channel_scan_')) {
+    return await downloadMtprotoImageForRehash(image);
+  }
+  
+  // Повторные публикации файла хранятся отдельными записями, но скачивается сам файл
+  const mediaFileId = imageDatabase.getMediaFileId(image.fileId);
+  try {
+    return await downloadBotApiFile(mediaFileId);
+  } catch (error) {
+    console.log(`Не удалось скачать изображение ${image.fileId} для перехеширования: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Скачивает для перехеширования изображение записи MTProto или облегченного сканирования: файл,
+ * оставшийся во временной папке после скачивания через MTProto, или сообщение, заново полученное
+ * через gramjs, как при дозаполнении. Записи, хешированные по миниатюре (без SHA-256 файла),
+ * перехешируются по миниатюре
+ * @param {Object} image - запись изображения из базы
+ * @returns {Promise<Buffer|string|Object|null>} - см. downloadImageForRehash
+ */
+async function downloadMtprotoImageForRehash(image) {
+  const thumbnail = !image.contentHash;
+  
+  const tempPath = path.join(config.tempFolder, `${imageDatabase.getMediaFileId(image.fileId)}.jpg`);
+  if (!thumbnail && fs.existsSync(tempPath)) {
+    return tempPath;
+  }
+  
+  // Без сохраненной сессии gramjs запросит вход в консоли, а фоновая задача ждать его не может
+  if (!fs.existsSync(path.join(__dirname, 'session.json'))) {
+    console.log(`Нет сессии gramjs (session.json), изображение ${image.fileId} не может быть скачано заново`);
+    return null;
+  }
+  
+  try {
+    const client = await channelScanner.getGramjsClient();
+    const channel = await client.getChannelById(String(image.chatId));
+    const [message] = channel ? await client.getMessagesByIds(channel, [Number(image.messageId)]) : [];
+    
+    // Сообщение удалено или больше не содержит медиа
+    if (!message || !message.media) {
+      return null;
+    }
+    
+    if (!thumbnail) {
+      return await client.downloadMessagePhoto(message, config.tempFolder);
+    }
+    
+    // Записи облегченного сканирования дозаполняются миниатюрами своего размера
+    const { minSide, mode } = config.thumbnailHashing;
+    const downloaded = image.fileId.startsWith('virtual_')
+      ? await client.downloadMessageThumbnail(message, config.liteMode.hydration.minThumbSide)
+      : await client.downloadMessageThumbnail(message, minSide, { stripped: mode === 'stripped' });
+    return downloaded ? { ...downloaded, thumbnail: true } : null;
+  } catch (error) {
+    console.log(`Не удалось получить сообщение ${image.messageId} канала ${image.chatId} для перехеширования: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Формирует описание состояния перехеширования
+ * @returns {Promise<string>} - текст для ответа бота
+ */
+async function describeRehashStatus() {
+  const status = await rehashJob.getStatus();
+  const outdated = await imageDatabase.countOutdatedImages();
+  
+  let text = `Перехеширование: ${JOB_STATUS_NAMES[status.status] || status.status}\n` +
+    `- Изображений без хешей текущей версии: ${outdated}`;
+  
+  if (status.checked !== undefined) {
+    text += `\n- Проверено: ${status.checked}, обновлено: ${status.upgraded}, ` +
+      `пропущено (нельзя скачать): ${status.skipped}, ошибок: ${status.failed}`;
+  }
+  
+  return text;
+}
+
+/**
+ * Формирует описание состояния дозаполнения хешей записей облегченного сканирования
+ * @returns {Promise<string>} - текст для ответа бота
+ */
+async function describeHydrationStatus() {
+  const status = await hydrationJob.getStatus();
+  
+  let text = `Дозаполнение хешей по миниатюрам: ${JOB_STATUS_NAMES[status.status] || status.status}`;
+  
+  if (status.checked !== undefined) {
+    text += `\n- Проверено записей облегченного сканирования: ${status.checked}, дозаполнено: ${status.hydrated}, ` +
+      `пропущено (нет сообщения или миниатюры): ${status.skipped}, ошибок: ${status.failed}` +
+      (status.failed > 0 ? ' (записи с ошибками повторяются при следующем запуске /hydrate)' : '');
+  }
+  
+  return text;
+}
+
+/**
+ * Запускает дозаполнение хешей после облегченного сканирования, если оно включено
+ * @returns {Promise<void>}
+ */
+async function startHydrationAfterScan() {
+  if (!config.liteMode.hydration.autoStart) {
+    return;
+  }
+  
+  try {
+    if (await hydrationJob.start()) {
+      console.log('Запущено дозаполнение хешей записей облегченного сканирования');
+    }
+  } catch (error) {
+    console.error('Ошибка при запуске дозаполнения хешей:', error);
+  }
+}
+
+/**
+ * Обрабатывает сообщение с фото, файлом-изображением, GIF, стикером или видео: ищет повторы
+ * и добавляет медиа в базу.
+ * Видео, анимации MPEG4 и анимированные стикеры хешируются по миниатюрам Telegram
+ * @param {Object} msg - сообщение Bot API
+ * @returns {Promise<void>}
+ */
+async function processMediaMessage(msg) {
+  try {
+    const chatId = msg.chat.id;
+    
+    // Фото наибольшего размера, сам файл изображения, GIF или статичного стикера либо миниатюра
+    const target = telegramMedia.getBotApiMedia(msg);
+    
+    // Изображение с подписью /add_watermark - это логотип для реестра, а не медиа для проверки
+    if (!target || isAddWatermarkCommand(msg.caption)) {
+      return;
+    }
+    
+    const { mediaType, media, file, fromThumbnail } = target;
+    const fileId = media.file_id;
+    const mediaName = telegramMedia.describeMediaType(mediaType);
+    
+    // Отпечаток файла: уже виденные (например, пересланные) файлы берутся из кэша
+    // по file_unique_id и повторно не скачиваются и не хешируются
+    const fingerprint = await imageHasher.getFingerprint(
+      imageHasher.getBotApiMediaKey(file),
+      () => downloadBotApiFile(file.file_id),
+      { thumbnail: fromThumbnail }
+    );
+    // Информация о новом изображении; SHA-256 миниатюры не относится к самому файлу и не используется
+    const imageInfo = {
+      fileId,
+      ...imageHasher.getFingerprintFields(fingerprint, fromThumbnail),
+      mediaType,
+      messageId: msg.message_id,
+      chatId: msg.chat.id,
+      userId: msg.from ? msg.from.id : null,
+      fileSize: media.file_size,
+      width: media.width,
+      height: media.height,
+      timestamp: msg.date,
+      source: 'direct_message',
+      ...telegramForwards.getBotApiForward(msg),
+      ...telegramMessages.getBotApiMessageInfo(msg)
+    };
+    
+    // Ищем копии и сохраняем новое изображение
+    const similarImages = await imageDatabase.registerImage(imageInfo);
+    await imageDatabase.save();
+    
+    // Каналы, чьи водяные знаки найдены на изображении
+    const watermarkNote = imageInfo.watermarks && imageInfo.watermarks.length > 0
+      ? `\nВодяные знаки: ${watermarkRegistry.describeWatermarks(imageInfo.watermarks)}`
+      : '';
+    
+    // Отправляем ответ пользователю
+    if (similarImages.length > 0) {
+      // Каналы найденных изображений
+      const messages = await imageDatabase.getImageMessages(similarImages.map(img => img.fileId));
+      
+      const similarImagesList = similarImages.map((img, index) => {
+        const channel = telegramMessages.describeChannel(messages.get(img.fileId));
+        const foundName = `${telegramMedia.describeMediaType(img.mediaType)}${channel ? `, ${channel}` : ''}`;
+        if (img.matchType === 'exact') {
+          return `${index + 1}. Точная копия (${foundName}, сообщение ID: ${img.messageId})`;
+        }
+        
+        const transform = imageHasher.describeTransform(img.matchTransform);
+        return `${index + 1}. Визуально похожее, сходство: ${img.similarity.toFixed(2)}%${transform ? ` (${transform})` : ''} (${foundName}, сообщение ID: ${img.messageId})`;
+      }).join('\n');
+      
+      const exactCount = similarImages.filter(img => img.matchType === 'exact').length;
+      const bestCopyNote = await describeBestCopy(imageInfo.clusterId, imageInfo.fileId);
+      
+      await bot.sendMessage(chatId, 
+        `Найдено точных копий: ${exactCount}, визуально похожих изображений: ${similarImages.length - exactCount}\n${similarImagesList}` +
+        (imageInfo.clusterId !== null ? `\nКластер дубликатов: #${imageInfo.clusterId}` : '') +
+        bestCopyNote +
+        watermarkNote,
+        { reply_to_message_id: msg.message_id }
+      );
+    } else {
+      await bot.sendMessage(chatId, 
+        `Похожих изображений не найдено. Медиа (${mediaName}) добавлено в базу данных.${watermarkNote}`,
+        { reply_to_message_id: msg.message_id }
+      );
+    }
+  } catch (error) {
+    console.error('Ошибка при обработке медиа:', error);
+    await bot.sendMessage(msg.chat.id, 'Произошла ошибка при обработке изображения');
+  }
+}
+
+/**
+ * Проверяет, что текст (или подпись к медиа) - команда /add_watermark
+ * @param {string} [text] - текст сообщения
+ * @returns {boolean}
+ */
+function isAddWatermarkCommand(text) {
+  return Boolean(text) && /^\/add_watermark(?:@\w+)?(?:\s|$)/.test(text);
+}
+
+/**
+ * Добавляет водяной знак канала из изображения в сообщении с командой /add_watermark
+ * (логотип в подписи к изображению или в ответе на сообщение с изображением)
+ * @param {Object} msg - сообщение с командой
+ * @param {string} command - текст команды
+ * @param {Object} imageMsg - сообщение с изображением логотипа
+ * @returns {Promise<void>}
+ */
+async function addWatermarkFromMessage(msg, command, imageMsg) {
+  const chatId = msg.chat.id;
+  const match = ADD_WATERMARK_COMMAND.exec(command.trim());
+  
+  if (!match || !match[1]) {
+    await bot.sendMessage(chatId,
+      'Использование: отправьте логотип (лучше PNG-файлом с прозрачностью) с подписью /add_watermark @канал ' +
+      'или ответьте этой командой на сообщение с изображением. Если знак занимает часть изображения, ' +
+      'укажите его область в процентах: /add_watermark @канал x y ширина высота'
+    );
+    return;
+  }
+  
+  const target = imageMsg && telegramMedia.getBotApiMedia(imageMsg);
+  if (!target || target.fromThumbnail) {
+    await bot.sendMessage(chatId, 'Не найдено изображение логотипа: отправьте его фото, файлом или статичным стикером');
+    return;
+  }
+  
+  const percents = match.slice(2).filter(Boolean).map(value => parseFloat(value.replace(',', '.')) / 100);
+  const region = percents.length === 4
+    ? { x: percents[0], y: percents[1], width: percents[2], height: percents[3] }
+    : null;
+  
+  try {
+    const imageData = await downloadBotApiFile(target.file.file_id);
+    const watermark = await watermarkRegistry.addWatermark(match[1], imageData, region, msg.from ? String(msg.from.id) : null);
+    await bot.sendMessage(chatId,
+      `Водяной знак ${watermark.channel} добавлен (ID: ${watermark.id}, шаблон ${watermark.template.width}x${watermark.template.height})` +
+      (config.hashSettings.watermarks.enabled ? '' : '\nПоиск водяных знаков отключен: включите его параметром WATERMARK_DETECTION=true'),
+      { reply_to_message_id: msg.message_id }
+    );
+  } catch (error) {
+    console.error('Ошибка при добавлении водяного знака:', error);
+    await bot.sendMessage(chatId, `Не удалось добавить водяной знак: ${error.message}`);
+  }
+}
+
+/**
+ * Обработчик новых текстовых сообщений
+ * @param {Object} msg - объект сообщения от Telegram Bot API
+ */
+async function handleMessage(msg) {
+  try {
+    // Обрабатываем только личные чаты
+    if (msg.chat.type !== 'private') {
+      return;
+    }
+    
+    // Логотип с подписью /add_watermark добавляется в реестр водяных знаков
+    if (isAddWatermarkCommand(msg.caption)) {
+      await addWatermarkFromMessage(msg, msg.caption, msg);
+      return;
+    }
+    
+    // Если сообщение содержит фото, файл-изображение, GIF, стикер или видео, обрабатываем его отдельной функцией
+    if (telegramMedia.getBotApiMedia(msg)) {
+      await processMediaMessage(msg);
+      return;
+    }
+    
+    // Логируем сообщение для отладки
+    console.log(`Получено сообщение от ${msg.from.username || msg.from.id}: ${msg.text}`);
+    
+    // Если сообщение не является командой, отправляем подсказку
+    if (!msg.text || !msg.text.startsWith('/')) {
+      await bot.sendMessage(msg.chat.id, 
+        'Отправьте мне фото, файл-изображение, GIF, стикер или видео для поиска похожих изображений или воспользуйтесь командами:\n' +
+        '/help - показать список доступных команд'
+      );
+    }
+  } catch (error) {
+    console.error('Ошибка при обработке сообщения:', error);
+  }
+}
+
+/**
+ * Обработчик постов в канале
+ * @param {Object} post - объект с постом из канала
+ */
+async function handleChannelPost(post) {
+  try {
+    // Проверяем, содержит ли пост фото, файл-изображение, GIF, стикер или видео
+    const target = telegramMedia.getBotApiMedia(post);
+    if (target) {
+      console.log(`Получено новое медиа (${telegramMedia.describeMediaType(target.mediaType)}) в канале ${post.chat.title || post.chat.id}`);
+      
+      // Обрабатываем медиа из канала
+      if (config.autoProcessChannelPhotos) {
+        await processMediaMessage(post);
+      }
+    }
+  } catch (error) {
+    console.error('Ошибка при обработке поста из канала:', error);
+  }
+}
+
+// Функция инициализации бота
+async function init() {
+  try {
+    // Проверяем, запущен ли уже экземпляр бота
+    const isRunning = await checkBotInstance();
+    if (!isRunning) {
+      console.log('Уже запущен экземпляр бота. Завершаем процесс.');
+      process.exit(0);
+    }
+
+    // Загружаем базу данных изображений
+    await imageDatabase.load();
+    
+    // Пороги, сохраненные командой /set_threshold и калибровкой, переопределяют настройки из .env
+    if (await thresholdSettings.loadThresholds()) {
+      const algorithmThresholds = thresholdSettings.describeAlgorithmThresholds();
+      console.log(`Применены сохраненные пороги различия: ${config.hashDifferenceThreshold}%` +
+        (algorithmThresholds ? ` (по алгоритмам: ${algorithmThresholds})` : ''));
+    }
+    
+    // Реестр водяных знаков каналов для поиска знаков на новых изображениях
+    const watermarks = await watermarkRegistry.loadWatermarks();
+    if (watermarks.length > 0) {
+      console.log(`Загружено водяных знаков каналов: ${watermarks.length}` +
+        (config.hashSettings.watermarks.enabled ? '' : ' (поиск отключен)'));
+    }
+    
+    // Создаем экземпляр сканера каналов
+    channelScanner = new ChannelScanner(bot);
+    
+    // Продолжаем (или начинаем) перехеширование изображений с хешами старой версии;
+    // записи MTProto перехешируются через клиент gramjs сканера
+    rehashJob = new RehashJob(downloadImageForRehash, config.hashMigration);
+    if (config.hashMigration.autoStart) {
+      const outdated = await imageDatabase.countOutdatedImages();
+      if (outdated > 0 && await rehashJob.start()) {
+        console.log(`Найдено ${outdated} изображений с хешами старой версии, запущено перехеширование`);
+      }
+    }
+    
+    // Дозаполнение хешей записей облегченного сканирования использует клиент gramjs сканера
+    hydrationJob = new HydrationJob(() => channelScanner.getGramjsClient(), config.liteMode.hydration);
+
+    // Устанавливаем обработчики сообщений для бота
+    bot.on('message', handleMessage);
+    bot.on('channel_post', handleChannelPost);
+    
+    // Сообщаем о запуске бота
+    console.log('Бот запущен');
+
+    // Запускаем таймер для автоматического сканирования каналов
+    if (config.autoScanInterval > 0) {
+      console.log(`Настроено автоматическое сканирование каждые ${config.autoScanInterval} минут`);
+      setInterval(async () => {
+        try {
+          if (config.channelId) {
+            console.log(`Запускаем автоматическое сканирование канала ${config.channelId} в lite режиме...`);
+            // Используем облегченный режим (без скачивания изображений)
+            await channelScanner.scanEntireChannelWithoutDownload(
+              config.channelId,
+              config.liteMode.batchSize,
+              config.liteMode.cooldownSeconds
+            );
+            await startHydrationAfterScan();
+          }
+        } catch (error) {
+          console.error('Ошибка при автоматическом сканировании канала:', error);
+        }
+      }, config.autoScanInterval * 60 * 1000);
+    } else {
+      console.log('Автоматическое сканирование отключено');
+    }
+    
+    // Выполняем первое сканирование сразу после запуска, если канал указан
+    if (config.channelId) {
+      console.log(`Выполняем первоначальное сканирование канала ${config.channelId} в lite режиме...`);
+      // Запускаем сканирование в легком режиме (без скачивания) с небольшим количеством сообщений вначале
+      setTimeout(async () => {
+        try {
+          await channelScanner.scanEntireChannelWithoutDownload(
+            config.channelId,
+            config.liteMode.batchSize,
+            config.liteMode.cooldownSeconds
+          );
+          await startHydrationAfterScan();
+        } catch (error) {
+          console.error('Ошибка при первоначальном сканировании канала:', error);
+        }
+      }, 5000); // Задержка 5 секунд перед первым сканированием
+    }
+  } catch (error) {
+    console.error('Ошибка при инициализации бота:', error);
+    process.exit(1);
+  }
+}
+
+/**
+ * Настройка обработчиков команд бота
+ */
+function setupBotHandlers() {
+  // Обработчик команды /start
+  bot.onText(/\/start/, async (msg) => {
+    const chatId = msg.chat.id;
+    await bot.sendMessage(chatId, 
+      'Привет! Я бот для сравнения изображений. Отправь мне фото, GIF, стикер или видео, и я найду похожие изображения из базы.'
+    );
+  });
+
+  // Обработчик команды /help
+  bot.onText(/\/help/, async (msg) => {
+    const chatId = msg.chat.id;
+    await bot.sendMessage(chatId, 
+      'Доступные команды:\n' +
+      '/start - Запустить бота\n' +
+      '/help - Показать справку\n' +
+      '/status - Показать статистику базы данных\n' +
+      '/scan_channel - Сканировать указанный канал на наличие изображений\n' +
+      '/scan_channel {ID} {limit} {method} - Сканировать указанный канал с заданным количеством сообщений\n' +
+      '   Методы: auto (автоматический выбор), botapi, gramjs, mtprotocore\n' +
+      '/generate_report - Создать отчет о похожих изображениях\n' +
+      '/set_threshold {value} - Установить порог различия в % битов хеша (0-100)\n' +
+      '/rehash [status|stop|restart] - Перехешировать изображения с хешами старой версии\n' +
+      '/hydrate [status|stop|restart] - Вычислить хеши записей облегченного сканирования по миниатюрам\n' +
+      '/add_watermark {канал} [x y w h] - Добавить водяной знак канала (подпись к логотипу или ответ на изображение, область в %)\n' +
+      '/watermarks - Показать водяные знаки каналов\n' +
+      '/remove_watermark {ID} - Удалить водяной знак\n' +
+      '/clear - Очистить базу данных изображений'
+    );
+  });
+
+  // Обработчик команды /status
+  bot.onText(/\/status/, async (msg) => {
+    const chatId = msg.chat.id;
+    const imageCount = await imageDatabase.getImageCount();
+    const poolStats = hashPool.getStats();
+    await bot.sendMessage(chatId, 
+      `Статистика базы данных:\n` +
+      `- Количество изображений: ${imageCount}\n` +
+      `- Порог различия: ${config.hashDifferenceThreshold}% битов хеша ` +
+      `(сходство от ${100 - config.hashDifferenceThreshold}%)\n` +
+      (thresholdSettings.describeAlgorithmThresholds()
+        ? `- Пороги по алгоритмам: ${thresholdSettings.describeAlgorithmThresholds()}\n`
+        : '') +
+      `- Метод хеширования: ${config.hashSettings.hashMethod} ` +
+      `(все алгоритмы: ${imageHasher.getHashMethods().join(', ')}, правило: ${config.hashSettings.fusion.rule})\n` +
+      (hashPool.enabled
+        ? `- Потоки хеширования: занято ${poolStats.busy} из ${poolStats.size}, в очереди ${poolStats.queued}`
+        : `- Потоки хеширования: отключены`)
+    );
+  });
+
+  // Обработчик команды /scan_channel
+  bot.onText(/\/scan_channel(\s+(.+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    let channelId = config.channelId;
+    let limit = config.liteMode.batchSize || 100;
+    
+    // Парсим аргументы, если они есть
+    if (match && match[2]) {
+      const args = match[2].trim().split(/\s+/);
+      if (args[0]) channelId = args[0];
+      if (args[1] && !isNaN(args[1])) limit = parseInt(args[1]);
+    }
+    
+    await bot.sendMessage(chatId, `Начинаю сканирование канала ${channelId} в lite режиме...`);
+    
+    try {
+      // Используем облегченный режим сканирования без скачивания изображений
+      const result = await channelScanner.scanEntireChannelWithoutDownload(
+        channelId,
+        limit,
+        config.liteMode.cooldownSeconds
+      );
+      
+      if (result.success) {
+        const { totalMessages, processedImages, similarImagesFound, errors } = result.results;
+        
+        // Отправляем общую статистику о результатах сканирования
+        await bot.sendMessage(chatId, 
+          `Сканирование завершено:\n` +
+          `- Режим: lite (без скачивания)\n` +
+          `- Просканировано сообщений: ${totalMessages}\n` +
+          `- Обработано изображений: ${processedImages}\n` +
+          `- Найдено похожих изображений: ${similarImagesFound}\n` +
+          `- Ошибок: ${errors}`
+        );
+
+        // Если есть дубликаты, отправляем информацию о них
+        if (similarImagesFound > 0 && result.reportFilePath) {
+          try {
+            // Читаем отчет из JSON файла
+            const reportData = JSON.parse(await fsPromises.readFile(result.reportFilePath, 'utf8'));
+
+            if (reportData.duplicateGroups && reportData.duplicateGroups.length > 0) {
+              // Отправляем заголовок
+              await bot.sendMessage(chatId, `Вот группы найденных дубликатов:`);
+
+              // Отправляем информацию о каждой группе дубликатов
+              for (let i = 0; i < Math.min(10, reportData.duplicateGroups.length); i++) {
+                const group = reportData.duplicateGroups[i];
+                let groupMessage = `*Группа ${i+1} (${group.count} похожих изображений)*\n\n`;
+                
+                // Добавляем оригинальное изображение
+                const originalDate = new Date(group.original.date).toLocaleString('ru-RU');
+                const originalName = `Сообщение ${group.original.messageId || ''}${group.original.channel ? ` в ${group.original.channel}` : ''}`;
+                groupMessage += group.original.link
+                  ? `*Оригинал*: [${originalName}](${group.original.link})\n`
+                  : `*Оригинал*: ${originalName}\n`;
+                groupMessage += `Дата: ${originalDate}\n`;
+                if (group.confidence !== undefined) {
+                  groupMessage += `Уверенность: ${Math.round(group.confidence * 100)}% (${group.reasons.join('; ')})\n`;
+                }
+                groupMessage += `\n`;
+                
+                // Добавляем дубликаты
+                if (group.duplicates && group.duplicates.length > 0) {
+                  groupMessage += `*Дубликаты:*\n`;
+                  for (let j = 0; j < Math.min(10, group.duplicates.length); j++) {
+                    const duplicate = group.duplicates[j];
+                    const duplicateDate = new Date(duplicate.date).toLocaleString('ru-RU');
+                    groupMessage += `${j+1}. [Сообщение ${duplicate.messageId}](${duplicate.link})\n`;
+                    groupMessage += `   Дата: ${duplicateDate}\n`;
+                  }
+                  
+                  // Если дубликатов больше 10, добавляем сообщение об этом
+                  if (group.duplicates.length > 10) {
+                    groupMessage += `\n... и еще ${group.duplicates.length - 10} дубликатов\n`;
+                  }
+                }
+                
+                // Отправляем сообщение для этой группы с markdown-форматированием для ссылок
+                try {
+                  await bot.sendMessage(chatId, groupMessage, { 
+                    parse_mode: 'Markdown',
+                    disable_web_page_preview: true  // Отключаем предпросмотр, чтобы не загружать изображения
+                  });
+                } catch (sendError) {
+                  console.error('Ошибка при отправке сообщения с группой дубликатов:', sendError);
+                  // Если произошла ошибка форматирования, отправляем без форматирования
+                  await bot.sendMessage(chatId, 
+                    `Группа ${i+1} (${group.count} похожих изображений):\n\n` +
+                    `Оригинал: ${group.original.link || group.original.messageId}\n\n` +
+                    `Дубликатов: ${group.duplicates.length}`
+                  );
+                }
+              }
+              
+              // Если групп дубликатов больше 10, добавляем сообщение об этом
+              if (reportData.duplicateGroups.length > 10) {
+                await bot.sendMessage(chatId, `... и еще ${reportData.duplicateGroups.length - 10} групп дубликатов.\n\nПолный отчет сохранен в файл JSON.`);
+              }
+            }
+          } catch (error) {
+            console.error('Ошибка при чтении или обработке отчета:', error);
+            await bot.sendMessage(chatId, `Произошла ошибка при обработке отчета. Полный отчет сохранен в файл JSON.`);
+          }
+        } else if (similarImagesFound === 0) {
+          await bot.sendMessage(chatId, 'Дубликатов не найдено.');
+        }
+        
+        await startHydrationAfterScan();
+      } else {
+        await bot.sendMessage(chatId, `Ошибка при сканировании: ${result.error || result.message}`);
+      }
+    } catch (error) {
+      console.error('Ошибка при выполнении команды scan_channel:', error);
+      await bot.sendMessage(chatId, `Ошибка: ${error.message}`);
+    }
+  });
+
+  // Обработчик команды /clear
+  bot.onText(/\/clear/, async (msg) => {
+    const chatId = msg.chat.id;
+    imageDatabase.clear();
+    await imageDatabase.save();
+    imageHasher.cleanupTempDir();
+    await bot.sendMessage(chatId, 'База данных очищена');
+  });
+
+  // Обработчик команды /rehash: запуск, остановка и состояние фонового перехеширования
+  bot.onText(/\/rehash(?:\s+(status|stop|restart))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const action = match && match[1];
+    
+    try {
+      if (action === 'status') {
+        await bot.sendMessage(chatId, await describeRehashStatus());
+        return;
+      }
+      
+      if (action === 'stop') {
+        await rehashJob.stop();
+        await bot.sendMessage(chatId, 'Перехеширование приостановлено, его можно продолжить командой /rehash');
+        return;
+      }
+      
+      const started = await rehashJob.start({ restart: action === 'restart' });
+      await bot.sendMessage(chatId,
+        started
+          ? 'Перехеширование запущено в фоне. Состояние: /rehash status'
+          : `Перехеширование не запущено: оно уже выполняется или завершено (начать заново: /rehash restart)\n\n${await describeRehashStatus()}`
+      );
+    } catch (error) {
+      console.error('Ошибка при выполнении команды rehash:', error);
+      await bot.sendMessage(chatId, `Ошибка: ${error.message}`);
+    }
+  });
+  
+  // Обработчик команды /hydrate: дозаполнение хешей записей облегченного сканирования по миниатюрам
+  bot.onText(/\/hydrate(?:\s+(status|stop|restart))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const action = match && match[1];
+    
+    try {
+      if (action === 'status') {
+        await bot.sendMessage(chatId, await describeHydrationStatus());
+        return;
+      }
+      
+      if (action === 'stop') {
+        await hydrationJob.stop();
+        await bot.sendMessage(chatId, 'Дозаполнение хешей приостановлено, его можно продолжить командой /hydrate');
+        return;
+      }
+      
+      const started = await hydrationJob.start({ restart: action === 'restart' });
+      await bot.sendMessage(chatId,
+        started
+          ? 'Дозаполнение хешей по миниатюрам запущено в фоне. Состояние: /hydrate status'
+          : `Дозаполнение хешей не запущено: оно уже выполняется\n\n${await describeHydrationStatus()}`
+      );
+    } catch (error) {
+      console.error('Ошибка при выполнении команды hydrate:', error);
+      await bot.sendMessage(chatId, `Ошибка: ${error.message}`);
+    }
+  });
+  
+  // Обработчик команды для установки порога сходства
+  bot.onText(/\/set_threshold\s+(\d+(?:[.,]\d+)?)/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const threshold = parseFloat(match[1].replace(',', '.'));
+    
+    if (threshold >= 0 && threshold <= 100) {
+      // Пороги алгоритмов из калибровки сбрасываются, чтобы порог действовал для всех алгоритмов
+      const { saved, cleared } = await thresholdSettings.setCommonThreshold(threshold);
+      await bot.sendMessage(chatId, 
+        `Порог различия установлен на ${threshold}% битов хеша ` +
+        `(изображения со сходством от ${100 - threshold}% считаются похожими)` +
+        (saved ? '' : '\nНе удалось сохранить порог в базе, после перезапуска он будет сброшен') +
+        (cleared ? `\nСброшены пороги отдельных алгоритмов: ${cleared}. Вернуть их: npm run calibrate-thresholds -- --save` : '')
+      );
+    } else {
+      await bot.sendMessage(chatId, 'Порог различия должен быть числом от 0 до 100');
+    }
+  });
+
+  // Обработчик команды /add_watermark в ответ на сообщение с логотипом
+  // (логотип с командой в подписи обрабатывается в handleMessage)
+  bot.onText(/^\/add_watermark/, async (msg) => {
+    await addWatermarkFromMessage(msg, msg.text, msg.reply_to_message);
+  });
+  
+  // Обработчик команды /watermarks: список водяных знаков каналов
+  bot.onText(/\/watermarks/, async (msg) => {
+    const chatId = msg.chat.id;
+    
+    try {
+      const watermarks = await watermarkRegistry.listWatermarks();
+      if (watermarks.length === 0) {
+        await bot.sendMessage(chatId, 'Водяных знаков нет. Добавить знак: /add_watermark @канал (подпись к логотипу)');
+        return;
+      }
+      
+      const list = watermarks.map(watermark =>
+        `${watermark.id}. ${watermark.channel} (шаблон ${watermark.width}x${watermark.height}, добавлен ${watermark.addedAt.slice(0, 10)})`
+      ).join('\n');
+      await bot.sendMessage(chatId,
+        `Водяные знаки каналов:\n${list}` +
+        (config.hashSettings.watermarks.enabled ? '' : '\n\nПоиск водяных знаков отключен (WATERMARK_DETECTION=false)')
+      );
+    } catch (error) {
+      console.error('Ошибка при выполнении команды watermarks:', error);
+      await bot.sendMessage(chatId, `Ошибка: ${error.message}`);
+    }
+  });
+  
+  // Обработчик команды /remove_watermark: удаление водяного знака из реестра
+  bot.onText(/\/remove_watermark(?:\s+(\d+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    
+    if (!match || !match[1]) {
+      await bot.sendMessage(chatId, 'Укажите ID водяного знака: /remove_watermark {ID} (список: /watermarks)');
+      return;
+    }
+    
+    const removed = await watermarkRegistry.removeWatermark(parseInt(match[1]));
+    await bot.sendMessage(chatId, removed ? `Водяной знак ${match[1]} удален` : `Водяной знак ${match[1]} не найден`);
+  });
+  
+  // Обработчик команды для генерации отчета
+  bot.onText(/\/generate_report/, async (msg) => {
+    const chatId = msg.chat.id;
+    
+    await bot.sendMessage(chatId, 'Создаю отчет о похожих изображениях...');
+    
+    try {
+      const report = await imageAnalyzer.createSimilarityReport();
+      
+      // Отправляем текстовый отчет
+      if (report.groups.length > 0 || report.collageLinks.length > 0) {
+        // Отправляем краткую статистику
+        await bot.sendMessage(chatId, 
+          `Отчет создан:\n` +
+          `- Всего групп похожих изображений: ${report.groups.length}\n` +
+          `- Общее количество дубликатов: ${report.groups.reduce((sum, group) => sum + group.similarImages.length, 0)}\n` +
+          `- Изображений в коллажах: ${report.collageLinks.length}`
+        );
+        
+        // Отправляем текстовый файл с отчетом
+        await bot.sendDocument(chatId, report.textLogPath, {
+          caption: 'Текстовый отчет о похожих изображениях'
+        });
+        
+        // Отправляем HTML-отчет
+        await bot.sendDocument(chatId, report.htmlReportPath, {
+          caption: 'HTML-отчет о похожих изображениях'
+        });
+      } else {
+        await bot.sendMessage(chatId, 'Похожие изображения не найдены');
+      }
+    } catch (error) {
+      console.error('Ошибка при генерации отчета:', error);
+      await bot.sendMessage(chatId, `Ошибка при генерации отчета: ${error.message}`);
+    }
+  });
+
+  // Обработчик для всех фотографий
+  bot.on('photo', processMediaMessage);
+
+  // Обработчик ошибок
+  bot.on('polling_error', (error) => {
+    console.error('Ошибка соединения с Telegram API:', error);
+  });
+}
+
+// Инициализация базы данных и запуск бота
+async function start() {
+  try {
+    console.log('Запуск Telegram бота для сравнения изображений...');
+    
+    // Проверяем, не запущен ли уже бот
+    const canStart = await checkBotInstance();
+    
+    if (!canStart) {
+      console.error('Другой экземпляр бота уже запущен. Завершение работы.');
+      process.exit(1);
+    }
+
+    console.log('Проверка конфигурации...');
+    console.log(`Токен бота: ${config.botToken ? '✅ Задан' : '❌ Не задан'}`);
+    console.log(`ID канала: ${config.channelId ? '✅ Задан' : '❌ Не задан'}`);
+
+    // Создаем экземпляр бота только если блокировка успешна
+    console.log('Создание экземпляра бота...');
+    bot = new TelegramBot(config.botToken, { polling: true });
+    
+    console.log('Создание экземпляра сканера каналов...');
+    channelScanner = new ChannelScanner(bot);
+    
+    // Настраиваем обработчики сообщений перед инициализацией
+    console.log('Настройка обработчиков сообщений...');
+    setupBotHandlers();
+    
+    // Инициализируем бота
+    console.log('Инициализация бота...');
+    await init();
+    
+    // Периодически сохраняем базу данных
+    console.log('Настройка периодического сохранения базы данных...');
+    setInterval(() => {
+      imageDatabase.save();
+    }, 5 * 60 * 1000); // Каждые 5 минут
+    
+    console.log('Бот успешно запущен и готов к работе');
+  } catch (error) {
+    console.error('Ошибка при запуске бота:', error);
+    process.exit(1);
+  }
+}
+
 start();
\ No newline at end of file
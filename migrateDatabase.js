@@ -0,0 +1,40 @@
+require('dotenv').config();
+const imageDatabase = require('./imageDatabase');
+const schemaMigrations = require('./schemaMigrations');
+
+/**
+ * Применение миграций схемы SQLite базы изображений без запуска бота. Бот применяет
+ * ожидающие миграции сам при загрузке базы; скрипт нужен, чтобы заранее посмотреть,
+ * какие миграции ожидают применения, и проверить их пробным запуском (--dry-run):
+ * миграции выполняются в транзакции, которая затем откатывается, и база не меняется.
+ *
+ * Запуск:
+ *   node migrateDatabase.js [--dry-run]
+ */
+
+async function runMigrations() {
+  try {
+    const dryRun = process.argv.slice(2).includes('--dry-run');
+    const latest = schemaMigrations.MIGRATIONS[schemaMigrations.MIGRATIONS.length - 1].version;
+
+    console.log(`${dryRun ? 'Пробный запуск миграций' : 'Применение миграций'} (последняя версия схемы: ${latest})`);
+    const { fromVersion, toVersion, migrations } = await imageDatabase.migrateSchema({ dryRun });
+
+    if (migrations.length === 0) {
+      console.log(`Миграций для применения нет, версия схемы: ${fromVersion}`);
+    } else if (dryRun) {
+      console.log(`Миграции ${migrations.map(migration => migration.version).join(', ')} применяются без ошибок ` +
+        `(версия схемы ${fromVersion} -> ${toVersion}), изменения отменены`);
+    } else {
+      console.log(`Версия схемы обновлена: ${fromVersion} -> ${toVersion}`);
+    }
+  } catch (error) {
+    console.error(`Ошибка при применении миграций: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await imageDatabase.close();
+  }
+}
+
+// Запускаем миграции
+runMigrations();
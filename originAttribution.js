@@ -0,0 +1,258 @@
+/**
+ * Определение оригинала кластера дубликатов: из каналов и сообщений, где встречается изображение,
+ * выбирается наиболее вероятный первоисточник. Кандидаты - сообщения с копиями изображения
+ * и сообщения, из которых копии были пересланы (даже если самого источника нет в базе).
+ * Каждый кандидат получает оценку по признакам:
+ *   forward    - доля пересланных копий, заголовок пересылки которых указывает на кандидата;
+ *   time       - время первой публикации (самая ранняя копия получает полную оценку);
+ *   resolution - разрешение относительно самой крупной копии;
+ *   quality    - оценка качества JPEG относительно наилучшей копии (пересжатие ее только снижает);
+ *   watermark  - отсутствие водяных знаков других каналов (их ставят каналы-копировщики).
+ * Учитываются только признаки, которые различают кандидатов, с весами config.attribution.weights.
+ * Уверенность - доля оценки выбранного кандидата в сумме оценок всех кандидатов.
+ */
+
+const config = require('./config');
+const telegramForwards = require('./telegramForwards');
+const watermarkRegistry = require('./watermarkRegistry');
+
+const FACTORS = ['forward', 'time', 'resolution', 'quality', 'watermark'];
+
+// Через сколько часов после первой публикации оценка времени копии уменьшается вдвое
+const TIME_HALF_LIFE_HOURS = 24;
+
+/**
+ * Собирает кандидатов в оригиналы: сообщения с копиями и источники пересылок
+ * @param {Array<Object>} images - записи изображений кластера
+ * @param {Map} watermarks - водяные знаки на изображениях (fileId -> знаки { channel, score })
+ * @returns {Array<Object>} - кандидаты { key, chatId, messageId, name, channelUsername, channelType, image,
+ *   firstSeen, pixels, width, height, jpegQuality, forwards, watermarks }
+ * @private
+ */
+function collectCandidates(images, watermarks) {
+  const candidates = new Map();
+
+  const getCandidate = (key, fields) => {
+    if (!candidates.has(key)) {
+      candidates.set(key, {
+        key,
+        image: null,
+        firstSeen: null,
+        pixels: 0,
+        width: 0,
+        height: 0,
+        jpegQuality: null,
+        forwards: 0,
+        watermarks: [],
+        ...fields
+      });
+    }
+    return candidates.get(key);
+  };
+
+  // Пересланное сообщение содержит тот же файл, что и источник, поэтому размеры, качество
+  // и водяные знаки копии относятся и к источнику
+  const addEvidence = (candidate, image, firstSeen) => {
+    if (firstSeen && (!candidate.firstSeen || firstSeen < candidate.firstSeen)) {
+      candidate.firstSeen = firstSeen;
+    }
+
+    const pixels = (image.width || 0) * (image.height || 0);
+    if (pixels > candidate.pixels) {
+      Object.assign(candidate, { pixels, width: image.width, height: image.height });
+    }
+
+    if (image.jpegQuality && image.jpegQuality > (candidate.jpegQuality || 0)) {
+      candidate.jpegQuality = image.jpegQuality;
+    }
+
+    candidate.watermarks.push(...(watermarks.get(image.fileId) || []));
+  };
+
+  // Сначала сообщения без пересылки, чтобы источник, который есть в базе, получил свою запись
+  const ordered = [...images].sort((a, b) => Boolean(a.forwardChatId || a.forwardName) - Boolean(b.forwardChatId || b.forwardName));
+
+  for (const image of ordered) {
+    if (image.forwardChatId || image.forwardName) {
+      const key = image.forwardChatId
+        ? `${telegramForwards.normalizeChatId(image.forwardChatId)}:${image.forwardMessageId || ''}`
+        : `name:${image.forwardName}`;
+      const name = image.forwardName || null;
+      const candidate = getCandidate(key, {
+        chatId: image.forwardChatId,
+        messageId: image.forwardMessageId,
+        name,
+        channelUsername: name && name.startsWith('@') ? name.slice(1) : null
+      });
+
+      candidate.forwards++;
+      addEvidence(candidate, image, image.forwardDate);
+    } else {
+      const key = `${telegramForwards.normalizeChatId(image.chatId)}:${image.messageId}`;
+      const candidate = getCandidate(key, {
+        chatId: image.chatId,
+        messageId: image.messageId,
+        name: image.channelUsername ? `@${image.channelUsername}` : image.channelTitle || null,
+        channelUsername: image.channelUsername || null,
+        channelType: image.channelType || null
+      });
+
+      if (!candidate.image) {
+        candidate.image = image;
+      }
+      addEvidence(candidate, image, image.timestamp);
+    }
+  }
+
+  return [...candidates.values()];
+}
+
+/**
+ * Вычисляет оценки признаков кандидата (0-1)
+ * @param {Object} candidate - кандидат
+ * @param {Object} context - { earliest, maxPixels, maxQuality, totalForwards }
+ * @returns {Object} - { признак: оценка }
+ * @private
+ */
+function scoreFactors(candidate, context) {
+  let time = 0;
+  if (candidate.firstSeen) {
+    const delayHours = (candidate.firstSeen - context.earliest) / 3600;
+    // Любая более поздняя публикация оценивается не выше половины, дальше оценка убывает со временем
+    time = delayHours <= 0 ? 1 : 0.5 * Math.pow(2, -delayHours / TIME_HALF_LIFE_HOURS);
+  }
+
+  // Собственный логотип канала на его изображении не говорит о копировании
+  const ownChannel = candidate.name ? watermarkRegistry.normalizeChannel(candidate.name) : null;
+  const foreignWatermarks = candidate.watermarks.filter(watermark => watermark.channel !== ownChannel);
+
+  return {
+    forward: context.totalForwards > 0 ? candidate.forwards / context.totalForwards : 0,
+    time,
+    resolution: context.maxPixels > 0 ? candidate.pixels / context.maxPixels : 0,
+    quality: context.maxQuality > 0 && candidate.jpegQuality ? candidate.jpegQuality / context.maxQuality : 0,
+    watermark: foreignWatermarks.length > 0 ? 0 : 1
+  };
+}
+
+/**
+ * Формирует объяснение выбора оригинала
+ * @param {Object} origin - выбранный кандидат
+ * @param {Array<string>} factors - признаки, которые различают кандидатов
+ * @param {Object} context - { totalForwards }
+ * @returns {Array<string>} - причины для отчета
+ * @private
+ */
+function explain(origin, factors, context) {
+  const reasons = [];
+  const { scores } = origin;
+
+  if (factors.includes('forward') && origin.forwards > 0) {
+    reasons.push(`на это сообщение указывают заголовки пересылки ${origin.forwards} из ${context.totalForwards} пересланных копий`);
+  }
+
+  if (factors.includes('time') && origin.firstSeen) {
+    const date = new Date(origin.firstSeen * 1000).toLocaleString();
+    reasons.push(scores.time === 1
+      ? `опубликовано раньше остальных копий (${date})`
+      : `опубликовано не первым (${date})`);
+  }
+
+  if (factors.includes('resolution') && origin.pixels > 0) {
+    reasons.push(scores.resolution === 1
+      ? `наибольшее разрешение (${origin.width}x${origin.height})`
+      : `разрешение ${origin.width}x${origin.height} ниже, чем у другой копии`);
+  }
+
+  if (factors.includes('quality') && origin.jpegQuality) {
+    reasons.push(scores.quality === 1
+      ? `наилучшее качество JPEG (около ${origin.jpegQuality})`
+      : `качество JPEG около ${origin.jpegQuality}, у другой копии выше`);
+  }
+
+  if (factors.includes('watermark')) {
+    reasons.push(scores.watermark === 1
+      ? 'нет водяных знаков других каналов'
+      : `водяной знак ${watermarkRegistry.describeWatermarks(origin.watermarks)}`);
+  }
+
+  if (!origin.image) {
+    reasons.push('источник известен только по пересылкам, самого сообщения нет в базе');
+  }
+
+  return reasons;
+}
+
+/**
+ * Определяет наиболее вероятный оригинал кластера дубликатов
+ * @param {Array<Object>} images - записи изображений кластера (chatId, messageId, timestamp, width, height,
+ *   jpegQuality, forwardChatId, forwardMessageId, forwardDate, forwardName; channelUsername, channelTitle
+ *   и channelType, если известны - см. imageAnalyzer.addMessageInfo)
+ * @param {Map} [watermarks] - водяные знаки на изображениях (fileId -> знаки { channel, score })
+ * @returns {Object|null} - { origin, confidence, reasons, candidates }, где origin - кандидат
+ *   { chatId, messageId, name, channelUsername, image, firstSeen, ... } (image - запись изображения
+ *   или null, если источник известен только по пересылкам), confidence - уверенность (0-1),
+ *   reasons - объяснение выбора, candidates - все кандидаты по убыванию оценки (поле score);
+ *   null, если изображений нет
+ */
+function attributeOrigin(images, watermarks = new Map()) {
+  const candidates = collectCandidates(images, watermarks);
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const times = candidates.map(candidate => candidate.firstSeen).filter(Boolean);
+  const context = {
+    earliest: times.length > 0 ? Math.min(...times) : 0,
+    maxPixels: Math.max(...candidates.map(candidate => candidate.pixels)),
+    maxQuality: Math.max(...candidates.map(candidate => candidate.jpegQuality || 0)),
+    totalForwards: candidates.reduce((sum, candidate) => sum + candidate.forwards, 0)
+  };
+
+  for (const candidate of candidates) {
+    candidate.scores = scoreFactors(candidate, context);
+  }
+
+  // Признак, одинаковый у всех кандидатов, ничего не говорит о первоисточнике
+  const weights = (config.attribution && config.attribution.weights) || {};
+  const factors = FACTORS.filter(factor => weights[factor] > 0 &&
+    new Set(candidates.map(candidate => candidate.scores[factor])).size > 1);
+  const totalWeight = factors.reduce((sum, factor) => sum + weights[factor], 0);
+
+  for (const candidate of candidates) {
+    candidate.score = totalWeight > 0
+      ? factors.reduce((sum, factor) => sum + weights[factor] * candidate.scores[factor], 0) / totalWeight
+      : 0;
+  }
+
+  // При равных оценках оригиналом считается более ранняя публикация
+  candidates.sort((a, b) => (b.score - a.score) || ((a.firstSeen || Infinity) - (b.firstSeen || Infinity)));
+
+  const origin = candidates[0];
+  const totalScore = candidates.reduce((sum, candidate) => sum + candidate.score, 0);
+
+  return {
+    origin,
+    confidence: totalScore > 0 ? origin.score / totalScore : 1 / candidates.length,
+    reasons: explain(origin, factors, context),
+    candidates
+  };
+}
+
+/**
+ * Описывает оригинал для отчетов
+ * @param {Object} attribution - результат attributeOrigin
+ * @returns {string} - например "@memes, сообщение 123 (уверенность 72%)"
+ */
+function describeOrigin(attribution) {
+  const { origin, confidence } = attribution;
+  const channel = origin.name || `чат ${origin.chatId}`;
+  const message = origin.messageId ? `, сообщение ${origin.messageId}` : '';
+
+  return `${channel}${message} (уверенность ${Math.round(confidence * 100)}%)`;
+}
+
+module.exports = {
+  attributeOrigin,
+  describeOrigin
+};
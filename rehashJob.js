@@ -0,0 +1,109 @@
+const BackgroundJob = require('./backgroundJob');
+const imageHasher = require('./imageHasher');
+const imageDatabase = require('./imageDatabase');
+const featureMatcher = require('./featureMatcher');
+
+/**
+ * Фоновое перехеширование: обходит базу по возрастанию id и заново хеширует
+ * изображения, у которых нет хешей текущей версии (после смены алгоритмов,
+ * размера хеша или реализации хеширования), а при включенном сопоставлении
+ * ключевых точек - и изображения без ключевых точек текущей версии. Позиция обхода сохраняется,
+ * поэтому после перезапуска задача продолжается с места остановки
+ */
+class RehashJob extends BackgroundJob {
+  /**
+   * @param {Function} download - async-функция (image) => буфер, путь к файлу, { buffer, thumbnail: true }
+   *   для миниатюры или null, если изображение скачать нельзя (такие записи пропускаются)
+   * @param {Object} [options] - { batchSize, pauseMs }
+   */
+  constructor(download, options = {}) {
+    super('rehash', options);
+    this.download = download;
+    this.batchSize = options.batchSize || 50;
+  }
+
+  /**
+   * Цель перехеширования - набор меток версий хешей, которые должны быть у каждого изображения,
+   * и версия ключевых точек, если они включены
+   * @returns {string}
+   */
+  getTarget() {
+    const tags = imageHasher.getHashMethods().map(algorithm => imageHasher.getCurrentHashTag(algorithm));
+    
+    if (featureMatcher.isEnabled()) {
+      tags.push(`features:v${featureMatcher.FEATURE_VERSION}`);
+    }
+    
+    return tags.join(',');
+  }
+
+  /**
+   * @returns {Object} - { cursor, checked, upgraded, skipped, failed }
+   */
+  createState() {
+    return { cursor: 0, checked: 0, upgraded: 0, skipped: 0, failed: 0 };
+  }
+
+  /**
+   * Перехеширует порцию изображений
+   * @param {Object} state - состояние задачи
+   * @returns {Promise<boolean>} - true, если обойдена вся база
+   */
+  async processBatch(state) {
+    const images = await imageDatabase.getImagesAfter(state.cursor, this.batchSize);
+
+    if (images.length === 0) {
+      return true;
+    }
+    
+    const storedFeatures = featureMatcher.isEnabled() ?
+      await imageDatabase.getImageFeatures(images.map(image => image.fileId)) : null;
+
+    for (const image of images) {
+      if (this.stopRequested) {
+        return false;
+      }
+
+      state.cursor = image.id;
+      state.checked++;
+
+      // Пустой набор точек (однотонное изображение) тоже считается актуальным
+      const imageFeatures = storedFeatures && storedFeatures.get(image.fileId);
+      const featuresCurrent = !storedFeatures ||
+        Boolean(imageFeatures && imageFeatures.version === featureMatcher.FEATURE_VERSION);
+      
+      if (imageDatabase.isHashSetCurrent(image.fileId) && featuresCurrent) {
+        continue;
+      }
+
+      try {
+        const downloaded = await this.download(image);
+        if (!downloaded) {
+          state.skipped++;
+          continue;
+        }
+
+        // SHA-256 миниатюры не относится к самому файлу и не сохраняется
+        const thumbnail = Boolean(downloaded.thumbnail);
+        const imageData = thumbnail ? downloaded.buffer : downloaded;
+        const contentHash = thumbnail ? null : await imageHasher.calculateContentHash(imageData);
+        const fingerprint = await imageHasher.calculateFingerprint(imageData);
+        const updated = await imageDatabase.runExclusive(() =>
+          imageDatabase.updateImageHashes(image.fileId, { ...fingerprint, contentHash }));
+
+        if (updated) {
+          state.upgraded++;
+        } else {
+          state.failed++;
+        }
+      } catch (error) {
+        console.error(`Ошибка при перехешировании изображения ${image.fileId}:`, error);
+        state.failed++;
+      }
+    }
+
+    return false;
+  }
+}
+
+module.exports = RehashJob;
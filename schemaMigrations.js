@@ -0,0 +1,215 @@
+/**
+ * Миграции схемы SQLite базы изображений. Каждая миграция имеет номер версии и применяется
+ * один раз: применяются только миграции с номером больше текущей версии схемы, по возрастанию,
+ * и только вперед (отката к прежним версиям нет). Применённые миграции записываются
+ * в таблицу schema_migrations, а текущая версия схемы - наибольший номер в ней.
+ *
+ * Миграции применяются при загрузке базы (imageDatabase.load). Каждая выполняется
+ * в транзакции, а перед ней база копируется в config.databaseMigrations.backupFolder.
+ * Пробный запуск (dry run) выполняет ожидающие миграции и откатывает все изменения -
+ * так можно проверить, что они применятся к базе, не меняя ее (npm run migrate-db -- --dry-run).
+ *
+ * Новая миграция добавляется в конец MIGRATIONS со следующим номером версии;
+ * уже выпущенные миграции не меняются.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+/**
+ * Миграции по возрастанию версии; up получает экземпляр imageDatabase с открытой SQLite базой
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'исходная схема',
+    // Схема, которая создавалась до появления миграций. Ее команды можно повторять,
+    // поэтому миграция применяется и к базам, созданным прежними версиями бота
+    up: database => database._createBaseSchema()
+  },
+  {
+    version: 2,
+    name: 'дата, канал и ссылка на сообщение облегченного сканирования',
+    up: async database => {
+      await database._ensureColumn('images', 'date', 'TEXT');
+      await database._ensureColumn('images', 'channelUsername', 'TEXT');
+      await database._ensureColumn('images', 'messageLink', 'TEXT');
+    }
+  },
+  {
+    version: 3,
+    name: 'таблицы каналов и сообщений',
+    // ID каналов хранятся без префикса -100 (telegramForwards.normalizeChatId), чтобы записи
+    // Bot API и MTProto об одном канале совпадали; images.messageRowId ссылается на messages.id
+    up: async database => {
+      await database._run(`CREATE TABLE IF NOT EXISTS channels (
+        id TEXT PRIMARY KEY,
+        title TEXT,
+        username TEXT,
+        type TEXT,
+        updatedAt TEXT
+      )`);
+      await database._run(`CREATE TABLE IF NOT EXISTS messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chatId TEXT,
+        messageId INTEGER,
+        date INTEGER,
+        caption TEXT,
+        views INTEGER,
+        forwardChatId TEXT,
+        forwardMessageId INTEGER,
+        forwardDate INTEGER,
+        forwardName TEXT,
+        updatedAt TEXT,
+        UNIQUE(chatId, messageId)
+      )`);
+      await database._ensureColumn('images', 'messageRowId', 'INTEGER');
+      await database._run(`CREATE INDEX IF NOT EXISTS idx_images_message ON images(messageRowId)`);
+
+      // Сообщения и каналы уже сохраненных изображений известны только по ID
+      // (у записей облегченного сканирования - еще и юзернейм канала)
+      await database._run(`INSERT OR IGNORE INTO channels (id, username, updatedAt)
+        SELECT CASE WHEN chatId LIKE '-100%' THEN SUBSTR(chatId, 5) ELSE chatId END, MAX(channelUsername), ?
+        FROM images WHERE chatId IS NOT NULL AND chatId != '' AND chatId != '0' GROUP BY 1`, [new Date().toISOString()]);
+      await database._run(`INSERT OR IGNORE INTO messages (chatId, messageId, date, forwardChatId, forwardMessageId, forwardDate, forwardName, updatedAt)
+        SELECT CASE WHEN chatId LIKE '-100%' THEN SUBSTR(chatId, 5) ELSE chatId END, messageId, MIN(timestamp),
+          MAX(forwardChatId), MAX(forwardMessageId), MAX(forwardDate), MAX(forwardName), ?
+        FROM images WHERE chatId IS NOT NULL AND chatId != '' AND chatId != '0' AND messageId IS NOT NULL GROUP BY 1, 2`,
+      [new Date().toISOString()]);
+      await database._run(`UPDATE images SET messageRowId = (
+        SELECT m.id FROM messages m
+        WHERE m.chatId = CASE WHEN images.chatId LIKE '-100%' THEN SUBSTR(images.chatId, 5) ELSE images.chatId END
+          AND m.messageId = images.messageId
+      )`);
+    }
+  }
+];
+
+/**
+ * Возвращает текущую версию схемы (создает таблицу schema_migrations, если ее нет)
+ * @param {Object} database - экземпляр imageDatabase с открытой SQLite базой
+ * @returns {Promise<number>} - версия схемы (0 - миграции еще не применялись)
+ */
+async function getSchemaVersion(database) {
+  await database._run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT,
+    appliedAt TEXT
+  )`);
+
+  const [row] = await database._queryAll(`SELECT MAX(version) AS version FROM schema_migrations`);
+  return row && row.version ? row.version : 0;
+}
+
+/**
+ * Проверяет, что в базе нет таблиц, кроме schema_migrations (база только что создана)
+ * @param {Object} database - экземпляр imageDatabase
+ * @returns {Promise<boolean>}
+ * @private
+ */
+async function isEmptyDatabase(database) {
+  const tables = await database._queryAll(
+    `SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT IN ('schema_migrations', 'sqlite_sequence')`
+  );
+  return tables.length === 0;
+}
+
+/**
+ * Сохраняет копию базы перед миграцией (VACUUM INTO создает согласованную копию открытой базы)
+ * @param {Object} database - экземпляр imageDatabase
+ * @param {number} version - версия миграции, перед которой делается копия
+ * @returns {Promise<string>} - путь к копии
+ * @private
+ */
+async function backupDatabase(database, version) {
+  const folder = (config.databaseMigrations && config.databaseMigrations.backupFolder) || './backups';
+  await fs.promises.mkdir(folder, { recursive: true });
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const name = path.basename(database.sqliteDbPath, path.extname(database.sqliteDbPath));
+  const backupPath = path.join(folder, `${name}_before_v${version}_${timestamp}.sqlite`);
+
+  await database._run(`VACUUM INTO ?`, [backupPath]);
+  return backupPath;
+}
+
+/**
+ * Применяет ожидающие миграции схемы. Если миграция не применилась, ее изменения откатываются,
+ * а у ошибки есть поле backupPath - путь к копии базы перед этой миграцией (null, если копии нет)
+ * @param {Object} database - экземпляр imageDatabase с открытой SQLite базой
+ * @param {Object} [options] - { dryRun } - выполнить миграции и откатить изменения
+ * @returns {Promise<Object>} - { fromVersion, toVersion, migrations }, где migrations -
+ *   примененные (при dryRun - проверенные) миграции { version, name }
+ */
+async function migrate(database, options = {}) {
+  const dryRun = Boolean(options.dryRun);
+  const backup = !dryRun && (config.databaseMigrations || {}).backup !== false;
+
+  // При пробном запуске все изменения, включая таблицу schema_migrations, делаются в одной транзакции
+  if (dryRun) {
+    await database._run('BEGIN');
+  }
+
+  try {
+    const empty = await isEmptyDatabase(database);
+    const fromVersion = await getSchemaVersion(database);
+    const pending = MIGRATIONS.filter(migration => migration.version > fromVersion);
+
+    for (const migration of pending) {
+      // Копия только что созданной базы не нужна
+      let backupPath = null;
+      if (backup && !empty) {
+        backupPath = await backupDatabase(database, migration.version);
+        console.log(`Копия базы перед миграцией ${migration.version} сохранена: ${backupPath}`);
+      }
+
+      if (!dryRun) {
+        await database._run('BEGIN');
+      }
+
+      try {
+        await migration.up(database);
+        await database._run(
+          `INSERT INTO schema_migrations (version, name, appliedAt) VALUES (?, ?, ?)`,
+          [migration.version, migration.name, new Date().toISOString()]
+        );
+
+        if (!dryRun) {
+          await database._run('COMMIT');
+        }
+      } catch (err) {
+        if (!dryRun) {
+          await database._run('ROLLBACK');
+        }
+        const error = new Error(`Миграция схемы ${migration.version} (${migration.name}) не применена: ${err.message}`);
+        // Путь к копии базы до миграции, по которой базу можно восстановить
+        error.backupPath = backupPath;
+        throw error;
+      }
+
+      console.log(`${dryRun ? 'Проверена' : 'Применена'} миграция схемы ${migration.version}: ${migration.name}`);
+    }
+
+    const toVersion = pending.length > 0 ? pending[pending.length - 1].version : fromVersion;
+    if (pending.length === 0) {
+      console.log(`Схема базы актуальна (версия ${fromVersion})`);
+    }
+
+    return {
+      fromVersion,
+      toVersion,
+      migrations: pending.map(({ version, name }) => ({ version, name }))
+    };
+  } finally {
+    if (dryRun) {
+      await database._run('ROLLBACK');
+    }
+  }
+}
+
+module.exports = {
+  MIGRATIONS,
+  getSchemaVersion,
+  migrate
+};
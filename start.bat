@@ -1,5 +1,5 @@
-@echo off
-chcp 65001 >nul
-echo Запуск Telegram бота для сравнения изображений...
-node index.js
+@echo off
+chcp 65001 >nul
+echo Запуск Telegram бота для сравнения изображений...
+node index.js
 pause 
\ No newline at end of file
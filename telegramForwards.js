@@ -0,0 +1,133 @@
+/**
+ * Заголовки пересылки сообщений Telegram: из какого канала (чата) и сообщения переслано
+ * изображение и когда было опубликовано исходное сообщение. Заголовок пересылки - самое
+ * надежное указание на источник копии, его использует определение оригинала (originAttribution).
+ *
+ * Функции для Bot API понимают и forward_origin (Bot API 7.0+), и старые поля forward_from_chat,
+ * а функции для MTProto - fwdFrom в формате gramjs и fwd_from в формате @mtproto/core.
+ */
+
+// Заголовок сообщения без пересылки
+const NO_FORWARD = {
+  forwardChatId: null,
+  forwardMessageId: null,
+  forwardDate: null,
+  forwardName: null
+};
+
+/**
+ * Приводит ID канала к виду без префикса -100: Bot API добавляет префикс к ID каналов,
+ * а MTProto его не использует, поэтому ID сравниваются только после приведения
+ * @param {string|number|Object} chatId - ID чата (число, строка или BigInteger gramjs)
+ * @returns {string} - ID без префикса или пустая строка
+ */
+function normalizeChatId(chatId) {
+  if (chatId === null || chatId === undefined) {
+    return '';
+  }
+
+  return String(chatId).replace(/^-100/, '');
+}
+
+/**
+ * Возвращает название чата Bot API для отчетов
+ * @param {Object} chat - чат или пользователь Bot API
+ * @returns {string|null} - @username, название или имя
+ * @private
+ */
+function describeBotApiChat(chat) {
+  if (!chat) {
+    return null;
+  }
+
+  if (chat.username) {
+    return `@${chat.username}`;
+  }
+
+  return chat.title || [chat.first_name, chat.last_name].filter(Boolean).join(' ') || null;
+}
+
+/**
+ * Возвращает заголовок пересылки сообщения Bot API
+ * @param {Object} message - сообщение Bot API
+ * @returns {Object} - { forwardChatId, forwardMessageId, forwardDate, forwardName }
+ *   (все поля null, если сообщение не переслано)
+ */
+function getBotApiForward(message) {
+  const origin = message && message.forward_origin;
+
+  if (origin) {
+    const chat = origin.chat || origin.sender_chat || null;
+    return {
+      forwardChatId: chat ? String(chat.id) : (origin.sender_user ? String(origin.sender_user.id) : null),
+      forwardMessageId: origin.message_id || null,
+      forwardDate: origin.date || null,
+      forwardName: describeBotApiChat(chat || origin.sender_user) || origin.sender_user_name || null
+    };
+  }
+
+  if (message && (message.forward_from_chat || message.forward_from || message.forward_sender_name)) {
+    const chat = message.forward_from_chat || message.forward_from || null;
+    return {
+      forwardChatId: chat ? String(chat.id) : null,
+      forwardMessageId: message.forward_from_message_id || null,
+      forwardDate: message.forward_date || null,
+      forwardName: describeBotApiChat(chat) || message.forward_sender_name || null
+    };
+  }
+
+  return { ...NO_FORWARD };
+}
+
+/**
+ * Возвращает ID канала, группы или пользователя MTProto (чата сообщения или отправителя
+ * пересланного сообщения) в формате Bot API (каналы с префиксом -100, группы со знаком минус),
+ * чтобы по нему строились ссылки
+ * @param {Object} peer - fromId (gramjs) или from_id (@mtproto/core)
+ * @returns {string|null}
+ */
+function getMtprotoPeerId(peer) {
+  if (!peer) {
+    return null;
+  }
+
+  const channelId = peer.channelId || peer.channel_id;
+  if (channelId) {
+    return `-100${channelId}`;
+  }
+
+  const chatId = peer.chatId || peer.chat_id;
+  if (chatId) {
+    return `-${chatId}`;
+  }
+
+  const userId = peer.userId || peer.user_id;
+  return userId ? String(userId) : null;
+}
+
+/**
+ * Возвращает заголовок пересылки сообщения MTProto
+ * @param {Object} message - сообщение MTProto (gramjs или @mtproto/core)
+ * @returns {Object} - { forwardChatId, forwardMessageId, forwardDate, forwardName }
+ *   (все поля null, если сообщение не переслано)
+ */
+function getMtprotoForward(message) {
+  const header = message && (message.fwdFrom || message.fwd_from);
+  if (!header) {
+    return { ...NO_FORWARD };
+  }
+
+  return {
+    forwardChatId: getMtprotoPeerId(header.fromId || header.from_id),
+    forwardMessageId: header.channelPost || header.channel_post || null,
+    forwardDate: header.date || null,
+    forwardName: header.fromName || header.from_name || null
+  };
+}
+
+module.exports = {
+  normalizeChatId,
+  getBotApiForward,
+  getMtprotoPeerId,
+  getMtprotoForward
+};
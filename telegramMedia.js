@@ -0,0 +1,227 @@
+/**
+ * Определение типа медиа сообщений Telegram (фото, файл-изображение, анимация, стикер, видео)
+ * и выбор файла, по которому оно хешируется. Неподвижные изображения, GIF и статичные стикеры WebP
+ * хешируются по самому файлу, а видео, анимации MPEG4 и анимированные стикеры (TGS, WebM) - по миниатюре,
+ * которую Telegram хранит вместе с файлом. По миниатюре хешируются и файлы-изображения, которые
+ * нельзя декодировать (HEIC, BMP) или скачать через Bot API (больше 20 МБ).
+ *
+ * Одно и то же изображение, отправленное сжатым фото, файлом без сжатия или стикером,
+ * получает сопоставимые хеши: перед хешированием все форматы приводятся к одному виду
+ * (поворот по EXIF, прозрачные области на белом фоне, обрезка однотонных полей, см. imageHasher),
+ * а тип медиа сохраняется в базе, чтобы в отчетах было видно, что файл и фото - одно изображение.
+ *
+ * Функции для MTProto принимают медиа и в формате gramjs (mimeType, атрибуты с полем className),
+ * и в формате @mtproto/core (mime_type, атрибуты с полем _).
+ */
+
+const config = require('./config');
+
+const MEDIA_TYPES = {
+  PHOTO: 'photo',
+  DOCUMENT: 'document',
+  ANIMATION: 'animation',
+  STICKER: 'sticker',
+  VIDEO: 'video'
+};
+
+// Названия типов медиа для ответов бота
+const MEDIA_TYPE_NAMES = {
+  [MEDIA_TYPES.PHOTO]: 'фото',
+  [MEDIA_TYPES.DOCUMENT]: 'файл',
+  [MEDIA_TYPES.ANIMATION]: 'GIF',
+  [MEDIA_TYPES.STICKER]: 'стикер',
+  [MEDIA_TYPES.VIDEO]: 'видео'
+};
+
+// Форматы изображений, которые декодирует sharp; остальные файлы хешируются по миниатюре
+const DECODABLE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/tiff', 'image/avif', 'image/svg+xml'];
+
+// Бот может скачать через Bot API файл не больше 20 МБ
+const BOT_API_MAX_FILE_SIZE = 20 * 1024 * 1024;
+
+/**
+ * Проверяет, что медиа этого типа проверяются на повторы: фото и файлы-изображения - всегда,
+ * остальные типы - если они перечислены в config.mediaTypes
+ * @param {string} mediaType - тип медиа
+ * @returns {boolean}
+ */
+function isMediaTypeEnabled(mediaType) {
+  return mediaType === MEDIA_TYPES.PHOTO || mediaType === MEDIA_TYPES.DOCUMENT ||
+    (config.mediaTypes || []).includes(mediaType);
+}
+
+/**
+ * Проверяет, что файл с этим MIME-типом можно декодировать и хешировать
+ * @param {string} mimeType - MIME-тип
+ * @returns {boolean}
+ */
+function isDecodableMimeType(mimeType) {
+  return DECODABLE_MIME_TYPES.includes(mimeType);
+}
+
+/**
+ * Возвращает название типа медиа для ответов бота
+ * @param {string} mediaType - тип медиа
+ * @returns {string}
+ */
+function describeMediaType(mediaType) {
+  return MEDIA_TYPE_NAMES[mediaType] || MEDIA_TYPE_NAMES[MEDIA_TYPES.PHOTO];
+}
+
+/**
+ * Находит в сообщении Bot API медиа, которое проверяется на повторы
+ * @param {Object} message - сообщение Bot API
+ * @returns {Object|null} - { mediaType, media, file, fromThumbnail }, где media - объект медиа
+ *   (размеры и объем файла), file - скачиваемый файл (сам файл или его миниатюра);
+ *   null, если медиа нет, его тип отключен или у него нет миниатюры
+ */
+function getBotApiMedia(message) {
+  let mediaType = null;
+  let media = null;
+  let hashable = false; // файл можно хешировать без миниатюры
+
+  if (message.photo && message.photo.length > 0) {
+    mediaType = MEDIA_TYPES.PHOTO;
+    media = message.photo[message.photo.length - 1];
+    hashable = true;
+  } else if (message.animation) {
+    // GIF Telegram обычно перекодирует в MPEG4, настоящие GIF остаются документами image/gif
+    mediaType = MEDIA_TYPES.ANIMATION;
+    media = message.animation;
+    hashable = media.mime_type === 'image/gif';
+  } else if (message.sticker) {
+    mediaType = MEDIA_TYPES.STICKER;
+    media = message.sticker;
+    hashable = !media.is_animated && !media.is_video;
+  } else if (message.video) {
+    mediaType = MEDIA_TYPES.VIDEO;
+    media = message.video;
+  } else if (message.document && (message.document.mime_type || '').startsWith('image/')) {
+    // Изображение, отправленное файлом без сжатия
+    mediaType = MEDIA_TYPES.DOCUMENT;
+    media = message.document;
+    hashable = isDecodableMimeType(media.mime_type);
+  }
+
+  if (!mediaType || !isMediaTypeEnabled(mediaType)) {
+    return null;
+  }
+
+  if (media.file_size > BOT_API_MAX_FILE_SIZE) {
+    hashable = false;
+  }
+
+  const file = hashable ? media : (media.thumbnail || media.thumb);
+  return file ? { mediaType, media, file, fromThumbnail: !hashable } : null;
+}
+
+/**
+ * Возвращает названия атрибутов документа MTProto без префикса
+ * @param {Object} document - документ
+ * @returns {Array<string>} - названия в нижнем регистре (animated, sticker, video и т.п.)
+ */
+function getDocumentAttributes(document) {
+  return (document.attributes || [])
+    .map(attribute => (attribute.className || attribute._ || '').replace(/^documentAttribute/i, '').toLowerCase());
+}
+
+/**
+ * Возвращает MIME-тип документа MTProto
+ * @param {Object} document - документ
+ * @returns {string}
+ */
+function getDocumentMimeType(document) {
+  return document.mimeType || document.mime_type || '';
+}
+
+/**
+ * Определяет тип медиа сообщения MTProto
+ * @param {Object} media - медиа сообщения (message.media)
+ * @returns {string|null} - тип медиа или null, если это не фото, анимация, стикер или видео
+ */
+function getMtprotoMediaType(media) {
+  if (!media) {
+    return null;
+  }
+
+  if (media.photo) {
+    return MEDIA_TYPES.PHOTO;
+  }
+
+  if (!media.document) {
+    return null;
+  }
+
+  const attributes = getDocumentAttributes(media.document);
+  const mimeType = getDocumentMimeType(media.document);
+
+  if (attributes.includes('sticker')) {
+    return MEDIA_TYPES.STICKER;
+  }
+
+  if (attributes.includes('animated') || mimeType === 'image/gif') {
+    return MEDIA_TYPES.ANIMATION;
+  }
+
+  if (attributes.includes('video') || mimeType.startsWith('video/')) {
+    return MEDIA_TYPES.VIDEO;
+  }
+
+  return mimeType.startsWith('image/') ? MEDIA_TYPES.DOCUMENT : null;
+}
+
+/**
+ * Возвращает размеры изображения из медиа сообщения MTProto: самого крупного размера фото
+ * или атрибута документа с шириной и высотой (изображение, видео, стикер)
+ * @param {Object} media - медиа сообщения
+ * @returns {Object} - { width, height } (нули, если размеры неизвестны)
+ */
+function getMtprotoMediaSize(media) {
+  const sizes = (media && media.photo && media.photo.sizes || []).filter(size => size.w > 0 && size.h > 0);
+  const attribute = media && media.document &&
+    (media.document.attributes || []).find(item => item.w > 0 && item.h > 0);
+  const source = sizes.length > 0 ? sizes[sizes.length - 1] : attribute;
+
+  return source ? { width: source.w, height: source.h } : { width: 0, height: 0 };
+}
+
+/**
+ * Проверяет, что медиа сообщения MTProto хешируется по самому файлу, а не по миниатюре
+ * (фото и документы-изображения в декодируемых форматах, в том числе GIF и статичные стикеры WebP)
+ * @param {Object} media - медиа сообщения
+ * @returns {boolean}
+ */
+function isImageMedia(media) {
+  return Boolean(media) && (Boolean(media.photo) ||
+    (Boolean(media.document) && isDecodableMimeType(getDocumentMimeType(media.document))));
+}
+
+/**
+ * Проверяет, что медиа сообщения MTProto проверяется на повторы: его тип включен,
+ * а файл является изображением или у него есть миниатюра
+ * @param {Object} message - сообщение MTProto
+ * @returns {boolean}
+ */
+function isSupportedMtprotoMedia(message) {
+  const media = message && message.media;
+  const mediaType = getMtprotoMediaType(media);
+
+  if (!mediaType || !isMediaTypeEnabled(mediaType)) {
+    return false;
+  }
+
+  // Миниатюры перечислены в document.thumbs (gramjs и @mtproto/core)
+  return isImageMedia(media) || (media.document.thumbs || []).length > 0;
+}
+
+module.exports = {
+  MEDIA_TYPES,
+  isMediaTypeEnabled,
+  isDecodableMimeType,
+  describeMediaType,
+  getBotApiMedia,
+  getMtprotoMediaType,
+  getMtprotoMediaSize,
+  isImageMedia,
+  isSupportedMtprotoMedia
+};
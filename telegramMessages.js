@@ -0,0 +1,161 @@
+/**
+ * Сведения о канале (чате) и сообщении Telegram, в котором найдено изображение: название,
+ * юзернейм и тип канала, подпись и количество просмотров сообщения. imageDatabase сохраняет их
+ * в таблицы channels и messages, а отчеты показывают по ним названия каналов, подписи
+ * и строят публичные ссылки на сообщения (t.me/<юзернейм>/<ID>).
+ *
+ * ID каналов возвращаются в формате Bot API (каналы и супергруппы с префиксом -100), как и
+ * в заголовках пересылки (telegramForwards); imageDatabase хранит их без префикса
+ * (telegramForwards.normalizeChatId), чтобы записи Bot API и MTProto об одном канале совпадали.
+ */
+
+const telegramForwards = require('./telegramForwards');
+
+// Сведения о сообщении, канал которого неизвестен
+const NO_MESSAGE_INFO = {
+  channel: null,
+  caption: null,
+  views: null
+};
+
+/**
+ * Возвращает канал (чат) сообщения Bot API
+ * @param {Object} chat - чат Bot API (message.chat)
+ * @returns {Object|null} - { id, title, username, type }
+ * @private
+ */
+function getBotApiChannel(chat) {
+  if (!chat) {
+    return null;
+  }
+
+  return {
+    id: String(chat.id),
+    title: chat.title || [chat.first_name, chat.last_name].filter(Boolean).join(' ') || null,
+    username: chat.username || null,
+    type: chat.type || null
+  };
+}
+
+/**
+ * Возвращает сведения о сообщении Bot API и его канале
+ * @param {Object} message - сообщение Bot API
+ * @returns {Object} - { channel, caption, views }, где channel - { id, title, username, type }
+ */
+function getBotApiMessageInfo(message) {
+  if (!message) {
+    return { ...NO_MESSAGE_INFO };
+  }
+
+  return {
+    channel: getBotApiChannel(message.chat),
+    caption: message.caption || message.text || null,
+    // Bot API не сообщает количество просмотров
+    views: null
+  };
+}
+
+/**
+ * Возвращает тип чата MTProto в терминах Bot API
+ * @param {Object} chat - сущность канала, группы или пользователя (gramjs или @mtproto/core)
+ * @returns {string|null} - channel, supergroup, group или private
+ * @private
+ */
+function getMtprotoChatType(chat) {
+  const kind = String(chat.className || chat._ || '').toLowerCase();
+
+  if (kind.startsWith('channel')) {
+    return chat.megagroup ? 'supergroup' : 'channel';
+  }
+  if (kind.startsWith('chat')) {
+    return 'group';
+  }
+  if (kind.startsWith('user')) {
+    return 'private';
+  }
+
+  return null;
+}
+
+/**
+ * Возвращает канал (чат) сообщения MTProto
+ * @param {Object} message - сообщение MTProto (gramjs или @mtproto/core)
+ * @param {Object} [chat] - сущность канала, если она известна (у сообщений gramjs - message.chat)
+ * @returns {Object|null} - { id, title, username, type }
+ * @private
+ */
+function getMtprotoChannel(message, chat) {
+  const peerId = telegramForwards.getMtprotoPeerId(message.peerId || message.peer_id);
+  if (!chat) {
+    return peerId ? { id: peerId, title: null, username: null, type: null } : null;
+  }
+
+  const type = getMtprotoChatType(chat);
+  let id = peerId;
+  if (!id && chat.id) {
+    id = type === 'channel' || type === 'supergroup' ? `-100${chat.id}` : type === 'group' ? `-${chat.id}` : String(chat.id);
+  }
+
+  return {
+    id,
+    title: chat.title || [chat.firstName || chat.first_name, chat.lastName || chat.last_name].filter(Boolean).join(' ') || null,
+    username: chat.username || null,
+    type
+  };
+}
+
+/**
+ * Возвращает сведения о сообщении MTProto и его канале
+ * @param {Object} message - сообщение MTProto (gramjs или @mtproto/core)
+ * @param {Object} [chat] - сущность канала сообщения (gramjs или @mtproto/core)
+ * @returns {Object} - { channel, caption, views }, где channel - { id, title, username, type }
+ */
+function getMtprotoMessageInfo(message, chat = null) {
+  if (!message) {
+    return { ...NO_MESSAGE_INFO };
+  }
+
+  return {
+    channel: getMtprotoChannel(message, chat || message.chat || null),
+    // В MTProto подпись к медиа - это текст сообщения
+    caption: message.message || null,
+    views: message.views || null
+  };
+}
+
+/**
+ * Описывает канал изображения для отчетов
+ * @param {Object} image - запись изображения со сведениями о канале (imageDatabase.getImageMessages)
+ * @returns {string} - например "Мемы (@memes)"; пустая строка, если канал неизвестен
+ */
+function describeChannel(image) {
+  const { channelTitle, channelUsername } = image || {};
+
+  if (channelTitle && channelUsername) {
+    return `${channelTitle} (@${channelUsername})`;
+  }
+
+  return channelTitle || (channelUsername ? `@${channelUsername}` : '');
+}
+
+/**
+ * Сокращает подпись сообщения для отчетов до одной строки
+ * @param {string} [caption] - подпись
+ * @param {number} [maxLength] - максимальная длина
+ * @returns {string} - подпись или пустая строка
+ */
+function shortenCaption(caption, maxLength = 100) {
+  if (!caption) {
+    return '';
+  }
+
+  const text = caption.replace(/\s+/g, ' ').trim();
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+module.exports = {
+  getBotApiMessageInfo,
+  getMtprotoMessageInfo,
+  describeChannel,
+  shortenCaption
+};
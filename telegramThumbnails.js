@@ -0,0 +1,116 @@
+/**
+ * Работа с миниатюрами фото и документов Telegram: выбор размера для хеширования
+ * и декодирование встроенной в сообщение миниатюры (stripped thumbnail).
+ *
+ * Функции принимают медиа и в формате gramjs (photo.sizes, document.thumbs, поля w/h),
+ * и в формате @mtproto/core - в обоих форматах поля размеров называются одинаково.
+ */
+
+const config = require('./config');
+
+// Тип встроенной миниатюры: около 40 пикселей по большей стороне, передается вместе с сообщением
+const STRIPPED_THUMBNAIL_TYPE = 'i';
+
+/**
+ * Возвращает список размеров фото или миниатюр документа
+ * @param {Object} media - медиа сообщения (message.media), фото или документ
+ * @returns {Array<Object>} - размеры (PhotoSize, PhotoStrippedSize и т.п.)
+ */
+function getThumbnailSizes(media) {
+  if (!media) {
+    return [];
+  }
+
+  const source = media.photo || media.document || media;
+  return source.sizes || source.thumbs || [];
+}
+
+/**
+ * Выбирает наименьший размер, большая сторона которого не меньше minSide.
+ * Если таких размеров нет, выбирается самый крупный из имеющихся
+ * @param {Object} media - медиа сообщения
+ * @param {number} minSide - минимальный размер большей стороны в пикселях
+ * @returns {Object|null} - размер фото (с полем type) или null, если размеров нет
+ */
+function selectThumbnail(media, minSide) {
+  // Размеры без ширины и высоты (встроенные миниатюры, контуры стикеров) скачать нельзя
+  const usable = getThumbnailSizes(media)
+    .filter(size => size && size.w > 0 && size.h > 0)
+    .sort((a, b) => Math.max(a.w, a.h) - Math.max(b.w, b.h));
+
+  if (usable.length === 0) {
+    return null;
+  }
+
+  return usable.find(size => Math.max(size.w, size.h) >= minSide) || usable[usable.length - 1];
+}
+
+/**
+ * Возвращает примерный размер файла миниатюры в байтах
+ * @param {Object} size - размер фото
+ * @returns {number} - размер в байтах или 0, если он неизвестен
+ */
+function getThumbnailByteSize(size) {
+  if (!size) {
+    return 0;
+  }
+
+  // У прогрессивных JPEG указаны размеры всех уровней, последний - полный файл
+  if (Array.isArray(size.sizes) && size.sizes.length > 0) {
+    return size.sizes[size.sizes.length - 1];
+  }
+
+  return size.size || (size.bytes ? size.bytes.length : 0);
+}
+
+/**
+ * Декодирует встроенную миниатюру в JPEG без обращения к серверам Telegram
+ * @param {Object} media - медиа сообщения
+ * @returns {Buffer|null} - JPEG или null, если встроенной миниатюры нет
+ */
+function getStrippedThumbnail(media) {
+  const stripped = getThumbnailSizes(media)
+    .find(size => size && size.type === STRIPPED_THUMBNAIL_TYPE && size.bytes);
+
+  if (!stripped) {
+    return null;
+  }
+
+  // gramjs подключается только здесь: модуль используется и клиентом @mtproto/core
+  const { utils } = require('telegram');
+  return utils.strippedPhotoToJpg(Buffer.from(stripped.bytes));
+}
+
+/**
+ * Включено ли хеширование по миниатюрам вместо оригиналов
+ * @returns {boolean}
+ */
+function isThumbnailHashingEnabled() {
+  const mode = config.thumbnailHashing && config.thumbnailHashing.mode;
+  return mode === 'size' || mode === 'stripped';
+}
+
+/**
+ * Возвращает ключ кэша отпечатков для хеширования по миниатюрам: отпечатки миниатюр
+ * хранятся отдельно от отпечатков оригиналов того же файла
+ * @param {string|null} mediaKey - ключ медиа (getMtprotoMediaKey)
+ * @returns {string|null} - ключ вида mtproto:photo:<id>:thumb:<режим>:<размер>
+ */
+function getThumbnailMediaKey(mediaKey) {
+  if (!mediaKey) {
+    return null;
+  }
+
+  const { mode, minSide } = config.thumbnailHashing;
+  return `${mediaKey}:thumb:${mode}:${minSide}`;
+}
+
+module.exports = {
+  STRIPPED_THUMBNAIL_TYPE,
+  getThumbnailSizes,
+  selectThumbnail,
+  getThumbnailByteSize,
+  getStrippedThumbnail,
+  isThumbnailHashingEnabled,
+  getThumbnailMediaKey
+};
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const hashAlgorithms = require('../hashAlgorithms');
+const { calculateHashDistance, calculateDifferencePercentage } = require('../imageHasher');
+
+/**
+ * Считает расстояние Хэмминга по строкам битов - без таблиц и операций над байтами
+ * @param {string} hash1 - первый хеш
+ * @param {string} hash2 - второй хеш
+ * @returns {number}
+ */
+function naiveDistance(hash1, hash2) {
+  const toBits = hash => [...hash].map(digit => parseInt(digit, 16).toString(2).padStart(4, '0')).join('');
+  const bits1 = toBits(hash1);
+  const bits2 = toBits(hash2);
+
+  let distance = 0;
+  for (let i = 0; i < bits1.length; i++) {
+    distance += bits1[i] !== bits2[i] ? 1 : 0;
+  }
+  return distance;
+}
+
+test('packBits упаковывает биты старшим битом вперед', () => {
+  assert.strictEqual(hashAlgorithms.packBits([1, 0, 0, 0, 0, 0, 0, 0]), '80');
+  assert.strictEqual(hashAlgorithms.packBits([0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 1, 0, 0, 0, 0]), '01f0');
+  // Неполный последний байт дополняется нулями
+  assert.strictEqual(hashAlgorithms.packBits([1, 1, 1]), 'e0');
+});
+
+test('расстояние Хэмминга считается по отдельным битам', () => {
+  assert.strictEqual(calculateHashDistance('00', '00'), 0);
+  assert.strictEqual(calculateHashDistance('80', '00'), 1);
+  assert.strictEqual(calculateHashDistance('01', '00'), 1);
+  assert.strictEqual(calculateHashDistance('f0', '0f'), 8);
+  assert.strictEqual(calculateHashDistance('ffff', '0000'), 16);
+  assert.strictEqual(calculateDifferencePercentage('ff00', '0000'), 50);
+
+  for (let i = 0; i < 200; i++) {
+    const hash1 = Buffer.from(Array.from({ length: 32 }, (_, j) => (i * 37 + j * 101) % 256)).toString('hex');
+    const hash2 = Buffer.from(Array.from({ length: 32 }, (_, j) => (i * 13 + j * j * 7) % 256)).toString('hex');
+    assert.strictEqual(calculateHashDistance(hash1, hash2), naiveDistance(hash1, hash2));
+  }
+});
+
+test('несравнимые хеши не сравниваются', () => {
+  assert.throws(() => calculateHashDistance('00', '0000'));
+  assert.throws(() => calculateHashDistance('zz', '00'));
+});
+
+test('алгоритмы возвращают size * size битов', () => {
+  const size = 8;
+
+  for (const method of hashAlgorithms.HASH_METHODS) {
+    const algorithm = hashAlgorithms.getAlgorithm(method);
+    const side = algorithm.inputSize(size);
+    // Градиент слева направо и сверху вниз
+    const pixels = Uint8Array.from({ length: side.width * side.height }, (_, i) =>
+      Math.round(((i % side.width) / side.width + Math.floor(i / side.width) / side.height) * 127));
+    const bits = algorithm.compute(pixels, size);
+
+    assert.strictEqual(bits.length, size * size, method);
+    assert.ok(bits.every(bit => bit === 0 || bit === 1), method);
+  }
+
+  assert.throws(() => hashAlgorithms.getAlgorithm('unknown'), /Неизвестный метод хеширования/);
+});
+
+test('aHash и dHash однотонного изображения состоят из нулей', () => {
+  const flat = new Uint8Array(9 * 8).fill(128);
+
+  assert.ok(hashAlgorithms.averageHash(flat, 8).every(bit => bit === 0));
+  assert.ok(hashAlgorithms.differenceHash(flat, 8).every(bit => bit === 0));
+});
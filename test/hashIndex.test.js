@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HashIndex } = require('../hashIndex');
+const { calculateHashDistance } = require('../imageHasher');
+
+/**
+ * Генератор псевдослучайных чисел с заданным зерном, чтобы проверки были воспроизводимы
+ * @param {number} seed - зерно
+ * @returns {Function} - функция, возвращающая числа от 0 до 1
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+/**
+ * Создает случайный хеш; часть хешей - копии предыдущих с несколькими измененными битами,
+ * чтобы в индексе были близкие хеши и одинаковые хеши у разных изображений
+ * @param {Function} random - генератор случайных чисел
+ * @param {Array<string>} previous - уже созданные хеши
+ * @param {number} bytes - длина хеша в байтах
+ * @returns {string}
+ */
+function createHash(random, previous, bytes) {
+  const buffer = previous.length > 0 && random() < 0.5
+    ? Buffer.from(previous[Math.floor(random() * previous.length)], 'hex')
+    : Buffer.from(Array.from({ length: bytes }, () => Math.floor(random() * 256)));
+
+  const flips = Math.floor(random() * 4);
+  for (let i = 0; i < flips; i++) {
+    const bit = Math.floor(random() * bytes * 8);
+    buffer[bit >> 3] ^= 0x80 >> (bit & 7);
+  }
+
+  return buffer.toString('hex');
+}
+
+/**
+ * Строит индекс и список тех же изображений для поиска полным перебором
+ * @param {number} count - количество изображений
+ * @param {number} bytes - длина хеша в байтах
+ * @returns {Object} - { index, images, random }
+ */
+function createFixture(count, bytes = 8) {
+  const random = createRandom(count * 31 + bytes);
+  const index = new HashIndex();
+  const images = [];
+
+  for (let i = 0; i < count; i++) {
+    const hash = createHash(random, images.map(image => image.hash), bytes);
+    images.push({ id: `image_${i}`, hash });
+    index.add(`image_${i}`, hash);
+  }
+
+  return { index, images, random };
+}
+
+/**
+ * Находит изображения на расстоянии не больше maxDistance полным перебором
+ * @param {Array<Object>} images - изображения { id, hash }
+ * @param {string} hash - искомый хеш
+ * @param {number} maxDistance - максимальное расстояние
+ * @returns {Array<string>} - отсортированные ID
+ */
+function bruteForceWithin(images, hash, maxDistance) {
+  return images
+    .filter(image => calculateHashDistance(hash, image.hash) <= maxDistance)
+    .map(image => image.id)
+    .sort();
+}
+
+test('findWithin находит те же изображения, что и полный перебор', () => {
+  const { index, images, random } = createFixture(500);
+
+  for (let i = 0; i < 50; i++) {
+    const query = i % 2 === 0 ? images[Math.floor(random() * images.length)].hash : createHash(random, [], 8);
+    for (const maxDistance of [0, 1, 3, 8, 16, 30]) {
+      const found = index.findWithin(query, maxDistance);
+
+      assert.deepStrictEqual(found.map(item => item.id).sort(), bruteForceWithin(images, query, maxDistance));
+      for (const item of found) {
+        assert.strictEqual(item.distance, calculateHashDistance(query, images.find(image => image.id === item.id).hash));
+      }
+    }
+  }
+});
+
+test('findNearest возвращает k ближайших изображений по возрастанию расстояния', () => {
+  const { index, images, random } = createFixture(400);
+
+  for (let i = 0; i < 50; i++) {
+    const query = createHash(random, i % 2 === 0 ? images.map(image => image.hash) : [], 8);
+    const distances = images.map(image => calculateHashDistance(query, image.hash)).sort((a, b) => a - b);
+
+    for (const k of [1, 5, 20]) {
+      const found = index.findNearest(query, k);
+
+      // При равных расстояниях набор ID может отличаться, поэтому сравниваются расстояния
+      assert.deepStrictEqual(found.map(item => item.distance), distances.slice(0, k));
+      assert.strictEqual(new Set(found.map(item => item.id)).size, k);
+    }
+  }
+});
+
+test('удаленные изображения не находятся, а хеши разной длины не смешиваются', () => {
+  const { index, images } = createFixture(200);
+  const removed = images.filter((image, i) => i % 3 === 0);
+
+  for (const image of removed) {
+    assert.strictEqual(index.remove(image.id), true);
+  }
+  assert.strictEqual(index.remove(removed[0].id), false);
+
+  const remaining = images.filter(image => !removed.includes(image));
+  for (const image of removed.slice(0, 20)) {
+    assert.deepStrictEqual(index.findWithin(image.hash, 6).map(item => item.id).sort(), bruteForceWithin(remaining, image.hash, 6));
+  }
+
+  index.add('long', 'ff'.repeat(32));
+  assert.deepStrictEqual(index.findWithin('ff'.repeat(32), 0), [{ id: 'long', distance: 0 }]);
+  assert.strictEqual(index.findWithin('ff'.repeat(16), 256).length, 0);
+  assert.strictEqual(index.add('text', 'not a hash'), false);
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const config = require('../config');
+const imageDatabase = require('../imageDatabase');
+const schemaMigrations = require('../schemaMigrations');
+
+const LATEST_VERSION = schemaMigrations.MIGRATIONS[schemaMigrations.MIGRATIONS.length - 1].version;
+
+/**
+ * Выполняет SQL-команды в файле базы
+ * @param {string} dbPath - путь к файлу базы
+ * @param {Array<string>} statements - команды
+ * @returns {Promise<void>}
+ */
+async function execute(dbPath, statements) {
+  const db = new sqlite3.Database(dbPath);
+  try {
+    for (const sql of statements) {
+      await new Promise((resolve, reject) => db.run(sql, err => (err ? reject(err) : resolve())));
+    }
+  } finally {
+    await new Promise(resolve => db.close(resolve));
+  }
+}
+
+/**
+ * Создает базу со схемой первых версий бота (до миграций) и двумя изображениями
+ * @param {string} dbPath - путь к файлу базы
+ * @returns {Promise<void>}
+ */
+function createBaselineDatabase(dbPath) {
+  return execute(dbPath, [
+    `CREATE TABLE images (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      fileId TEXT,
+      hash TEXT,
+      messageId INTEGER,
+      chatId TEXT,
+      userId TEXT,
+      fileSize INTEGER,
+      width INTEGER,
+      height INTEGER,
+      timestamp INTEGER,
+      source TEXT,
+      addedAt TEXT,
+      UNIQUE(fileId)
+    )`,
+    `INSERT INTO images (fileId, hash, messageId, chatId, timestamp, source) VALUES
+      ('photo_1', 'ffff0000ffff0000', 10, '-1001234', 1700000000, 'channel_scan'),
+      ('photo_2', '0000ffff0000ffff', 11, '1234', 1700000100, 'channel_scan_mtprotocore')`
+  ]);
+}
+
+/**
+ * Возвращает колонки таблицы
+ * @param {string} table - название таблицы
+ * @returns {Promise<Array<string>>}
+ */
+async function getColumns(table) {
+  return (await imageDatabase._queryAll(`PRAGMA table_info(${table})`)).map(column => column.name);
+}
+
+test('миграции применяются к базе исходной схемы', async (t) => {
+  const folder = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'schema-migrations-'));
+  const backupFolder = config.databaseMigrations.backupFolder;
+  imageDatabase.sqliteDbPath = path.join(folder, 'image_database.sqlite');
+  config.databaseMigrations.backupFolder = path.join(folder, 'backups');
+
+  t.after(async () => {
+    await imageDatabase.close();
+    imageDatabase.db = null;
+    config.databaseMigrations.backupFolder = backupFolder;
+    await fs.promises.rm(folder, { recursive: true, force: true });
+  });
+
+  await createBaselineDatabase(imageDatabase.sqliteDbPath);
+
+  await t.test('пробный запуск проверяет все миграции и не меняет базу', async () => {
+    const result = await imageDatabase.migrateSchema({ dryRun: true });
+
+    assert.strictEqual(result.fromVersion, 0);
+    assert.strictEqual(result.toVersion, LATEST_VERSION);
+    assert.deepStrictEqual(result.migrations.map(migration => migration.version), schemaMigrations.MIGRATIONS.map(migration => migration.version));
+    assert.strictEqual(await schemaMigrations.getSchemaVersion(imageDatabase), 0);
+    assert.ok(!(await getColumns('images')).includes('contentHash'));
+    assert.ok(!fs.existsSync(config.databaseMigrations.backupFolder));
+  });
+
+  await t.test('миграции создают схему последней версии и сохраняют данные', async () => {
+    const result = await imageDatabase.migrateSchema();
+
+    assert.strictEqual(result.fromVersion, 0);
+    assert.strictEqual(result.toVersion, LATEST_VERSION);
+    assert.strictEqual(await schemaMigrations.getSchemaVersion(imageDatabase), LATEST_VERSION);
+
+    const columns = await getColumns('images');
+    for (const column of ['contentHash', 'hashVersion', 'mediaType', 'jpegQuality', 'forwardChatId', 'date', 'channelUsername', 'messageRowId']) {
+      assert.ok(columns.includes(column), column);
+    }
+
+    const images = await imageDatabase._queryAll(`SELECT fileId, hash, messageRowId FROM images ORDER BY id`);
+    assert.deepStrictEqual(images.map(image => [image.fileId, image.hash]), [
+      ['photo_1', 'ffff0000ffff0000'],
+      ['photo_2', '0000ffff0000ffff']
+    ]);
+
+    // Записи Bot API (с префиксом -100) и MTProto (без него) об одном канале ссылаются на его сообщения
+    const messages = await imageDatabase._queryAll(`SELECT id, chatId, messageId FROM messages ORDER BY messageId`);
+    assert.deepStrictEqual(messages.map(message => [message.chatId, message.messageId]), [['1234', 10], ['1234', 11]]);
+    assert.deepStrictEqual(images.map(image => image.messageRowId), messages.map(message => message.id));
+
+    // Перед каждой миграцией базы с данными сохраняется копия
+    assert.strictEqual(fs.readdirSync(config.databaseMigrations.backupFolder).length, LATEST_VERSION);
+  });
+
+  await t.test('повторный запуск не применяет миграции', async () => {
+    const result = await imageDatabase.migrateSchema();
+
+    assert.deepStrictEqual(result, { fromVersion: LATEST_VERSION, toVersion: LATEST_VERSION, migrations: [] });
+  });
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const UnionFind = require('../unionFind');
+
+test('union объединяет множества, и корнем остается меньший элемент', () => {
+  const sets = new UnionFind();
+
+  assert.deepStrictEqual(sets.union(5, 3), { root: 3, merged: 5 });
+  assert.deepStrictEqual(sets.union(7, 9), { root: 7, merged: 9 });
+  assert.strictEqual(sets.find(5), 3);
+  assert.notStrictEqual(sets.find(9), sets.find(5));
+
+  // Слияние через любые элементы двух множеств сохраняет самый ранний корень
+  assert.deepStrictEqual(sets.union(9, 5), { root: 3, merged: 7 });
+  for (const item of [3, 5, 7, 9]) {
+    assert.strictEqual(sets.find(item), 3);
+  }
+});
+
+test('повторное объединение элементов одного множества ничего не меняет', () => {
+  const sets = new UnionFind();
+  sets.union(1, 2);
+  sets.union(2, 3);
+
+  assert.deepStrictEqual(sets.union(3, 1), { root: 1, merged: null });
+});
+
+test('корень не зависит от порядка объединений', () => {
+  const pairs = [[4, 8], [8, 2], [6, 10], [10, 4], [12, 14]];
+  const forward = new UnionFind();
+  const backward = new UnionFind();
+
+  pairs.forEach(([a, b]) => forward.union(a, b));
+  [...pairs].reverse().forEach(([a, b]) => backward.union(b, a));
+
+  for (const item of [2, 4, 6, 8, 10, 12, 14]) {
+    assert.strictEqual(forward.find(item), backward.find(item));
+  }
+  assert.strictEqual(forward.find(10), 2);
+  assert.strictEqual(forward.find(14), 12);
+});
+
+test('add восстанавливает сохраненные связи, find сжимает пути', () => {
+  const sets = new UnionFind();
+  sets.add(1);
+  sets.add(2, 1);
+  sets.add(3, 2);
+  sets.add(4, 3);
+
+  assert.strictEqual(sets.has(4), true);
+  assert.strictEqual(sets.has(5), false);
+  assert.strictEqual(sets.find(4), 1);
+  assert.strictEqual(sets.parents.get(4), 1);
+  assert.strictEqual(sets.parents.get(3), 1);
+
+  // Существующий элемент не переназначается
+  sets.add(4, 4);
+  assert.strictEqual(sets.find(4), 1);
+});
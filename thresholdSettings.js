@@ -0,0 +1,92 @@
+/**
+ * Сохраненные пороги различия хешей: общий порог hashDifferenceThreshold (команда /set_threshold)
+ * и пороги отдельных алгоритмов hashSettings.thresholds (скрипт calibrateThresholds.js).
+ * Пороги хранятся в таблице settings базы изображений и применяются к config при запуске бота,
+ * поэтому переопределяют значения из .env и config.js. Порог из /set_threshold сбрасывает
+ * пороги алгоритмов, иначе они продолжали бы действовать вместо него.
+ */
+
+const config = require('./config');
+const imageDatabase = require('./imageDatabase');
+
+// Название настройки с порогами в базе
+const THRESHOLDS_SETTING = 'thresholds';
+
+/**
+ * Применяет пороги к текущей конфигурации
+ * @param {Object} thresholds - { hashDifferenceThreshold, algorithms: { алгоритм: порог } }
+ */
+function applyThresholds(thresholds) {
+  if (typeof thresholds.hashDifferenceThreshold === 'number') {
+    config.hashDifferenceThreshold = thresholds.hashDifferenceThreshold;
+  }
+
+  if (thresholds.algorithms) {
+    config.hashSettings.thresholds = { ...config.hashSettings.thresholds, ...thresholds.algorithms };
+  }
+}
+
+/**
+ * Читает сохраненные пороги из базы и применяет их (база должна быть загружена)
+ * @returns {Promise<Object|null>} - сохраненные пороги или null, если их нет
+ */
+async function loadThresholds() {
+  const thresholds = await imageDatabase.getSetting(THRESHOLDS_SETTING);
+
+  if (thresholds) {
+    applyThresholds(thresholds);
+  }
+
+  return thresholds;
+}
+
+/**
+ * Сохраняет пороги (объединяя их с сохраненными ранее) и применяет их
+ * @param {Object} thresholds - { hashDifferenceThreshold, algorithms } - любое из полей
+ * @returns {Promise<boolean>} - успешно ли сохранены пороги
+ */
+async function saveThresholds(thresholds) {
+  const saved = await imageDatabase.getSetting(THRESHOLDS_SETTING) || {};
+  const merged = {
+    ...saved,
+    ...thresholds,
+    algorithms: { ...saved.algorithms, ...thresholds.algorithms }
+  };
+
+  applyThresholds(merged);
+  return await imageDatabase.saveSetting(THRESHOLDS_SETTING, merged);
+}
+
+/**
+ * Устанавливает общий порог различия (команда /set_threshold) и сбрасывает пороги отдельных
+ * алгоритмов; сохраненные калибровкой пороги удаляются из базы
+ * @param {number} threshold - порог различия в процентах
+ * @returns {Promise<Object>} - { saved, cleared }, где saved - успешно ли сохранен порог,
+ *   cleared - описание сброшенных порогов алгоритмов (пустая строка, если их не было)
+ */
+async function setCommonThreshold(threshold) {
+  const cleared = describeAlgorithmThresholds();
+  const saved = await imageDatabase.getSetting(THRESHOLDS_SETTING) || {};
+  const thresholds = { ...saved, hashDifferenceThreshold: threshold, algorithms: {} };
+
+  config.hashSettings.thresholds = {};
+  applyThresholds(thresholds);
+  return { saved: await imageDatabase.saveSetting(THRESHOLDS_SETTING, thresholds), cleared };
+}
+
+/**
+ * Описывает пороги отдельных алгоритмов для ответов бота
+ * @returns {string} - например "phash 9.8%, dhash 12.1%" или пустая строка
+ */
+function describeAlgorithmThresholds() {
+  return Object.entries(config.hashSettings.thresholds || {})
+    .map(([algorithm, threshold]) => `${algorithm} ${threshold}%`)
+    .join(', ');
+}
+
+module.exports = {
+  loadThresholds,
+  saveThresholds,
+  setCommonThreshold,
+  describeAlgorithmThresholds
+};
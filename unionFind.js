@@ -0,0 +1,76 @@
+/**
+ * Система непересекающихся множеств (union-find) со сжатием путей.
+ * При объединении корнем остается меньший элемент, поэтому корень множества
+ * не зависит от порядка объединений: это самый ранний элемент (меньший индекс или ID)
+ */
+class UnionFind {
+  constructor() {
+    this.parents = new Map(); // элемент -> родитель (корень ссылается сам на себя)
+  }
+
+  /**
+   * Добавляет элемент, если его еще нет
+   * @param {number} item - элемент
+   * @param {number} [parent] - родитель элемента (по умолчанию элемент становится корнем)
+   */
+  add(item, parent = item) {
+    if (!this.parents.has(item)) {
+      this.parents.set(item, parent);
+    }
+  }
+
+  /**
+   * Проверяет, что элемент добавлен
+   * @param {number} item - элемент
+   * @returns {boolean}
+   */
+  has(item) {
+    return this.parents.has(item);
+  }
+
+  /**
+   * Находит корень множества элемента (элемент добавляется, если его еще нет)
+   * @param {number} item - элемент
+   * @returns {number} - корень
+   */
+  find(item) {
+    this.add(item);
+
+    let root = item;
+    while (this.parents.get(root) !== root) {
+      root = this.parents.get(root);
+    }
+
+    // Сжатие пути: все элементы на пути ссылаются прямо на корень
+    while (item !== root) {
+      const next = this.parents.get(item);
+      this.parents.set(item, root);
+      item = next;
+    }
+
+    return root;
+  }
+
+  /**
+   * Объединяет множества двух элементов
+   * @param {number} a - первый элемент
+   * @param {number} b - второй элемент
+   * @returns {Object} - { root, merged }, где root - корень объединенного множества,
+   *   merged - бывший корень присоединенного множества (null, если элементы уже были в одном множестве)
+   */
+  union(a, b) {
+    const rootA = this.find(a);
+    const rootB = this.find(b);
+
+    if (rootA === rootB) {
+      return { root: rootA, merged: null };
+    }
+
+    const root = Math.min(rootA, rootB);
+    const merged = Math.max(rootA, rootB);
+    this.parents.set(merged, root);
+    return { root, merged };
+  }
+}
+
+module.exports = UnionFind;
@@ -3,6 +3,12 @@ const axios = require('axios');
 const path = require('path');
 const imageHasher = require('./imageHasher');
 const imageDatabase = require('./imageDatabase');
+const imageAnalyzer = require('./imageAnalyzer');
+const telegramThumbnails = require('./telegramThumbnails');
+const telegramMedia = require('./telegramMedia');
+const telegramForwards = require('./telegramForwards');
+const telegramMessages = require('./telegramMessages');
+const originAttribution = require('./originAttribution');
 const TelegramHistoryFetcher = require('./telegramHistoryFetcher');
 const DirectTelegramApiFetcher = require('./directTelegramApiFetcher');
 const MtprotoTelegramClient = require('./mtprotoTelegramClient');
@@ -17,6 +23,7 @@ class UpdatedChannelScanner {
     this.bot = bot;
     this.isScanning = false;
     this.processedMessageIds = new Set(); // Для предотвращения повторной обработки
+    this.knownChats = new Map(); // ID канала (без -100) -> сущность канала @mtproto/core из ответов на запросы истории
     
     // Инициализация различных API клиентов
     this.gramjsClient = null; // Будет создан при необходимости
@@ -24,6 +31,19 @@ class UpdatedChannelScanner {
     this.mtprotoClient = null; // Будет создан при необходимости
   }
 
+  /**
+   * Возвращает клиент gramjs, создавая и инициализируя его при первом обращении
+   * @returns {Promise<TelegramHistoryFetcher>} - клиент gramjs
+   */
+  async getGramjsClient() {
+    if (!this.gramjsClient) {
+      this.gramjsClient = new TelegramHistoryFetcher();
+      await this.gramjsClient.init();
+    }
+    
+    return this.gramjsClient;
+  }
+
   /**
    * Получение истории сообщений из канала с использованиемBot API
    * (ограниченная функциональность, работает только для новых сообщений)
@@ -140,6 +160,7 @@ class UpdatedChannelScanner {
       // Получаем сообщения
       console.log(`Получение истории канала ${channelIdOrUsername} с помощью MTProto API (@mtproto/core)...`);
       const history = await this.mtprotoClient.getChannelHistory(channelIdOrUsername, limit);
+      this._rememberChats(history.chats);
       
       console.log(`Получено ${history.messages.length} сообщений методом MTProto API (@mtproto/core)`);
       return history.messages;
@@ -166,6 +187,7 @@ class UpdatedChannelScanner {
       // Получаем все сообщения
       console.log(`Получение всех сообщений канала ${channelIdOrUsername} с помощью MTProto API (@mtproto/core)...`);
       const result = await this.mtprotoClient.getAllChannelMessages(channelIdOrUsername, 100, maxMessages);
+      this._rememberChats(result.chats);
       
       console.log(`Получено ${result.messages.length} сообщений методом MTProto API (@mtproto/core)`);
       return result.messages;
@@ -176,7 +198,7 @@ class UpdatedChannelScanner {
   }
 
   /**
-   * Обработка фотографии из сообщения Bot API
+   * Обработка фотографии (файла-изображения, GIF, стикера, видео) из сообщения Bot API
    * @param {Object} message - сообщение с фотографией
    * @returns {Promise<Object>} - результат обработки
    */
@@ -187,46 +209,54 @@ class UpdatedChannelScanner {
         return { processed: false, reason: 'duplicate' };
       }
       
-      // Получаем файл наибольшего размера
-      const photoSizes = message.photo;
-      const photo = photoSizes[photoSizes.length - 1];
-      const fileId = photo.file_id;
-      
-      // Получаем информацию о файле
-      const fileInfo = await this.bot.getFile(fileId);
-      const fileUrl = `https://api.telegram.org/file/bot${config.botToken}/${fileInfo.file_path}`;
-      
-      // Скачиваем файл
-      const response = await axios({
-        method: 'get',
-        url: fileUrl,
-        responseType: 'arraybuffer'
-      });
-      
-      // Вычисляем хеш изображения
-      const imageBuffer = Buffer.from(response.data);
-      const hash = await imageHasher.calculateHash(imageBuffer);
-      
-      // Ищем похожие изображения
-      const similarImages = imageDatabase.findSimilarImages(hash, (hash1, hash2) => {
-        return imageHasher.areImagesSimilar(hash1, hash2);
-      });
+      // Фото наибольшего размера, сам файл изображения, GIF или статичного стикера либо миниатюра
+      const target = telegramMedia.getBotApiMedia(message);
+      if (!target) {
+        return { processed: false, reason: 'unsupported_media' };
+      }
       
-      // Сохраняем информацию о новом изображении
+      const { mediaType, media, file, fromThumbnail } = target;
+      const fileId = media.file_id;
+      
+      // Отпечаток файла: уже виденные (например, пересланные) файлы берутся из кэша
+      // по file_unique_id и повторно не скачиваются и не хешируются
+      const fingerprint = await imageHasher.getFingerprint(
+        imageHasher.getBotApiMediaKey(file),
+        async () => {
+          // Получаем информацию о файле
+          const fileInfo = await this.bot.getFile(file.file_id);
+          const fileUrl = `https://api.telegram.org/file/bot${config.botToken}/${fileInfo.file_path}`;
+          
+          // Скачиваем файл
+          const response = await axios({
+            method: 'get',
+            url: fileUrl,
+            responseType: 'arraybuffer'
+          });
+          
+          return Buffer.from(response.data);
+        },
+        { thumbnail: fromThumbnail }
+      );
+      // Информация о новом изображении; SHA-256 миниатюры не относится к самому файлу и не используется
       const imageInfo = {
         fileId,
-        hash,
+        ...imageHasher.getFingerprintFields(fingerprint, fromThumbnail),
+        mediaType,
         messageId: message.message_id,
         chatId: message.chat.id,
         userId: message.from?.id,
-        fileSize: photo.file_size,
-        width: photo.width,
-        height: photo.height,
+        fileSize: media.file_size,
+        width: media.width,
+        height: media.height,
         timestamp: message.date,
-        source: 'channel_scan'
+        source: 'channel_scan',
+        ...telegramForwards.getBotApiForward(message),
+        ...telegramMessages.getBotApiMessageInfo(message)
       };
       
-      imageDatabase.addImage(imageInfo);
+      // Ищем копии и сохраняем новое изображение
+      const similarImages = await imageDatabase.registerImage(imageInfo);
       
       // Добавляем ID сообщения в обработанные
       this.processedMessageIds.add(message.message_id);
@@ -258,63 +288,78 @@ class UpdatedChannelScanner {
       console.log(`Начинаем обработку фото из сообщения ID: ${message.id}, клиент: ${clientType}`);
       console.log(`Структура message.media:`, JSON.stringify(message.media).substring(0, 500));
       
-      // Путь к временному файлу
-      let filePath;
-      
-      if (clientType === 'gramjs') {
-        // Скачиваем фото с помощью gramjs
-        if (!this.gramjsClient) {
-          this.gramjsClient = new TelegramHistoryFetcher();
-          await this.gramjsClient.init();
-        }
-        filePath = await this.gramjsClient.downloadMessagePhoto(message);
-      } else if (clientType === 'mtprotocore') {
-        // Скачиваем фото с помощью @mtproto/core
-        if (!this.mtprotoClient) {
-          this.mtprotoClient = new MtprotoTelegramClient();
-        }
-        filePath = await this.mtprotoClient.downloadMessagePhoto(message);
-      } else {
-        throw new Error(`Неизвестный тип клиента: ${clientType}`);
-      }
-      
-      if (!filePath) {
-        throw new Error('Не удалось скачать изображение');
-      }
-      
-      console.log(`Изображение скачано: ${filePath}`);
+      // В режиме хеширования по миниатюрам скачивается (или декодируется из сообщения)
+      // только миниатюра; ее SHA-256 не является SHA-256 файла и для точных копий не используется.
+      // Видео, анимации MPEG4 и анимированные стикеры хешируются по миниатюре в любом режиме
+      const mediaType = telegramMedia.getMtprotoMediaType(message.media) || telegramMedia.MEDIA_TYPES.PHOTO;
+      const useThumbnails = telegramThumbnails.isThumbnailHashingEnabled() || !telegramMedia.isImageMedia(message.media);
+      const { minSide, mode: thumbnailMode } = config.thumbnailHashing;
+      const mediaKey = imageHasher.getMtprotoMediaKey(message.media);
+      
+      // Отпечаток файла: уже виденные фото и документы берутся из кэша по их id
+      // в Telegram и повторно не скачиваются и не хешируются
+      const fingerprint = await imageHasher.getFingerprint(
+        useThumbnails ? telegramThumbnails.getThumbnailMediaKey(mediaKey) : mediaKey,
+        async () => {
+          // Путь к временному файлу (миниатюры не сохраняются на диск: { buffer, fileName })
+          let filePath;
+          
+          if (clientType === 'gramjs') {
+            // Скачиваем фото с помощью gramjs
+            const client = await this.getGramjsClient();
+            filePath = useThumbnails
+              ? await client.downloadMessageThumbnail(message, minSide, { stripped: thumbnailMode === 'stripped' })
+              : await client.downloadMessagePhoto(message);
+          } else if (clientType === 'mtprotocore') {
+            // Скачиваем фото с помощью @mtproto/core
+            if (!this.mtprotoClient) {
+              this.mtprotoClient = new MtprotoTelegramClient();
+            }
+            filePath = useThumbnails
+              ? await this.mtprotoClient.downloadMessageThumbnail(message, minSide, { stripped: thumbnailMode === 'stripped' })
+              : await this.mtprotoClient.downloadMessagePhoto(message);
+          } else {
+            throw new Error(`Неизвестный тип клиента: ${clientType}`);
+          }
+          
+          if (!filePath) {
+            throw new Error('Не удалось скачать изображение');
+          }
+          
+          console.log(`Изображение скачано: ${filePath.fileName || filePath}`);
+          return filePath;
+        },
+        { thumbnail: useThumbnails }
+      );
+      const fields = imageHasher.getFingerprintFields(fingerprint, useThumbnails);
+      console.log(`${fingerprint.cached ? 'Хеш изображения взят из кэша' : 'Вычислен хеш изображения'}: ${fields.hash}`);
       
-      // Вычисляем хеш изображения
-      const hash = await imageHasher.calculateHashFromFile(filePath);
-      console.log(`Вычислен хеш изображения: ${hash}`);
+      // Получаем размеры изображения: самого крупного размера фото или из атрибутов документа
+      const { width, height } = telegramMedia.getMtprotoMediaSize(message.media);
       
-      // Ищем похожие изображения
-      const similarImages = imageDatabase.findSimilarImages(hash, (hash1, hash2) => {
-        return imageHasher.areImagesSimilar(hash1, hash2);
-      });
+      // Канал сообщения: у сообщений gramjs он есть в самом сообщении, для @mtproto/core
+      // берется из ответа на запрос истории
+      const messageInfo = telegramMessages.getMtprotoMessageInfo(message, this._getKnownChat(message));
       
-      // Получаем размеры изображения
-      // В данном случае не можем определить точные размеры, поэтому используем примерные
-      const width = message.media && message.media.photo ? 
-        message.media.photo.sizes[message.media.photo.sizes.length - 1].w : 0;
-      const height = message.media && message.media.photo ? 
-        message.media.photo.sizes[message.media.photo.sizes.length - 1].h : 0;
-      
-      // Сохраняем информацию о новом изображении
+      // Информация о новом изображении
       const imageInfo = {
-        fileId: path.basename(filePath, '.jpg'),
-        hash,
+        fileId: fingerprint.fileName,
+        ...fields,
+        mediaType,
         messageId: message.id,
-        chatId: message.peer_id ? message.peer_id.channel_id : (message.chat_id || 0),
+        chatId: messageInfo.channel ? messageInfo.channel.id : 0,
         userId: message.from_id ? message.from_id.user_id : 0,
         fileSize: 0, // Точный размер неизвестен
         width,
         height,
         timestamp: message.date,
-        source: `channel_scan_${clientType}`
+        source: `channel_scan_${clientType}`,
+        ...telegramForwards.getMtprotoForward(message),
+        ...messageInfo
       };
       
-      imageDatabase.addImage(imageInfo);
+      // Ищем копии и сохраняем новое изображение
+      const similarImages = await imageDatabase.registerImage(imageInfo);
       
       // Добавляем ID сообщения в обработанные
       this.processedMessageIds.add(message.id);
@@ -450,6 +495,8 @@ class UpdatedChannelScanner {
       console.log(`Получено ${messages.length} сообщений из канала`);
       
       // Проходим по всем сообщениям и обрабатываем фотографии
+      const inProgress = new Set();
+      
       for (const message of messages) {
         // Добавляем логирование для анализа структуры сообщения
         console.log(`Анализ сообщения ID: ${message.id || 'unknown'}`);
@@ -463,60 +510,54 @@ class UpdatedChannelScanner {
           }
         }
 
-        // Улучшенная проверка, содержит ли сообщение фотографию
-        let hasPhoto = false;
-        
-        if (actualMethod === 'botapi' && message.photo) {
-          hasPhoto = true;
-        } else if (actualMethod !== 'botapi' && message.media) {
-          if (message.media._ === 'messageMediaPhoto') {
-            hasPhoto = true;
-          } else if (message.media._ === 'messageMediaDocument' && 
-                    message.media.document && 
-                    message.media.document.mime_type && 
-                    message.media.document.mime_type.startsWith('image/')) {
-            hasPhoto = true;
-          } else if (message.media.photo) {
-            // Альтернативная структура для фото
-            hasPhoto = true;
-          } else if (message.media._ === 'Photo') {
-            // Еще одна возможная структура
-            hasPhoto = true;
-          }
-        }
+        // Проверка, содержит ли сообщение фото, GIF, стикер или видео
+        const hasPhoto = actualMethod === 'botapi'
+          ? Boolean(telegramMedia.getBotApiMedia(message))
+          : this._hasMedia(message);
         
-        console.log(`Содержит фото: ${hasPhoto ? 'да' : 'нет'}`);
+        console.log(`Содержит фото, GIF, стикер или видео: ${hasPhoto ? 'да' : 'нет'}`);
         
         if (hasPhoto) {
-          let processResult;
+          let processing;
           
           if (actualMethod === 'botapi') {
-            processResult = await this.processPhotoFromBotApi(message);
+            processing = this.processPhotoFromBotApi(message);
           } else if (actualMethod === 'gramjs') {
-            processResult = await this.processPhotoFromMtprotoApi(message, 'gramjs');
+            processing = this.processPhotoFromMtprotoApi(message, 'gramjs');
           } else if (actualMethod === 'mtprotocore') {
-            processResult = await this.processPhotoFromMtprotoApi(message, 'mtprotocore');
+            processing = this.processPhotoFromMtprotoApi(message, 'mtprotocore');
           }
           
-          if (processResult && processResult.processed) {
-            results.processedImages++;
-            console.log(`Успешно обработано изображение, ID сообщения: ${message.id}`);
-            
-            if (processResult.similarImages && processResult.similarImages.length > 0) {
-              results.similarImagesFound += processResult.similarImages.length;
-              console.log(`Найдено ${processResult.similarImages.length} похожих изображений`);
+          // Несколько сообщений обрабатываются одновременно, пока их изображения хешируются в пуле потоков
+          const task = processing.then(processResult => {
+            if (processResult && processResult.processed) {
+              results.processedImages++;
+              console.log(`Успешно обработано изображение, ID сообщения: ${message.id}`);
+              
+              if (processResult.similarImages && processResult.similarImages.length > 0) {
+                results.similarImagesFound += processResult.similarImages.length;
+                console.log(`Найдено ${processResult.similarImages.length} похожих изображений`);
+              }
+            } else if (processResult && processResult.error) {
+              results.errors++;
+              console.error(`Ошибка при обработке изображения, ID сообщения: ${message.id}`, processResult.error);
+            } else if (processResult && processResult.reason) {
+              console.log(`Пропущено изображение, причина: ${processResult.reason}`);
+            } else {
+              console.error(`Неизвестный результат обработки для ID сообщения: ${message.id}`);
             }
-          } else if (processResult && processResult.error) {
-            results.errors++;
-            console.error(`Ошибка при обработке изображения, ID сообщения: ${message.id}`, processResult.error);
-          } else if (processResult && processResult.reason) {
-            console.log(`Пропущено изображение, причина: ${processResult.reason}`);
-          } else {
-            console.error(`Неизвестный результат обработки для ID сообщения: ${message.id}`);
+          }).finally(() => inProgress.delete(task));
+          inProgress.add(task);
+          
+          if (inProgress.size >= config.hashWorkers.scanConcurrency) {
+            await Promise.race(inProgress);
           }
         }
       }
       
+      // Дожидаемся обработки последних сообщений
+      await Promise.all(inProgress);
+      
       // Сохраняем базу данных
       await imageDatabase.save();
       
@@ -575,16 +616,22 @@ class UpdatedChannelScanner {
   }
 
   /**
-   * Проверяет, содержит ли сообщение изображение
+   * Проверяет, содержит ли сообщение медиа, которое проверяется на повторы:
+   * фото, изображение-документ, GIF, стикер или видео (типы из config.mediaTypes)
    * @param {Object} message - сообщение Telegram
-   * @returns {boolean} - содержит ли сообщение фото
+   * @returns {boolean} - содержит ли сообщение такое медиа
    * @private
    */
-  _hasPhoto(message) {
+  _hasMedia(message) {
     if (!message || !message.media) {
       return false;
     }
     
+    // Документы (изображения, GIF, стикеры, видео) различаются по MIME-типу и атрибутам
+    if (message.media.document) {
+      return telegramMedia.isSupportedMtprotoMedia(message);
+    }
+    
     // Явно проверяем все возможные структуры медиа данных
     if (message.media._ === 'messageMediaPhoto' || 
         message.media._ === 'MessageMediaPhoto' || 
@@ -592,15 +639,6 @@ class UpdatedChannelScanner {
       return true;
     }
     
-    // Проверяем документы с MIME-типом изображений
-    if ((message.media._ === 'messageMediaDocument' || 
-         message.media._ === 'MessageMediaDocument') && 
-        message.media.document && 
-        message.media.document.mime_type && 
-        message.media.document.mime_type.startsWith('image/')) {
-      return true;
-    }
-    
     // Проверка наличия фото по типу media._
     if (message.media._ === 'Photo') {
       return true;
@@ -614,6 +652,29 @@ class UpdatedChannelScanner {
     return false;
   }
 
+  /**
+   * Запоминает сущности каналов из ответа @mtproto/core на запрос истории
+   * @param {Array<Object>} [chats] - сущности каналов и групп
+   * @private
+   */
+  _rememberChats(chats = []) {
+    for (const chat of chats) {
+      this.knownChats.set(telegramForwards.normalizeChatId(chat.id), chat);
+    }
+  }
+
+  /**
+   * Возвращает сущность канала сообщения @mtproto/core, если она пришла в ответе на запрос истории
+   * @param {Object} message - сообщение MTProto
+   * @returns {Object|null} - сущность канала @mtproto/core
+   * @private
+   */
+  _getKnownChat(message) {
+    const peer = message.peerId || message.peer_id;
+    const channelId = peer && (peer.channelId || peer.channel_id);
+    return channelId ? this.knownChats.get(telegramForwards.normalizeChatId(channelId)) || null : null;
+  }
+
   /**
    * Создает ссылку на сообщение в Telegram
    * @param {string} channelId - ID канала (с префиксом -100) или юзернейм
@@ -749,8 +810,8 @@ class UpdatedChannelScanner {
         
         // Проходим по всем сообщениям и находим изображения
         for (const message of messages) {
-          // Проверяем, содержит ли сообщение фотографию
-          const hasPhoto = this._hasPhoto(message);
+          // Проверяем, содержит ли сообщение фото, GIF, стикер или видео
+          const hasPhoto = this._hasMedia(message);
           
           // Добавляем отладочную информацию
           if (batch === 0 && results.processedImages < 5) {
@@ -787,11 +848,14 @@ class UpdatedChannelScanner {
                   hash: photoSignature,
                   messageId: message.id,
                   chatId: channelInfo.id,
+                  mediaType: telegramMedia.getMtprotoMediaType(message.media) || telegramMedia.MEDIA_TYPES.PHOTO,
                   channelUsername: channelInfo.username || null, // Добавляем имя канала для открытых каналов
                   timestamp: message.date,
                   date: dateFormatted,
                   source: 'channel_scan_lightweight',
-                  messageLink: messageLink // Добавляем ссылку на сообщение
+                  messageLink: messageLink, // Добавляем ссылку на сообщение
+                  ...telegramForwards.getMtprotoForward(message),
+                  ...telegramMessages.getMtprotoMessageInfo(message, channelInfo)
                 };
                 
                 // Добавляем в отслеживание фото
@@ -828,7 +892,7 @@ class UpdatedChannelScanner {
       
       // Поиск дубликатов на основе сигнатур
       console.log('Анализ дубликатов на основе сигнатур...');
-      const allImages = imageDatabase.getAllImages().filter(img => img.source === 'channel_scan_lightweight');
+      const allImages = (await imageDatabase.getAllImages()).filter(img => img.source === 'channel_scan_lightweight');
       
       // Группируем изображения по хешу (сигнатуре)
       const hashGroups = new Map();
@@ -841,23 +905,53 @@ class UpdatedChannelScanner {
       
       // Находим группы с дубликатами
       let duplicateGroupsData = [];
-      hashGroups.forEach((images, hash) => {
+      for (const [hash, images] of hashGroups) {
         if (images.length > 1) {
           // Сортируем изображения по дате (от более ранних к поздним)
           images.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
           
+          // Фото с одинаковой сигнатурой - один файл, поэтому они попадают в один кластер дубликатов
+          for (const img of images.slice(1)) {
+            await imageDatabase.runExclusive(() => imageDatabase.addToCluster(img.fileId, [{
+              ...images[0],
+              similarity: 100,
+              matchType: 'exact',
+              matchTransform: imageHasher.ORIGINAL_VARIANT
+            }]));
+          }
+          
+          // Оригинал - наиболее вероятный первоисточник по времени и заголовкам пересылки;
+          // источник пересылки может быть в другом канале, тогда все сообщения канала - копии
+          const attribution = originAttribution.attributeOrigin(images);
+          const { origin } = attribution;
+          const originImage = origin.image;
+          
+          // Подписи сообщений из таблицы сообщений
+          const messages = await imageDatabase.getImageMessages(images.map(img => img.fileId));
+          const getCaption = img => (messages.get(img.fileId) || {}).caption || null;
+          
           // Создаем группу дубликатов с дополнительной информацией
           const duplicateGroup = {
             hash,
+            clusterId: imageDatabase.getClusterId(images[0].fileId),
             count: images.length,
-            original: {
-              messageId: images[0].messageId,
-              date: images[0].date || 'Неизвестно',
-              link: images[0].messageLink || this._createMessageLink(channelTarget, images[0].messageId)
+            original: originImage ? {
+              messageId: originImage.messageId,
+              date: originImage.date || 'Неизвестно',
+              caption: getCaption(originImage),
+              link: originImage.messageLink || this._createMessageLink(channelTarget, originImage.messageId)
+            } : {
+              messageId: origin.messageId,
+              channel: origin.name,
+              date: origin.firstSeen ? new Date(origin.firstSeen * 1000).toISOString() : 'Неизвестно',
+              link: origin.messageId ? imageAnalyzer.createMessageLink(origin) : null
             },
-            duplicates: images.slice(1).map(img => ({
+            confidence: attribution.confidence,
+            reasons: attribution.reasons,
+            duplicates: images.filter(img => img !== originImage).map(img => ({
               messageId: img.messageId,
               date: img.date || 'Неизвестно',
+              caption: getCaption(img),
               link: img.messageLink || this._createMessageLink(channelTarget, img.messageId)
             }))
           };
@@ -871,7 +965,7 @@ class UpdatedChannelScanner {
           
           results.similarImagesFound += images.length - 1; // Один оригинал и остальные дубликаты
         }
-      });
+      }
       
       // Сортируем группы по количеству дубликатов (от большего к меньшему)
       duplicateGroupsData.sort((a, b) => b.count - a.count);
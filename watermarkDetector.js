@@ -0,0 +1,567 @@
+const sharp = require('sharp');
+const config = require('./config');
+
+/**
+ * Поиск известных водяных знаков и логотипов каналов на изображениях.
+ *
+ * Шаблон водяного знака - уменьшенное изображение логотипа в оттенках серого с маской
+ * непрозрачных пикселей (у PNG с прозрачностью в сравнении участвует только сам логотип).
+ * На изображении шаблон ищется нормированной взаимной корреляцией на нескольких масштабах:
+ * сначала грубо на уменьшенной вдвое копии, затем точно в окрестности лучших положений.
+ * Сравниваются в основном контуры (модуль градиента яркости), а корреляция не зависит
+ * от яркости и контраста, поэтому находит и знак, наложенный поверх светлых и темных участков.
+ * Тонкие надписи и знаки меньше примерно пятой части стороны изображения находятся ненадежно.
+ *
+ * Найденные области можно замаскировать перед хешированием: они заполняются
+ * интерполяцией от пикселей вокруг области, и логотип перестает сдвигать хеши копии.
+ */
+
+// Версия реализации шаблонов: шаблоны другой версии не используются
+const TEMPLATE_VERSION = 1;
+
+// Большая сторона шаблона в пикселях
+const TEMPLATE_SIDE = 128;
+
+// Пиксель шаблона входит в маску, если его непрозрачность не меньше MASK_ALPHA
+const MASK_ALPHA = 128;
+
+// Шаблон с меньшим разбросом яркости однотонный и ищется где угодно
+const MIN_TEMPLATE_DEVIATION = 8;
+
+// Допуск яркости однотонных полей, которые обрезаются вокруг непрозрачного логотипа
+const TRIM_TOLERANCE = 24;
+
+// Большая сторона изображения при поиске. На изображении этого размера у шаблона должно быть
+// не меньше MIN_TEMPLATE_SIDE пикселей по меньшей стороне и MIN_TEMPLATE_AREA пикселей маски:
+// у более мелкого сглаженного шаблона почти не остается деталей, и он совпадает с любым перепадом яркости
+const DETECT_SIDE = 384;
+const MIN_TEMPLATE_SIDE = 12;
+const MIN_TEMPLATE_AREA = 300;
+
+// Шаг масштабов шаблона и количество кандидатов каждого масштаба при грубом поиске,
+// окрестность уточнения в пикселях и промежуточные масштабы при уточнении
+const SCALE_STEP = 1.12;
+const COARSE_CANDIDATES = 3;
+const REFINE_RADIUS = 2;
+const REFINE_SCALES = [1 / 1.04, 1, 1.04];
+
+// Отступ вокруг найденного знака при маскировании (в пикселях изображения)
+const MASK_MARGIN = 2;
+
+/**
+ * Уменьшает одноканальное изображение усреднением по площади
+ * @param {Uint8Array|Float32Array} data - пиксели
+ * @param {number} width - ширина
+ * @param {number} height - высота
+ * @param {number} newWidth - новая ширина
+ * @param {number} newHeight - новая высота
+ * @returns {Float32Array} - пиксели newWidth x newHeight
+ */
+function resample(data, width, height, newWidth, newHeight) {
+  const result = new Float32Array(newWidth * newHeight);
+  const scaleX = width / newWidth;
+  const scaleY = height / newHeight;
+
+  for (let y = 0; y < newHeight; y++) {
+    const top = y * scaleY;
+    const bottom = Math.min(height, top + scaleY);
+
+    for (let x = 0; x < newWidth; x++) {
+      const left = x * scaleX;
+      const right = Math.min(width, left + scaleX);
+      let sum = 0;
+      let area = 0;
+
+      for (let sy = Math.floor(top); sy < Math.ceil(bottom); sy++) {
+        const wy = Math.min(bottom, sy + 1) - Math.max(top, sy);
+        for (let sx = Math.floor(left); sx < Math.ceil(right); sx++) {
+          const weight = wy * (Math.min(right, sx + 1) - Math.max(left, sx));
+          sum += data[sy * width + sx] * weight;
+          area += weight;
+        }
+      }
+
+      result[y * newWidth + x] = area > 0 ? sum / area : 0;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Сглаживает одноканальное изображение двумя проходами усреднения 3x3 (близко к гауссову
+ * размытию), учитывая только пиксели с ненулевым весом: прозрачный фон шаблона
+ * не смешивается с краями логотипа
+ * @param {Float32Array} data - пиксели
+ * @param {number} width - ширина
+ * @param {number} height - высота
+ * @param {Float32Array} [weights] - веса пикселей (по умолчанию все пиксели с весом 1)
+ * @returns {Float32Array} - сглаженные пиксели
+ */
+function smooth(data, width, height, weights = null) {
+  let values = weights ? data.map((value, i) => value * weights[i]) : Float32Array.from(data);
+  let totals = weights ? Float32Array.from(weights) : new Float32Array(data.length).fill(1);
+
+  for (let pass = 0; pass < 4; pass++) {
+    const horizontal = pass % 2 === 0;
+    const nextValues = new Float32Array(values.length);
+    const nextTotals = new Float32Array(values.length);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        let value = values[i];
+        let total = totals[i];
+        const before = horizontal ? (x > 0 ? i - 1 : -1) : (y > 0 ? i - width : -1);
+        const after = horizontal ? (x < width - 1 ? i + 1 : -1) : (y < height - 1 ? i + width : -1);
+
+        if (before >= 0) {
+          value += values[before];
+          total += totals[before];
+        }
+        if (after >= 0) {
+          value += values[after];
+          total += totals[after];
+        }
+
+        nextValues[i] = value;
+        nextTotals[i] = total;
+      }
+    }
+
+    values = nextValues;
+    totals = nextTotals;
+  }
+
+  return values.map((value, i) => (totals[i] > 0 ? value / totals[i] : 0));
+}
+
+/**
+ * Находит область логотипа: непрозрачные пиксели, а у изображения без прозрачности -
+ * все, кроме однотонных полей цвета углов
+ * @param {Uint8Array} grey - яркость пикселей
+ * @param {Uint8Array} alpha - непрозрачность пикселей
+ * @param {number} width - ширина
+ * @param {number} height - высота
+ * @returns {Object|null} - { left, top, width, height, masked } или null, если логотипа нет
+ */
+function findLogoBox(grey, alpha, width, height) {
+  const masked = alpha.some(value => value < MASK_ALPHA);
+  const corners = [grey[0], grey[width - 1], grey[(height - 1) * width], grey[height * width - 1]].sort((a, b) => a - b);
+  const background = (corners[1] + corners[2]) / 2;
+  let left = width;
+  let top = height;
+  let right = -1;
+  let bottom = -1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const inside = masked ? alpha[i] >= MASK_ALPHA : Math.abs(grey[i] - background) > TRIM_TOLERANCE;
+      if (inside) {
+        left = Math.min(left, x);
+        right = Math.max(right, x);
+        top = Math.min(top, y);
+        bottom = Math.max(bottom, y);
+      }
+    }
+  }
+
+  return right < 0 ? null : { left, top, width: right - left + 1, height: bottom - top + 1, masked };
+}
+
+/**
+ * Создает шаблон водяного знака из изображения логотипа (лучше PNG с прозрачностью)
+ * или из области изображения, на котором знак уже стоит
+ * @param {Buffer|string} imageData - буфер с данными изображения или путь к файлу
+ * @param {Object} [region] - область { x, y, width, height } в долях сторон (по умолчанию все изображение)
+ * @returns {Promise<Object>} - шаблон { version, width, height, pixels, mask }, где pixels - яркость,
+ *   а mask - непрозрачность пикселей (null, если непрозрачен весь шаблон); оба поля в base64
+ */
+async function createTemplate(imageData, region = null) {
+  // Поворот по EXIF выполняется отдельно, чтобы область задавалась в повернутом изображении
+  const rotated = await sharp(imageData).rotate().png().toBuffer();
+  let pipeline = sharp(rotated);
+
+  if (region) {
+    const { width, height } = await sharp(rotated).metadata();
+    const left = Math.max(0, Math.min(width - 1, Math.round(region.x * width)));
+    const top = Math.max(0, Math.min(height - 1, Math.round(region.y * height)));
+    pipeline = pipeline.extract({
+      left,
+      top,
+      width: Math.max(1, Math.min(width - left, Math.round(region.width * width))),
+      height: Math.max(1, Math.min(height - top, Math.round(region.height * height)))
+    });
+  }
+
+  const { data, info } = await pipeline.ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const grey = new Uint8Array(info.width * info.height);
+  const alpha = new Uint8Array(info.width * info.height);
+
+  for (let i = 0; i < grey.length; i++) {
+    const offset = i * info.channels;
+    grey[i] = Math.round(0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2]);
+    alpha[i] = data[offset + 3];
+  }
+
+  const box = findLogoBox(grey, alpha, info.width, info.height);
+  if (!box) {
+    throw new Error('На изображении не найден логотип');
+  }
+
+  const scale = Math.min(1, TEMPLATE_SIDE / Math.max(box.width, box.height));
+  const width = Math.max(1, Math.round(box.width * scale));
+  const height = Math.max(1, Math.round(box.height * scale));
+  const crop = (source) => {
+    const result = new Uint8Array(box.width * box.height);
+    for (let y = 0; y < box.height; y++) {
+      result.set(source.subarray((box.top + y) * info.width + box.left, (box.top + y) * info.width + box.left + box.width), y * box.width);
+    }
+    return resample(result, box.width, box.height, width, height);
+  };
+
+  // Яркость усредняется с весом непрозрачности, чтобы прозрачный фон не затемнял края логотипа
+  const weighted = crop(grey.map((value, i) => value * alpha[i] / 255));
+  const coverage = crop(alpha);
+  const pixels = Uint8Array.from(weighted, (value, i) => (coverage[i] > 0 ? Math.round(value * 255 / coverage[i]) : 0));
+  const mask = box.masked ? Uint8Array.from(coverage, Math.round) : null;
+  const template = {
+    version: TEMPLATE_VERSION,
+    width,
+    height,
+    pixels: Buffer.from(pixels).toString('base64'),
+    mask: mask ? Buffer.from(mask).toString('base64') : null
+  };
+
+  if (unpackTemplate(template).deviation < MIN_TEMPLATE_DEVIATION) {
+    throw new Error('Логотип однотонный, его нельзя отличить от фона');
+  }
+
+  return template;
+}
+
+/**
+ * Декодирует шаблон: яркость пикселей, маску и разброс яркости внутри маски
+ * @param {Object} template - шаблон createTemplate
+ * @returns {Object} - { width, height, data: Float32Array, weights: Uint8Array, deviation }, где weights -
+ *   маска (1 - пиксель участвует в сравнении), deviation - разброс яркости пикселей маски
+ */
+function unpackTemplate(template) {
+  const pixels = Buffer.from(template.pixels, 'base64');
+  const mask = template.mask ? Buffer.from(template.mask, 'base64') : null;
+  const weights = new Uint8Array(pixels.length);
+  let count = 0;
+  let sum = 0;
+  let sumSquares = 0;
+
+  for (let i = 0; i < pixels.length; i++) {
+    if (!mask || mask[i] >= MASK_ALPHA) {
+      weights[i] = 1;
+      count++;
+      sum += pixels[i];
+      sumSquares += pixels[i] * pixels[i];
+    }
+  }
+
+  const mean = count > 0 ? sum / count : 0;
+  return {
+    width: template.width,
+    height: template.height,
+    data: Float32Array.from(pixels),
+    weights,
+    deviation: count > 0 ? Math.sqrt(Math.max(0, sumSquares / count - mean * mean)) : 0
+  };
+}
+
+/**
+ * Вычисляет модуль градиента яркости (разности соседних пикселей по горизонтали и вертикали)
+ * @param {Float32Array} data - пиксели
+ * @param {number} width - ширина
+ * @param {number} height - высота
+ * @param {Float32Array} [weights] - веса пикселей: градиент считается только там, где
+ *   все соседние пиксели входят в маску (край логотипа зависит от фона под ним)
+ * @returns {Object} - { data: Float32Array, valid: Uint8Array }
+ */
+function gradientMagnitude(data, width, height, weights = null) {
+  const result = new Float32Array(data.length);
+  const valid = new Uint8Array(data.length);
+  const inside = i => !weights || weights[i] >= 0.5;
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      if (!inside(i - 1) || !inside(i + 1) || !inside(i - width) || !inside(i + width)) {
+        continue;
+      }
+
+      const dx = data[i + 1] - data[i - 1];
+      const dy = data[i + width] - data[i - width];
+      result[i] = Math.sqrt(dx * dx + dy * dy);
+      valid[i] = 1;
+    }
+  }
+
+  return { data: result, valid };
+}
+
+/**
+ * Масштабирует шаблон и готовит его к корреляции: смещения пикселей маски в изображении
+ * шириной imageWidth и их значения, нормированные к нулевому среднему и единичной норме
+ * @param {Object} template - декодированный шаблон
+ * @param {number} width - ширина шаблона
+ * @param {number} height - высота шаблона
+ * @param {number} imageWidth - ширина изображения, в котором ищется шаблон
+ * @param {number} minArea - наименьшее количество пикселей маски
+ * @param {boolean} [gradient] - сравнивать модуль градиента вместо яркости
+ * @returns {Object|null} - { width, height, offsets, values } или null, если шаблон мелкий или однотонный
+ */
+function prepareTemplate(template, width, height, imageWidth, minArea, gradient = false) {
+  const weights = resample(template.weights, template.width, template.height, width, height);
+  let data = smooth(resample(template.data, template.width, template.height, width, height), width, height, weights);
+  let valid = Uint8Array.from(weights, weight => (weight >= 0.5 ? 1 : 0));
+  const area = valid.reduce((sum, value) => sum + value, 0);
+
+  if (gradient) {
+    ({ data, valid } = gradientMagnitude(data, width, height, weights));
+  }
+
+  const offsets = [];
+  const values = [];
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (valid[y * width + x]) {
+        offsets.push(y * imageWidth + x);
+        values.push(data[y * width + x]);
+      }
+    }
+  }
+
+  const mean = values.reduce((sum, value) => sum + value, 0) / (values.length || 1);
+  const centered = values.map(value => value - mean);
+  const norm = Math.sqrt(centered.reduce((sum, value) => sum + value * value, 0));
+
+  if (area < minArea || values.length === 0 || norm / Math.sqrt(values.length) < MIN_TEMPLATE_DEVIATION / 4) {
+    return null;
+  }
+
+  return {
+    width,
+    height,
+    offsets: Int32Array.from(offsets),
+    values: Float32Array.from(centered, value => value / norm)
+  };
+}
+
+/**
+ * Вычисляет нормированную корреляцию шаблона с областью изображения
+ * @param {Float32Array} data - пиксели изображения
+ * @param {number} base - индекс левого верхнего пикселя области
+ * @param {Object} prepared - шаблон prepareTemplate
+ * @returns {number} - корреляция от -1 до 1
+ */
+function correlate(data, base, prepared) {
+  const { offsets, values } = prepared;
+  const count = offsets.length;
+  let sum = 0;
+  let sumSquares = 0;
+  let product = 0;
+
+  for (let k = 0; k < count; k++) {
+    const value = data[base + offsets[k]];
+    sum += value;
+    sumSquares += value * value;
+    product += value * values[k];
+  }
+
+  // Значения шаблона в сумме дают ноль, поэтому среднее области в произведение не входит
+  const variance = sumSquares - sum * sum / count;
+  return variance > 1e-6 ? product / Math.sqrt(variance) : 0;
+}
+
+/**
+ * Ищет шаблон одного водяного знака на изображении. Кандидаты находятся по корреляции модулей
+ * градиента на уменьшенной вдвое копии, положение и масштаб уточняются по корреляции яркости,
+ * а итоговая оценка - снова корреляция градиента: по яркости логотип из круга и надписи
+ * похож на любое темное пятно рядом со светлым, а по градиенту совпадают только контуры букв и фигур
+ * @param {Object} level - { data, gradient, width, height } уменьшенное для поиска изображение
+ * @param {Object} coarse - { gradient, width, height } изображение, уменьшенное еще вдвое
+ * @param {Object} template - декодированный шаблон
+ * @param {Object} settings - { minSize, maxSize }
+ * @returns {Object|null} - { score, x, y, width, height } в пикселях level или null
+ */
+function matchTemplate(level, coarse, template, settings) {
+  const side = Math.max(level.width, level.height);
+  const aspect = template.width / template.height;
+  const minSide = Math.max(settings.minSize * side, MIN_TEMPLATE_SIDE * Math.max(aspect, 1 / aspect));
+  const maxSide = Math.min(settings.maxSize * side,
+    aspect >= 1 ? Math.min(level.width, level.height * aspect) : Math.min(level.height, level.width / aspect));
+  const sizeOf = templateSide => ({
+    width: Math.round(aspect >= 1 ? templateSide : templateSide * aspect),
+    height: Math.round(aspect >= 1 ? templateSide / aspect : templateSide)
+  });
+  const candidates = [];
+
+  // Грубый поиск: несколько лучших положений шаблона каждого масштаба на уменьшенном вдвое изображении
+  for (let templateSide = minSide; templateSide <= maxSide; templateSide *= SCALE_STEP) {
+    const { width, height } = sizeOf(templateSide);
+    const prepared = prepareTemplate(template, Math.max(1, Math.round(width / 2)), Math.max(1, Math.round(height / 2)), coarse.width, MIN_TEMPLATE_AREA / 4, true);
+    if (!prepared) {
+      continue;
+    }
+
+    const found = [];
+    for (let y = 0; y + prepared.height <= coarse.height; y++) {
+      for (let x = 0; x + prepared.width <= coarse.width; x++) {
+        const score = correlate(coarse.gradient, y * coarse.width + x, prepared);
+        if (found.length < COARSE_CANDIDATES || score > found[found.length - 1].score) {
+          // Соседние положения одного пятна не занимают места других кандидатов
+          const near = found.findIndex(item => Math.abs(item.x - x * 2) <= prepared.width && Math.abs(item.y - y * 2) <= prepared.height);
+          if (near >= 0) {
+            if (score > found[near].score) {
+              found[near] = { score, x: x * 2, y: y * 2, templateSide };
+            }
+          } else {
+            found.push({ score, x: x * 2, y: y * 2, templateSide });
+          }
+          found.sort((a, b) => b.score - a.score);
+          found.length = Math.min(found.length, COARSE_CANDIDATES);
+        }
+      }
+    }
+
+    candidates.push(...found);
+  }
+
+  // Точный поиск в окрестности каждого кандидата на изображении полного размера, в том числе
+  // с промежуточными масштабами между шагами грубого поиска. Уточняются кандидаты всех масштабов:
+  // у мелкого шаблона корреляция со случайным участком бывает выше, чем у настоящего знака
+  let result = null;
+  for (const candidate of candidates) {
+    for (const factor of REFINE_SCALES) {
+      const { width, height } = sizeOf(candidate.templateSide * factor);
+      const prepared = prepareTemplate(template, width, height, level.width, MIN_TEMPLATE_AREA);
+      if (!prepared) {
+        continue;
+      }
+
+      let best = null;
+      for (let y = candidate.y - REFINE_RADIUS; y <= candidate.y + REFINE_RADIUS; y++) {
+        for (let x = candidate.x - REFINE_RADIUS; x <= candidate.x + REFINE_RADIUS; x++) {
+          if (x < 0 || y < 0 || x + width > level.width || y + height > level.height) {
+            continue;
+          }
+
+          const score = correlate(level.data, y * level.width + x, prepared);
+          if (!best || score > best.score) {
+            best = { score, x, y };
+          }
+        }
+      }
+
+      const edges = best && prepareTemplate(template, width, height, level.width, MIN_TEMPLATE_AREA, true);
+      const score = edges ? correlate(level.gradient, best.y * level.width + best.x, edges) : -1;
+      if (edges && (!result || score > result.score)) {
+        result = { score, x: best.x, y: best.y, width, height };
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Ищет известные водяные знаки на изображении
+ * @param {Object} image - { data, width, height } изображение в оттенках серого
+ * @param {Array<Object>} watermarks - водяные знаки { id, channel, template }
+ * @param {Object} [settings] - { minScore, minSize, maxSize } (по умолчанию hashSettings.watermarks)
+ * @returns {Array<Object>} - найденные знаки { watermarkId, channel, score, region }, где region - область
+ *   { x, y, width, height } в долях сторон изображения; по убыванию корреляции
+ */
+function detectWatermarks(image, watermarks, settings = config.hashSettings.watermarks || {}) {
+  const scale = Math.min(1, DETECT_SIDE / Math.max(image.width, image.height));
+  const width = Math.max(1, Math.round(image.width * scale));
+  const height = Math.max(1, Math.round(image.height * scale));
+  const data = smooth(resample(image.data, image.width, image.height, width, height), width, height);
+  const level = { data, gradient: gradientMagnitude(data, width, height).data, width, height };
+  const coarseWidth = Math.max(1, Math.round(width / 2));
+  const coarseHeight = Math.max(1, Math.round(height / 2));
+  const coarseData = resample(level.data, width, height, coarseWidth, coarseHeight);
+  const coarse = { gradient: gradientMagnitude(coarseData, coarseWidth, coarseHeight).data, width: coarseWidth, height: coarseHeight };
+  const searchSettings = { minSize: settings.minSize || 0.05, maxSize: settings.maxSize || 0.5 };
+  const detections = [];
+
+  for (const watermark of watermarks || []) {
+    if (!watermark.template || watermark.template.version !== TEMPLATE_VERSION) {
+      continue;
+    }
+
+    const match = matchTemplate(level, coarse, unpackTemplate(watermark.template), searchSettings);
+    if (match && match.score >= (settings.minScore || 0.55)) {
+      detections.push({
+        watermarkId: watermark.id,
+        channel: watermark.channel,
+        score: match.score,
+        region: { x: match.x / width, y: match.y / height, width: match.width / width, height: match.height / height }
+      });
+    }
+  }
+
+  return detections.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Закрашивает области найденных водяных знаков: каждый пиксель области получает среднее
+ * линейных интерполаций между пикселями слева и справа от области и сверху и снизу от нее
+ * @param {Object} image - { data, width, height } изображение в оттенках серого
+ * @param {Array<Object>} regions - области { x, y, width, height } в долях сторон
+ * @returns {Object} - новое изображение { data, width, height } (исходное не меняется)
+ */
+function maskRegions(image, regions) {
+  const { width, height } = image;
+  const data = Uint8Array.from(image.data);
+  const pixel = (x, y) => data[Math.max(0, Math.min(height - 1, y)) * width + Math.max(0, Math.min(width - 1, x))];
+
+  for (const region of regions) {
+    const left = Math.max(0, Math.floor(region.x * width) - MASK_MARGIN);
+    const top = Math.max(0, Math.floor(region.y * height) - MASK_MARGIN);
+    const right = Math.min(width - 1, Math.ceil((region.x + region.width) * width) + MASK_MARGIN);
+    const bottom = Math.min(height - 1, Math.ceil((region.y + region.height) * height) + MASK_MARGIN);
+
+    // Область у края изображения заполняется по пикселям с противоположной стороны
+    const hasLeft = left > 0;
+    const hasRight = right < width - 1;
+    const hasTop = top > 0;
+    const hasBottom = bottom < height - 1;
+    const source = Uint8Array.from(data);
+    const sourcePixel = (x, y) => source[Math.max(0, Math.min(height - 1, y)) * width + Math.max(0, Math.min(width - 1, x))];
+
+    for (let y = top; y <= bottom; y++) {
+      for (let x = left; x <= right; x++) {
+        const fromLeft = hasLeft ? sourcePixel(left - 1, y) : sourcePixel(right + 1, y);
+        const fromRight = hasRight ? sourcePixel(right + 1, y) : fromLeft;
+        const fromTop = hasTop ? sourcePixel(x, top - 1) : sourcePixel(x, bottom + 1);
+        const fromBottom = hasBottom ? sourcePixel(x, bottom + 1) : fromTop;
+        const tx = (x - left + 1) / (right - left + 2);
+        const ty = (y - top + 1) / (bottom - top + 2);
+        const horizontal = (hasLeft || hasRight) ? fromLeft + (fromRight - fromLeft) * tx : null;
+        const vertical = (hasTop || hasBottom) ? fromTop + (fromBottom - fromTop) * ty : null;
+        const values = [horizontal, vertical].filter(value => value !== null);
+
+        data[y * width + x] = values.length > 0
+          ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+          : pixel(x, y);
+      }
+    }
+  }
+
+  return { data, width, height };
+}
+
+module.exports = {
+  TEMPLATE_VERSION,
+  createTemplate,
+  detectWatermarks,
+  maskRegions
+};
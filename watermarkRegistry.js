@@ -0,0 +1,102 @@
+/**
+ * Реестр водяных знаков каналов: логотипы, которые каналы-копировщики ставят на чужие изображения.
+ * Знаки добавляются командой /add_watermark, хранятся в таблице watermarks базы изображений
+ * и передаются imageHasher, который ищет их на каждом новом изображении (см. watermarkDetector).
+ */
+
+const imageDatabase = require('./imageDatabase');
+const imageHasher = require('./imageHasher');
+const watermarkDetector = require('./watermarkDetector');
+
+/**
+ * Приводит название канала к виду @username (ссылки t.me/username тоже принимаются)
+ * @param {string} channel - название канала
+ * @returns {string}
+ */
+function normalizeChannel(channel) {
+  const name = String(channel).trim().replace(/^(https?:\/\/)?t\.me\//i, '').replace(/^@/, '');
+  return name ? `@${name}` : '';
+}
+
+/**
+ * Читает реестр из базы и передает его imageHasher (база должна быть загружена)
+ * @returns {Promise<Array>} - водяные знаки { id, channel, template, addedBy, addedAt }
+ */
+async function loadWatermarks() {
+  const watermarks = await imageDatabase.getWatermarks();
+  imageHasher.setWatermarks(watermarks);
+  return watermarks;
+}
+
+/**
+ * Создает шаблон из изображения логотипа и добавляет знак в реестр
+ * @param {string} channel - канал, которому принадлежит знак
+ * @param {Buffer|string} imageData - изображение логотипа или изображение со знаком
+ * @param {Object} [region] - область знака { x, y, width, height } в долях сторон изображения
+ * @param {string} [addedBy] - ID пользователя, добавившего знак
+ * @returns {Promise<Object>} - добавленный знак { id, channel, template, addedBy, addedAt }
+ */
+async function addWatermark(channel, imageData, region = null, addedBy = null) {
+  const name = normalizeChannel(channel);
+  if (!name) {
+    throw new Error('Не указан канал водяного знака');
+  }
+
+  const template = await watermarkDetector.createTemplate(imageData, region);
+  const watermark = await imageDatabase.addWatermark({ channel: name, template, addedBy });
+  if (!watermark) {
+    throw new Error('Не удалось сохранить водяной знак');
+  }
+
+  await loadWatermarks();
+  return watermark;
+}
+
+/**
+ * Удаляет знак из реестра
+ * @param {number} id - ID водяного знака
+ * @returns {Promise<boolean>} - был ли знак удален
+ */
+async function removeWatermark(id) {
+  const removed = await imageDatabase.removeWatermark(id);
+
+  if (removed) {
+    await loadWatermarks();
+  }
+
+  return removed;
+}
+
+/**
+ * Возвращает знаки реестра без шаблонов
+ * @returns {Promise<Array>} - массив { id, channel, width, height, addedBy, addedAt }
+ */
+async function listWatermarks() {
+  const watermarks = await imageDatabase.getWatermarks();
+
+  return watermarks.map(({ template, ...watermark }) => ({
+    ...watermark,
+    width: template.width,
+    height: template.height
+  }));
+}
+
+/**
+ * Описывает найденные водяные знаки для ответов бота и отчетов
+ * @param {Array<Object>} detections - найденные знаки { channel, score }
+ * @returns {string} - например "@memes (0.78), @cats (0.61)" или пустая строка
+ */
+function describeWatermarks(detections) {
+  return (detections || [])
+    .map(detection => `${detection.channel} (${detection.score.toFixed(2)})`)
+    .join(', ');
+}
+
+module.exports = {
+  normalizeChannel,
+  loadWatermarks,
+  addWatermark,
+  removeWatermark,
+  listWatermarks,
+  describeWatermarks
+};